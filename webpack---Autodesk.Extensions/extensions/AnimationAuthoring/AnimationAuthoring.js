@@ -0,0 +1,416 @@
+import {
+    AnimationRecorder
+} from './AnimationRecorder';
+import {
+    TimelinePanel
+} from './TimelinePanel';
+
+const av = Autodesk.Viewing;
+const avp = Autodesk.Viewing.Private;
+
+/**
+ * Records keyframe animations in the browser: camera views, object transforms (e.g. from the explode or move state),
+ * visibility and theming colors. Keys are recorded from the current state of the viewer at the current time.
+ *
+ * The animation is played by the same {@link Autodesk.Viewing.Private.KeyFrameAnimator} that plays the animations
+ * of an SVF, and getAnimationData() returns the same structure, so it plays back identically.
+ *
+ * Object keys are recorded for the leaf nodes of the main model (viewer.model), as the KeyFrameAnimator
+ * only animates that model.
+ *
+ * The extension id is: `Autodesk.AnimationAuthoring`
+ *
+ * @example
+ *   const ext = await viewer.loadExtension('Autodesk.AnimationAuthoring');
+ *   ext.recordCameraKey(0);
+ *   viewer.explode(0.5);
+ *   ext.recordTransformKeys([1], 2);
+ *   ext.recordCameraKey(2);
+ *   ext.play();
+ *
+ * @memberof Autodesk.Viewing.Extensions
+ * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension
+ * @see {@link Autodesk.Viewing.Extension} for common inherited methods.
+ * @constructor
+ */
+export default class AnimationAuthoringExtension extends av.Extension {
+    constructor(viewer, options) {
+        super(viewer, options);
+
+        this.recorder = new AnimationRecorder();
+        this.animator = null;
+
+        // The animator is rebuilt from the recorder when the animation changed
+        this.animatorNeedsUpdate = true;
+        this.currentTime = 0;
+
+        this.onModelRemoved = this.onModelRemoved.bind(this);
+    }
+
+    load() {
+        this.viewer.addEventListener(av.MODEL_REMOVED_EVENT, this.onModelRemoved);
+        return true;
+    }
+
+    unload() {
+        this.viewer.removeEventListener(av.MODEL_REMOVED_EVENT, this.onModelRemoved);
+        this._destroyAnimator();
+
+        if (this.timelinePanel) {
+            this.timelinePanel.setVisible(false);
+            this.timelinePanel.uninitialize();
+            this.timelinePanel = null;
+        }
+        return true;
+    }
+
+    // The animation refers to the nodes of the main model
+    onModelRemoved(event) {
+        if (!this.viewer.model) {
+            this._destroyAnimator();
+            this.animatorNeedsUpdate = true;
+        }
+    }
+
+    _destroyAnimator() {
+        if (this.animator) {
+            if (this.viewer.impl.keyFrameAnimator === this.animator) {
+                this.viewer.impl.keyFrameAnimator = null;
+            }
+            this.animator.destroy();
+            this.animator = null;
+        }
+    }
+
+    // Returns the animator of the current animation, or null if there is no model
+    _getAnimator() {
+        if (this.animatorNeedsUpdate || this.viewer.impl.keyFrameAnimator !== this.animator) {
+            this._destroyAnimator();
+            this.animatorNeedsUpdate = false;
+
+            if (!this.viewer.model) {
+                return null;
+            }
+
+            const data = this.recorder.toJSON();
+            this.animator = new avp.KeyFrameAnimator(this.viewer.impl, data.duration);
+            data.animations.forEach(animation => this.animator.add(animation));
+            this.viewer.impl.keyFrameAnimator = this.animator;
+        }
+        return this.animator;
+    }
+
+    _onAnimationChanged() {
+        this.animatorNeedsUpdate = true;
+        this.timelinePanel ? .update();
+    }
+
+    // Returns the leaf nodes of the given nodes, which own the fragments
+    _getLeafNodes(dbIds) {
+        const instanceTree = this.viewer.model && this.viewer.model.getInstanceTree();
+        if (!instanceTree) {
+            return [];
+        }
+
+        const leafs = new Set();
+        dbIds.forEach(dbId => {
+            instanceTree.enumNodeChildren(dbId, (childId) => {
+                let hasFragments = false;
+                instanceTree.enumNodeFragments(childId, () => {
+                    hasFragments = true;
+                }, false);
+                hasFragments && leafs.add(childId);
+            }, true);
+        });
+        return Array.from(leafs);
+    }
+
+    /**
+     * Records the current camera view.
+     *
+     * @param {number} [time] - In seconds. Defaults to the current time.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#recordCameraKey
+     */
+    recordCameraKey(time = this.currentTime) {
+        const camera = this.viewer.impl.camera;
+        this.recorder.addKey('camera', undefined, time, {
+            pos: camera.position.toArray(),
+            up: camera.up.toArray(),
+            target: camera.target.toArray(),
+            fov: camera.fov,
+            perspective: camera.isPerspective
+        });
+        this._onAnimationChanged();
+    }
+
+    /**
+     * Records the current transform of objects, as set by the explode or by moving fragments.
+     *
+     * @param {number[]} dbIds - Objects of the main model. Each leaf node gets its own key.
+     * @param {number} [time] - In seconds. Defaults to the current time.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#recordTransformKeys
+     */
+    recordTransformKeys(dbIds, time = this.currentTime) {
+        const model = this.viewer.model;
+        const instanceTree = model && model.getInstanceTree();
+        if (!instanceTree) {
+            return;
+        }
+
+        this._getLeafNodes(dbIds).forEach(dbId => {
+            // The fragments of a node share one transform during playback
+            let fragId;
+            instanceTree.enumNodeFragments(dbId, (id) => {
+                fragId = fragId === undefined ? id : fragId;
+            }, false);
+
+            const fragProxy = this.viewer.impl.getFragmentProxy(model, fragId);
+            if (!fragProxy.getAnimTransform()) {
+                // The fragment isn't moved
+                fragProxy.position.set(0, 0, 0);
+                fragProxy.quaternion.set(0, 0, 0, 1);
+                fragProxy.scale.set(1, 1, 1);
+            }
+
+            this.recorder.addKey('mesh', dbId, time, {
+                pos: fragProxy.position.toArray(),
+                rot: fragProxy.quaternion.toArray(),
+                scl: fragProxy.scale.toArray()
+            });
+        });
+        this._onAnimationChanged();
+    }
+
+    /**
+     * Records the visibility of objects.
+     *
+     * @param {number[]} dbIds - Objects of the main model.
+     * @param {number} [time] - In seconds. Defaults to the current time.
+     * @param {object} [options]
+     * @param {boolean} [options.visible] - Defaults to the current visibility.
+     * @param {number} [options.opacity] - Between 0 and 1. Opacity isn't recorded by default.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#recordVisibilityKeys
+     */
+    recordVisibilityKeys(dbIds, time = this.currentTime, options = {}) {
+        const model = this.viewer.model;
+        if (!model) {
+            return;
+        }
+
+        dbIds.forEach(dbId => {
+            const visible = options.visible !== undefined ? options.visible : this.viewer.isNodeVisible(dbId, model);
+            const values = {
+                vis: visible ? 1 : 0
+            };
+            if (options.opacity !== undefined) {
+                values.opa = options.opacity;
+            }
+            this.recorder.addKey('visibility', dbId, time, values);
+        });
+        this._onAnimationChanged();
+    }
+
+    /**
+     * Records the theming color of objects.
+     *
+     * @param {number[]} dbIds - Objects of the main model.
+     * @param {number} [time] - In seconds. Defaults to the current time.
+     * @param {THREE.Vector4|null} [color] - (r, g, b, intensity), or null for no theming. Defaults to the current theming color.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#recordThemingKeys
+     */
+    recordThemingKeys(dbIds, time = this.currentTime, color) {
+        const model = this.viewer.model;
+        if (!model) {
+            return;
+        }
+
+        const fragList = model.getFragmentList();
+        dbIds.forEach(dbId => {
+            const themingColor = color !== undefined ? color : fragList && fragList.db2ThemingColor[dbId];
+            this.recorder.addKey('theming', dbId, time, {
+                color: themingColor ? themingColor.toArray() : [0, 0, 0, 0]
+            });
+        });
+        this._onAnimationChanged();
+    }
+
+    /**
+     * @returns {object[]} The tracks of the animation. Each has a `name`, a `type` ('camera', 'mesh', 'visibility', 'theming',
+     *   or another type of loaded animation data), the `id` of the animated node and the `keys` sorted by time.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#getTracks
+     */
+    getTracks() {
+        return this.recorder.getTracks();
+    }
+
+    /**
+     * Moves a key to another time.
+     *
+     * @param {string} trackName
+     * @param {number} index - Index of the key in the track.
+     * @param {number} time - In seconds.
+     * @returns {number} The new index of the key.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#setKeyTime
+     */
+    setKeyTime(trackName, index, time) {
+        const newIndex = this.recorder.setKeyTime(trackName, index, time);
+        this._onAnimationChanged();
+        return newIndex;
+    }
+
+    /**
+     * @param {string} trackName
+     * @param {number} index - Index of the key in the track.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#removeKey
+     */
+    removeKey(trackName, index) {
+        this.recorder.removeKey(trackName, index);
+        this._onAnimationChanged();
+    }
+
+    /**
+     * @param {string} trackName
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#removeTrack
+     */
+    removeTrack(trackName) {
+        this.recorder.removeTrack(trackName);
+        this._onAnimationChanged();
+    }
+
+    /**
+     * Removes all tracks.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#clear
+     */
+    clear() {
+        this.recorder.clear();
+        this._onAnimationChanged();
+    }
+
+    /**
+     * @returns {number} Time of the last key in seconds.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#getDuration
+     */
+    getDuration() {
+        return this.recorder.getDuration();
+    }
+
+    /**
+     * Returns the animation data, in the structure of the animations of an SVF. Use setAnimationData() to load it again.
+     *
+     * @returns {object} { duration, animations }. Each animation can be passed to KeyFrameAnimator.add().
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#getAnimationData
+     */
+    getAnimationData() {
+        return this.recorder.toJSON();
+    }
+
+    /**
+     * Replaces the animation, e.g. with the result of getAnimationData() or the animations of an SVF.
+     *
+     * @param {object} data - { animations }
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#setAnimationData
+     */
+    setAnimationData(data) {
+        this.recorder.fromJSON(data);
+        this.currentTime = 0;
+        this._onAnimationChanged();
+    }
+
+    /**
+     * @returns {number} The current time in seconds.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#getCurrentTime
+     */
+    getCurrentTime() {
+        return this.currentTime;
+    }
+
+    /**
+     * Shows the animation at the given time.
+     *
+     * @param {number} time - In seconds.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#goto
+     */
+    goto(time) {
+        this.currentTime = Math.max(0, time);
+        const animator = this._getAnimator();
+        animator && animator.goto(this.currentTime);
+        this.timelinePanel ? .setTime(this.currentTime);
+    }
+
+    /**
+     * Plays the animation from the current time, or resumes it.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#play
+     */
+    play() {
+        const animator = this._getAnimator();
+        if (!animator || this.isPlaying()) {
+            return;
+        }
+
+        if (this.currentTime >= animator.duration) {
+            this.currentTime = 0;
+        }
+        if (!animator.isPlaying) {
+            animator.currentTime = this.currentTime;
+        }
+
+        // Resumes if the animator is paused, otherwise plays from the current time
+        animator.play(this.currentTime, (percent) => {
+            this.currentTime = percent * animator.duration / 100;
+            this.timelinePanel ? .setTime(this.currentTime);
+        });
+        this.timelinePanel ? .update();
+    }
+
+    /**
+     * Pauses the animation at the current time.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#pause
+     */
+    pause() {
+        if (this.isPlaying()) {
+            this.animator.pause();
+            this.timelinePanel ? .update();
+        }
+    }
+
+    /**
+     * @returns {boolean} true while the animation plays.
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#isPlaying
+     */
+    isPlaying() {
+        return !!this.animator && this.animator.isPlaying && !this.animator.isPaused;
+    }
+
+    /**
+     * Shows or hides the timeline panel.
+     *
+     * @param {boolean} show
+     *
+     * @alias Autodesk.Viewing.Extensions.AnimationAuthoringExtension#showTimelinePanel
+     */
+    showTimelinePanel(show) {
+        if (show && !this.timelinePanel) {
+            this.timelinePanel = new TimelinePanel(this, this.viewer.container.id + 'AnimationTimelinePanel');
+        }
+        this.timelinePanel ? .setVisible(show);
+    }
+}
+
+av.theExtensionManager.registerExtension('Autodesk.AnimationAuthoring', AnimationAuthoringExtension);
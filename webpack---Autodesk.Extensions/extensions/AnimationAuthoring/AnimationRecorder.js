@@ -0,0 +1,228 @@
+// Keys closer than this (in seconds) are merged
+const TIME_EPSILON = 1e-3;
+
+// Returns a plain copy of a key. AnimationHandler.init converts rotations to quaternions and adds
+// an index, so the keys are copied before they are handed to the KeyFrameAnimator.
+function copyKey(key) {
+    const copy = {};
+    for (const type in key) {
+        if (type === 'index') {
+            continue;
+        }
+        const value = key[type];
+        if (value instanceof THREE.Quaternion) {
+            copy[type] = value.toArray();
+        } else if (Array.isArray(value)) {
+            copy[type] = value.slice();
+        } else if (value && typeof value === 'object' && value._w !== undefined) {
+            copy[type] = [value._x, value._y, value._z, value._w];
+        } else {
+            copy[type] = value;
+        }
+    }
+    return copy;
+}
+
+/**
+ * Holds the tracks of an authored keyframe animation and converts them from and to the
+ * animation data that {@link Autodesk.Viewing.Private.KeyFrameAnimator} plays.
+ *
+ * Each track animates one node (or the camera) and has its keys sorted by time. A key
+ * only needs the values that change, e.g. { time: 2, vis: 0 }.
+ *
+ * @private
+ */
+export class AnimationRecorder {
+
+    constructor() {
+        // Tracks by name, in insertion order
+        this.tracks = new Map();
+    }
+
+    /**
+     * @param {string} type - 'camera', 'mesh', 'visibility', 'theming' or another type of the animation data.
+     * @param {number} [id] - dbId of the animated node, not used for the camera.
+     * @returns {string} The name of the track.
+     */
+    static getTrackName(type, id) {
+        return id === undefined ? type : `${type}:${id}`;
+    }
+
+    /**
+     * Adds a key to the track of a node. The track is created if needed. The values are merged into an existing key at the same time.
+     *
+     * @param {string} type - Track type, see getTrackName().
+     * @param {number|undefined} id - dbId of the animated node.
+     * @param {number} time - In seconds.
+     * @param {object} values - The animated values, e.g. { pos: [0, 0, 1] }.
+     * @returns {object} The key.
+     */
+    addKey(type, id, time, values) {
+        let track = this.getTracks().find(track => track.type === type && track.id === id);
+        if (!track) {
+            track = {
+                name: AnimationRecorder.getTrackName(type, id),
+                type,
+                id,
+                keys: []
+            };
+            this.tracks.set(track.name, track);
+        }
+
+        return this._addTrackKey(track, time, values);
+    }
+
+    // Inserts a key by time, or merges it into the key at the same time
+    _addTrackKey(track, time, values) {
+        time = Math.max(0, time);
+        const keys = track.keys;
+        let index = keys.findIndex(key => key.time > time - TIME_EPSILON);
+        if (index === -1) {
+            index = keys.length;
+        }
+
+        let key = keys[index];
+        if (key && Math.abs(key.time - time) < TIME_EPSILON) {
+            Object.assign(key, copyKey(values));
+        } else {
+            key = Object.assign(copyKey(values), {
+                time
+            });
+            keys.splice(index, 0, key);
+        }
+        return key;
+    }
+
+    /**
+     * Removes a key. The track is removed with its last key.
+     *
+     * @param {string} name - Track name.
+     * @param {number} index - Index of the key in the track.
+     */
+    removeKey(name, index) {
+        const track = this.tracks.get(name);
+        if (!track || !track.keys[index]) {
+            return;
+        }
+        track.keys.splice(index, 1);
+        if (!track.keys.length) {
+            this.tracks.delete(name);
+        }
+    }
+
+    /**
+     * Moves a key to another time. It's merged into a key that is already at that time.
+     *
+     * @param {string} name - Track name.
+     * @param {number} index - Index of the key in the track.
+     * @param {number} time - The new time in seconds.
+     * @returns {number} The new index of the key, or -1.
+     */
+    setKeyTime(name, index, time) {
+        const track = this.tracks.get(name);
+        const key = track && track.keys[index];
+        if (!key) {
+            return -1;
+        }
+        track.keys.splice(index, 1);
+
+        const values = Object.assign({}, key);
+        delete values.time;
+        return track.keys.indexOf(this._addTrackKey(track, time, values));
+    }
+
+    removeTrack(name) {
+        this.tracks.delete(name);
+    }
+
+    clear() {
+        this.tracks.clear();
+    }
+
+    /**
+     * @returns {object[]} The tracks { name, type, id, keys }. Don't modify them.
+     */
+    getTracks() {
+        return Array.from(this.tracks.values());
+    }
+
+    /**
+     * @returns {number} Time of the last key in seconds.
+     */
+    getDuration() {
+        let duration = 0;
+        this.tracks.forEach(track => {
+            duration = Math.max(duration, track.keys[track.keys.length - 1].time);
+        });
+        return duration;
+    }
+
+    /**
+     * Creates the animation data, in the same structure as the animations of an SVF.
+     * Each animation can be passed to KeyFrameAnimator.add(). Tracks with a single key are kept,
+     * but they are only played once they have a second key.
+     *
+     * @returns {object} { duration, animations }
+     */
+    toJSON() {
+        return {
+            duration: this.getDuration(),
+            animations: this.getTracks().map(track => {
+                const animation = {
+                    name: track.name,
+                    type: track.type,
+                    hierarchy: [{
+                        keys: track.keys.map(copyKey)
+                    }]
+                };
+                if (track.id !== undefined) {
+                    animation.id = track.id;
+                }
+                if (track.custom) {
+                    animation.custom = JSON.parse(JSON.stringify(track.custom));
+                }
+                return animation;
+            })
+        };
+    }
+
+    /**
+     * Replaces the tracks with the given animation data, see toJSON().
+     * Only the first hierarchy entry of each animation is kept.
+     *
+     * @param {object} data - { animations } or an array of animations.
+     */
+    fromJSON(data) {
+        this.clear();
+
+        const animations = Array.isArray(data) ? data : (data && data.animations) || [];
+        animations.forEach((animation) => {
+            const keys = animation.hierarchy && animation.hierarchy[0] && animation.hierarchy[0].keys;
+            if (!keys || !keys.length) {
+                return;
+            }
+
+            // Keep the names of the loaded animations, as several of them may animate the same node
+            let name = animation.name || AnimationRecorder.getTrackName(animation.type, animation.id);
+            for (let i = 2; this.tracks.has(name); i++) {
+                name = `${animation.name || animation.type} (${i})`;
+            }
+            const track = {
+                name,
+                type: animation.type,
+                id: animation.id,
+                keys: []
+            };
+            if (animation.custom) {
+                track.custom = JSON.parse(JSON.stringify(animation.custom));
+            }
+            this.tracks.set(name, track);
+
+            keys.forEach(key => {
+                const values = copyKey(key);
+                delete values.time;
+                this._addTrackKey(track, key.time, values);
+            });
+        });
+    }
+}
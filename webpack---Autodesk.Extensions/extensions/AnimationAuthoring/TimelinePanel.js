@@ -0,0 +1,370 @@
+const av = Autodesk.Viewing;
+const avu = Autodesk.Viewing.UI;
+
+// DockingPanel is undefined in headless mode, see CalibrationPanels.js
+const DockingPanel = (avu && avu.DockingPanel) || class {};
+
+const _gDocument = av.getGlobal().document;
+
+// Shortest timeline in seconds. The timeline is a bit longer than the animation, to have room for new keys.
+const MIN_LENGTH = 5;
+
+// Width of the key markers in pixels
+const MARKER_SIZE = 8;
+
+const TRACK_LABELS = {
+    camera: 'Camera',
+    mesh: 'Transform',
+    visibility: 'Visibility',
+    theming: 'Theming'
+};
+
+function formatTime(time) {
+    return `${time.toFixed(2)} s`;
+}
+
+/**
+ * Timeline of the AnimationAuthoringExtension. Lists the tracks with their keys, records keys for the
+ * camera and the selected objects, and scrubs through the animation.
+ *
+ * Keys are selected by clicking and moved to another time by dragging, or by editing their time.
+ *
+ * @param {AnimationAuthoringExtension} extension
+ * @param {string} id - The id for this panel.
+ * @param {object} [options] - An optional dictionary of options.
+ * @private
+ */
+export function TimelinePanel(extension, id, options = {}) {
+    this.extension = extension;
+    this.viewer = extension.viewer;
+
+    // The selected key { track, index }
+    this.selectedKey = null;
+
+    options.addFooter = false;
+
+    DockingPanel.call(this, this.viewer.container, id, 'Animation', options);
+    this.container.classList.add('animation-timeline-panel');
+    this.container.style.top = '10px';
+    this.container.style.left = '10px';
+
+    this.setGlobalManager && this.setGlobalManager(this.viewer.globalManager);
+
+    this.createScrollContainer({
+        heightAdjustment: 70,
+        marginTop: 0,
+        left: false
+    });
+
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+
+    // Playback
+    const controls = _document.createElement('div');
+    controls.className = 'animation-timeline-controls';
+    this.playButton = this.createButton('Play', () => {
+        this.extension.isPlaying() ? this.extension.pause() : this.extension.play();
+    });
+    controls.appendChild(this.playButton);
+
+    this.slider = _document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.min = 0;
+    this.slider.step = 0.01;
+    this.slider.className = 'animation-timeline-slider';
+    this.addEventListener(this.slider, 'input', () => {
+        this.extension.pause();
+        this.extension.goto(parseFloat(this.slider.value));
+    });
+    controls.appendChild(this.slider);
+
+    this.timeLabel = _document.createElement('span');
+    this.timeLabel.className = 'animation-timeline-time';
+    controls.appendChild(this.timeLabel);
+    this.scrollContainer.appendChild(controls);
+
+    // Recording, at the current time
+    const record = _document.createElement('div');
+    record.className = 'animation-timeline-record';
+    record.appendChild(this.createButton('Key camera', () => this.extension.recordCameraKey()));
+    record.appendChild(this.createButton('Key transform', () => this.extension.recordTransformKeys(this.getSelection())));
+    record.appendChild(this.createButton('Key visibility', () => this.extension.recordVisibilityKeys(this.getSelection())));
+    record.appendChild(this.createButton('Key theming', () => this.extension.recordThemingKeys(this.getSelection())));
+    this.scrollContainer.appendChild(record);
+
+    this.table = _document.createElement('table');
+    this.table.className = 'adsk-lmv-tftable animation-timeline-tracks';
+    this.tbody = _document.createElement('tbody');
+    this.table.appendChild(this.tbody);
+    this.scrollContainer.appendChild(this.table);
+
+    // Editor of the selected key
+    this.keyEditor = _document.createElement('div');
+    this.keyEditor.className = 'animation-timeline-key';
+    this.keyTimeInput = _document.createElement('input');
+    this.keyTimeInput.type = 'number';
+    this.keyTimeInput.min = 0;
+    this.keyTimeInput.step = 0.1;
+    this.addEventListener(this.keyTimeInput, 'change', () => {
+        const time = parseFloat(this.keyTimeInput.value);
+        if (this.selectedKey && !isNaN(time)) {
+            this.moveSelectedKey(time);
+        }
+    });
+    this.keyEditor.appendChild(this.keyTimeInput);
+    this.keyEditor.appendChild(this.createButton('Delete key', () => {
+        if (this.selectedKey) {
+            const {
+                track,
+                index
+            } = this.selectedKey;
+            this.selectedKey = null;
+            this.extension.removeKey(track, index);
+        }
+    }));
+    this.scrollContainer.appendChild(this.keyEditor);
+
+    this.update();
+}
+
+TimelinePanel.prototype = Object.create(DockingPanel.prototype);
+TimelinePanel.prototype.constructor = TimelinePanel;
+
+/**
+ * Clean up when the panel is about to be removed.
+ *
+ * @override
+ */
+TimelinePanel.prototype.uninitialize = function() {
+    this.endDrag && this.endDrag();
+
+    DockingPanel.prototype.uninitialize.call(this);
+
+    this.extension = null;
+    this.viewer = null;
+    this.playButton = null;
+    this.slider = null;
+    this.timeLabel = null;
+    this.table = null;
+    this.tbody = null;
+    this.keyEditor = null;
+    this.keyTimeInput = null;
+};
+
+/**
+ * @param {string} label
+ * @param {function} onClick
+ * @returns {HTMLElement}
+ * @private
+ */
+TimelinePanel.prototype.createButton = function(label, onClick) {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const button = _document.createElement('div');
+    button.classList.add('docking-panel-tertiary-button');
+    button.setAttribute('data-i18n', label);
+    button.textContent = av.i18n.translate(label);
+    button.addEventListener('click', onClick, false);
+    return button;
+};
+
+/**
+ * @returns {number[]} The selected objects of the main model.
+ * @private
+ */
+TimelinePanel.prototype.getSelection = function() {
+    const selection = this.viewer.getAggregateSelection().find(entry => entry.model === this.viewer.model);
+    return selection ? selection.selection : [];
+};
+
+/**
+ * @returns {number} Length of the timeline in seconds.
+ * @private
+ */
+TimelinePanel.prototype.getLength = function() {
+    return Math.max(this.extension.getDuration() * 1.25, MIN_LENGTH);
+};
+
+/**
+ * @param {object} track
+ * @returns {string}
+ * @private
+ */
+TimelinePanel.prototype.getTrackLabel = function(track) {
+    const type = av.i18n.translate(TRACK_LABELS[track.type] || track.type);
+    if (track.id === undefined) {
+        return type;
+    }
+
+    const instanceTree = this.viewer.model && this.viewer.model.getInstanceTree();
+    const name = (instanceTree && instanceTree.getNodeName(track.id)) || `[${track.id}]`;
+    return `${name} - ${type}`;
+};
+
+/**
+ * Moves the selected key and keeps it selected.
+ *
+ * @param {number} time - In seconds.
+ * @private
+ */
+TimelinePanel.prototype.moveSelectedKey = function(time) {
+    const {
+        track,
+        index
+    } = this.selectedKey;
+    this.selectedKey = {
+        track,
+        index: this.extension.setKeyTime(track, index, time)
+    };
+    this.update();
+};
+
+/**
+ * Drags a key marker along its track bar. The key is moved on release.
+ *
+ * @param {PointerEvent} event - The pointerdown event.
+ * @param {HTMLElement} marker
+ * @param {HTMLElement} bar - The track bar.
+ * @private
+ */
+TimelinePanel.prototype.startDrag = function(event, marker, bar) {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const length = this.getLength();
+
+    const getTime = (e) => {
+        const rect = bar.getBoundingClientRect();
+        const t = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+        return Math.min(Math.max(t, 0), 1) * length;
+    };
+
+    let time = null;
+    const onMove = (e) => {
+        time = getTime(e);
+        marker.style.left = `${time / length * 100}%`;
+        this.keyTimeInput.value = time.toFixed(2);
+    };
+
+    const onUp = () => {
+        this.endDrag();
+        if (time !== null && this.selectedKey) {
+            this.moveSelectedKey(time);
+        } else {
+            // Highlight the selected key only
+            this.update();
+        }
+    };
+
+    this.endDrag = () => {
+        _document.removeEventListener('pointermove', onMove);
+        _document.removeEventListener('pointerup', onUp);
+        this.endDrag = null;
+    };
+
+    _document.addEventListener('pointermove', onMove);
+    _document.addEventListener('pointerup', onUp);
+    event.preventDefault();
+};
+
+/**
+ * Shows the current time of the animation.
+ *
+ * @param {number} time - In seconds.
+ */
+TimelinePanel.prototype.setTime = function(time) {
+    const duration = this.extension.getDuration();
+    this.slider.max = this.getLength();
+    this.slider.value = time;
+    this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+
+    // The animation stops right after reporting its last frame
+    const playLabel = this.extension.isPlaying() && time < duration ? 'Pause' : 'Play';
+    if (this.playButton.getAttribute('data-i18n') !== playLabel) {
+        this.playButton.setAttribute('data-i18n', playLabel);
+        this.playButton.textContent = av.i18n.translate(playLabel);
+    }
+};
+
+/**
+ * Rebuilds the list of tracks.
+ */
+TimelinePanel.prototype.update = function() {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const length = this.getLength();
+    const tracks = this.extension.getTracks();
+
+    this.endDrag && this.endDrag();
+
+    while (this.tbody.rows.length) {
+        this.tbody.deleteRow(0);
+    }
+
+    // The selected key may be gone
+    const selected = this.selectedKey;
+    const selectedTrack = selected && tracks.find(track => track.name === selected.track);
+    if (!selectedTrack || !selectedTrack.keys[selected.index]) {
+        this.selectedKey = null;
+    }
+
+    tracks.forEach((track, index) => {
+        const row = this.tbody.insertRow(index);
+
+        row.insertCell(0).textContent = this.getTrackLabel(track);
+
+        const bar = _document.createElement('div');
+        bar.className = 'animation-timeline-bar';
+        bar.style.position = 'relative';
+        bar.style.height = `${MARKER_SIZE * 2}px`;
+        bar.style.minWidth = '200px';
+
+        // Clicking the bar scrubs to that time
+        bar.addEventListener('click', (event) => {
+            const rect = bar.getBoundingClientRect();
+            if (rect.width > 0) {
+                this.extension.pause();
+                this.extension.goto((event.clientX - rect.left) / rect.width * length);
+            }
+        }, false);
+
+        track.keys.forEach((key, keyIndex) => {
+            const isSelected = this.selectedKey && this.selectedKey.track === track.name && this.selectedKey.index === keyIndex;
+
+            const marker = _document.createElement('div');
+            marker.className = 'animation-timeline-marker';
+            marker.title = formatTime(key.time);
+            marker.style.position = 'absolute';
+            marker.style.top = `${MARKER_SIZE / 2}px`;
+            marker.style.left = `${key.time / length * 100}%`;
+            marker.style.width = marker.style.height = `${MARKER_SIZE}px`;
+            marker.style.marginLeft = `${-MARKER_SIZE / 2}px`;
+            marker.style.transform = 'rotate(45deg)';
+            marker.style.background = isSelected ? '#ffb300' : '#2196f3';
+            marker.style.cursor = 'pointer';
+
+            marker.addEventListener('click', (event) => event.stopPropagation(), false);
+            marker.addEventListener('pointerdown', (event) => {
+                this.selectedKey = {
+                    track: track.name,
+                    index: keyIndex
+                };
+                this.keyTimeInput.value = key.time.toFixed(2);
+                this.keyEditor.style.display = '';
+                marker.style.background = '#ffb300';
+                this.startDrag(event, marker, bar);
+            }, false);
+
+            bar.appendChild(marker);
+        });
+        row.insertCell(1).appendChild(bar);
+
+        row.insertCell(2).appendChild(this.createButton('Delete', () => this.extension.removeTrack(track.name)));
+    });
+
+    if (this.selectedKey) {
+        const key = selectedTrack.keys[this.selectedKey.index];
+        this.keyTimeInput.value = key.time.toFixed(2);
+        this.keyEditor.style.display = '';
+    } else {
+        this.keyEditor.style.display = 'none';
+    }
+
+    this.setTime(this.extension.getCurrentTime());
+    this.resizeToContent();
+};
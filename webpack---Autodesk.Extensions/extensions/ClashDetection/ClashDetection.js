@@ -0,0 +1,263 @@
+import {
+    ClashDetector,
+    ClashType
+} from './ClashDetector';
+import {
+    ClashResultsPanel
+} from './ClashResultsPanel';
+
+const av = Autodesk.Viewing;
+
+const namespace = AutodeskNamespace('Autodesk.Viewing.Extensions.ClashDetection');
+
+/**
+ * Finds hard clashes and clearance violations between two sets of objects, e.g. from different models
+ * loaded into the same scene. The geometry is tested in a worker, so the viewer stays responsive.
+ *
+ * Each result is a pair of clashing objects. The results panel lists them and zooms to, themes or isolates each clash.
+ *
+ * The extension id is: `Autodesk.ClashDetection`
+ *
+ * @example
+ *   const ext = await viewer.loadExtension('Autodesk.ClashDetection');
+ *   const clashes = await ext.runClashTest(
+ *       { model: structureModel, query: 'Category = "Revit Structural Framing"' },
+ *       { model: mepModel },
+ *       { tolerance: 0.05 }
+ *   );
+ *
+ * @memberof Autodesk.Viewing.Extensions
+ * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension
+ * @see {@link Autodesk.Viewing.Extension} for common inherited methods.
+ * @constructor
+ */
+export default class ClashDetectionExtension extends av.Extension {
+    constructor(viewer, options) {
+        super(viewer, options);
+
+        this.detector = null;
+        this.clashes = [];
+
+        // Index of the clash that is currently themed
+        this.currentClash = -1;
+
+        // Theming colors of the objects of set A and set B
+        this.colorA = this.options.colorA || new THREE.Vector4(1, 0, 0, 1);
+        this.colorB = this.options.colorB || new THREE.Vector4(1, 0.8, 0, 1);
+
+        this.onModelRemoved = this.onModelRemoved.bind(this);
+    }
+
+    load() {
+        this.detector = new ClashDetector(this.viewer);
+        this.viewer.addEventListener(av.MODEL_REMOVED_EVENT, this.onModelRemoved);
+        return true;
+    }
+
+    unload() {
+        this.viewer.removeEventListener(av.MODEL_REMOVED_EVENT, this.onModelRemoved);
+
+        this.clearClashes();
+        this.detector.destroy();
+        this.detector = null;
+
+        if (this.resultsPanel) {
+            this.resultsPanel.setVisible(false);
+            this.resultsPanel.uninitialize();
+            this.resultsPanel = null;
+        }
+        return true;
+    }
+
+    // Drops the clashes of removed models
+    onModelRemoved(event) {
+        const model = event.model;
+        if (!this.clashes.some(clash => clash.modelA === model || clash.modelB === model)) {
+            return;
+        }
+
+        this._clearTheming();
+        this.clashes = this.clashes.filter(clash => clash.modelA !== model && clash.modelB !== model);
+        this.currentClash = -1;
+        this.resultsPanel ? .update();
+    }
+
+    /**
+     * Runs a clash test between two sets of objects. Replaces the results of the previous test.
+     *
+     * @param {object} setA - The first object set.
+     * @param {Autodesk.Viewing.Model} setA.model - Model of the objects.
+     * @param {number[]} [setA.dbIds] - Objects to test, including their children. Defaults to the whole model.
+     * @param {string} [setA.query] - Property query that selects the objects instead of dbIds, see {@link Autodesk.Viewing.Model#queryProperties}.
+     * @param {object} setB - The second object set, see setA. If both sets contain an object, it's not tested against itself.
+     * @param {object} [options]
+     * @param {number} [options.tolerance=0] - Clearance in model units. Objects that are closer than this are reported
+     *   as clearance clashes. With 0, only intersecting objects are reported.
+     * @param {number} [options.touchTolerance] - Objects that penetrate less than this in model units only touch, e.g. a
+     *   column standing on a slab. Defaults to a small fraction of the size of the tested objects.
+     * @param {boolean} [options.includeTouching=false] - Whether touching objects are reported, as 'touch' clashes.
+     * @returns {Promise<object[]>} Resolves to the clashes sorted by distance, each with `modelA`, `dbIdA`, `modelB`, `dbIdB`,
+     *   `type` ('hard', 'touch' or 'clearance'), `distance` (0 for hard and touch clashes), and the closest points `pointA` and `pointB`.
+     *   Rejects if the test is cancelled by another test or by cancelClashTest().
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#runClashTest
+     */
+    runClashTest(setA, setB, options = {}) {
+        this.clearClashes();
+
+        return this.detector.run(setA, setB, {
+            tolerance: options.tolerance,
+            touchTolerance: options.touchTolerance,
+            includeTouching: options.includeTouching,
+            onProgress: (progress) => this.resultsPanel ? .setProgress(progress)
+        }).then((clashes) => {
+            this.clashes = clashes;
+            this.resultsPanel ? .update();
+            return clashes.slice();
+        });
+    }
+
+    /**
+     * Cancels the running clash test.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#cancelClashTest
+     */
+    cancelClashTest() {
+        this.detector.cancel();
+        this.resultsPanel ? .update();
+    }
+
+    /**
+     * @returns {object[]} The clashes of the last test, see runClashTest().
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#getClashes
+     */
+    getClashes() {
+        return this.clashes.slice();
+    }
+
+    /**
+     * @returns {number} Index of the selected clash, or -1.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#getCurrentClash
+     */
+    getCurrentClash() {
+        return this.currentClash;
+    }
+
+    /**
+     * Removes the results and the theming of the last test.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#clearClashes
+     */
+    clearClashes() {
+        this._clearTheming();
+        this.clashes = [];
+        this.currentClash = -1;
+        this.resultsPanel ? .update();
+    }
+
+    _clearTheming() {
+        const clash = this.clashes[this.currentClash];
+        if (clash) {
+            this.viewer.setThemingColor(clash.dbIdA, null, clash.modelA);
+            this.viewer.setThemingColor(clash.dbIdB, null, clash.modelB);
+        }
+    }
+
+    /**
+     * Themes the objects of a clash. The theming of the previously themed clash is removed.
+     *
+     * @param {number} index - Index of the clash.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#themeClash
+     */
+    themeClash(index) {
+        const clash = this.clashes[index];
+        if (!clash) {
+            return;
+        }
+
+        this._clearTheming();
+        this.currentClash = index;
+        this.viewer.setThemingColor(clash.dbIdA, this.colorA, clash.modelA);
+        this.viewer.setThemingColor(clash.dbIdB, this.colorB, clash.modelB);
+        this.resultsPanel ? .update();
+    }
+
+    /**
+     * Fits the view to the objects of a clash.
+     *
+     * @param {number} index - Index of the clash.
+     * @param {boolean} [immediate=false] - true to avoid the default transition.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#zoomToClash
+     */
+    zoomToClash(index, immediate) {
+        const clash = this.clashes[index];
+        if (clash) {
+            this.viewer.fitToView(this._getClashSelection(clash), null, immediate);
+        }
+    }
+
+    /**
+     * Isolates the objects of a clash. Use viewer.showAll() to show everything again.
+     *
+     * @param {number} index - Index of the clash.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#isolateClash
+     */
+    isolateClash(index) {
+        const clash = this.clashes[index];
+        if (clash) {
+            this.viewer.impl.visibilityManager.aggregateIsolate(this._getClashSelection(clash));
+        }
+    }
+
+    /**
+     * Themes a clash and zooms to it, as when it's clicked in the results panel.
+     *
+     * @param {number} index - Index of the clash.
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#selectClash
+     */
+    selectClash(index) {
+        this.themeClash(index);
+        this.zoomToClash(index);
+    }
+
+    // Returns the objects of a clash as aggregate selection
+    _getClashSelection(clash) {
+        if (clash.modelA === clash.modelB) {
+            return [{
+                model: clash.modelA,
+                selection: [clash.dbIdA, clash.dbIdB]
+            }];
+        }
+        return [{
+            model: clash.modelA,
+            selection: [clash.dbIdA]
+        }, {
+            model: clash.modelB,
+            selection: [clash.dbIdB]
+        }];
+    }
+
+    /**
+     * Shows or hides the panel that lists the clashes.
+     *
+     * @param {boolean} show
+     *
+     * @alias Autodesk.Viewing.Extensions.ClashDetectionExtension#showResultsPanel
+     */
+    showResultsPanel(show) {
+        if (show && !this.resultsPanel) {
+            this.resultsPanel = new ClashResultsPanel(this, this.viewer.container.id + 'ClashResultsPanel');
+        }
+        this.resultsPanel ? .setVisible(show);
+    }
+}
+
+namespace.ClashType = ClashType;
+
+av.theExtensionManager.registerExtension('Autodesk.ClashDetection', ClashDetectionExtension);
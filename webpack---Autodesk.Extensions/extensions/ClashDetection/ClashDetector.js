@@ -0,0 +1,382 @@
+const avp = Autodesk.Viewing.Private;
+
+// Worker operations, see ClashWorker.js
+const WORKER_BROAD_PHASE = 'CLASH_BROAD_PHASE';
+const WORKER_NARROW_PHASE = 'CLASH_NARROW_PHASE';
+
+// Max number of triangles that are sent to the worker at once. Limits the memory of the narrow phase.
+const TRIANGLES_PER_BATCH = 500000;
+
+// Default touch tolerance, relative to the size of the tested objects
+const TOUCH_TOLERANCE = 1e-5;
+
+export const ClashType = {
+    HARD: 'hard',
+    TOUCH: 'touch',
+    CLEARANCE: 'clearance'
+};
+
+// Estimates the number of triangles of a fragment, to split the narrow phase into batches.
+function getTriangleCount(geometry) {
+    if (!geometry) {
+        return 0;
+    }
+    if (geometry.ib) {
+        return geometry.ib.length / 3;
+    }
+    return geometry.vb ? geometry.vb.length / (geometry.vbstride || 3) / 3 : 0;
+}
+
+// Returns the world-space triangles of a fragment, 9 coordinates per triangle.
+function getFragmentTriangles(model, fragId) {
+    const fragList = model.getFragmentList();
+    const geometry = fragList.getGeometry(fragId);
+    if (!geometry || geometry.isLines || geometry.isPoints || geometry.is2d) {
+        return new Float64Array(0);
+    }
+
+    const matrix = new THREE.Matrix4();
+    fragList.getWorldMatrix(fragId, matrix);
+
+    const v = new THREE.Vector3();
+    const coords = [];
+    avp.VertexEnumerator.enumMeshTriangles(geometry, function(vA, vB, vC) {
+        v.copy(vA).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+        v.copy(vB).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+        v.copy(vC).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+    });
+    return new Float64Array(coords);
+}
+
+// Length of the diagonal of the union of the boxes, 6 values (min, max) per box.
+function getBoxesSize(boxesList) {
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+    boxesList.forEach(boxes => {
+        for (let i = 0; i < boxes.length; i += 3) {
+            box.expandByPoint(point.fromArray(boxes, i));
+        }
+    });
+    return box.isEmpty() ? 0 : box.getSize(point).length();
+}
+
+/**
+ * Finds clashes between two sets of objects.
+ *
+ * The broad phase pairs the fragments by their world bounds, the narrow phase tests the triangles of each
+ * object pair. Both phases run in a worker.
+ *
+ * @private
+ */
+export class ClashDetector {
+
+    constructor(viewer) {
+        this.viewer = viewer;
+
+        this._worker = null;
+        this._requestId = 0;
+        this._pending = {};
+
+        // Incremented to cancel the running test
+        this._runId = 0;
+
+        this._onWorkerMessage = this._onWorkerMessage.bind(this);
+        this._onWorkerError = this._onWorkerError.bind(this);
+    }
+
+    destroy() {
+        this.cancel();
+        if (this._worker) {
+            this._worker.removeEventListener('message', this._onWorkerMessage);
+            this._worker.removeEventListener('error', this._onWorkerError);
+            this._worker.terminate();
+            this._worker = null;
+        }
+        this._pending = {};
+    }
+
+    _onWorkerMessage(e) {
+        const pending = this._pending[e.data.requestId];
+        if (pending) {
+            delete this._pending[e.data.requestId];
+            if (e.data.error) {
+                pending.reject(new Error(e.data.error));
+            } else {
+                pending.resolve(e.data);
+            }
+        }
+    }
+
+    // Uncaught errors don't tell the request, so all pending requests fail
+    _onWorkerError(e) {
+        const pending = this._pending;
+        this._pending = {};
+        const error = new Error(e.message || 'Clash worker failed');
+        for (let requestId in pending) {
+            pending[requestId].reject(error);
+        }
+    }
+
+    _doOperation(context, transferList) {
+        if (!this._worker) {
+            this._worker = avp.createWorker();
+            this._worker.addEventListener('message', this._onWorkerMessage);
+            this._worker.addEventListener('error', this._onWorkerError);
+        }
+
+        return new Promise((resolve, reject) => {
+            context.requestId = ++this._requestId;
+            this._pending[context.requestId] = {
+                resolve,
+                reject
+            };
+            this._worker.doOperation(context, transferList);
+        });
+    }
+
+    /**
+     * Cancels the running clash test. Its promise rejects.
+     */
+    cancel() {
+        this._runId++;
+    }
+
+    // Resolves the dbIds of an object set. Null means the whole model.
+    _resolveDbIds(set) {
+        if (set.query) {
+            return set.model.queryProperties(set.query);
+        }
+        return Promise.resolve(set.dbIds || null);
+    }
+
+    // Collects the fragments of an object set with their world bounds.
+    // Objects are the leaf nodes that own the fragments, and get an index in objects/objectIndex.
+    _collectFragments(model, dbIds, objects, objectIndex) {
+        const fragList = model.getFragmentList();
+        const fragIds = new Set();
+        if (dbIds) {
+            const instanceTree = model.getInstanceTree();
+            dbIds.forEach(dbId => {
+                if (instanceTree) {
+                    instanceTree.enumNodeFragments(dbId, fragId => fragIds.add(fragId), true);
+                } else {
+                    const ids = fragList.fragments.dbId2fragId[dbId];
+                    [].concat(ids === undefined ? [] : ids).forEach(fragId => fragIds.add(fragId));
+                }
+            });
+        } else {
+            const count = fragList.getCount();
+            for (let fragId = 0; fragId < count; fragId++) {
+                fragIds.add(fragId);
+            }
+        }
+
+        const box = new THREE.Box3();
+        const frags = [];
+        const boxes = [];
+        const objectIds = [];
+        fragIds.forEach(fragId => {
+            const geometry = fragList.getGeometry(fragId);
+            if (geometry && (geometry.isLines || geometry.isPoints)) {
+                return;
+            }
+
+            const dbId = fragList.getDbIds(fragId);
+            const key = model.id + ':' + dbId;
+            if (objectIndex[key] === undefined) {
+                objectIndex[key] = objects.length;
+                objects.push({
+                    model,
+                    dbId
+                });
+            }
+
+            fragList.getWorldBounds(fragId, box);
+            if (box.isEmpty()) {
+                return;
+            }
+
+            frags.push({
+                model,
+                fragId
+            });
+            boxes.push(box.min.x, box.min.y, box.min.z, box.max.x, box.max.y, box.max.z);
+            objectIds.push(objectIndex[key]);
+        });
+
+        return {
+            frags,
+            boxes: new Float32Array(boxes),
+            objects: new Uint32Array(objectIds)
+        };
+    }
+
+    /**
+     * Finds the clashes between the objects of set A and the objects of set B.
+     * Objects are the leaf nodes of the instance tree. The results are grouped per object pair.
+     *
+     * @param {object} setA - { model, dbIds } or { model, query }. dbIds include their children and default
+     *  to the whole model. A query is a property query, see Model.queryProperties.
+     * @param {object} setB - See setA.
+     * @param {object} [options]
+     * @param {number} [options.tolerance=0] - Clearance in world units. Objects that are closer than this are
+     *  reported as clearance clashes. With 0, only intersecting objects are reported.
+     * @param {number} [options.touchTolerance] - Objects that penetrate less than this only touch, e.g. a column standing on
+     *  a slab. Defaults to a fraction of the size of the tested objects.
+     * @param {boolean} [options.includeTouching=false] - Whether touching objects are reported, as touch clashes.
+     * @param {function} [options.onProgress] - Called with the progress of the narrow phase between 0 and 1.
+     * @returns {Promise<object[]>} Resolves to the clashes { modelA, dbIdA, modelB, dbIdB, type, distance, pointA, pointB },
+     *  sorted by distance. Hard and touch clashes have a distance of 0. Rejects if the test is cancelled or fails in the worker.
+     */
+    run(setA, setB, options = {}) {
+        const runId = ++this._runId;
+        const tolerance = Math.max(0, options.tolerance || 0);
+        let touchTolerance = options.touchTolerance;
+        const checkCancelled = () => {
+            if (runId !== this._runId) {
+                throw new Error('Clash test cancelled');
+            }
+        };
+
+        const objects = [];
+        const objectIndex = {};
+        let fragsA, fragsB;
+
+        return Promise.all([this._resolveDbIds(setA), this._resolveDbIds(setB)]).then(([dbIdsA, dbIdsB]) => {
+            checkCancelled();
+
+            fragsA = this._collectFragments(setA.model, dbIdsA, objects, objectIndex);
+            fragsB = this._collectFragments(setB.model, dbIdsB, objects, objectIndex);
+
+            if (touchTolerance === undefined) {
+                touchTolerance = TOUCH_TOLERANCE * getBoxesSize([fragsA.boxes, fragsB.boxes]);
+            }
+
+            return this._doOperation({
+                operation: WORKER_BROAD_PHASE,
+                boxesA: fragsA.boxes,
+                boxesB: fragsB.boxes,
+                objectsA: fragsA.objects,
+                objectsB: fragsB.objects,
+                tolerance
+            });
+        }).then(({
+            pairs
+        }) => {
+            checkCancelled();
+
+            // Group the fragment pairs per object pair. Pairs found in both directions (if the sets overlap) are merged.
+            const objectPairs = new Map();
+            for (let i = 0; i < pairs.length; i += 2) {
+                const objA = fragsA.objects[pairs[i]];
+                const objB = fragsB.objects[pairs[i + 1]];
+                const key = objA < objB ? objA + ':' + objB : objB + ':' + objA;
+
+                let objectPair = objectPairs.get(key);
+                if (!objectPair) {
+                    objectPair = {
+                        objA,
+                        objB,
+                        frags: []
+                    };
+                    objectPairs.set(key, objectPair);
+                }
+                const fragA = fragsA.frags[pairs[i]];
+                const fragB = fragsB.frags[pairs[i + 1]];
+                if (objectPair.objA === objA) {
+                    objectPair.frags.push(fragA, fragB);
+                } else {
+                    objectPair.frags.push(fragB, fragA);
+                }
+            }
+
+            return this._runNarrowPhase(Array.from(objectPairs.values()), {
+                tolerance,
+                touchTolerance,
+                includeTouching: !!options.includeTouching
+            }, options.onProgress, checkCancelled);
+        }).then((clashes) => {
+            return clashes.map(clash => {
+                const objectA = objects[clash.objectPair.objA];
+                const objectB = objects[clash.objectPair.objB];
+                return {
+                    modelA: objectA.model,
+                    dbIdA: objectA.dbId,
+                    modelB: objectB.model,
+                    dbIdB: objectB.dbId,
+                    type: clash.penetrating ? ClashType.HARD : (clash.distance === 0 ? ClashType.TOUCH : ClashType.CLEARANCE),
+                    distance: clash.distance,
+                    pointA: new THREE.Vector3().fromArray(clash.pointA),
+                    pointB: new THREE.Vector3().fromArray(clash.pointB)
+                };
+            }).sort((a, b) => a.distance - b.distance);
+        });
+    }
+
+    // Tests the object pairs in batches of limited size.
+    _runNarrowPhase(objectPairs, params, onProgress, checkCancelled) {
+        const clashes = [];
+        let next = 0;
+
+        const runBatch = () => {
+            checkCancelled();
+            onProgress && onProgress(objectPairs.length ? next / objectPairs.length : 1);
+
+            if (next >= objectPairs.length) {
+                return clashes;
+            }
+
+            // Extract the triangles of each fragment once per batch
+            const triangles = [];
+            const transferList = [];
+            const fragIndex = new Map();
+            const batch = [];
+            let triangleCount = 0;
+
+            while (next < objectPairs.length && (!batch.length || triangleCount < TRIANGLES_PER_BATCH)) {
+                const objectPair = objectPairs[next++];
+                const fragPairs = new Uint32Array(objectPair.frags.length);
+                objectPair.frags.forEach((frag, i) => {
+                    const key = frag.model.id + ':' + frag.fragId;
+                    if (!fragIndex.has(key)) {
+                        fragIndex.set(key, triangles.length);
+                        const tris = getFragmentTriangles(frag.model, frag.fragId);
+                        triangles.push(tris);
+                        transferList.push(tris.buffer);
+                        triangleCount += getTriangleCount(frag.model.getFragmentList().getGeometry(frag.fragId));
+                    }
+                    fragPairs[i] = fragIndex.get(key);
+                });
+                batch.push({
+                    objectPair,
+                    fragPairs
+                });
+            }
+
+            return this._doOperation({
+                operation: WORKER_NARROW_PHASE,
+                triangles,
+                objectPairs: batch.map(entry => entry.fragPairs),
+                tolerance: params.tolerance,
+                touchTolerance: params.touchTolerance,
+                includeTouching: params.includeTouching
+            }, transferList).then((result) => {
+                result.clashes.forEach(clash => {
+                    clashes.push({
+                        objectPair: batch[clash.pair].objectPair,
+                        distance: clash.distance,
+                        penetrating: clash.penetrating,
+                        pointA: clash.pointA,
+                        pointB: clash.pointB
+                    });
+                });
+                return runBatch();
+            });
+        };
+
+        return Promise.resolve().then(runBatch);
+    }
+}
@@ -0,0 +1,152 @@
+const av = Autodesk.Viewing;
+const avp = Autodesk.Viewing.Private;
+const avu = Autodesk.Viewing.UI;
+
+// DockingPanel is undefined in headless mode, see CalibrationPanels.js
+const DockingPanel = (avu && avu.DockingPanel) || class {};
+
+const _gDocument = av.getGlobal().document;
+
+// Decimal places of the displayed distances
+const PRECISION = 3;
+
+const TYPE_LABELS = {
+    hard: 'Hard',
+    touch: 'Touch',
+    clearance: 'Clearance'
+};
+
+function getObjectName(model, dbId) {
+    const instanceTree = model.getInstanceTree();
+    const name = instanceTree && instanceTree.getNodeName(dbId);
+    return name ? `${name} [${dbId}]` : `[${dbId}]`;
+}
+
+/**
+ * Lists the results of a clash test. Selecting a clash zooms to it and themes the clashing objects.
+ *
+ * @param {ClashDetectionExtension} extension
+ * @param {string} id - The id for this panel.
+ * @param {object} [options] - An optional dictionary of options.
+ * @private
+ */
+export function ClashResultsPanel(extension, id, options = {}) {
+    this.extension = extension;
+    this.viewer = extension.viewer;
+
+    options.addFooter = false;
+
+    DockingPanel.call(this, this.viewer.container, id, 'Clashes', options);
+    this.container.classList.add('clash-results-panel');
+    this.container.style.top = '10px';
+    this.container.style.left = '10px';
+
+    this.setGlobalManager && this.setGlobalManager(this.viewer.globalManager);
+
+    this.createScrollContainer({
+        heightAdjustment: 70,
+        marginTop: 0,
+        left: false
+    });
+
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+
+    this.status = _document.createElement('div');
+    this.status.className = 'clash-results-status';
+    this.scrollContainer.appendChild(this.status);
+
+    this.table = _document.createElement('table');
+    this.table.className = 'adsk-lmv-tftable clash-results-table';
+    this.tbody = _document.createElement('tbody');
+    this.table.appendChild(this.tbody);
+    this.scrollContainer.appendChild(this.table);
+
+    this.update();
+}
+
+ClashResultsPanel.prototype = Object.create(DockingPanel.prototype);
+ClashResultsPanel.prototype.constructor = ClashResultsPanel;
+
+/**
+ * Clean up when the panel is about to be removed.
+ *
+ * @override
+ */
+ClashResultsPanel.prototype.uninitialize = function() {
+    DockingPanel.prototype.uninitialize.call(this);
+
+    this.extension = null;
+    this.viewer = null;
+    this.status = null;
+    this.table = null;
+    this.tbody = null;
+};
+
+/**
+ * @param {string} label
+ * @param {function} onClick
+ * @returns {HTMLElement}
+ * @private
+ */
+ClashResultsPanel.prototype.createButton = function(label, onClick) {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const button = _document.createElement('div');
+    button.classList.add('docking-panel-tertiary-button');
+    button.setAttribute('data-i18n', label);
+    button.textContent = av.i18n.translate(label);
+    button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onClick();
+    }, false);
+    return button;
+};
+
+/**
+ * Shows the progress of the running clash test.
+ *
+ * @param {number} progress - Between 0 and 1.
+ */
+ClashResultsPanel.prototype.setProgress = function(progress) {
+    this.status.textContent = av.i18n.translate('Running clash test') + ` ${Math.round(progress * 100)}%`;
+};
+
+/**
+ * Rebuilds the list of clashes.
+ */
+ClashResultsPanel.prototype.update = function() {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const clashes = this.extension.getClashes();
+    const current = this.extension.getCurrentClash();
+
+    while (this.tbody.rows.length) {
+        this.tbody.deleteRow(0);
+    }
+
+    this.status.textContent = av.i18n.translate('Clashes') + `: ${clashes.length}`;
+
+    clashes.forEach((clash, index) => {
+        const row = this.tbody.insertRow(index);
+        row.style.fontWeight = index === current ? 'bold' : '';
+        row.addEventListener('click', () => this.extension.selectClash(index), false);
+
+        row.insertCell(0).textContent = String(index + 1);
+
+        const objects = row.insertCell(1);
+        [getObjectName(clash.modelA, clash.dbIdA), getObjectName(clash.modelB, clash.dbIdB)].forEach(name => {
+            const label = _document.createElement('div');
+            label.textContent = name;
+            objects.appendChild(label);
+        });
+
+        const type = TYPE_LABELS[clash.type] || clash.type;
+        const units = clash.modelA.getUnitString();
+        row.insertCell(2).textContent = av.i18n.translate(type) +
+            (clash.distance > 0 ? ' ' + avp.formatValueWithUnits(clash.distance, units, 3, PRECISION) : '');
+
+        const buttons = row.insertCell(3);
+        buttons.appendChild(this.createButton('Zoom', () => this.extension.zoomToClash(index)));
+        buttons.appendChild(this.createButton('Isolate', () => this.extension.isolateClash(index)));
+    });
+
+    this.resizeToContent();
+};
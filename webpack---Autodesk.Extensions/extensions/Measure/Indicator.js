@@ -25,6 +25,7 @@ export var Indicator = function(viewer, measurement, tool) {
     this.angleArc = null;
     this.angleOutline = [];
     this.arcOutline = [];
+    this.radiusOutline = [];
     this.arcTip = [];
     this.showMeasureResult = false;
     this.visibleLabels = [];
@@ -562,6 +563,10 @@ proto.renderRubberbandFromPoints = function(pointData) {
             this.renderAreaMeasurementFromPoints(intersectionPoints);
             break;
 
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE:
+            this.renderPolylineMeasurementFromPoints(intersectionPoints);
+            break;
+
         case MeasureCommon.MeasurementTypes.MEASUREMENT_ARC:
             {
                 const p1 = pointData[1].intersection;
@@ -580,6 +585,25 @@ proto.renderRubberbandFromPoints = function(pointData) {
         case MeasureCommon.MeasurementTypes.MEASUREMENT_CALLOUT:
             this.renderCalloutMeasurementFromPoints(intersectionPoints);
             break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME:
+            this.renderVolumeMeasurementFromPoints(intersectionPoints);
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE:
+            // The segment is between the closest points, not the picked ones.
+            this.renderClearanceMeasurement();
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE:
+            // The triangle is computed with the result.
+            this.renderSlopeMeasurement();
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS:
+            // The circles are computed with the result.
+            this.renderRadiusMeasurement();
+            break;
     }
 
 };
@@ -606,6 +630,10 @@ proto.renderRubberband = function(picks) {
             this.renderAreaMeasurement(picks);
             break;
 
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE:
+            this.renderPolylineMeasurement(picks);
+            break;
+
         case MeasureCommon.MeasurementTypes.MEASUREMENT_ARC:
             {
                 let previewsPick = picks[1];
@@ -624,6 +652,22 @@ proto.renderRubberband = function(picks) {
         case MeasureCommon.MeasurementTypes.MEASUREMENT_CALLOUT:
             this.renderCalloutMeasurement(picks);
             break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME:
+            this.renderVolumeMeasurement(picks);
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE:
+            this.renderClearanceMeasurement();
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE:
+            this.renderSlopeMeasurement();
+            break;
+
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS:
+            this.renderRadiusMeasurement();
+            break;
     }
 };
 
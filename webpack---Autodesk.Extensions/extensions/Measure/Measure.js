@@ -13,6 +13,11 @@ import {
 import {
     MeasureToolbar
 } from './MeasureToolbar';
+import {
+    exportMeasurements,
+    measurementsToCSV,
+    parseMeasurements
+} from './MeasurementsExport';
 
 
 import './Measure.css'; // IMPORTANT!!
@@ -48,7 +53,7 @@ var DEFAULT_MEASUREMENT_TYPE = MeasureCommon.MeasurementTypes.MEASUREMENT_DISTAN
  */
 export var MeasureExtension = function(viewer, options) {
     Autodesk.Viewing.Extension.call(this, viewer, options);
-    this.modes = ['distance', 'angle', 'area', 'arc', 'calibrate'];
+    this.modes = ['distance', 'polyline', 'angle', 'slope', 'area', 'arc', 'volume', 'clearance', 'radius', 'calibrate'];
     this.name = 'measure';
     this._onModelLoaded = this._onModelLoaded.bind(this);
     this._onDisplayUnitsPrefChanged = this._onDisplayUnitsPrefChanged.bind(this);
@@ -400,6 +405,90 @@ MeasureExtension.prototype.setMeasurements = function(measurements) {
     }
 };
 
+/**
+ * Exports all completed measurements in a documented, versioned format. Unlike {@link Autodesk.Viewing.Extensions.MeasureExtension#getMeasurementList|getMeasurementList},
+ * points are written in model coordinates (global offset added back), so the export doesn't depend on how the model was loaded.
+ *
+ * The result has the following properties:
+ * - `version` - Format version, currently 1.
+ * - `model` - `urn` and `guid` of the measured viewable, `is2d` and the model `units`.
+ * - `units`, `precision` and `calibrationFactor` - Display settings of the measure tool at the time of the export.
+ * - `measurements` - Array of objects with `id`, `type`, `picks` ({x, y, z, dbId} in model coordinates and units),
+ * `values` (numbers in the display units, angles in degrees), `displayValues` (formatted strings) and optional `text` and `options`.
+ *
+ * @returns {object} Plain object to be serialized with JSON.stringify.
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#exportMeasurements
+ */
+MeasureExtension.prototype.exportMeasurements = function() {
+    return exportMeasurements(this.viewer, this.measureTool, this.sharedMeasureConfig);
+};
+
+/**
+ * Exports a CSV summary of all completed measurements for reports, with one row per measurement
+ * containing its type, value, units, formatted value and points in model coordinates.
+ *
+ * @returns {string} CSV text including a header row.
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#exportMeasurementsCSV
+ */
+MeasureExtension.prototype.exportMeasurementsCSV = function() {
+    return measurementsToCSV(this.exportMeasurements());
+};
+
+/**
+ * Imports measurements created by {@link Autodesk.Viewing.Extensions.MeasureExtension#exportMeasurements|exportMeasurements}.
+ * The data is validated against the loaded model before any measurement is created. Single measurements that
+ * don't fit the model, e.g. with points outside of its bounds, are skipped with a warning.
+ * Activates the measure tool if needed and restores the exported calibration.
+ *
+ * @param {object|string} data - The exported measurements or their JSON string.
+ * @returns {number} Number of imported measurements.
+ * @throws {Error} If the data has an unsupported version or was exported from a different model, viewable or unit system.
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#importMeasurements
+ */
+MeasureExtension.prototype.importMeasurements = function(data) {
+    if (typeof data === 'string') {
+        data = JSON.parse(data);
+    }
+
+    const measurements = parseMeasurements(data, this.viewer.model);
+
+    if (typeof data.calibrationFactor === 'number' && data.units) {
+        this.calibrationTool.calibrateByScale(data.units, data.calibrationFactor);
+    }
+
+    if (measurements.length > 0) {
+        if (!this.measureTool.isActive()) {
+            this.activate();
+        }
+        this.measureTool.setMeasurements(measurements);
+    }
+
+    return measurements.length;
+};
+
+
+/**
+ * Computes the clearance between two objects, i.e. the minimum distance between their triangle meshes.
+ * Works independently of the measure tool being active.
+ *
+ * @param {number} dbId1 - dbId of the first object.
+ * @param {number} dbId2 - dbId of the second object.
+ * @param {Autodesk.Viewing.Model} [model1] - Model of the first object. Defaults to the viewer's model.
+ * @param {Autodesk.Viewing.Model} [model2] - Model of the second object. Defaults to model1.
+ * @returns {object|null} Object with the `distance` in model units, the same distance formatted in the current display units as `displayValue`,
+ * and the closest points on each object as `point1` and `point2`. Null if either object has no mesh geometry.
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#getMinimumDistance
+ */
+MeasureExtension.prototype.getMinimumDistance = function(dbId1, dbId2, model1, model2) {
+    model1 = model1 || this.viewer.model;
+    model2 = model2 || model1;
+
+    var clearance = MeasureCommon.computeMinimumDistance(model1, dbId1, model2, dbId2);
+    if (clearance) {
+        clearance.displayValue = this.measureTool.getDistanceAux(clearance.distance);
+    }
+    return clearance;
+};
 
 /**
  * Get all available units in measure tool.
@@ -531,7 +620,7 @@ MeasureExtension.prototype.getCalibration = function() {
 /**
  * Activates the tool and UI to start measuring.
  * 
- * @param {string} [mode] - Either 'distance', 'angle', 'area' (2D only), 'arc' (2D only) or 'calibrate'. Default is 'distance'.
+ * @param {string} [mode] - Either 'distance', 'polyline', 'angle', 'slope', 'area' (2D only), 'arc' (2D only), 'volume' (3D only), 'clearance' (3D only), 'radius' (3D only) or 'calibrate'. Default is 'distance'.
  * 
  * @alias Autodesk.Viewing.Extensions.MeasureExtension#activate
  */
@@ -550,9 +639,15 @@ MeasureExtension.prototype.activate = function(mode) {
         case 'distance':
                 success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_DISTANCE);
             break;
+        case 'polyline':
+                success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE);
+            break;
         case 'angle':
                 success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_ANGLE);
             break;
+        case 'slope':
+                success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE);
+            break;
         case 'area':
                 if (!this.viewer.model.is2d()) {
                 console.warn('Area mode is applicable on 2D models only');
@@ -567,6 +662,27 @@ MeasureExtension.prototype.activate = function(mode) {
                 success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_ARC);
             }
             break;
+        case 'volume':
+                if (this.viewer.model.is2d()) {
+                console.warn('Volume mode is applicable on 3D models only');
+            } else {
+                success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME);
+            }
+            break;
+        case 'clearance':
+                if (this.viewer.model.is2d()) {
+                console.warn('Clearance mode is applicable on 3D models only');
+            } else {
+                success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE);
+            }
+            break;
+        case 'radius':
+                if (this.viewer.model.is2d()) {
+                console.warn('Radius mode is applicable on 3D models only');
+            } else {
+                success = this.enableMeasureTool(true, MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS);
+            }
+            break;
         case 'calibrate':
                 success = this.enableCalibrationTool(true);
             break;
@@ -639,6 +755,13 @@ MeasureExtension.prototype.enableMeasureTool = function(enable, measurementType)
         return false;
     }
 
+    // volume, clearance and radius measurements are not supported for 2D models
+    if ((measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME || measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE ||
+            measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS) &&
+        this.viewer.model && this.viewer.model.is2d()) {
+        return false;
+    }
+
     const snapToArc = (measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_ARC && this.viewer.model ? .is2d());
     this.snapper.setSnapToArc(snapToArc);
 
@@ -737,6 +860,21 @@ MeasureExtension.prototype.changeMeasurementType = function(measurementType) {
         case MeasureCommon.MeasurementTypes.MEASUREMENT_ARC:
             this.mode = 'arc';
             break;
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME:
+            this.mode = 'volume';
+            break;
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE:
+            this.mode = 'clearance';
+            break;
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE:
+            this.mode = 'polyline';
+            break;
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE:
+            this.mode = 'slope';
+            break;
+        case MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS:
+            this.mode = 'radius';
+            break;
         default:
             this.mode = '';
     }
@@ -1056,6 +1194,27 @@ MeasureExtension.prototype.isFreeMeasureMode = function() {
     return this.snapper.getSnapToPixel();
 };
 
+/**
+ * Switches the slope measurement between the slope of a single picked face and the slope between two picked points.
+ *
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#setFaceSlopeMode
+ * @param {boolean} enable - true to measure the slope of a picked face, false to measure the slope between two points.
+ */
+MeasureExtension.prototype.setFaceSlopeMode = function(enable) {
+    this.measureTool.setFaceSlope(enable);
+};
+
+/**
+ * Checks whether slope measurements are of a single picked face.
+ *
+ * @alias Autodesk.Viewing.Extensions.MeasureExtension#isFaceSlopeMode
+ *
+ * @returns {boolean} true if the slope of a picked face is measured, false if the slope between two points.
+ */
+MeasureExtension.prototype.isFaceSlopeMode = function() {
+    return this.measureTool.getFaceSlope();
+};
+
 MeasureExtension.prototype.getState = function(viewerState) {
     if (this.measureTool.isActive()) {
         viewerState['measurements'] = this.getMeasurementList();
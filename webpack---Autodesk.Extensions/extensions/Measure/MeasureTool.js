@@ -45,6 +45,7 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
     var _downX = null;
     var _downY = null;
     var _isolateMeasure = false;
+    var _faceSlope = false; // Slope measurements of a single picked face, instead of between two points.
 
     var _measurementsManager = new MeasurementsManager(_viewer);
     var _currentMeasurement = null;
@@ -234,8 +235,14 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
     };
 
 
+    function getNewMeasurementOptions() {
+        return _measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE && _faceSlope ? {
+            faceSlope: true
+        } : undefined;
+    }
+
     this.startNewMeasurement = function() {
-        _currentMeasurement = _measurementsManager.createMeasurement(_measurementType);
+        _currentMeasurement = _measurementsManager.createMeasurement(_measurementType, getNewMeasurementOptions());
         _currentMeasurement.attachIndicator(_viewer, this, MeasureToolIndicator);
 
         if (_onIndicatorCreatedCB instanceof Function) {
@@ -384,8 +391,43 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         }
     };
 
+    function getPickModel(pick) {
+        return pick.modelId ? _viewer.impl.findModel(pick.modelId) : _viewer.model;
+    }
+
+    // Moves the measurements along with the fragments they were picked on, e.g. while exploding the model.
     this.update = function() {
-        return false;
+        if (!_viewer.model || _viewer.model.is2d()) {
+            return false;
+        }
+
+        let needsRedraw = false;
+
+        for (let key in _measurementsManager.measurementsList) {
+            if (Object.prototype.hasOwnProperty.call(_measurementsManager.measurementsList, key)) {
+                const measurement = _measurementsManager.measurementsList[key];
+
+                let moved = false;
+                for (let pickKey in measurement.picks) {
+                    const pick = measurement.picks[pickKey];
+                    moved = pick.followAnchor(getPickModel(pick)) || moved;
+                }
+
+                if (!moved || !measurement.indicator) {
+                    continue;
+                }
+
+                measurement.computeResult(measurement.picks, _viewer);
+                measurement.indicator.render(measurement.picks, measurement.indicator.showMeasureResult);
+                measurement.indicator.updateScale();
+                if (measurement !== _currentMeasurement) {
+                    measurement.indicator.hideEndpoints();
+                }
+                needsRedraw = true;
+            }
+        }
+
+        return needsRedraw;
     };
 
     this.getUnits = function() {
@@ -444,10 +486,9 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
 
             let pickPoint = MeasureCommon.getSnapResultPosition(pick, _viewer);
             const model = Object.prototype.hasOwnProperty.call(pick, 'modelId') && pick.modelId ? _viewer.impl.findModel(pick.modelId) : _viewer.model;
-            if (model) {
-                const modelData = model.getData();
-                pickPoint = modelData && Object.prototype.hasOwnProperty.call(modelData, 'globalOffset') ? pickPoint.clone().add(modelData.globalOffset) : pickPoint.clone();
-            }
+            const modelData = model && model.getData();
+            const globalOffset = modelData && Object.prototype.hasOwnProperty.call(modelData, 'globalOffset') ? modelData.globalOffset : null;
+            pickPoint = globalOffset ? pickPoint.clone().add(globalOffset) : pickPoint.clone();
 
             const pickData = {
                 intersection: JSON.parse(JSON.stringify(pickPoint)),
@@ -458,12 +499,36 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                 snapNode: pick.snapNode
             };
 
+            // The position relative to the fragment restores the pick on the fragment, wherever the fragment was moved to.
+            if (pick.anchorMatrix) {
+                const localPoint = MeasureCommon.getSnapResultPosition(pick, _viewer).clone().applyMatrix4(pick.anchorMatrix.clone().invert());
+                pickData.localPoint = JSON.parse(JSON.stringify(localPoint));
+            }
+
             // Add the arc center and arc radius for the measurement
             if (measurement.arc) {
                 pickData.circularArcCenter = pick.circularArcCenter;
                 pickData.circularArcRadius = pick.circularArcRadius;
             }
 
+            // A face slope has a single pick, which needs its face normal to be restored.
+            if (measurement.options && measurement.options.faceSlope && pick.geomType === MeasureCommon.SnapType.SNAP_FACE) {
+                pickData.faceNormal = JSON.parse(JSON.stringify(pick.faceNormal));
+            }
+
+            // The circle can't be fitted again without the picked geometry, so it's stored with the pick.
+            if (measurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS && measurement.result) {
+                pickData.circularArcCenter = JSON.parse(JSON.stringify(measurement.result.center));
+                pickData.circularArcRadius = measurement.result.radius;
+                pickData.faceNormal = JSON.parse(JSON.stringify(measurement.result.normal));
+                pickData.circleCount = measurement.circleCount;
+            }
+
+            // Like the intersection, the circle center is stored in global coordinates.
+            if (pickData.circularArcCenter && globalOffset) {
+                pickData.circularArcCenter = JSON.parse(JSON.stringify(new THREE.Vector3().copy(pickData.circularArcCenter).add(globalOffset)));
+            }
+
             picksData.push(pickData);
         }
 
@@ -495,6 +560,13 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         return this.getDistanceAux(measurement.distanceZ, measurement.result ? .units);
     };
 
+    this.getSegmentLengths = function(measurement) {
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        return measurement.segmentLengths.map(length => this.getDistanceAux(length, measurement.result ? .units));
+    };
+
     /**
      * Returns a formatted string for the given distance. The used unit is determined by the model, calibration or
      * optional viewport unit.
@@ -529,6 +601,57 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         return Autodesk.Viewing.Private.formatValueWithUnits(angle, String.fromCharCode(0xb0), 3, _sharedMeasureConfig.precision);
     };
 
+    // Slopes steeper than this many degrees below vertical are shown as infinite.
+    var SLOPE_VERTICAL_EPSILON = 1e-6;
+
+    this.getSlopePercent = function(measurement) {
+
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        if (measurement.slopeAngle > 90 - SLOPE_VERTICAL_EPSILON) {
+            return String.fromCharCode(0x221e) + ' %';
+        }
+        var percent = Math.tan(measurement.slopeAngle * Math.PI / 180) * 100;
+        return Autodesk.Viewing.Private.formatValueWithUnits(percent, '%', 3, _sharedMeasureConfig.precision);
+    };
+
+    this.getSlopeRatio = function(measurement) {
+
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        if (measurement.slopeAngle === 0) {
+            return '1:' + String.fromCharCode(0x221e);
+        }
+        var run = 1 / Math.tan(measurement.slopeAngle * Math.PI / 180);
+        return '1:' + Autodesk.Viewing.Private.formatValueWithUnits(run, null, 3, _sharedMeasureConfig.precision);
+    };
+
+    this.getSlopeAngle = function(measurement) {
+
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        return Autodesk.Viewing.Private.formatValueWithUnits(measurement.slopeAngle, String.fromCharCode(0xb0), 3, _sharedMeasureConfig.precision);
+    };
+
+    this.getRadius = function(measurement) {
+
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        return this.getDistanceAux(measurement.radius);
+    };
+
+    this.getDiameter = function(measurement) {
+
+        if (!measurement) {
+            measurement = _currentMeasurement;
+        }
+        return this.getDistanceAux(measurement.radius * 2);
+    };
+
     this.getArc = function(measurement) {
 
         if (_viewer.model) {
@@ -586,6 +709,42 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         }
     };
 
+    this.getVolume = function(measurement) {
+
+        if (_viewer.model) {
+
+            if (!measurement) {
+                measurement = _currentMeasurement;
+            }
+
+            var volume = Autodesk.Viewing.Private.convertUnits(viewer.model.getUnitString(), _sharedMeasureConfig.units, _sharedMeasureConfig.calibrationFactor, measurement.volume, 'cube');
+
+            if (_sharedMeasureConfig.units) {
+                return Autodesk.Viewing.Private.formatValueWithUnits(volume, _sharedMeasureConfig.units + '^3', 3, _sharedMeasureConfig.precision);
+            } else {
+                return Autodesk.Viewing.Private.formatValueWithUnits(volume, null, 3, _sharedMeasureConfig.precision);
+            }
+        }
+    };
+
+    this.getSurfaceArea = function(measurement) {
+
+        if (_viewer.model) {
+
+            if (!measurement) {
+                measurement = _currentMeasurement;
+            }
+
+            var area = Autodesk.Viewing.Private.convertUnits(viewer.model.getUnitString(), _sharedMeasureConfig.units, _sharedMeasureConfig.calibrationFactor, measurement.surfaceArea, 'square');
+
+            if (_sharedMeasureConfig.units) {
+                return Autodesk.Viewing.Private.formatValueWithUnits(area, _sharedMeasureConfig.units + '^2', 3, _sharedMeasureConfig.precision);
+            } else {
+                return Autodesk.Viewing.Private.formatValueWithUnits(area, null, 3, _sharedMeasureConfig.precision);
+            }
+        }
+    };
+
     this.snapToFirstPick = function(currentPick, forceSnap) {
         if (_currentMeasurement.hasPick(1) && _activePoint > 3 && !_currentMeasurement.closedArea) {
             var firstPick = _currentMeasurement.getPick(1);
@@ -601,6 +760,22 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         }
     };
 
+    this.snapToLastPick = function(currentPick, forceSnap) {
+        var lastPickIndex = _activePoint - 1;
+        if (lastPickIndex >= 2 && _currentMeasurement.hasPick(lastPickIndex) && !_currentMeasurement.isFinished && !this.isEditingEndpoint) {
+            var lastPick = _currentMeasurement.getPick(lastPickIndex);
+            var lastPickPoint = MeasureCommon.getSnapResultPosition(lastPick, _viewer);
+            var lastPickPosition = MeasureCommon.project(lastPickPoint, viewer);
+            var currentPickPoint = MeasureCommon.getSnapResultPosition(currentPick, _viewer);
+            var currentPickPosition = MeasureCommon.project(currentPickPoint, viewer);
+
+            if (forceSnap || currentPickPosition.distanceTo(lastPickPosition) < _closeAreaSnapRange) {
+                _snapper.onMouseMove(lastPickPosition);
+                lastPick.copyTo(currentPick);
+            }
+        }
+    };
+
     function checkSnapperIndicatorForArc() {
         if (!_currentMeasurement) {
             _snapper.setArc(true);
@@ -686,6 +861,21 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                 case 'Callout':
                     measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_CALLOUT;
                     break;
+                case 'Volume':
+                    measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME;
+                    break;
+                case 'Clearance':
+                    measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE;
+                    break;
+                case 'Polyline':
+                    measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE;
+                    break;
+                case 'Slope':
+                    measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE;
+                    break;
+                case 'Radius':
+                    measurementType = MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS;
+                    break;
                 default:
                     return;
             }
@@ -746,6 +936,16 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                 return 'Location';
             case types.MEASUREMENT_CALLOUT:
                 return 'Callout';
+            case types.MEASUREMENT_VOLUME:
+                return 'Volume';
+            case types.MEASUREMENT_CLEARANCE:
+                return 'Clearance';
+            case types.MEASUREMENT_POLYLINE:
+                return 'Polyline';
+            case types.MEASUREMENT_SLOPE:
+                return 'Slope';
+            case types.MEASUREMENT_RADIUS:
+                return 'Radius';
             default:
                 return;
         }
@@ -773,12 +973,22 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
             from: geomTypes[_currentMeasurement.getGeometry(1).type],
             to: geomTypes[_currentMeasurement.getGeometry(2).type],
             distance: this.getDistanceXYZ(),
+            segments: this.getSegmentLengths(),
             deltaX: this.getDistanceX(),
             deltaY: this.getDistanceY(),
             deltaZ: this.getDistanceZ(),
             angle: this.getAngle(),
             area: this.getArea(),
             arc: this.getArc(),
+            slopePercent: this.getSlopePercent(),
+            slopeRatio: this.getSlopeRatio(),
+            slopeAngle: this.getSlopeAngle(),
+            radius: this.getRadius(),
+            diameter: this.getDiameter(),
+            circleCount: _currentMeasurement.circleCount,
+            volume: this.getVolume(),
+            surfaceArea: this.getSurfaceArea(),
+            isWatertight: _currentMeasurement.isWatertight,
             location: this.getLocation(),
             text: this.getCallout(),
             unitType: _sharedMeasureConfig.units,
@@ -819,12 +1029,22 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                 from: geomTypes[measurement.getGeometry(1).type],
                 to: geomTypes[measurement.getGeometry(2).type],
                 distance: this.getDistanceXYZ(measurement),
+                segments: this.getSegmentLengths(measurement),
                 deltaX: this.getDistanceX(measurement),
                 deltaY: this.getDistanceY(measurement),
                 deltaZ: this.getDistanceZ(measurement),
                 angle: this.getAngle(measurement),
                 area: this.getArea(measurement),
                 arc: this.getArc(measurement),
+                slopePercent: this.getSlopePercent(measurement),
+                slopeRatio: this.getSlopeRatio(measurement),
+                slopeAngle: this.getSlopeAngle(measurement),
+                radius: this.getRadius(measurement),
+                diameter: this.getDiameter(measurement),
+                circleCount: measurement.circleCount,
+                volume: this.getVolume(measurement),
+                surfaceArea: this.getSurfaceArea(measurement),
+                isWatertight: measurement.isWatertight,
                 location: this.getLocation(measurement),
                 text: this.getCallout(measurement),
                 unitType: unitType || _sharedMeasureConfig.units,
@@ -897,6 +1117,24 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         return _isolateMeasure;
     };
 
+    /**
+     * Switches slope measurements between the slope of a single picked face and the slope between two points.
+     * Applies to new measurements, and to the current one if nothing has been picked yet.
+     * @param {boolean} enable - true to measure the slope of a picked face.
+     */
+    this.setFaceSlope = function(enable) {
+        _faceSlope = !!enable;
+        if (_currentMeasurement && _currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE && _currentMeasurement.isEmpty()) {
+            _currentMeasurement.options = _faceSlope ? {
+                faceSlope: true
+            } : undefined;
+        }
+    };
+
+    this.getFaceSlope = function() {
+        return _faceSlope;
+    };
+
     this.isolateMeasurement = function() {
 
         if (!_active || !_isolateMeasure) {
@@ -1090,6 +1328,29 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
         return _currentMeasurement.countPicks() > 3;
     };
 
+    this.canFinishPolyline = function() {
+        return !!_currentMeasurement && _currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE &&
+            !_currentMeasurement.isFinished && !this.isEditingEndpoint && _activePoint > 2;
+    };
+
+    /**
+     * Finishes the open polyline at its last placed point. The pick following the cursor is dropped.
+     */
+    this.finishPolyline = function() {
+        var lastPickIndex = _activePoint - 1;
+
+        for (var key in _currentMeasurement.picks) {
+            if (Object.prototype.hasOwnProperty.call(_currentMeasurement.picks, key) && parseInt(key) > lastPickIndex) {
+                this.clearPick(key);
+                delete _currentMeasurement.picks[key];
+            }
+        }
+
+        _currentMeasurement.isFinished = true;
+        this.render();
+        this.updateResults();
+    };
+
     this.undoEditEndpoint = function() {
         _currentMeasurement.indicator.clear();
 
@@ -1292,6 +1553,8 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
 
             if (_currentMeasurement.measurementType == MeasureCommon.MeasurementTypes.MEASUREMENT_AREA) {
                 this.snapToFirstPick(active);
+            } else if (_currentMeasurement.measurementType == MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE) {
+                this.snapToLastPick(active);
             }
         }
     };
@@ -1310,7 +1573,8 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
             }
 
             _snapper.copyResults(this.getActivePick());
-            if (!_viewer.model.is2d()) {
+            // Without an event (e.g. when re-snapping after undoing a pick), the fragment gets updated on the next mouse move.
+            if (!_viewer.model.is2d() && event) {
                 let viewport = _viewer.container.getBoundingClientRect();
                 let x = event.canvasX || event.clientX - viewport.left;
                 let y = event.canvasY || event.clientY - viewport.top; // x and y only used for hitTestViewport method
@@ -1333,6 +1597,7 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                         y: fragPos.y,
                         z: fragPos.z
                     }; // save fragment position
+                    this.getActivePick().anchorToFragment(getPickModel(newpick)); // follow the fragment when it moves (see update)
                 }
             }
 
@@ -1401,8 +1666,8 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                 var renderSucceeded = this.render();
 
                 // If it's the first pick, we don't expect the render of the rubberband to be succeeded.
-                // So enter here only if it's not the first pick.
-                if (_currentMeasurement.hasPick(2)) {
+                // So enter here only if it's not the first pick, or if the first pick is all there is.
+                if (_currentMeasurement.hasPick(2) || _currentMeasurement.getMaxNumberOfPicks() === 1) {
                     valid &= renderSucceeded;
                 }
             }
@@ -1426,6 +1691,19 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
             }
         }
 
+        // In case the last point of an open polyline was clicked again, finish it and eliminate the duplicate pick.
+        if (_currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE && !_currentMeasurement.isFinished) {
+            var count = _currentMeasurement.countPicks();
+            var newPick = _currentMeasurement.getPick(count);
+            var previousPick = _currentMeasurement.getPick(count - 1);
+
+            if (count >= 3 && _currentMeasurement.hasEqualPicks(previousPick, newPick)) {
+                newPick.clear();
+                delete _currentMeasurement.picks[count];
+                _currentMeasurement.isFinished = true;
+            }
+        }
+
         this.updateResults();
 
         var measurementComplete = _currentMeasurement.isComplete();
@@ -1637,6 +1915,8 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
                     if (_currentMeasurement && _currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_AREA && this.canCloseArea()) {
                         this.snapToFirstPick(this.getActivePick(), true);
                         this._handleMouseEvent();
+                    } else if (this.canFinishPolyline()) {
+                        this.finishPolyline();
                     } else {
                         this.clearCurrentMeasurement();
                     }
@@ -1697,6 +1977,9 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
             _snapper.onMouseDown(firstPickPosition);
             this.handleSingleClick(event);
             _singleClickHandled = !_singleClickHandled;
+        } else if (this.canFinishPolyline()) {
+            this.finishPolyline();
+            this.allPicksSet();
         }
 
         return true;
@@ -1715,9 +1998,19 @@ export function MeasureTool(viewer, options, sharedMeasureConfig, snapper) {
 
     this.handleKeyDown = function(event, keyCode) {
         switch (keyCode) {
+            case Autodesk.Viewing.KeyCode.ENTER:
+                if (this.canFinishPolyline()) {
+                    this.finishPolyline();
+                    this.allPicksSet();
+                    return true;
+                }
+                break;
+
             case Autodesk.Viewing.KeyCode.BACKSPACE:
             case Autodesk.Viewing.KeyCode.DELETE:
-                if (_currentMeasurement && _currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_AREA && !this.areAllPicksSet()) {
+                // While drawing an area or a polyline, only undo the last pick.
+                if (_currentMeasurement && (_currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_AREA ||
+                        _currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE) && !this.areAllPicksSet()) {
                     if (_currentMeasurement.countPicks() > 2) {
                         this.deleteCurrentPick();
                     } else {
@@ -60,6 +60,11 @@ export function MeasureToolIndicator(viewer, measurement, measureTool) {
     this.arcLabel = {};
     this.locationLabel = {};
     this.calloutLabel = {};
+    this.volumeLabel = {};
+    this.slopeLabel = {};
+    this.radiusLabel = {};
+    this.polylineLabels = [];
+    this.polylineTotalLabel = {};
     this.labels = [];
     this.isLeaflet = false;
     this.topologyStatus = TOPOLOGY_NOT_AVAILABLE;
@@ -96,6 +101,9 @@ var _gapSize = 1;
 
 var _angleArcWidth = 2;
 
+var _radiusCircleSegments = 64;
+var _radiusCenterSize = 0.15; // Size of the center cross, relative to the radius
+
 function isVisible(label) {
     return label.classList.contains('visible');
 }
@@ -381,6 +389,61 @@ proto.updateLabelsPosition = function() {
         }
     }
 
+    if (this.volumeLabel) {
+
+        label = this.volumeLabel.label;
+
+        if (label && this.volumeLabel.p && isVisible(label)) {
+            xy = MeasureCommon.project(this.volumeLabel.p, this.viewer);
+            placeLabel(Math.floor(label.clientWidth / 2), Math.floor(label.clientHeight / 2));
+        }
+    }
+
+    if (this.slopeLabel) {
+
+        label = this.slopeLabel.label;
+
+        if (label && this.slopeLabel.p && isVisible(label)) {
+            point = this.slopeLabel.p;
+            placeLabel(Math.floor(label.clientWidth / 2), Math.floor(label.clientHeight / 2));
+        }
+    }
+
+    if (this.radiusLabel) {
+
+        label = this.radiusLabel.label;
+
+        if (label && this.radiusLabel.p && isVisible(label)) {
+            point = this.radiusLabel.p;
+            placeLabel(Math.floor(label.clientWidth / 2), Math.floor(label.clientHeight / 2));
+        }
+    }
+
+    this.polylineLabels.forEach(item => {
+        label = item.label;
+
+        if (label && item.p1 && item.p2 && isVisible(label)) {
+            point = {
+                x: (item.p1.x + item.p2.x) / 2,
+                y: (item.p1.y + item.p2.y) / 2,
+                z: (item.p1.z + item.p2.z) / 2
+            };
+            xy = MeasureCommon.project(point, this.viewer);
+            placeLabel(Math.floor(label.clientWidth / 2), Math.floor(label.clientHeight / 2));
+        }
+    });
+
+    if (this.polylineTotalLabel) {
+
+        label = this.polylineTotalLabel.label;
+
+        if (label && this.polylineTotalLabel.p && isVisible(label)) {
+            point = this.polylineTotalLabel.p;
+            // Keep the total off the last endpoint.
+            placeLabel(Math.floor(label.clientWidth / 2), -label.clientHeight);
+        }
+    }
+
     if (this.areaLabel) {
 
         label = this.areaLabel.label;
@@ -758,6 +821,45 @@ proto.renderAreaMeasurement = function(picks) {
     }
 };
 
+proto.renderPolylineMeasurementFromPoints = function(pickPositions) {
+    const points = [];
+    this.applyLineColor(this.lines.xyz.material);
+
+    for (let i = 0; i < pickPositions.length; i++) {
+        const position = pickPositions[i];
+        if (position) {
+            points.push(new THREE.Vector3(position.x, position.y, position.z));
+        }
+    }
+
+    for (let i = 0; i < points.length - 1; i++) {
+        this.drawSegmentAndPush(points[i], points[i + 1]);
+    }
+
+    this.showPolylineLabels(points);
+};
+
+proto.renderPolylineMeasurement = function(picks) {
+
+    var count = this.measurement.countPicks();
+    var points = [];
+    this.applyLineColor(this.lines.xyz.material);
+
+    for (var i = 1; i <= count; i++) {
+        var p = MeasureCommon.getSnapResultPosition(picks[i], this.viewer);
+        if (!p) {
+            break;
+        }
+        points.push(p);
+    }
+
+    for (i = 0; i < points.length - 1; i++) {
+        this.drawSegmentAndPush(points[i], points[i + 1]);
+    }
+
+    this.showPolylineLabels(points);
+};
+
 proto.clearAngleMeshes = function() {
     if (this.angleArc) {
         this.viewer.impl.removeOverlay(this.overlayName, this.angleArc, true);
@@ -1186,6 +1288,124 @@ proto.renderCalloutMeasurement = function(picks) {
     this.updateCallout();
 };
 
+proto.renderVolumeMeasurementFromPoints = function(pickPositions) {
+    var p = pickPositions[0];
+    if (!p)
+        return;
+
+    this.showVolumeLabel(p);
+    this.updateVolume();
+};
+
+proto.renderVolumeMeasurement = function(picks) {
+    var p = MeasureCommon.getSnapResultPosition(picks[1], this.viewer);
+    if (!p)
+        return;
+
+    this.showVolumeLabel(p);
+    this.updateVolume();
+};
+
+// Renders the rise/run triangle of a slope: the slope itself as a solid line, the run and the rise as dashed lines.
+proto.renderSlopeMeasurement = function() {
+    var result = this.measurement.result;
+    if (!result || result.type !== MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE) {
+        return;
+    }
+
+    this.applyLineColor(this.lines.xyz.material);
+
+    var start = result.start;
+    var corner = result.corner;
+    var end = result.end;
+
+    if (!MeasureCommon.isEqualVectors(start, end, MeasureCommon.EPSILON)) {
+        this.drawSegmentAndPush(start, end);
+    }
+    if (!MeasureCommon.isEqualVectors(start, corner, MeasureCommon.EPSILON)) {
+        this.drawSegmentAndPush(start, corner, true);
+    }
+    if (!MeasureCommon.isEqualVectors(corner, end, MeasureCommon.EPSILON)) {
+        this.drawSegmentAndPush(corner, end, true);
+    }
+
+    this.showSlopeLabel(start.clone().add(end).multiplyScalar(0.5));
+    this.updateSlope();
+};
+
+proto.clearRadiusMeshes = function() {
+    if (this.radiusOutline.length > 0) {
+        this.viewer.impl.removeMultipleOverlays(this.overlayName, this.radiusOutline, true);
+        this.radiusOutline.length = 0;
+    }
+};
+
+// Renders the measured circle with a radius line and a cross at its center, plus the axis of cylinders.
+// All other circles with the same radius on the face (e.g. of a hole pattern) are outlined as well.
+proto.renderRadiusMeasurement = function() {
+    var result = this.measurement.result;
+    if (!result || result.type !== MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS) {
+        return;
+    }
+
+    var center = result.center;
+    var normal = result.normal;
+
+    // Any unit vector in the circle plane
+    var inPlane = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    inPlane.sub(normal.clone().multiplyScalar(inPlane.dot(normal))).normalize();
+
+    MeasureCommon.createCommonOverlay(this.viewer, this.overlayName);
+    this.clearRadiusMeshes();
+    this.applyLineColor(this.lines.xyz.material);
+
+    for (var i = 0; i < result.circles.length; i++) {
+        var circle = result.circles[i];
+        var u = Math.abs(circle.normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+        u.sub(circle.normal.clone().multiplyScalar(u.dot(circle.normal))).normalize();
+        var v = new THREE.Vector3().crossVectors(circle.normal, u);
+
+        var points = [];
+        for (var j = 0; j <= _radiusCircleSegments; j++) {
+            var angle = j / _radiusCircleSegments * 2 * Math.PI;
+            points.push(circle.center.clone()
+                .add(u.clone().multiplyScalar(circle.radius * Math.cos(angle)))
+                .add(v.clone().multiplyScalar(circle.radius * Math.sin(angle))));
+        }
+
+        var outline = this.drawEdgeAsCylinder(new THREE.BufferGeometry().setFromPoints(points), this.lines.xyz.material, _segmentWidth, 0, this.getNewCylinderGeometry());
+        this.viewer.impl.addMultipleOverlays(this.overlayName, outline);
+        Array.prototype.push.apply(this.radiusOutline, outline);
+    }
+
+    // The radius line points towards the pick, if the pick isn't the center itself.
+    var direction = inPlane;
+    var pick = this.measurement.picks[1];
+    if (pick && pick.intersectPoint) {
+        var toPick = pick.intersectPoint.clone().sub(center);
+        toPick.sub(normal.clone().multiplyScalar(toPick.dot(normal)));
+        if (toPick.lengthSq() > MeasureCommon.EPSILON * MeasureCommon.EPSILON) {
+            direction = toPick.normalize();
+        }
+    }
+
+    var rim = center.clone().add(direction.clone().multiplyScalar(result.radius));
+    this.drawSegmentAndPush(center, rim);
+
+    // Center cross
+    var crossSize = result.radius * _radiusCenterSize;
+    var crossDirection = new THREE.Vector3().crossVectors(normal, direction);
+    this.drawSegmentAndPush(center.clone().sub(direction.clone().multiplyScalar(crossSize)), center);
+    this.drawSegmentAndPush(center.clone().sub(crossDirection.clone().multiplyScalar(crossSize)), center.clone().add(crossDirection.clone().multiplyScalar(crossSize)));
+
+    if (result.isCylinder && !MeasureCommon.isEqualVectors(result.axisStart, result.axisEnd, MeasureCommon.EPSILON)) {
+        this.drawSegmentAndPush(result.axisStart, result.axisEnd, true);
+    }
+
+    this.showRadiusLabel(center.clone().add(rim).multiplyScalar(0.5));
+    this.updateRadius();
+};
+
 proto.createDistanceLabel = function(item) {
     var label = item.label = this.createMeasurementLabel();
 
@@ -1336,11 +1556,25 @@ proto.renderDistanceMeasurement = function(p1, p2) {
 
 };
 
+// Draw the shortest segment between the two picked objects, as computed in the measurement result.
+proto.renderClearanceMeasurement = function() {
+    var result = this.measurement.result;
+    if (!result || result.type !== MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE) {
+        return;
+    }
+
+    this.renderDistanceMeasurementFromPoints(result.point1, result.point2);
+};
+
 proto.updateResults = function() {
     this.updateDistance();
     this.updateAngle();
     this.updateArea();
     this.updateArcLength();
+    this.updateVolume();
+    this.updatePolyline();
+    this.updateSlope();
+    this.updateRadius();
 
     setTimeout(function() {
         // This can get called after the viewer is unloaded
@@ -1401,6 +1635,56 @@ proto.updateArea = function() {
     setValueMeasurementLabelText(this.areaLabel.label, "~ " + this.measureTool.getArea(this.measurement));
 };
 
+// Update volume measurement label
+proto.updateVolume = function() {
+    if (!this.volumeLabel.label) {
+        return;
+    }
+    var text = "~ " + this.measureTool.getVolume(this.measurement) + "\n~ " + this.measureTool.getSurfaceArea(this.measurement);
+    if (!this.measurement.isWatertight) {
+        text += "\n" + av.i18n.translate("Not watertight, volume is approximate");
+    }
+    setValueMeasurementLabelText(this.volumeLabel.label, text);
+    MeasureCommon.safeToggle(this.volumeLabel.label, 'not-watertight', !this.measurement.isWatertight);
+};
+
+// Update slope measurement label
+proto.updateSlope = function() {
+    if (!this.slopeLabel.label) {
+        return;
+    }
+    setValueMeasurementLabelText(this.slopeLabel.label,
+        "~ " + this.measureTool.getSlopePercent(this.measurement) +
+        "\n~ " + this.measureTool.getSlopeRatio(this.measurement) +
+        "\n~ " + this.measureTool.getSlopeAngle(this.measurement));
+};
+
+// Update radius measurement label. For hole patterns, the diameter is prefixed with the number of circles.
+proto.updateRadius = function() {
+    if (!this.radiusLabel.label) {
+        return;
+    }
+    var count = this.measurement.circleCount > 1 ? this.measurement.circleCount + " " + String.fromCharCode(0xd7) + " " : "";
+    setValueMeasurementLabelText(this.radiusLabel.label,
+        "R ~ " + this.measureTool.getRadius(this.measurement) +
+        "\n" + count + String.fromCharCode(0xd8) + " ~ " + this.measureTool.getDiameter(this.measurement));
+};
+
+// Update the segment and total labels of a polyline measurement
+proto.updatePolyline = function() {
+    var segmentLengths = this.measureTool.getSegmentLengths(this.measurement);
+
+    this.polylineLabels.forEach(function(item, index) {
+        if (index < segmentLengths.length) {
+            setValueMeasurementLabelText(item.label, "~ " + segmentLengths[index]);
+        }
+    });
+
+    if (this.polylineTotalLabel.label) {
+        setValueMeasurementLabelText(this.polylineTotalLabel.label, av.i18n.translate("Total") + " ~ " + this.measureTool.getDistanceXYZ(this.measurement));
+    }
+};
+
 // Update arc measurement label
 proto.updateArcLength = function() {
     setValueMeasurementLabelText(this.arcLabel.label, "~ " + this.measureTool.getArc(this.measurement));
@@ -1456,6 +1740,26 @@ proto.enableLabelsTouchEvents = function(enable) {
     if (this.arcLabel.label) {
         this.arcLabel.label.style.pointerEvents = value;
     }
+
+    if (this.volumeLabel.label) {
+        this.volumeLabel.label.style.pointerEvents = value;
+    }
+
+    if (this.slopeLabel.label) {
+        this.slopeLabel.label.style.pointerEvents = value;
+    }
+
+    if (this.radiusLabel.label) {
+        this.radiusLabel.label.style.pointerEvents = value;
+    }
+
+    this.polylineLabels.forEach(function(item) {
+        item.label.style.pointerEvents = value;
+    });
+
+    if (this.polylineTotalLabel.label) {
+        this.polylineTotalLabel.label.style.pointerEvents = value;
+    }
 };
 
 proto.setLabelsZIndex = function(zIndex) {
@@ -1488,6 +1792,26 @@ proto.setLabelsZIndex = function(zIndex) {
         this.arcLabel.label.style.zIndex = zIndex;
     }
 
+    if (this.volumeLabel && this.volumeLabel.label) {
+        this.volumeLabel.label.style.zIndex = zIndex;
+    }
+
+    if (this.slopeLabel && this.slopeLabel.label) {
+        this.slopeLabel.label.style.zIndex = zIndex;
+    }
+
+    if (this.radiusLabel && this.radiusLabel.label) {
+        this.radiusLabel.label.style.zIndex = zIndex;
+    }
+
+    this.polylineLabels.forEach(function(item) {
+        item.label.style.zIndex = zIndex;
+    });
+
+    if (this.polylineTotalLabel && this.polylineTotalLabel.label) {
+        this.polylineTotalLabel.label.style.zIndex = zIndex;
+    }
+
     for (name in this.endpoints) {
         if (Object.prototype.hasOwnProperty.call(this.endpoints, name)) {
             var endpoint = this.endpoints[name];
@@ -1557,6 +1881,20 @@ proto.clear = function() {
         this.hideLabel(this.arcLabel.label);
     }
 
+    if (this.volumeLabel && this.volumeLabel.label) {
+        this.hideLabel(this.volumeLabel.label);
+    }
+
+    if (this.slopeLabel && this.slopeLabel.label) {
+        this.hideLabel(this.slopeLabel.label);
+    }
+
+    if (this.radiusLabel && this.radiusLabel.label) {
+        this.hideLabel(this.radiusLabel.label);
+    }
+
+    this.hidePolylineLabels();
+
     this.clearSelectionAreas();
 
     this.segments = [];
@@ -1600,6 +1938,20 @@ proto.hideClick = function(pickNumber) {
         this.hideLabel(this.arcLabel.label);
     }
 
+    if (this.volumeLabel && this.volumeLabel.label) {
+        this.hideLabel(this.volumeLabel.label);
+    }
+
+    if (this.slopeLabel && this.slopeLabel.label) {
+        this.hideLabel(this.slopeLabel.label);
+    }
+
+    if (this.radiusLabel && this.radiusLabel.label) {
+        this.hideLabel(this.radiusLabel.label);
+    }
+
+    this.hidePolylineLabels();
+
     this.enableSelectionAreas(item.selectionArea, false);
 };
 
@@ -1672,6 +2024,43 @@ proto.destroy = function() {
         this.areaLabel.label = this.areaLabel.p1 = this.areaLabel.p2 = null;
     }
 
+    if (this.volumeLabel && this.volumeLabel.label) {
+        this.volumeLabel.label.parentNode.removeChild(this.volumeLabel.label);
+        this.volumeLabel.label.removeEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        this.volumeLabel.label.removeEventListener('click', this.onSelectionAreaClickedBinded);
+        this.volumeLabel.label = this.volumeLabel.p = null;
+    }
+
+    if (this.slopeLabel && this.slopeLabel.label) {
+        this.slopeLabel.label.parentNode.removeChild(this.slopeLabel.label);
+        this.slopeLabel.label.removeEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        this.slopeLabel.label.removeEventListener('click', this.onSelectionAreaClickedBinded);
+        this.slopeLabel.label = this.slopeLabel.p = null;
+    }
+
+    this.clearRadiusMeshes();
+
+    if (this.radiusLabel && this.radiusLabel.label) {
+        this.radiusLabel.label.parentNode.removeChild(this.radiusLabel.label);
+        this.radiusLabel.label.removeEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        this.radiusLabel.label.removeEventListener('click', this.onSelectionAreaClickedBinded);
+        this.radiusLabel.label = this.radiusLabel.p = null;
+    }
+
+    this.polylineLabels.forEach(function(item) {
+        item.label.parentNode.removeChild(item.label);
+        item.label.removeEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        item.label.removeEventListener('click', this.onSelectionAreaClickedBinded);
+    }.bind(this));
+    this.polylineLabels = [];
+
+    if (this.polylineTotalLabel && this.polylineTotalLabel.label) {
+        this.polylineTotalLabel.label.parentNode.removeChild(this.polylineTotalLabel.label);
+        this.polylineTotalLabel.label.removeEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        this.polylineTotalLabel.label.removeEventListener('click', this.onSelectionAreaClickedBinded);
+        this.polylineTotalLabel.label = this.polylineTotalLabel.p = null;
+    }
+
 
 
     if (this.viewer.impl.overlayScenes[this.overlayName]) {
@@ -1698,6 +2087,8 @@ proto.updateScale = function() {
 
     this.arcOutline.forEach(cylinderMesh => this.setCylinderScale(cylinderMesh));
 
+    this.radiusOutline.forEach(cylinderMesh => this.setCylinderScale(cylinderMesh));
+
     for (name in this.lines) {
         if (Object.prototype.hasOwnProperty.call(this.lines, name)) {
             var item = this.lines[name];
@@ -1716,7 +2107,8 @@ proto.updateScale = function() {
         }
     }
 
-    if (this.measurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_DISTANCE) {
+    if (this.measurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_DISTANCE ||
+        this.measurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE) {
         if (this.measurement.isComplete()) {
             this.clearXYZLine();
             this.drawXYZLine(this.lines.xyz);
@@ -1990,6 +2382,121 @@ proto.showCalloutLabel = function(p) {
 
 };
 
+proto.showVolumeLabel = function(p) {
+
+    var label = this.volumeLabel.label;
+
+    if (!label) {
+        label = this.volumeLabel.label = this.createMeasurementLabel();
+        label.style.whiteSpace = 'pre-line';
+        label.style.height = 'auto';
+        label.style.textAlign = 'start';
+        label.querySelector('.measure-delta-text').style.display = 'none';
+        this.viewer.container.appendChild(label);
+        label.addEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        label.addEventListener('click', this.onSelectionAreaClickedBinded);
+    }
+
+    this.updateVolume();
+    this.showLabel(label);
+
+    this.volumeLabel.p = p.clone();
+
+};
+
+proto.showSlopeLabel = function(p) {
+
+    var label = this.slopeLabel.label;
+
+    if (!label) {
+        label = this.slopeLabel.label = this.createMeasurementLabel();
+        label.style.whiteSpace = 'pre-line';
+        label.style.height = 'auto';
+        label.style.textAlign = 'start';
+        label.querySelector('.measure-delta-text').style.display = 'none';
+        this.viewer.container.appendChild(label);
+        label.addEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        label.addEventListener('click', this.onSelectionAreaClickedBinded);
+    }
+
+    this.updateSlope();
+    this.showLabel(label);
+
+    this.slopeLabel.p = p.clone();
+
+};
+
+proto.showRadiusLabel = function(p) {
+
+    var label = this.radiusLabel.label;
+
+    if (!label) {
+        label = this.radiusLabel.label = this.createMeasurementLabel();
+        label.style.whiteSpace = 'pre-line';
+        label.style.height = 'auto';
+        label.style.textAlign = 'start';
+        label.querySelector('.measure-delta-text').style.display = 'none';
+        this.viewer.container.appendChild(label);
+        label.addEventListener('mousewheel', this.viewer.toolController.mousewheel);
+        label.addEventListener('click', this.onSelectionAreaClickedBinded);
+    }
+
+    this.updateRadius();
+    this.showLabel(label);
+
+    this.radiusLabel.p = p.clone();
+
+};
+
+proto.createPolylineLabel = function() {
+    var label = this.createMeasurementLabel();
+    this.viewer.container.appendChild(label);
+    label.addEventListener('mousewheel', this.viewer.toolController.mousewheel);
+    label.addEventListener('click', this.onSelectionAreaClickedBinded);
+    return label;
+};
+
+// Shows a label at the middle of each segment, and the running total at the last point.
+proto.showPolylineLabels = function(points) {
+
+    var segmentCount = Math.max(points.length - 1, 0);
+
+    for (var i = 0; i < segmentCount; i++) {
+        var item = this.polylineLabels[i];
+        if (!item) {
+            item = this.polylineLabels[i] = {
+                label: this.createPolylineLabel()
+            };
+        }
+
+        item.p1 = points[i];
+        item.p2 = points[i + 1];
+        this.showLabel(item.label);
+    }
+
+    // A single segment is its own total.
+    if (segmentCount > 1) {
+        if (!this.polylineTotalLabel.label) {
+            this.polylineTotalLabel.label = this.createPolylineLabel();
+        }
+
+        this.polylineTotalLabel.p = points[points.length - 1];
+        this.showLabel(this.polylineTotalLabel.label);
+    }
+
+    this.updatePolyline();
+};
+
+proto.hidePolylineLabels = function() {
+    this.polylineLabels.forEach(function(item) {
+        this.hideLabel(item.label);
+    }.bind(this));
+
+    if (this.polylineTotalLabel && this.polylineTotalLabel.label) {
+        this.hideLabel(this.polylineTotalLabel.label);
+    }
+};
+
 proto.showAreaLabel = function(midPoint) {
 
     var label = this.areaLabel.label;
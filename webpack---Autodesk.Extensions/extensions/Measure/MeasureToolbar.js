@@ -80,6 +80,23 @@ proto.init = function() {
     this.measureToolbar.addControl(this.measureSimpleDistanceBtn);
     this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_DISTANCE] = this.measureSimpleDistanceBtn;
 
+    // Create a button for the chained distance along a polyline.
+    this.measurePolylineBtn = new avu.Button("toolbar-measureTool-polyline");
+    this.measurePolylineBtn.setGlobalManager(this.globalManager);
+    this.measurePolylineBtn.setToolTip("Polyline");
+    this.measurePolylineBtn.setIcon("adsk-icon-measure-distance");
+    this.measurePolylineBtn.onClick = function() {
+        var enable = self.measurePolylineBtn.getState() !== avu.Button.State.ACTIVE;
+        if (enable) {
+            self.measureExtension.activate('polyline');
+        } else {
+            self.measureTool.deselectAllMeasurements();
+        }
+    };
+
+    this.measureToolbar.addControl(this.measurePolylineBtn);
+    this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE] = this.measurePolylineBtn;
+
 
     // Create a button for the measure Angle.
     this.measureAngleBtn = new avu.Button("toolbar-measureTool-angle");
@@ -97,6 +114,22 @@ proto.init = function() {
     this.measureToolbar.addControl(this.measureAngleBtn);
     this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_ANGLE] = this.measureAngleBtn;
 
+    // Create a button for the slope measurement.
+    this.measureSlopeBtn = new avu.Button("toolbar-measureTool-slope");
+    this.measureSlopeBtn.setGlobalManager(this.globalManager);
+    this.measureSlopeBtn.setToolTip("Slope");
+    this.measureSlopeBtn.setIcon("adsk-icon-measure-slope");
+    this.measureSlopeBtn.onClick = function() {
+        var enable = self.measureSlopeBtn.getState() !== avu.Button.State.ACTIVE;
+        if (enable) {
+            self.measureExtension.activate('slope');
+        } else {
+            self.measureTool.deselectAllMeasurements();
+        }
+    };
+    this.measureToolbar.addControl(this.measureSlopeBtn);
+    this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_SLOPE] = this.measureSlopeBtn;
+
     if (this.viewer.model && this.viewer.model.is2d()) {
         // Create a button for the measure distance.
         this.measureAreaBtn = new avu.Button("toolbar-measureTool-area");
@@ -135,6 +168,59 @@ proto.init = function() {
         this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_ARC] = this.measureArcBtn;
     }
 
+    if (this.viewer.model && !this.viewer.model.is2d()) {
+        // Create a button for the volume measurement.
+        this.measureVolumeBtn = new avu.Button("toolbar-measureTool-volume");
+        this.measureVolumeBtn.setGlobalManager(this.globalManager);
+        this.measureVolumeBtn.setToolTip("Volume");
+        this.measureVolumeBtn.setIcon("adsk-icon-box");
+        this.measureVolumeBtn.onClick = function() {
+            var enable = self.measureVolumeBtn.getState() !== avu.Button.State.ACTIVE;
+            if (enable) {
+                self.measureExtension.activate('volume');
+            } else {
+                self.measureTool.deselectAllMeasurements();
+            }
+        };
+
+        this.measureToolbar.addControl(this.measureVolumeBtn);
+        this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_VOLUME] = this.measureVolumeBtn;
+
+        // Create a button for the clearance measurement.
+        this.measureClearanceBtn = new avu.Button("toolbar-measureTool-clearance");
+        this.measureClearanceBtn.setGlobalManager(this.globalManager);
+        this.measureClearanceBtn.setToolTip("Clearance");
+        this.measureClearanceBtn.setIcon("adsk-icon-axis-delta");
+        this.measureClearanceBtn.onClick = function() {
+            var enable = self.measureClearanceBtn.getState() !== avu.Button.State.ACTIVE;
+            if (enable) {
+                self.measureExtension.activate('clearance');
+            } else {
+                self.measureTool.deselectAllMeasurements();
+            }
+        };
+
+        this.measureToolbar.addControl(this.measureClearanceBtn);
+        this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_CLEARANCE] = this.measureClearanceBtn;
+
+        // Create a button for the radius measurement.
+        this.measureRadiusBtn = new avu.Button("toolbar-measureTool-radius");
+        this.measureRadiusBtn.setGlobalManager(this.globalManager);
+        this.measureRadiusBtn.setToolTip("Radius");
+        this.measureRadiusBtn.setIcon("adsk-icon-measure-arc-new");
+        this.measureRadiusBtn.onClick = function() {
+            var enable = self.measureRadiusBtn.getState() !== avu.Button.State.ACTIVE;
+            if (enable) {
+                self.measureExtension.activate('radius');
+            } else {
+                self.measureTool.deselectAllMeasurements();
+            }
+        };
+
+        this.measureToolbar.addControl(this.measureRadiusBtn);
+        this.buttonsList[MeasureCommon.MeasurementTypes.MEASUREMENT_RADIUS] = this.measureRadiusBtn;
+    }
+
     // Create a button for the Calibration tool.
     this.calibrationToolBtn = new avu.Button("toolbar-calibrationTool");
     this.calibrationToolBtn.setGlobalManager(this.globalManager);
@@ -324,12 +410,25 @@ proto.init = function() {
         });
     });
 
+    this.faceSlope = new avp.OptionCheckbox("Measure slope of face", this.tbody, this.measureExtension.isFaceSlopeMode());
+    this.faceSlope.setGlobalManager(this.globalManager);
+    this.faceSlope.addEventListener("change", function(e) {
+        var enable = self.faceSlope.checked;
+        self.measureExtension.setFaceSlopeMode(enable);
+        avp.logger.track({
+            category: 'pref_changed',
+            name: 'measure/faceSlope',
+            value: enable
+        });
+    });
+
     this.setupPrecision();
 
     this.updateSettingsPanel();
 
     if (this.viewer.model && this.viewer.model.is2d()) {
         this.isolate.setVisibility(false);
+        this.faceSlope.setVisibility(false);
     }
 
     // BLMV-6350 - disable only if units are undefined, do not disable if null, since we are going to assign units in Measure.js, `_onModelLoaded`.
@@ -0,0 +1,412 @@
+const avp = Autodesk.Viewing.Private;
+const MeasureCommon = Autodesk.Viewing.MeasureCommon; // Comes from main viewer bundle.
+
+const FORMAT_VERSION = 1;
+
+const MEASUREMENT_TYPES = ['Distance', 'Polyline', 'Angle', 'Area', 'Arc', 'Location', 'Callout', 'Volume', 'Clearance', 'Slope', 'Radius'];
+
+// Types that can only be measured on the mesh geometry of 3D models.
+const TYPES_3D_ONLY = ['Volume', 'Clearance', 'Radius'];
+
+// The value of each measurement type that goes into the CSV summary.
+const SUMMARY_VALUES = {
+    Distance: 'distance',
+    Polyline: 'distance',
+    Clearance: 'distance',
+    Angle: 'angle',
+    Slope: 'percent',
+    Radius: 'radius',
+    Area: 'area',
+    Arc: 'arc',
+    Volume: 'volume'
+};
+
+// Picks of a valid measurement lie on the model. The bounds get padded by this fraction of their diagonal
+// to account for snapping and numerical noise.
+const BOUNDS_TOLERANCE = 0.01;
+
+function getModelInfo(model) {
+    const node = model.getDocumentNode();
+    return {
+        urn: node ? node.getRootNode().urn() : null,
+        guid: node ? node.guid() : null,
+        is2d: !!model.is2d(),
+        units: model.getUnitString() || null
+    };
+}
+
+function convert(config, fromUnits, value, type) {
+    return avp.convertUnits(fromUnits, config.units, config.calibrationFactor, value || 0, type);
+}
+
+// Numeric results of a measurement, converted to the display units.
+function getValues(measurement, model, config) {
+    const types = MeasureCommon.MeasurementTypes;
+    const modelUnits = model.getUnitString();
+
+    // Same as MeasureTool.getDistanceAux: PDF viewports may define their own units.
+    const viewportUnits = measurement.result ? .units;
+    const distanceUnits = config.useViewportInfo && viewportUnits && config.calibrationFactor === null ? viewportUnits : modelUnits;
+
+    switch (measurement.measurementType) {
+        case types.MEASUREMENT_DISTANCE:
+        case types.MEASUREMENT_CLEARANCE:
+            return {
+                distance: convert(config, distanceUnits, measurement.distanceXYZ),
+                deltaX: convert(config, distanceUnits, measurement.distanceX),
+                deltaY: convert(config, distanceUnits, measurement.distanceY),
+                deltaZ: convert(config, distanceUnits, measurement.distanceZ)
+            };
+        case types.MEASUREMENT_POLYLINE:
+            return {
+                distance: convert(config, distanceUnits, measurement.distanceXYZ),
+                segments: measurement.segmentLengths.map(length => convert(config, distanceUnits, length))
+            };
+        case types.MEASUREMENT_ANGLE:
+            return {
+                angle: measurement.angle
+            };
+        case types.MEASUREMENT_SLOPE:
+            return {
+                rise: convert(config, modelUnits, measurement.rise),
+                run: convert(config, modelUnits, measurement.run),
+                angle: measurement.slopeAngle,
+                percent: Math.tan(measurement.slopeAngle * Math.PI / 180) * 100
+            };
+        case types.MEASUREMENT_RADIUS:
+            return {
+                radius: convert(config, distanceUnits, measurement.radius),
+                diameter: convert(config, distanceUnits, measurement.radius * 2),
+                circleCount: measurement.circleCount
+            };
+        case types.MEASUREMENT_AREA:
+            return {
+                area: convert(config, modelUnits, measurement.area, 'square')
+            };
+        case types.MEASUREMENT_ARC:
+            return {
+                arc: convert(config, modelUnits, measurement.arc)
+            };
+        case types.MEASUREMENT_VOLUME:
+            return {
+                volume: convert(config, modelUnits, measurement.volume, 'cube'),
+                surfaceArea: convert(config, modelUnits, measurement.surfaceArea, 'square'),
+                isWatertight: measurement.isWatertight
+            };
+        default:
+            return {};
+    }
+}
+
+function getDisplayValues(data) {
+    switch (data.type) {
+        case 'Distance':
+        case 'Clearance':
+            return {
+                distance: data.distance,
+                deltaX: data.deltaX,
+                deltaY: data.deltaY,
+                deltaZ: data.deltaZ
+            };
+        case 'Polyline':
+            return {
+                distance: data.distance,
+                segments: data.segments
+            };
+        case 'Angle':
+            return {
+                angle: data.angle
+            };
+        case 'Slope':
+            return {
+                percent: data.slopePercent,
+                ratio: data.slopeRatio,
+                angle: data.slopeAngle
+            };
+        case 'Radius':
+            return {
+                radius: data.radius,
+                diameter: data.diameter
+            };
+        case 'Area':
+            return {
+                area: data.area
+            };
+        case 'Arc':
+            return {
+                arc: data.arc
+            };
+        case 'Volume':
+            return {
+                volume: data.volume,
+                surfaceArea: data.surfaceArea
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Serializes all completed measurements of the measure tool. Points are written in model coordinates,
+ * i.e. with the global offset of the model added back, so they don't depend on how the model was loaded.
+ *
+ * @param {Autodesk.Viewing.GuiViewer3D} viewer
+ * @param {MeasureTool} measureTool
+ * @param {object} config - Shared measure config with the display units, precision and calibration factor.
+ * @returns {object} Plain object to be serialized with JSON.stringify.
+ * @private
+ */
+export function exportMeasurements(viewer, measureTool, config) {
+    const model = viewer.model;
+    const measurements = [];
+
+    if (model) {
+        const measurementsList = measureTool.getMeasurementsManager().measurementsList;
+        // getMeasurementList iterates the measurements in the same order.
+        const keys = Object.keys(measurementsList);
+        const list = measureTool.getMeasurementList();
+
+        for (let i = 0; i < keys.length; i++) {
+            const measurement = measurementsList[keys[i]];
+            const data = list[i];
+            if (!data.type || !measurement.isComplete()) {
+                continue;
+            }
+
+            const item = {
+                id: measurement.id,
+                type: data.type,
+                picks: data.picks.map(pick => {
+                    const pickData = {
+                        x: pick.intersection.x,
+                        y: pick.intersection.y,
+                        z: pick.intersection.z,
+                        dbId: pick.snapNode,
+                        viewportIndex2d: pick.viewportIndex2d
+                    };
+                    if (pick.circularArcCenter) {
+                        pickData.circularArcCenter = pick.circularArcCenter;
+                        pickData.circularArcRadius = pick.circularArcRadius;
+                    }
+                    if (pick.faceNormal) {
+                        pickData.faceNormal = pick.faceNormal;
+                    }
+                    if (pick.circleCount) {
+                        pickData.circleCount = pick.circleCount;
+                    }
+                    // Keeps the point on its fragment when the measurements get imported into the exploded model.
+                    if (pick.localPoint) {
+                        pickData.fragId = pick.fragId;
+                        pickData.localPoint = pick.localPoint;
+                    }
+                    return pickData;
+                }),
+                values: getValues(measurement, model, config),
+                displayValues: getDisplayValues(data)
+            };
+
+            if (data.type === 'Callout') {
+                item.text = data.text;
+            }
+
+            if (data.options) {
+                // Model ids are only valid within the current session.
+                delete data.options.modelId;
+                item.options = data.options;
+            }
+
+            measurements.push(item);
+        }
+    }
+
+    return {
+        version: FORMAT_VERSION,
+        model: model ? getModelInfo(model) : null,
+        units: config.units,
+        precision: config.precision,
+        calibrationFactor: config.calibrationFactor,
+        measurements
+    };
+}
+
+function escapeCSV(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    value = String(value);
+    if (/[",\r\n]/.test(value)) {
+        value = '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+}
+
+function getSummaryUnits(type, units) {
+    switch (type) {
+        case 'Angle':
+            return 'deg';
+        case 'Slope':
+            return '%';
+        case 'Area':
+            return units && units + '^2';
+        case 'Volume':
+            return units && units + '^3';
+        default:
+            return units;
+    }
+}
+
+/**
+ * Creates a CSV summary with one row per measurement from the result of exportMeasurements.
+ *
+ * @param {object} data - Exported measurements.
+ * @returns {string} CSV text including a header row.
+ * @private
+ */
+export function measurementsToCSV(data) {
+    const rows = [
+        ['Id', 'Type', 'Value', 'Units', 'Display Value', 'Points', 'Text']
+    ];
+
+    for (let i = 0; i < data.measurements.length; i++) {
+        const measurement = data.measurements[i];
+        const key = SUMMARY_VALUES[measurement.type];
+        const points = measurement.picks.map(pick => `${pick.x} ${pick.y} ${pick.z}`).join('; ');
+
+        rows.push([
+            measurement.id,
+            measurement.type,
+            key ? measurement.values[key] : '',
+            key ? getSummaryUnits(measurement.type, data.units) : '',
+            key ? measurement.displayValues[key] : '',
+            points,
+            measurement.text
+        ]);
+    }
+
+    return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n');
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+// Returns an error message if the measurement doesn't fit the model, undefined otherwise.
+function validateMeasurement(measurement, model, bounds) {
+    if (!measurement || MEASUREMENT_TYPES.indexOf(measurement.type) === -1) {
+        return `Unsupported measurement type: ${measurement && measurement.type}`;
+    }
+
+    if (model.is2d() && TYPES_3D_ONLY.indexOf(measurement.type) !== -1) {
+        return `${measurement.type} measurements require a 3D model`;
+    }
+
+    if (!Array.isArray(measurement.picks) || measurement.picks.length === 0) {
+        return `${measurement.type} measurement has no points`;
+    }
+
+    const globalOffset = model.getData().globalOffset || {
+        x: 0,
+        y: 0,
+        z: 0
+    };
+    const point = new THREE.Vector3();
+    for (let i = 0; i < measurement.picks.length; i++) {
+        const pick = measurement.picks[i];
+        if (!pick || !isFiniteNumber(pick.x) || !isFiniteNumber(pick.y) || !isFiniteNumber(pick.z)) {
+            return `${measurement.type} measurement has an invalid point`;
+        }
+
+        point.set(pick.x, pick.y, pick.z).sub(globalOffset);
+        if (!bounds.containsPoint(point)) {
+            return `${measurement.type} measurement has a point outside of the model`;
+        }
+    }
+}
+
+/**
+ * @param {object} pick - Exported pick.
+ * @returns {boolean} true if the pick has a valid position relative to its fragment.
+ * @private
+ */
+function isAnchored(pick) {
+    const localPoint = pick.localPoint;
+    return Number.isInteger(pick.fragId) && pick.fragId >= 0 && !!localPoint &&
+        isFiniteNumber(localPoint.x) && isFiniteNumber(localPoint.y) && isFiniteNumber(localPoint.z);
+}
+
+/**
+ * Validates exported measurements against the given model and converts them into the format expected by
+ * MeasureTool.setMeasurements. Measurements that don't fit the model are skipped with a warning.
+ *
+ * @param {object} data - Result of exportMeasurements.
+ * @param {Autodesk.Viewing.Model} model - The model to import the measurements into.
+ * @returns {object[]} Measurement data for MeasureTool.setMeasurements.
+ * @throws {Error} If the data has an unsupported version or was exported from a different model.
+ * @private
+ */
+export function parseMeasurements(data, model) {
+    if (!data || data.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported measurements version: ${data && data.version}`);
+    }
+
+    if (!model) {
+        throw new Error('Measurements can only be imported into a loaded model.');
+    }
+
+    const current = getModelInfo(model);
+    const exported = data.model || {};
+    if (exported.urn && current.urn && exported.urn !== current.urn) {
+        throw new Error(`Measurements were exported from a different model: ${exported.urn}`);
+    }
+    if (exported.guid && current.guid && exported.guid !== current.guid) {
+        throw new Error(`Measurements were exported from a different viewable: ${exported.guid}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(exported, 'is2d') && exported.is2d !== current.is2d) {
+        throw new Error(`Measurements were exported from a ${exported.is2d ? '2D' : '3D'} model.`);
+    }
+    if (exported.units && current.units && exported.units !== current.units) {
+        throw new Error(`Measurements were exported from a model in ${exported.units}, but the model is in ${current.units}.`);
+    }
+
+    const bounds = model.getBoundingBox().clone();
+    bounds.expandByScalar(bounds.getSize(new THREE.Vector3()).length() * BOUNDS_TOLERANCE);
+
+    const measurementList = [];
+    const measurements = Array.isArray(data.measurements) ? data.measurements : [];
+    for (let i = 0; i < measurements.length; i++) {
+        const measurement = measurements[i];
+        const error = validateMeasurement(measurement, model, bounds);
+        if (error) {
+            avp.logger.warn(`MeasureExtension: Skipping measurement ${measurement && measurement.id}. ${error}.`);
+            continue;
+        }
+
+        measurementList.push({
+            type: measurement.type,
+            text: measurement.text,
+            options: measurement.options,
+            picks: measurement.picks.map(pick => {
+                const pickData = {
+                    intersection: {
+                        x: pick.x,
+                        y: pick.y,
+                        z: pick.z
+                    },
+                    snapNode: pick.dbId,
+                    viewportIndex2d: pick.viewportIndex2d,
+                    circularArcCenter: pick.circularArcCenter,
+                    circularArcRadius: pick.circularArcRadius,
+                    faceNormal: pick.faceNormal,
+                    circleCount: pick.circleCount
+                };
+                if (isAnchored(pick)) {
+                    pickData.fragId = pick.fragId;
+                    pickData.localPoint = pick.localPoint;
+                }
+                return pickData;
+            })
+        });
+    }
+
+    return measurementList;
+}
@@ -80,6 +80,8 @@ proto.createMeasurementFromData = function(measurementData, measurementType, cre
 
     if (this.currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_AREA) {
         this.currentMeasurement.closedArea = true;
+    } else if (this.currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_POLYLINE) {
+        this.currentMeasurement.isFinished = true;
     } else if (this.currentMeasurement.measurementType === MeasureCommon.MeasurementTypes.MEASUREMENT_CALLOUT) {
         this.currentMeasurement.text = measurementData.text;
     }
@@ -134,12 +136,29 @@ proto.initPicks = function(pickData) {
             this.viewer.impl.findModel(pick.modelId) :
             this.viewer.model;
 
+        let circularArcCenter = pick.circularArcCenter;
         if (model) {
             const modelData = model.getData();
-            pickPoint =
-                modelData && Object.prototype.hasOwnProperty.call(modelData, 'globalOffset') ?
-                pickPoint.sub(modelData.globalOffset).clone() :
-                pickPoint.clone();
+            if (modelData && Object.prototype.hasOwnProperty.call(modelData, 'globalOffset')) {
+                pickPoint.sub(modelData.globalOffset);
+                if (circularArcCenter) {
+                    circularArcCenter = new THREE.Vector3(circularArcCenter.x, circularArcCenter.y, circularArcCenter.z).sub(modelData.globalOffset);
+                }
+            }
+        }
+
+        // Picks anchored to a fragment are restored on the fragment, wherever it was moved to (e.g. by exploding the model).
+        let anchorMatrix = null;
+        const fragList = model && !model.is2d() && pick.localPoint && model.getFragmentList();
+        if (fragList && typeof pick.fragId === 'number' && pick.fragId >= 0 && pick.fragId < fragList.getCount()) {
+            anchorMatrix = new THREE.Matrix4();
+            fragList.getWorldMatrix(pick.fragId, anchorMatrix);
+            const anchoredPoint = new THREE.Vector3(pick.localPoint.x, pick.localPoint.y, pick.localPoint.z).applyMatrix4(anchorMatrix);
+            if (pick.circularArcCenter) {
+                const offset = anchoredPoint.clone().sub(pickPoint);
+                circularArcCenter = new THREE.Vector3(circularArcCenter.x, circularArcCenter.y, circularArcCenter.z).add(offset);
+            }
+            pickPoint = anchoredPoint;
         }
 
         points[key] = {
@@ -151,7 +170,10 @@ proto.initPicks = function(pickData) {
             fragPos: pick.fragPos,
             snapNode: pick.snapNode,
             circularArcRadius: pick.circularArcRadius,
-            circularArcCenter: pick.circularArcCenter
+            circularArcCenter,
+            faceNormal: pick.faceNormal,
+            circleCount: pick.circleCount,
+            anchorMatrix
         };
         this.currentMeasurement.getPick(key);
     }
@@ -174,7 +196,15 @@ proto.activatePicks = function() {
         let p = pointInfo.intersection.clone();
 
         if (!pick.getGeometry() && pointInfo.intersection) {
-            pick.geomType = MeasureCommon.SnapType.SNAP_VERTEX;
+            if (pointInfo.faceNormal) {
+                // Face picks are restored as the plane through the picked point.
+                pick.geomType = MeasureCommon.SnapType.SNAP_FACE;
+                pick.geomFace = new THREE.Geometry();
+                pick.geomFace.vertices.push(p.clone());
+                pick.faceNormal = new THREE.Vector3(pointInfo.faceNormal.x, pointInfo.faceNormal.y, pointInfo.faceNormal.z);
+            } else {
+                pick.geomType = MeasureCommon.SnapType.SNAP_VERTEX;
+            }
             pick.geomVertex = p;
             pick.intersectPoint = p;
             pick.modelId = pointInfo.modelId;
@@ -183,6 +213,8 @@ proto.activatePicks = function() {
             pick.snapNode = pointInfo.snapNode; // the dbid of the pick. This is used for isolation.
             pick.circularArcCenter = pointInfo.circularArcCenter;
             pick.circularArcRadius = pointInfo.circularArcRadius;
+            pick.circleCount = pointInfo.circleCount;
+            pick.anchorMatrix = pointInfo.anchorMatrix;
 
             // Set the isRestored flag if all of the picks are valid.
             pick.viewportIndex2d = pointInfo.viewportId;
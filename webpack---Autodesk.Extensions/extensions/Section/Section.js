@@ -1,6 +1,17 @@
 import {
     SectionTool
 } from './SectionTool';
+import {
+    computeSectionProfile,
+    exportSectionProfileSVG,
+    exportSectionProfileDXF
+} from './SectionProfile';
+import {
+    SectionManager
+} from './SectionManager';
+import {
+    SectionsPanel
+} from './SectionsPanel';
 import './Section.css';
 
 const avp = Autodesk.Viewing.Private;
@@ -58,6 +69,7 @@ proto.load = function() {
     });
 
     viewer.toolController.registerTool(this.tool, this.setActive.bind(this));
+    this.sectionManager = new SectionManager(this);
     this.sectionStyle = null;
     this.supportedStyles = ["X", "Y", "Z", "BOX"];
 
@@ -108,6 +120,9 @@ proto.unload = function() {
 
     this.destroyUI();
 
+    this.sectionManager.destroy();
+    this.sectionManager = null;
+
     viewer.removeEventListener(Autodesk.Viewing.SET_VIEW_EVENT, this.onViewerSetView);
     viewer.removeEventListener(Autodesk.Viewing.CUTPLANES_CHANGE_EVENT, this._onCutPlanesChanged);
     viewer.removeEventListener(Autodesk.Viewing.SHOW_ALL_EVENT, this._onShowAll);
@@ -277,8 +292,15 @@ proto.getState = function(viewerState) {
 
     viewerState.cutplanes = viewerState.cutplanes || [];
     var planes = this.tool.getSectionPlaneSet();
-    for (var i = 0; i < planes.length; i++) {
-        viewerState.cutplanes.push(planes[i].toArray());
+    // A section that is being edited is stored with the sections only
+    if (!this.sectionManager.editing) {
+        for (var i = 0; i < planes.length; i++) {
+            viewerState.cutplanes.push(planes[i].toArray());
+        }
+    }
+
+    if (this.sectionManager.sections.length) {
+        viewerState.sections = this.sectionManager.getState();
     }
 };
 
@@ -290,6 +312,10 @@ proto.getState = function(viewerState) {
  * @alias Autodesk.Viewing.Extensions.SectionExtension#restoreState
  */
 proto.restoreState = function(viewerState) {
+    if (Array.isArray(viewerState.sections)) {
+        this.sectionManager.restoreState(viewerState.sections);
+    }
+
     // If viewerState doesn't contain cutplanes, we should leave it as is.
     if (!viewerState.cutplanes) {
         return;
@@ -560,6 +586,12 @@ proto.createSubmenu = function(parentButton) {
  */
 proto.destroyUI = function() {
 
+    if (this.sectionsPanel) {
+        this.sectionsPanel.setVisible(false);
+        this.sectionsPanel.uninitialize();
+        this.sectionsPanel = null;
+    }
+
     if (this.sectionToolButton) {
         this.sectionToolButton.removeFromParent();
         this.sectionToolButton = null;
@@ -641,6 +673,239 @@ proto.displaySectionHatches = function(value) {
 };
 
 
+/**
+ * Sets whether the section caps are hatched or filled with their color only.
+ *
+ * @param {boolean} enable - true to hatch the section caps (default).
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#setCapHatchPattern
+ */
+proto.setCapHatchPattern = function(enable) {
+    this.tool.setCapHatchPattern(enable);
+};
+
+/**
+ * Sets the color of the section cap of an object.
+ * Objects without a cap color use their theming color, if any, or the default tint otherwise.
+ *
+ * @param {number} dbId - Object id.
+ * @param {THREE.Color|null} color - Cap color, or null to restore the default.
+ * @param {Autodesk.Viewing.Model} [model] - Model of the object. Defaults to the viewer's model.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#setCapColor
+ */
+proto.setCapColor = function(dbId, color, model) {
+    this.tool.setCapColor(dbId, color, model || this.viewer.model);
+};
+
+/**
+ * Restores the default color of the section caps.
+ *
+ * @param {Autodesk.Viewing.Model} [model] - Only restore the caps of this model. Defaults to all models.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#clearCapColors
+ */
+proto.clearCapColors = function(model) {
+    this.tool.clearCapColors(model);
+};
+
+/**
+ * Computes the 2D profile of the visible objects cut by the section plane.
+ * The profile is in the coordinates of the section plane and in model units.
+ *
+ * @param {object} [options]
+ * @param {THREE.Plane} [options.plane] - Plane to cut with, in viewer coordinates. Defaults to the current section plane.
+ * @param {string} [options.layerProperty='Category'] - Property that groups the objects into layers.
+ * @returns {Promise<object>} Resolves to the profile: `objects` with their `modelId`, `dbId`, `layer` and `polylines`,
+ *   the sorted `layers`, the `bounds` of all polylines and the `units`.
+ *   Rejects if there is no plane, e.g. when a section box is used.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#getSectionProfile
+ */
+proto.getSectionProfile = function(options = {}) {
+    let plane = options.plane;
+    if (!plane) {
+        const planes = this.getSectionPlanes();
+        if (planes.length !== 1) {
+            return Promise.reject(new Error('The section profile requires a single section plane.'));
+        }
+        plane = new THREE.Plane().setComponents(planes[0].x, planes[0].y, planes[0].z, planes[0].w);
+    }
+
+    return computeSectionProfile(this.viewer, plane, options);
+};
+
+/**
+ * Exports the 2D profile of the visible objects cut by the section plane as vector drawing,
+ * with one layer per value of the layer property (by default the category of the objects).
+ *
+ * @param {string} format - 'svg' or 'dxf' (ASCII).
+ * @param {object} [options] - See getSectionProfile.
+ * @returns {Promise<string>} Resolves to the content of the file.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#exportSectionProfile
+ */
+proto.exportSectionProfile = function(format, options) {
+    const exporters = {
+        svg: exportSectionProfileSVG,
+        dxf: exportSectionProfileDXF
+    };
+
+    const exporter = exporters[String(format).toLowerCase()];
+    if (!exporter) {
+        return Promise.reject(new Error(`Unsupported section profile format: ${format}`));
+    }
+
+    return this.getSectionProfile(options).then(exporter);
+};
+
+/**
+ * Creates a named section, which cuts independently from the section tool and from other sections.
+ * Any number of sections can be applied at the same time.
+ *
+ * @param {string} [name] - Unique name of the section. Defaults to 'Section <n>'.
+ * @param {object} [options]
+ * @param {THREE.Plane} [options.plane] - Section plane in viewer coordinates.
+ * @param {THREE.Box3} [options.box] - Section box in viewer coordinates. An optional `box.transform` rotates the box.
+ *   If neither a plane nor a box is given, the current section of the section tool is moved into the new section.
+ * @param {Array<{model: Autodesk.Viewing.Model, dbIds: number[]}>} [options.scope] - Models and objects cut by the section.
+ *   If dbIds are omitted, the whole model is cut. By default, all models are cut.
+ * @param {boolean} [options.enabled=true]
+ * @returns {string|null} The name of the section, or null if the name is taken or there is no section to create it from.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#createSection
+ */
+proto.createSection = function(name, options = {}) {
+    let planes;
+    if (options.plane) {
+        planes = [new THREE.Vector4(options.plane.normal.x, options.plane.normal.y, options.plane.normal.z, options.plane.constant)];
+    } else if (options.box) {
+        planes = avp.SceneMath.box2CutPlanes(options.box, options.box.transform);
+    } else {
+        planes = this.getSectionPlanes().map(p => p.clone());
+    }
+
+    if (!name) {
+        let index = this.sectionManager.sections.length + 1;
+        while (this.sectionManager.get('Section ' + index)) {
+            index++;
+        }
+        name = 'Section ' + index;
+    }
+
+    if (!this.sectionManager.add(name, planes, options)) {
+        return null;
+    }
+
+    // The section takes over the planes of the section tool
+    if (!options.plane && !options.box) {
+        this.setSectionFromPlane(null);
+    }
+    return name;
+};
+
+/**
+ * @param {string} name - Name of the section.
+ * @returns {boolean} False if there is no such section.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#removeSection
+ */
+proto.removeSection = function(name) {
+    return this.sectionManager.remove(name);
+};
+
+/**
+ * Returns copies of all named sections.
+ *
+ * @returns {object[]} Sections with their `name`, `type` ('plane' or 'box'), `planes` (THREE.Vector4),
+ *   `enabled` and `flipped` state and their `scope` (see createSection, or null if all models are cut).
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#getSections
+ */
+proto.getSections = function() {
+    return this.sectionManager.getAll();
+};
+
+/**
+ * @param {string} name - Name of the section.
+ * @param {boolean} enabled - Whether the section cuts.
+ * @returns {boolean} False if there is no such section.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#setSectionEnabled
+ */
+proto.setSectionEnabled = function(name, enabled) {
+    return this.sectionManager.setEnabled(name, enabled);
+};
+
+/**
+ * Flips a section plane, so that it cuts away the other side. Section boxes can't be flipped.
+ *
+ * @param {string} name - Name of the section.
+ * @returns {boolean} False if there is no such section plane.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#flipSection
+ */
+proto.flipSection = function(name) {
+    return this.sectionManager.flip(name);
+};
+
+/**
+ * Restricts a section to some models or objects.
+ *
+ * @param {string} name - Name of the section.
+ * @param {Array<{model: Autodesk.Viewing.Model, dbIds: number[]}>|null} scope - See createSection. Null cuts all models.
+ * @returns {boolean} False if there is no such section.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#setSectionScope
+ */
+proto.setSectionScope = function(name, scope) {
+    return this.sectionManager.setScope(name, scope);
+};
+
+/**
+ * Loads a section into the section tool, so that it can be moved with the gizmo.
+ * Editing ends when the section tool is closed or another section is edited.
+ *
+ * @param {string} name - Name of the section.
+ * @returns {boolean} False if there is no such section.
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#editSection
+ */
+proto.editSection = function(name) {
+    return this.sectionManager.edit(name);
+};
+
+/**
+ * Shows the planes of a section in the section tool, with the gizmo attached.
+ *
+ * @param {THREE.Vector4[]} planes - A single plane or the 6 planes of a box.
+ * @private
+ */
+proto.editSectionPlanes = function(planes) {
+    this.deactivate();
+    this.enableSectionTool(true);
+    this.viewer.impl.setCutPlaneSet('__set_view', planes.map(p => p.clone()), false);
+    this.tool.setSection(planes.length === 1 ? 'OBJ_SET_VIEW_PLANE' : 'BOX');
+    this.tool.attachControl(true);
+    this.activeStatus = true;
+    this.mode = planes.length === 1 ? this.calculateNearestAxis(new THREE.Vector3(planes[0].x, planes[0].y, planes[0].z)) : 'box';
+    this.buttons[this.mode] ? .setState(AVU.Button.State.ACTIVE);
+};
+
+/**
+ * Shows or hides the panel that lists the named sections.
+ *
+ * @param {boolean} show
+ *
+ * @alias Autodesk.Viewing.Extensions.SectionExtension#showSectionsPanel
+ */
+proto.showSectionsPanel = function(show) {
+    if (show && !this.sectionsPanel) {
+        this.sectionsPanel = new SectionsPanel(this, this.viewer.container.id + 'SectionsPanel');
+    }
+    this.sectionsPanel ? .setVisible(show);
+};
+
 /**
  * Invoked when the context menu is about to be created.
  * Adds additional entries to the context menu.
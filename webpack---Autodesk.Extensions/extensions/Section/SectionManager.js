@@ -0,0 +1,355 @@
+const av = Autodesk.Viewing;
+
+// Each section has its own cutplane set, named by this prefix and the section name.
+const CUT_PLANE_SET_PREFIX = 'Autodesk.Section.Sections:';
+
+export const SectionManagerEvents = {
+    SECTIONS_CHANGED: 'sectionsChanged'
+};
+
+// Converts a scope of the public API ([{ model, dbIds }]) into the scope of a cutplane set ({ modelId: true | dbIds }).
+function toCutPlaneSetScope(scope) {
+    if (!scope) {
+        return null;
+    }
+
+    const result = {};
+    scope.forEach(entry => {
+        result[entry.model.id] = entry.dbIds ? entry.dbIds.slice() : true;
+    });
+    return result;
+}
+
+function copyScope(scope) {
+    return scope ? scope.map(entry => ({
+        model: entry.model,
+        dbIds: entry.dbIds ? entry.dbIds.slice() : null
+    })) : null;
+}
+
+/**
+ * Manages named section planes and boxes, which are applied at the same time.
+ *
+ * Each section cuts with its own cutplane set, so that it can be enabled and scoped independently.
+ * A section is edited by loading it into the SectionTool, which provides the gizmo.
+ *
+ * @private
+ */
+export class SectionManager {
+
+    // @param {SectionExtension} extension
+    constructor(extension) {
+        this.extension = extension;
+        this.viewer = extension.viewer;
+
+        // Sections in creation order. Each one is { name, type, planes, enabled, flipped, scope }.
+        this.sections = [];
+
+        // Section that is currently loaded into the SectionTool.
+        this.editing = null;
+
+        this._onCutPlanesChanged = this._onCutPlanesChanged.bind(this);
+        this.viewer.addEventListener(av.CUTPLANES_CHANGE_EVENT, this._onCutPlanesChanged);
+
+        av.EventDispatcher.prototype.apply(this);
+    }
+
+    destroy() {
+        this.stopEditing();
+        this.removeAll();
+        this.viewer.removeEventListener(av.CUTPLANES_CHANGE_EVENT, this._onCutPlanesChanged);
+    }
+
+    _getCutPlaneSetName(section) {
+        return CUT_PLANE_SET_PREFIX + section.name;
+    }
+
+    _getToolCutPlaneSetName() {
+        return this.extension.tool.getCutPlaneSetName();
+    }
+
+    _fireChanged() {
+        this.dispatchEvent({
+            type: SectionManagerEvents.SECTIONS_CHANGED
+        });
+    }
+
+    // Updates the cutplane set of a section.
+    _apply(section) {
+        const name = this._getCutPlaneSetName(section);
+        const active = section.enabled && section !== this.editing;
+        this.viewer.impl.setCutPlaneSetScope(name, toCutPlaneSetScope(section.scope), false);
+        this.viewer.impl.setCutPlaneSet(name, active ? section.planes.map(p => p.clone()) : null);
+    }
+
+    // Keeps the edited section in sync with the SectionTool.
+    _onCutPlanesChanged() {
+        const section = this.editing;
+        if (!section) {
+            return;
+        }
+
+        const planes = this.extension.tool.getSectionPlaneSet();
+        if (planes.length) {
+            section.planes = planes.map(p => p.clone());
+        } else {
+            // The section tool was closed: Continue to cut with the section's own set.
+            this.stopEditing();
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object|undefined} The section with the given name.
+     */
+    get(name) {
+        return this.sections.find(section => section.name === name);
+    }
+
+    /**
+     * @returns {object[]} Copies of all sections, see add().
+     */
+    getAll() {
+        return this.sections.map(section => ({
+            name: section.name,
+            type: section.type,
+            planes: section.planes.map(p => p.clone()),
+            enabled: section.enabled,
+            flipped: section.flipped,
+            scope: copyScope(section.scope)
+        }));
+    }
+
+    /**
+     * Adds a section.
+     *
+     * @param {string} name - Unique name of the section.
+     * @param {THREE.Vector4[]} planes - A single plane, or the 6 planes of a box.
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true]
+     * @param {boolean} [options.flipped=false] - Only used to track the state, the planes are expected to be flipped already.
+     * @param {Array<{model: Autodesk.Viewing.Model, dbIds: number[]}>|null} [options.scope] - Models and objects cut by the section.
+     *  If dbIds are omitted, the whole model is cut. Null cuts all models.
+     * @returns {boolean} False if the name is taken or the planes are invalid.
+     */
+    add(name, planes, options = {}) {
+        if (!name || this.get(name) || !Array.isArray(planes) || (planes.length !== 1 && planes.length !== 6)) {
+            return false;
+        }
+
+        const section = {
+            name,
+            type: planes.length === 1 ? 'plane' : 'box',
+            planes: planes.map(p => new THREE.Vector4(p.x, p.y, p.z, p.w)),
+            enabled: options.enabled !== false,
+            flipped: !!options.flipped,
+            scope: copyScope(options.scope)
+        };
+
+        this.sections.push(section);
+        this._apply(section);
+        this._fireChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} False if there is no such section.
+     */
+    remove(name) {
+        const section = this.get(name);
+        if (!section) {
+            return false;
+        }
+
+        if (section === this.editing) {
+            this.stopEditing();
+        }
+
+        const setName = this._getCutPlaneSetName(section);
+        this.viewer.impl.setCutPlaneSetScope(setName, null, false);
+        this.viewer.impl.setCutPlaneSet(setName, null);
+
+        this.sections.splice(this.sections.indexOf(section), 1);
+        this._fireChanged();
+        return true;
+    }
+
+    removeAll() {
+        this.sections.slice().forEach(section => this.remove(section.name));
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} enabled
+     * @returns {boolean} False if there is no such section.
+     */
+    setEnabled(name, enabled) {
+        const section = this.get(name);
+        if (!section) {
+            return false;
+        }
+
+        section.enabled = !!enabled;
+        if (section === this.editing && !section.enabled) {
+            this.stopEditing();
+        } else {
+            this._apply(section);
+        }
+        this._fireChanged();
+        return true;
+    }
+
+    /**
+     * Flips a section plane, so that it cuts the other side.
+     * Section boxes can't be flipped, because cutting their interior applies to all cutplanes at once.
+     *
+     * @param {string} name
+     * @returns {boolean} False if there is no such section plane.
+     */
+    flip(name) {
+        const section = this.get(name);
+        if (!section || section.type !== 'plane') {
+            return false;
+        }
+
+        const editing = section === this.editing;
+        if (editing) {
+            this.stopEditing();
+        }
+
+        section.planes.forEach(p => p.negate());
+        section.flipped = !section.flipped;
+
+        if (editing) {
+            this.edit(name);
+        } else {
+            this._apply(section);
+        }
+        this._fireChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Array<{model: Autodesk.Viewing.Model, dbIds: number[]}>|null} scope - See add().
+     * @returns {boolean} False if there is no such section.
+     */
+    setScope(name, scope) {
+        const section = this.get(name);
+        if (!section) {
+            return false;
+        }
+
+        section.scope = copyScope(scope);
+        if (section === this.editing) {
+            this.viewer.impl.setCutPlaneSetScope(this._getToolCutPlaneSetName(), toCutPlaneSetScope(section.scope));
+        } else {
+            this._apply(section);
+        }
+        this._fireChanged();
+        return true;
+    }
+
+    /**
+     * Loads a section into the SectionTool, so that it can be moved with the gizmo.
+     * Editing stops when another section is edited, or when the SectionTool is closed.
+     *
+     * @param {string} name
+     * @returns {boolean} False if there is no such section.
+     */
+    edit(name) {
+        const section = this.get(name);
+        if (!section) {
+            return false;
+        }
+
+        this.stopEditing();
+
+        // While editing, the section cuts with the tool's set instead of its own.
+        section.enabled = true;
+        const setName = this._getCutPlaneSetName(section);
+        this.viewer.impl.setCutPlaneSet(setName, null, false);
+        this.viewer.impl.setCutPlaneSetScope(this._getToolCutPlaneSetName(), toCutPlaneSetScope(section.scope), false);
+
+        this.extension.editSectionPlanes(section.planes);
+
+        this.editing = section;
+        this._fireChanged();
+        return true;
+    }
+
+    /**
+     * Stops editing the current section and unloads it from the SectionTool.
+     */
+    stopEditing() {
+        const section = this.editing;
+        if (!section) {
+            return;
+        }
+
+        const planes = this.extension.tool.getSectionPlaneSet();
+        if (planes.length) {
+            section.planes = planes.map(p => p.clone());
+        }
+
+        this.editing = null;
+        this.viewer.impl.setCutPlaneSetScope(this._getToolCutPlaneSetName(), null, false);
+        this.extension.setSectionFromPlane(null);
+
+        this._apply(section);
+        this._fireChanged();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} True if the section is currently loaded into the SectionTool.
+     */
+    isEditing(name) {
+        return !!this.editing && this.editing.name === name;
+    }
+
+    /**
+     * @returns {object[]} Sections as plain objects for the viewer state. Scopes refer to models by seed urn.
+     */
+    getState() {
+        const viewerState = this.viewer.viewerState;
+        return this.sections.map(section => ({
+            name: section.name,
+            type: section.type,
+            planes: section.planes.map(p => p.toArray()),
+            enabled: section.enabled,
+            flipped: section.flipped,
+            scope: section.scope ? section.scope.map(entry => ({
+                seedUrn: viewerState.getSeedUrn(entry.model),
+                dbIds: entry.dbIds ? entry.dbIds.slice() : null
+            })) : null
+        }));
+    }
+
+    /**
+     * Replaces all sections by the ones of a viewer state. Scopes of models that are not loaded are dropped.
+     *
+     * @param {object[]} sections - See getState().
+     */
+    restoreState(sections) {
+        const viewerState = this.viewer.viewerState;
+
+        this.stopEditing();
+        this.removeAll();
+
+        sections.forEach(state => {
+            const planes = (state.planes || []).map(p => new THREE.Vector4().fromArray(p));
+            const scope = state.scope ? state.scope.map(entry => ({
+                model: viewerState.getVisibleModel(entry.seedUrn),
+                dbIds: entry.dbIds
+            })).filter(entry => entry.model) : null;
+
+            this.add(state.name, planes, {
+                enabled: state.enabled,
+                flipped: state.flipped,
+                scope
+            });
+        });
+    }
+}
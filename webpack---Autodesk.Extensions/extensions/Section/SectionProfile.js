@@ -0,0 +1,277 @@
+const avp = Autodesk.Viewing.Private;
+
+// Layer of objects without a value for the layer property.
+const DEFAULT_LAYER = 'Default';
+
+// Fractional digits of the exported coordinates.
+const PRECISION = 6;
+
+// DXF $INSUNITS codes by model unit.
+const DXF_UNITS = {
+    'in': 1,
+    'ft': 2,
+    'mm': 4,
+    'cm': 5,
+    'm': 6
+};
+
+// Units that can be used for the size of an SVG document.
+const SVG_UNITS = ['mm', 'cm', 'in', 'pt'];
+
+function formatNumber(value) {
+    return String(+value.toFixed(PRECISION));
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Converts the stitched contours of an EdgeSet into polylines.
+function getPolylines(eset, offset) {
+    const pts = eset.verts.pts;
+    const polylines = [];
+    for (let i = 0; i < eset.contours.length; i++) {
+        const contour = eset.contours[i];
+        if (contour.length < 2) {
+            continue;
+        }
+
+        const closed = contour.length > 2 && contour[0] === contour[contour.length - 1];
+        const count = closed ? contour.length - 1 : contour.length;
+        const points = new Array(count);
+        for (let j = 0; j < count; j++) {
+            const pt = pts[contour[j]];
+            points[j] = new THREE.Vector2(pt.x + offset.x, pt.y + offset.y);
+        }
+
+        polylines.push({
+            points,
+            closed
+        });
+    }
+    return polylines;
+}
+
+// Resolves the layer names of the given objects of a model from the property database.
+function getLayers(model, dbIds, propertyName) {
+    return new Promise((resolve) => {
+        const layers = {};
+        const onDone = (results) => {
+            for (let i = 0; i < results.length; i++) {
+                const prop = results[i].properties[0];
+                if (prop && prop.displayValue !== '' && prop.displayValue !== null && prop.displayValue !== undefined) {
+                    layers[results[i].dbId] = String(prop.displayValue);
+                }
+            }
+            resolve(layers);
+        };
+
+        // Objects without properties end up on the default layer.
+        const onError = () => resolve(layers);
+
+        model.getBulkProperties2(dbIds, {
+            propFilter: [propertyName],
+            ignoreHidden: false
+        }, onDone, onError);
+    });
+}
+
+/**
+ * Computes the 2D profile of all visible objects cut by a plane.
+ *
+ * The profile is in plane coordinates: The plane is rotated into the XY plane, so that the plane normal points to the viewer.
+ * Coordinates are in model units and relative to the model origin (i.e. the global offset is removed).
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer - Viewer instance.
+ * @param {THREE.Plane} plane - Cut plane in viewer coordinates.
+ * @param {object} [options]
+ * @param {string} [options.layerProperty='Category'] - Property that defines the layer of an object.
+ * @returns {Promise<object>} Resolves to the profile with
+ *   `objects` - Array of { modelId, dbId, layer, polylines }, where each polyline is { points: THREE.Vector2[], closed: boolean },
+ *   `layers` - Sorted layer names,
+ *   `bounds` - THREE.Box2 of all polylines,
+ *   `units` - Unit string of the coordinates, or null if unknown,
+ *   `toPlaneCoords` - THREE.Matrix4 from viewer to plane coordinates (without the global offset).
+ * @private
+ */
+export function computeSectionProfile(viewer, plane, options = {}) {
+    const cg = Autodesk.Viewing.Extensions.CompGeom;
+    const layerProperty = options.layerProperty || 'Category';
+
+    const models = viewer.impl.modelQueue().getModels().filter(m => !m.is2d() && !m.getDoNotCut());
+    const toPlaneCoords = cg.makePlaneBasis(plane);
+
+    // Shift to model coordinates in the plane.
+    const globalOffset = models[0] ? .getData().globalOffset;
+    const offset = new THREE.Vector3();
+    if (globalOffset) {
+        const origin = new THREE.Vector3().applyMatrix4(toPlaneCoords);
+        offset.set(globalOffset.x, globalOffset.y, globalOffset.z).applyMatrix4(toPlaneCoords).sub(origin);
+    }
+
+    const objects = [];
+    const dbIdsByModel = {};
+
+    return new Promise((resolve) => {
+        const fragIterator = new avp.FragmentIterator();
+        const box = new THREE.Box3();
+        const matrixWorld = new THREE.Matrix4();
+        const intersects = [];
+
+        fragIterator.start(models, (fragId, dbId, model, lastFrag) => {
+            const frags = model.getFragmentList();
+            if (frags.isFragVisible(fragId)) {
+                frags.getWorldBounds(fragId, box);
+                if (cg.xBoxPlane(plane, box)) {
+                    const geometry = frags.getGeometry(fragId);
+                    const material = frags.getMaterial(fragId);
+                    if (geometry && !geometry.is2d && !geometry.isLines && material ? .cutplanes) {
+                        frags.getWorldMatrix(fragId, matrixWorld);
+                        cg.xMeshPlane(plane, {
+                            geometry,
+                            matrixWorld,
+                            fragId
+                        }, intersects);
+                    }
+                }
+            }
+
+            if (!lastFrag || !intersects.length) {
+                return;
+            }
+
+            const bbox = new THREE.Box3();
+            cg.convertToPlaneCoords(toPlaneCoords, intersects, bbox);
+
+            const eset = new cg.EdgeSet(intersects, bbox, bbox.getSize(new THREE.Vector3()).length() * 1e-6);
+            eset.snapEdges();
+            eset.sanitizeEdges();
+            eset.stitchContours();
+
+            const polylines = getPolylines(eset, offset);
+            if (polylines.length) {
+                objects.push({
+                    modelId: model.id,
+                    dbId,
+                    layer: DEFAULT_LAYER,
+                    polylines
+                });
+                (dbIdsByModel[model.id] = dbIdsByModel[model.id] || []).push(dbId);
+            }
+
+            intersects.length = 0;
+        }, resolve);
+    }).then(() => {
+        const promises = models.filter(model => dbIdsByModel[model.id]).map(model => {
+            return getLayers(model, dbIdsByModel[model.id], layerProperty).then(layers => {
+                objects.forEach(object => {
+                    if (object.modelId === model.id && layers[object.dbId]) {
+                        object.layer = layers[object.dbId];
+                    }
+                });
+            });
+        });
+        return Promise.all(promises);
+    }).then(() => {
+        const bounds = new THREE.Box2();
+        const layers = new Set();
+        objects.forEach(object => {
+            layers.add(object.layer);
+            object.polylines.forEach(polyline => polyline.points.forEach(point => bounds.expandByPoint(point)));
+        });
+
+        return {
+            objects,
+            layers: Array.from(layers).sort(),
+            bounds,
+            units: models[0] ? .getUnitString() || null,
+            toPlaneCoords
+        };
+    });
+}
+
+/**
+ * Writes a section profile as SVG document with one group per layer.
+ *
+ * @param {object} profile - Result of computeSectionProfile.
+ * @returns {string} SVG document.
+ * @private
+ */
+export function exportSectionProfileSVG(profile) {
+    const bounds = profile.bounds;
+    const size = bounds.isEmpty() ? new THREE.Vector2() : bounds.getSize(new THREE.Vector2());
+    const units = SVG_UNITS.indexOf(profile.units) !== -1 ? profile.units : '';
+
+    // SVG's y-axis points down, so the profile gets flipped.
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(size.x)}${units}" height="${formatNumber(size.y)}${units}" ` +
+        `viewBox="${bounds.isEmpty() ? '0 0 0 0' : [bounds.min.x, -bounds.max.y, size.x, size.y].map(formatNumber).join(' ')}">`,
+        '<g transform="scale(1,-1)" fill="none" stroke="black" stroke-width="1">'
+    ];
+
+    profile.layers.forEach(layer => {
+        lines.push(`<g id="layer-${layer.replace(/[^\w-]/g, '_')}" data-layer="${escapeXml(layer)}">`);
+        profile.objects.forEach(object => {
+            if (object.layer !== layer) {
+                return;
+            }
+            const path = object.polylines.map(polyline => {
+                const points = polyline.points.map(p => `${formatNumber(p.x)} ${formatNumber(p.y)}`);
+                return `M${points.join('L')}${polyline.closed ? 'Z' : ''}`;
+            }).join('');
+            lines.push(`<path data-model-id="${object.modelId}" data-dbid="${object.dbId}" vector-effect="non-scaling-stroke" d="${path}"/>`);
+        });
+        lines.push('</g>');
+    });
+
+    lines.push('</g>', '</svg>');
+    return lines.join('\n');
+}
+
+// DXF layer names must not contain any of <>/\":;?*|=`
+function getDxfLayerName(layer) {
+    return layer.replace(/[<>/\\":;?*|=`]/g, '_');
+}
+
+/**
+ * Writes a section profile as ASCII DXF (R12) with one layer per profile layer.
+ *
+ * @param {object} profile - Result of computeSectionProfile.
+ * @returns {string} DXF document.
+ * @private
+ */
+export function exportSectionProfileDXF(profile) {
+    const lines = [];
+    const add = (...groups) => lines.push(...groups);
+
+    add('0', 'SECTION', '2', 'HEADER');
+    add('9', '$ACADVER', '1', 'AC1009');
+    add('9', '$INSUNITS', '70', String(DXF_UNITS[profile.units] || 0));
+    add('0', 'ENDSEC');
+
+    add('0', 'SECTION', '2', 'TABLES');
+    add('0', 'TABLE', '2', 'LAYER', '70', String(profile.layers.length));
+    profile.layers.forEach((layer, i) => {
+        // Cycle through the standard colors 1-7.
+        add('0', 'LAYER', '2', getDxfLayerName(layer), '70', '0', '62', String(i % 7 + 1), '6', 'CONTINUOUS');
+    });
+    add('0', 'ENDTAB');
+    add('0', 'ENDSEC');
+
+    add('0', 'SECTION', '2', 'ENTITIES');
+    profile.objects.forEach(object => {
+        const layer = getDxfLayerName(object.layer);
+        object.polylines.forEach(polyline => {
+            add('0', 'POLYLINE', '8', layer, '66', '1', '70', polyline.closed ? '1' : '0', '10', '0', '20', '0', '30', '0');
+            polyline.points.forEach(p => {
+                add('0', 'VERTEX', '8', layer, '10', formatNumber(p.x), '20', formatNumber(p.y), '30', '0');
+            });
+            add('0', 'SEQEND', '8', layer);
+        });
+    });
+    add('0', 'ENDSEC');
+    add('0', 'EOF');
+
+    return lines.join('\n') + '\n';
+}
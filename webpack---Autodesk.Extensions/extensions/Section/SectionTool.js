@@ -20,6 +20,7 @@ var avp = Autodesk.Viewing.Private;
  * @param {Object} config - Configuration values
  * @param {Object} options.tintColor - Object containing attributes r, g, b in the range [0..1]
  * @param {Number} options.tintIntensity - Value range [0..1]
+ * @param {boolean} [options.capHatchPattern=true] - Whether the section caps are hatched or filled with the tint color only.
  * @param {Number} [options.gizmoOffsetRight] - Right bound for the gizmo position in pixel
  * @param {Number} [options.gizmoOffsetLeft] - Left bound for the gizmo position in pixel
  * @param {Number} [options.gizmoOffsetTop] - Top bound for the gizmo position in pixel
@@ -66,6 +67,8 @@ export var SectionTool = function(viewer, options) {
     var _selectionColor = 0x287EEA;
 
     var _displaySectionHatches = true;
+    var _capHatchPattern = options.capHatchPattern !== false;
+    var _capColors = {}; // Cap colors by model id and dbId, see setCapColor.
 
     let _transform, _inverseTransform, _normalMatrix, _inverseNormalMatrix;
 
@@ -280,6 +283,61 @@ export var SectionTool = function(viewer, options) {
         c.b = mix(c.b, tc.b, intensity);
     }*/
 
+    // Returns the tint of the cap of an object: Its cap color, its theming color or the default tint.
+    function getCapTint(model, dbId) {
+        const capColor = _capColors[model.id] ? .[dbId];
+        if (capColor) {
+            return {
+                color: capColor,
+                intensity: 1.0
+            };
+        }
+
+        const themingColor = model.getFragmentList().db2ThemingColor[dbId];
+        if (themingColor) {
+            return {
+                color: new THREE.Color(themingColor.x, themingColor.y, themingColor.z),
+                intensity: themingColor.w
+            };
+        }
+
+        return {
+            color: new THREE.Color(_tintColor.r, _tintColor.g, _tintColor.b),
+            intensity: _tintIntensity
+        };
+    }
+
+    // Rebuilds the cap meshes of the current section plane, e.g. after changing the cap style.
+    function refreshCapMeshes() {
+        if (_sectionPlanes.length === 1 && _viewer.scene.getObjectByName("section3D")) {
+            updateCapMeshes(new THREE.Plane().setComponents(_sectionPlanes[0].x, _sectionPlanes[0].y, _sectionPlanes[0].z, _sectionPlanes[0].w));
+        }
+    }
+
+    // Returns whether an object is cut by our cutplane set, see Viewer3DImpl.setCutPlaneSetScope.
+    //  @param {Object|null} scope - Scope of our cutplane set
+    //  @param {Object}      scopedIds - Sets of the scoped dbIds by model id
+    function isInScope(scope, scopedIds, model, dbId) {
+        if (!scope || scope[model.id] === true) {
+            return true;
+        }
+
+        const dbIds = scopedIds[model.id];
+        if (!dbIds) {
+            return false;
+        }
+
+        // Children of scoped objects are cut as well
+        const instanceTree = model.getInstanceTree();
+        while (dbId !== undefined && dbId !== null && dbId > 0) {
+            if (dbIds.has(dbId)) {
+                return true;
+            }
+            dbId = instanceTree ? instanceTree.getNodeParentId(dbId) : undefined;
+        }
+        return false;
+    }
+
     // Use the same fragment iterator for all fragments
     var _fragIterator = new avp.FragmentIterator({
         delay: 50
@@ -326,10 +384,20 @@ export var SectionTool = function(viewer, options) {
 
         var box = new THREE.Box3();
 
-        var models = _viewer.modelQueue().getModels().filter(m => !m.getDoNotCut());
+        // If our cutplane set is scoped, only objects in scope get caps
+        var scope = _viewer.getCutPlaneSetScope(_ownCutPlaneSet);
+        var scopedIds = {};
+        for (var modelId in scope) {
+            if (Array.isArray(scope[modelId])) {
+                scopedIds[modelId] = new Set(scope[modelId]);
+            }
+        }
+
+        var models = _viewer.modelQueue().getModels().filter(m => !m.getDoNotCut() && (!scope || scope[m.id]));
 
         var intersects = [];
         var material;
+        var intersectedFragId;
         const matrixWorld = new THREE.Matrix4();
 
         // Start iterating the fragments
@@ -337,7 +405,7 @@ export var SectionTool = function(viewer, options) {
 
             // Collect intersections for this fragment
             var frags = model.getFragmentList();
-            if (frags.isFragVisible(fragId)) {
+            if (frags.isFragVisible(fragId) && isInScope(scope, scopedIds, model, dbId)) {
                 frags.getWorldBounds(fragId, box);
                 if (cg.xBoxPlane(plane, box)) {
                     const geometry = frags.getGeometry(fragId);
@@ -345,6 +413,7 @@ export var SectionTool = function(viewer, options) {
 
                     if (geometry && !geometry.is2d && !geometry.isLines && _material.cutplanes) {
                         material = _material;
+                        intersectedFragId = fragId;
                         frags.getWorldMatrix(fragId, matrixWorld);
                         cg.xMeshPlane(plane, {
                             geometry,
@@ -453,16 +522,17 @@ export var SectionTool = function(viewer, options) {
                                 var materialId = material.id + 2;
                                 var angle = materialId * Math.PI * 0.125;
                                 var tan = Math.tan(angle);
-                                mat.hatchParams = new THREE.Vector2(tan, 10.0);
-                                mat.hatchTintColor = new THREE.Color(_tintColor.r, _tintColor.g, _tintColor.b);
-                                mat.hatchTintIntensity = _tintIntensity;
+                                var tint = getCapTint(model, dbId);
+                                mat.hatchParams = new THREE.Vector2(tan, _capHatchPattern ? 10.0 : 0.0); // A period of 0 disables the hatch lines.
+                                mat.hatchTintColor = tint.color;
+                                mat.hatchTintIntensity = tint.intensity;
 
                                 var capmesh = new THREE.Mesh(bg, mat);
                                 capmesh.matrix.copy(fromPaneCoords);
                                 capmesh.matrixAutoUpdate = false;
                                 capmesh.modelId = model.id; // So we can look it up later
                                 capmesh.dbId = dbId;
-                                capmesh.fragId = intersects.fragId;
+                                capmesh.fragId = intersectedFragId;
 
                                 section3D.add(capmesh);
                             }
@@ -487,6 +557,10 @@ export var SectionTool = function(viewer, options) {
     // We use an own cut plane set to distinguish our own cut planes from others.
     var _ownCutPlaneSet = 'Autodesk.Viewing.Extension.Section.SectionTool';
 
+    this.getCutPlaneSetName = function() {
+        return _ownCutPlaneSet;
+    };
+
     // Make sure that the viewer always uses the SectionTool's plane to adjust 2D rendering resolution.
     _viewer.setCutPlaneSetFor2DRendering(_ownCutPlaneSet);
 
@@ -1123,6 +1197,46 @@ export var SectionTool = function(viewer, options) {
         _displaySectionHatches = value;
     };
 
+    /**
+     * Sets whether the section caps are hatched or filled with their tint color only.
+     * @param {boolean} enable - true to hatch the section caps.
+     */
+    this.setCapHatchPattern = function(enable) {
+        if (_capHatchPattern !== !!enable) {
+            _capHatchPattern = !!enable;
+            refreshCapMeshes();
+        }
+    };
+
+    /**
+     * Sets the color of the section cap of an object. Objects without a cap color use their theming color, if any.
+     * @param {number} dbId - Object id.
+     * @param {THREE.Color|null} color - Cap color, or null to restore the default.
+     * @param {Autodesk.Viewing.Model} model - Model of the object.
+     */
+    this.setCapColor = function(dbId, color, model) {
+        const colors = _capColors[model.id] || (_capColors[model.id] = {});
+        if (color) {
+            colors[dbId] = color.clone();
+        } else {
+            delete colors[dbId];
+        }
+        refreshCapMeshes();
+    };
+
+    /**
+     * Restores the default color of all section caps.
+     * @param {Autodesk.Viewing.Model} [model] - Only restore the caps of this model.
+     */
+    this.clearCapColors = function(model) {
+        if (model) {
+            delete _capColors[model.id];
+        } else {
+            _capColors = {};
+        }
+        refreshCapMeshes();
+    };
+
     this.clearCapMeshes = function() {
         _removeSections();
     };
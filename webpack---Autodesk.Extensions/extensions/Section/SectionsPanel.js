@@ -0,0 +1,136 @@
+import {
+    SectionManagerEvents
+} from './SectionManager';
+
+const av = Autodesk.Viewing;
+const avu = Autodesk.Viewing.UI;
+
+// DockingPanel is undefined in headless mode, see CalibrationPanels.js
+const DockingPanel = (avu && avu.DockingPanel) || class {};
+
+const _gDocument = av.getGlobal().document;
+
+/**
+ * Lists the named sections of the SectionExtension. Each section can be enabled, flipped, edited with the gizmo and removed.
+ *
+ * @param {SectionExtension} extension
+ * @param {string} id - The id for this panel.
+ * @param {object} [options] - An optional dictionary of options.
+ * @private
+ */
+export function SectionsPanel(extension, id, options = {}) {
+    this.extension = extension;
+    this.viewer = extension.viewer;
+    this.manager = extension.sectionManager;
+
+    options.addFooter = false;
+
+    DockingPanel.call(this, this.viewer.container, id, 'Sections', options);
+    this.container.classList.add('sections-panel');
+    this.container.style.top = '10px';
+    this.container.style.left = '10px';
+
+    this.setGlobalManager && this.setGlobalManager(this.viewer.globalManager);
+
+    this.createScrollContainer({
+        heightAdjustment: 70,
+        marginTop: 0,
+        left: false
+    });
+
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+
+    this.table = _document.createElement('table');
+    this.table.className = 'adsk-lmv-tftable sections-table';
+    this.tbody = _document.createElement('tbody');
+    this.table.appendChild(this.tbody);
+    this.scrollContainer.appendChild(this.table);
+
+    // Adds the current section of the SectionTool as a new section
+    const addButton = _document.createElement('div');
+    addButton.classList.add('docking-panel-primary-button');
+    addButton.setAttribute('data-i18n', 'Add section');
+    addButton.textContent = av.i18n.translate('Add section');
+    this.addEventListener(addButton, 'click', () => {
+        this.extension.createSection();
+    });
+    this.scrollContainer.appendChild(addButton);
+
+    this.update = this.update.bind(this);
+    this.manager.addEventListener(SectionManagerEvents.SECTIONS_CHANGED, this.update);
+
+    this.update();
+}
+
+SectionsPanel.prototype = Object.create(DockingPanel.prototype);
+SectionsPanel.prototype.constructor = SectionsPanel;
+
+/**
+ * Clean up when the panel is about to be removed.
+ *
+ * @override
+ */
+SectionsPanel.prototype.uninitialize = function() {
+    this.manager.removeEventListener(SectionManagerEvents.SECTIONS_CHANGED, this.update);
+
+    DockingPanel.prototype.uninitialize.call(this);
+
+    this.extension = null;
+    this.viewer = null;
+    this.manager = null;
+    this.table = null;
+    this.tbody = null;
+};
+
+/**
+ * @param {string} label
+ * @param {function} onClick
+ * @returns {HTMLElement}
+ * @private
+ */
+SectionsPanel.prototype.createButton = function(label, onClick) {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+    const button = _document.createElement('div');
+    button.classList.add('docking-panel-tertiary-button');
+    button.setAttribute('data-i18n', label);
+    button.textContent = av.i18n.translate(label);
+    button.addEventListener('click', onClick, false);
+    return button;
+};
+
+/**
+ * Rebuilds the list of sections.
+ */
+SectionsPanel.prototype.update = function() {
+    const _document = (this.getDocument && this.getDocument()) || _gDocument;
+
+    while (this.tbody.rows.length) {
+        this.tbody.deleteRow(0);
+    }
+
+    this.manager.getAll().forEach((section, index) => {
+        const row = this.tbody.insertRow(index);
+
+        const enabled = _document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = section.enabled;
+        enabled.addEventListener('change', () => {
+            this.manager.setEnabled(section.name, enabled.checked);
+        }, false);
+        row.insertCell(0).appendChild(enabled);
+
+        const label = _document.createElement('div');
+        label.textContent = section.name;
+        label.style.fontWeight = this.manager.isEditing(section.name) ? 'bold' : '';
+        row.insertCell(1).appendChild(label);
+
+        const buttons = row.insertCell(2);
+        buttons.appendChild(this.createButton('Edit', () => this.manager.edit(section.name)));
+        if (section.type === 'plane') {
+            buttons.appendChild(this.createButton('Flip', () => this.manager.flip(section.name)));
+        }
+        buttons.appendChild(this.createButton('Delete', () => this.manager.remove(section.name)));
+    });
+
+    this.resizeToContent();
+};
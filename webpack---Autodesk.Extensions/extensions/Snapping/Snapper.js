@@ -682,6 +682,10 @@ export function Snapper(viewer, options) {
                     geometry,
                     matrixWorld
                 })) {
+                // Same as for topology faces, so the rest of the mesh can be looked up from the face.
+                if (_snapResult.geomFace) {
+                    _snapResult.geomFace.fragId = fragId;
+                }
                 break;
             }
         }
@@ -112,6 +112,14 @@ var externalExtensions = [
         src: './extensions/VisualClusters/VisualClusters.js',
         ids: ['Autodesk.VisualClusters']
     },
+    {
+        src: './extensions/ClashDetection/ClashDetection.js',
+        ids: ['Autodesk.ClashDetection']
+    },
+    {
+        src: './extensions/AnimationAuthoring/AnimationAuthoring.js',
+        ids: ['Autodesk.AnimationAuthoring']
+    },
     {
         src: './extensions/Moldflow/Moldflow.js',
         ids: ['Autodesk.Moldflow'],
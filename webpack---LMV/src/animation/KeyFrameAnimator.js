@@ -16,6 +16,9 @@ import {
 import {
     PolylineAnimation
 } from "./type/PolylineAnimation";
+import {
+    ThemingAnimation
+} from "./type/ThemingAnimation";
 import {
     GlobalManagerMixin
 } from '../application/GlobalManagerMixin';
@@ -102,6 +105,9 @@ KeyFrameAnimator.prototype.add = function(animation) {
     } else if (animation.type === "visibility") {
         anim = new VisibilityAnimation(animation, animation.id, that);
         that.animations.push(anim);
+    } else if (animation.type === "theming") {
+        anim = new ThemingAnimation(animation, animation.id, that);
+        that.animations.push(anim);
     }
 
     that.animations.forEach(anim => anim.setGlobalManager(this.globalManager));
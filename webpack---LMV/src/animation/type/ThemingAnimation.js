@@ -0,0 +1,72 @@
+import * as THREE from "three";
+import {
+    Animation
+} from '../Animation';
+
+/**
+ * Animates the theming color of a node. Keys have a "color" of [r, g, b, intensity], all in [0,1].
+ * An intensity of 0 removes the theming color.
+ */
+export function ThemingAnimation(data, nodeId, animator) {
+    Animation.call(this, {}, data, animator);
+
+    this.nodeId = nodeId;
+    this.model = this.viewer.model;
+}
+
+ThemingAnimation.prototype = Object.create(Animation.prototype);
+ThemingAnimation.prototype.constructor = ThemingAnimation;
+ThemingAnimation.prototype.keyTypes = ["color"];
+ThemingAnimation.prototype.defaultKey = {
+    color: 0
+};
+
+ThemingAnimation.prototype.update = function(delta) {
+    if (this.isPlaying === false) return;
+
+    this.currentTime += delta * this.timeScale;
+
+    this.resetIfLooped();
+
+    // bail out if out of range when playing
+    if (this.isPlayingOutOfRange()) return;
+
+    var animationCache = this.hierarchy[0].animationCache[this.data.name];
+    var prevKey = animationCache.prevKey["color"];
+    var nextKey = animationCache.nextKey["color"];
+
+    if (nextKey.time <= this.currentTime || prevKey.time >= this.currentTime) {
+        prevKey = this.data.hierarchy[0].keys[0];
+        nextKey = this.getNextKeyWith("color", 0, 1);
+
+        while (nextKey.time < this.currentTime && nextKey.index > prevKey.index) {
+            prevKey = nextKey;
+            nextKey = this.getNextKeyWith("color", 0, nextKey.index + 1);
+        }
+        animationCache.prevKey["color"] = prevKey;
+        animationCache.nextKey["color"] = nextKey;
+    }
+
+    var prevValue = prevKey["color"];
+    var nextValue = nextKey["color"];
+    if (prevValue === undefined || nextValue === undefined) return;
+
+    var scale = nextKey.time !== prevKey.time ? (this.currentTime - prevKey.time) / (nextKey.time - prevKey.time) : 0;
+    if (scale < 0) scale = 0;
+    if (scale > 1) scale = 1;
+
+    // Fade the color in or out instead of blending from or to an undefined color
+    var from = prevValue[3] > 0 ? prevValue : [nextValue[0], nextValue[1], nextValue[2], 0];
+    var to = nextValue[3] > 0 ? nextValue : [prevValue[0], prevValue[1], prevValue[2], 0];
+
+    // The fragment list keeps the color object, so it can't be reused
+    var color = new THREE.Vector4(
+        from[0] + (to[0] - from[0]) * scale,
+        from[1] + (to[1] - from[1]) * scale,
+        from[2] + (to[2] - from[2]) * scale,
+        from[3] + (to[3] - from[3]) * scale
+    );
+
+    this.model.setThemingColor(this.nodeId, color.w > 0 ? color : null, true);
+    this.animator.updateFlag |= this.animator.UPDATE_SCENE;
+};
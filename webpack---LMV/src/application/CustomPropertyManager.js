@@ -0,0 +1,658 @@
+import * as et from "./EventTypes";
+import {
+    LocalStorage
+} from "./LocalStorage";
+import {
+    getCustomPropertyKey
+} from "../file-loaders/lmvtk/common/PropdbCustomPropertyWrapper";
+import {
+    logger
+} from "../logger/Logger";
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Types supported for custom property values.
+ *
+ * @enum {string}
+ * @alias Autodesk.Viewing.CustomPropertyType
+ */
+export const CustomPropertyType = {
+    String: 'String',
+    Boolean: 'Boolean',
+    Integer: 'Integer',
+    Double: 'Double'
+};
+
+const TrueStrings = ['true', 'yes', '1'];
+const FalseStrings = ['false', 'no', '0'];
+
+/**
+ * Converts a value to the type of a custom property definition.
+ *
+ * @param {object} definition - {name, type}
+ * @param {*} value - A value of the property type, or a string representation of it.
+ * @returns {*} The converted value, or null for empty values.
+ * @throws {Error} If the value cannot be converted.
+ * @private
+ */
+function convertValue(definition, value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        value = value.trim();
+        if (value === '') {
+            return null;
+        }
+    }
+
+    switch (definition.type) {
+        case CustomPropertyType.Boolean:
+            {
+                if (typeof value === 'boolean') {
+                    return value;
+                }
+                const text = String(value).toLowerCase();
+                if (TrueStrings.includes(text)) {
+                    return true;
+                }
+                if (FalseStrings.includes(text)) {
+                    return false;
+                }
+                break;
+            }
+        case CustomPropertyType.Integer:
+            {
+                const number = Number(value);
+                if (typeof value !== 'boolean' && Number.isInteger(number)) {
+                    return number;
+                }
+                break;
+            }
+        case CustomPropertyType.Double:
+            {
+                const number = Number(value);
+                if (typeof value !== 'boolean' && Number.isFinite(number)) {
+                    return number;
+                }
+                break;
+            }
+        default:
+            return String(value);
+    }
+    throw new Error(`Invalid ${definition.type} value for custom property "${definition.name}": ${value}`);
+}
+
+/**
+ * Holds the user-defined custom properties of a model: the property definitions and the values, keyed by externalId.
+ * Since externalIds are stable across model versions, the values also apply to later versions of the model.
+ *
+ * @param {string} [modelKey] - Identifies the model in a {@link Autodesk.Viewing.CustomPropertyStorage}.
+ *
+ * @alias Autodesk.Viewing.CustomPropertyStore
+ * @class
+ */
+export class CustomPropertyStore {
+
+    constructor(modelKey) {
+        this.modelKey = modelKey;
+        this.definitions = [];
+        this.values = {};
+    }
+
+    /**
+     * Adds a property definition, or replaces the definition with the same name and category.
+     * Existing values of a replaced definition are converted to the new type, or dropped if that fails.
+     *
+     * @param {object} definition
+     * @param {string} definition.name
+     * @param {string} [definition.category]
+     * @param {string} [definition.displayName] - Defaults to the name.
+     * @param {string} [definition.type='String'] - See {@link Autodesk.Viewing.CustomPropertyType}.
+     * @param {string} [definition.units] - Forge units id or symbol of numeric properties, e.g. 'm'.
+     * @param {number} [definition.precision]
+     * @param {boolean} [definition.hidden=false]
+     * @returns {string} The property key, 'category/name' or just the name.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#defineProperty
+     */
+    defineProperty(definition) {
+        if (!definition || !definition.name || typeof definition.name !== 'string') {
+            throw new Error('Custom property definitions require a name.');
+        }
+        const type = definition.type || CustomPropertyType.String;
+        if (!Object.prototype.hasOwnProperty.call(CustomPropertyType, type)) {
+            throw new Error(`Unsupported custom property type: ${type}`);
+        }
+
+        const def = {
+            name: definition.name,
+            category: definition.category || '',
+            displayName: definition.displayName || definition.name,
+            type: type,
+            units: definition.units || '',
+            precision: definition.precision || 0,
+            hidden: !!definition.hidden
+        };
+        const key = getCustomPropertyKey(def);
+        const index = this.definitions.findIndex(d => getCustomPropertyKey(d) === key);
+        if (index === -1) {
+            this.definitions.push(def);
+        } else {
+            this.definitions[index] = def;
+            this._forEachValue(key, (objectValues) => {
+                try {
+                    objectValues[key] = convertValue(def, objectValues[key]);
+                } catch (e) {
+                    delete objectValues[key];
+                }
+            });
+        }
+        return key;
+    }
+
+    /**
+     * Removes a property definition and all its values.
+     *
+     * @param {string} name
+     * @param {string} [category]
+     * @returns {boolean} false if there was no such property.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#removeProperty
+     */
+    removeProperty(name, category) {
+        const key = getCustomPropertyKey({
+            name,
+            category
+        });
+        const index = this.definitions.findIndex(d => getCustomPropertyKey(d) === key);
+        if (index === -1) {
+            return false;
+        }
+        this.definitions.splice(index, 1);
+        this._forEachValue(key, (objectValues) => {
+            delete objectValues[key];
+        });
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [category]
+     * @returns {object|undefined} The property definition.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#getDefinition
+     */
+    getDefinition(name, category) {
+        const key = getCustomPropertyKey({
+            name,
+            category
+        });
+        return this.definitions.find(d => getCustomPropertyKey(d) === key);
+    }
+
+    /**
+     * Finds the definition that is displayed with the given name in the given category.
+     *
+     * @param {string} displayName
+     * @param {string} [category]
+     * @returns {object|undefined} The property definition.
+     * @private
+     */
+    findDefinitionByDisplayName(displayName, category) {
+        category = category || '';
+        return this.definitions.find(d => d.displayName === displayName && d.category === category);
+    }
+
+    /**
+     * Validates and sets a property value of an object. Empty values (null, undefined, '') remove the value.
+     *
+     * @param {string} externalId
+     * @param {string} name
+     * @param {string} [category]
+     * @param {*} value - A value of the property type, or a string representation of it.
+     * @throws {Error} If the property isn't defined or if the value doesn't match the property type.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#setValue
+     */
+    setValue(externalId, name, category, value) {
+        const def = this.getDefinition(name, category);
+        if (!def) {
+            throw new Error(`Custom property "${name}" is not defined.`);
+        }
+        const key = getCustomPropertyKey(def);
+        value = convertValue(def, value);
+
+        let objectValues = this.values[externalId];
+        if (value === null) {
+            if (objectValues) {
+                delete objectValues[key];
+                if (Object.keys(objectValues).length === 0) {
+                    delete this.values[externalId];
+                }
+            }
+            return;
+        }
+        if (!objectValues) {
+            objectValues = this.values[externalId] = {};
+        }
+        objectValues[key] = value;
+    }
+
+    /**
+     * @param {string} externalId
+     * @param {string} name
+     * @param {string} [category]
+     * @returns {*} The property value of the object, or undefined if it isn't set.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#getValue
+     */
+    getValue(externalId, name, category) {
+        const objectValues = this.values[externalId];
+        return objectValues && objectValues[getCustomPropertyKey({
+            name,
+            category
+        })];
+    }
+
+    /**
+     * Removes all definitions and values.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#clear
+     */
+    clear() {
+        this.definitions = [];
+        this.values = {};
+    }
+
+    /**
+     * @returns {object} A plain object to be serialized with JSON.stringify: {version, modelKey, definitions, values}.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#toJSON
+     */
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            modelKey: this.modelKey,
+            definitions: this.definitions,
+            values: this.values
+        };
+    }
+
+    /**
+     * Replaces the content of this store with the given data. Definitions and values are validated,
+     * invalid values are dropped with a warning.
+     *
+     * @param {object|string} json - Data as returned by {@link Autodesk.Viewing.CustomPropertyStore#toJSON}, or its string representation.
+     * @throws {Error} If the data has an unsupported version or contains invalid definitions.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStore#fromJSON
+     */
+    fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported custom properties version: ${data && data.version}`);
+        }
+
+        this.clear();
+        (data.definitions || []).forEach(def => this.defineProperty(def));
+
+        const values = data.values || {};
+        for (const externalId in values) {
+            const objectValues = values[externalId];
+            for (const key in objectValues) {
+                const def = this.definitions.find(d => getCustomPropertyKey(d) === key);
+                if (!def) {
+                    logger.warn(`CustomPropertyStore: Skipping value of undefined property "${key}".`);
+                    continue;
+                }
+                try {
+                    this.setValue(externalId, def.name, def.category, objectValues[key]);
+                } catch (e) {
+                    logger.warn(`CustomPropertyStore: ${e.message}`);
+                }
+            }
+        }
+    }
+
+    _forEachValue(key, cb) {
+        for (const externalId in this.values) {
+            const objectValues = this.values[externalId];
+            if (Object.prototype.hasOwnProperty.call(objectValues, key)) {
+                cb(objectValues, externalId);
+            }
+        }
+    }
+}
+
+/**
+ * Interface of the storage backends used by {@link Autodesk.Viewing.CustomPropertyManager}.
+ * Implement it to keep custom properties in a database or a web service.
+ *
+ * @alias Autodesk.Viewing.CustomPropertyStorage
+ * @class
+ */
+export class CustomPropertyStorage {
+
+    /**
+     * @param {string} modelKey - See {@link Autodesk.Viewing.Model#getModelKey}.
+     * @returns {Promise} that resolves with the data saved for the model, or null if there is none.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStorage#load
+     */
+    load() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * @param {string} modelKey - See {@link Autodesk.Viewing.Model#getModelKey}.
+     * @param {object} json - Data as returned by {@link Autodesk.Viewing.CustomPropertyStore#toJSON}.
+     * @returns {Promise}
+     *
+     * @alias Autodesk.Viewing.CustomPropertyStorage#save
+     */
+    save() {
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Keeps custom properties in the browser's localStorage.
+ *
+ * @param {string} [prefix='Autodesk.Viewing.CustomProperties.'] - Prefix of the localStorage keys.
+ *
+ * @alias Autodesk.Viewing.LocalStorageCustomPropertyStorage
+ * @class
+ */
+export class LocalStorageCustomPropertyStorage extends CustomPropertyStorage {
+
+    constructor(prefix) {
+        super();
+        this.prefix = prefix || 'Autodesk.Viewing.CustomProperties.';
+    }
+
+    load(modelKey) {
+        const data = LocalStorage.getItem(this.prefix + modelKey);
+        return Promise.resolve(data ? JSON.parse(data) : null);
+    }
+
+    save(modelKey, json) {
+        LocalStorage.setItem(this.prefix + modelKey, JSON.stringify(json));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Manages user-defined custom properties of the models in a viewer. The properties are attached to the
+ * property database of a model, so that they show up in the property panel and take part in search and
+ * property queries (see {@link Autodesk.Viewing.Model#queryProperties}).
+ *
+ * Values are keyed by externalId. If a storage is set, they are saved per {@link Autodesk.Viewing.Model#getModelKey}
+ * and loaded again when a model with the same key is opened.
+ *
+ * @example
+ *   const manager = viewer.customProperties;
+ *   manager.setStorage(new Autodesk.Viewing.LocalStorageCustomPropertyStorage());
+ *   manager.getStore(model).defineProperty({ name: 'Status', category: 'Review', type: 'String' });
+ *   await manager.setValue(model, dbId, 'Status', 'Review', 'Approved');
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ *
+ * @alias Autodesk.Viewing.CustomPropertyManager
+ * @class
+ */
+export class CustomPropertyManager {
+
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.storage = null;
+        this.autoSave = true;
+        this._stores = new Map();
+        this._loading = new Map();
+
+        this._onObjectTreeCreated = this._onObjectTreeCreated.bind(this);
+        this._onModelUnloaded = this._onModelUnloaded.bind(this);
+        viewer.addEventListener(et.OBJECT_TREE_CREATED_EVENT, this._onObjectTreeCreated);
+        viewer.addEventListener(et.MODEL_UNLOADED_EVENT, this._onModelUnloaded);
+    }
+
+    /**
+     * Sets the storage backend. Custom properties of models that are already loaded are read from it.
+     *
+     * @param {Autodesk.Viewing.CustomPropertyStorage} storage - null to disable persistence.
+     * @param {boolean} [autoSave=true] - Save after each change made through this manager.
+     * @returns {Promise} that resolves when the properties of the loaded models have been read.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#setStorage
+     */
+    setStorage(storage, autoSave = true) {
+        this.storage = storage;
+        this.autoSave = autoSave;
+        if (!storage) {
+            return Promise.resolve();
+        }
+        const models = this.viewer.getAllModels().filter(model => model.isObjectTreeLoaded());
+        return Promise.all(models.map(model => this.load(model)));
+    }
+
+    /**
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {Autodesk.Viewing.CustomPropertyStore} The store of the model, created on demand.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#getStore
+     */
+    getStore(model) {
+        let store = this._stores.get(model);
+        if (!store) {
+            store = new CustomPropertyStore(model.getModelKey());
+            this._stores.set(model, store);
+        }
+        return store;
+    }
+
+    /**
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {boolean} true if custom properties are defined for the model.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#hasProperties
+     */
+    hasProperties(model) {
+        const store = this._stores.get(model);
+        return !!store && store.definitions.length > 0;
+    }
+
+    /**
+     * Validates and sets a custom property value of an object, then updates the property database.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @param {number} dbId
+     * @param {string} name
+     * @param {string} [category]
+     * @param {*} value - A value of the property type, or a string representation of it. Empty values remove the value.
+     * @returns {Promise} that rejects with an Error if the property isn't defined or the value doesn't match the property type.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#setValue
+     */
+    setValue(model, dbId, name, category, value) {
+        return this._getExternalId(model, dbId).then((externalId) => {
+            this.getStore(model).setValue(externalId, name, category, value);
+            return this._onChanged(model);
+        });
+    }
+
+    /**
+     * Pushes the definitions and values of a model's store into its property database. Call this after
+     * modifying a store directly. Fires {@link Autodesk.Viewing#REFRESH_CUSTOM_PROPERTIES_VALUES}.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {Promise} that resolves with {unresolvedIds}, the externalIds that don't exist in the model.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#apply
+     */
+    apply(model) {
+        const store = this.getStore(model);
+        return model.setCustomProperties(store.definitions, store.values).then((result) => {
+            if (result.unresolvedIds.length) {
+                logger.warn(`CustomPropertyManager: ${result.unresolvedIds.length} objects not found in model.`);
+            }
+            this.viewer.dispatchEvent({
+                type: et.REFRESH_CUSTOM_PROPERTIES_VALUES,
+                model
+            });
+            return result;
+        });
+    }
+
+    /**
+     * Reads the custom properties of a model from the storage and applies them.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {Promise}
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#load
+     */
+    load(model) {
+        const modelKey = model.getModelKey();
+        if (!this.storage || !modelKey) {
+            return Promise.resolve();
+        }
+        const promise = this.storage.load(modelKey).then((json) => {
+            if (!json || !this.viewer) {
+                return;
+            }
+            this.getStore(model).fromJSON(json);
+            return this.apply(model);
+        });
+        this._loading.set(model, promise);
+        return promise;
+    }
+
+    /**
+     * Waits until the stored custom properties of a model are applied to its property database, e.g. before
+     * evaluating a property query. The properties are loaded when the object tree of the model is created.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {Promise} that resolves when the properties were applied, or failed to load. Never rejects.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#whenLoaded
+     */
+    whenLoaded(model) {
+        if (!this.storage || !model.getModelKey()) {
+            return Promise.resolve();
+        }
+
+        let promise = this._loading.get(model);
+        if (!promise && !model.isObjectTreeLoaded()) {
+            const viewer = this.viewer;
+            promise = new Promise((resolve) => {
+                const onEvent = (event) => {
+                    if (event.model !== model) {
+                        return;
+                    }
+                    viewer.removeEventListener(et.OBJECT_TREE_CREATED_EVENT, onEvent);
+                    viewer.removeEventListener(et.OBJECT_TREE_UNAVAILABLE_EVENT, onEvent);
+                    viewer.removeEventListener(et.MODEL_UNLOADED_EVENT, onEvent);
+                    // The load was started by _onObjectTreeCreated, which listens before.
+                    resolve(this._loading.get(model));
+                };
+                viewer.addEventListener(et.OBJECT_TREE_CREATED_EVENT, onEvent);
+                viewer.addEventListener(et.OBJECT_TREE_UNAVAILABLE_EVENT, onEvent);
+                viewer.addEventListener(et.MODEL_UNLOADED_EVENT, onEvent);
+            });
+        }
+        return Promise.resolve(promise).catch(() => {});
+    }
+
+    /**
+     * Writes the custom properties of a model to the storage.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {Promise}
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#save
+     */
+    save(model) {
+        const store = this._stores.get(model);
+        if (!this.storage || !store || !store.modelKey) {
+            return Promise.resolve();
+        }
+        return this.storage.save(store.modelKey, store.toJSON());
+    }
+
+    /**
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {string} The custom properties of the model as JSON string.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#exportJSON
+     */
+    exportJSON(model) {
+        return JSON.stringify(this.getStore(model).toJSON(), null, 2);
+    }
+
+    /**
+     * Replaces the custom properties of a model, e.g. with a file exported from another version of the model.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @param {object|string} json - See {@link Autodesk.Viewing.CustomPropertyStore#fromJSON}.
+     * @returns {Promise} that resolves with {unresolvedIds}, the externalIds that don't exist in the model.
+     *
+     * @alias Autodesk.Viewing.CustomPropertyManager#importJSON
+     */
+    importJSON(model, json) {
+        try {
+            this.getStore(model).fromJSON(json);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        return this._onChanged(model);
+    }
+
+    /**
+     * @private
+     */
+    dtor() {
+        this.viewer.removeEventListener(et.OBJECT_TREE_CREATED_EVENT, this._onObjectTreeCreated);
+        this.viewer.removeEventListener(et.MODEL_UNLOADED_EVENT, this._onModelUnloaded);
+        this._stores.clear();
+        this._loading.clear();
+        this.storage = null;
+        this.viewer = null;
+    }
+
+    _onChanged(model) {
+        return this.apply(model).then((result) => {
+            if (this.autoSave) {
+                return this.save(model).then(() => result);
+            }
+            return result;
+        });
+    }
+
+    _getExternalId(model, dbId) {
+        return new Promise((resolve, reject) => {
+            model.getProperties2(dbId, (result) => {
+                if (result.externalId === undefined) {
+                    reject(new Error(`No externalId for dbId ${dbId}.`));
+                } else {
+                    resolve(result.externalId);
+                }
+            }, (err) => {
+                reject(err || new Error(`No properties for dbId ${dbId}.`));
+            }, {
+                needsExternalId: true
+            });
+        });
+    }
+
+    _onObjectTreeCreated(event) {
+        this.load(event.model).catch((err) => {
+            logger.warn('CustomPropertyManager: Failed to load custom properties.', err);
+        });
+    }
+
+    _onModelUnloaded(event) {
+        this._stores.delete(event.model);
+        this._loading.delete(event.model);
+    }
+}
@@ -0,0 +1,453 @@
+import * as THREE from "three";
+import {
+    getGlobal
+} from "../compat";
+import {
+    RenderContext
+} from "../wgs/render/RenderContext";
+import {
+    ScreenShot
+} from "./ScreenShot";
+import {
+    WebMWriter
+} from "./WebMWriter";
+
+const DEFAULT_FPS = 30;
+
+// WebCodecs codec strings and Matroska codec ids of the supported video codecs
+const VIDEO_CODECS = {
+    vp9: {
+        codec: 'vp09.00.10.08',
+        codecId: 'V_VP9'
+    },
+    vp8: {
+        codec: 'vp8',
+        codecId: 'V_VP8'
+    }
+};
+
+// Codecs that are tried if none is specified, in order of preference
+const DEFAULT_VIDEO_CODECS = ['vp9', 'vp8'];
+
+// Time between key frames of the video in seconds
+const KEY_FRAME_INTERVAL = 2;
+
+export const FrameRecorderFormat = {
+    PNG: 'png',
+    WEBM: 'webm'
+};
+
+const _tmpView = {
+    position: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    up: new THREE.Vector3()
+};
+
+/**
+ * Interpolates a camera path linearly.
+ * @param {object[]} path - Views { time, position, target, up, [fov] } sorted by time.
+ * @param {number} time - In seconds.
+ * @param {UnifiedCamera} camera - Receives the view.
+ */
+function applyCameraPath(path, time, camera) {
+    let next = path.findIndex(view => view.time > time);
+    if (next === -1) {
+        next = path.length - 1;
+    }
+    const prev = Math.max(next - 1, 0);
+    const a = path[prev];
+    const b = path[next];
+
+    let t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+    t = Math.min(Math.max(t, 0), 1);
+
+    camera.position.copy(_tmpView.position.copy(a.position).lerp(b.position, t));
+    camera.target.copy(_tmpView.target.copy(a.target).lerp(b.target, t));
+    camera.up.copy(_tmpView.up.copy(a.up || camera.up).lerp(b.up || camera.up, t)).normalize();
+    if (a.fov !== undefined && b.fov !== undefined) {
+        camera.fov = a.fov + (b.fov - a.fov) * t;
+    }
+    camera.lookAt(camera.target);
+}
+
+/**
+ * Records an animation or a camera path frame by frame, independent of the real-time frame rate.
+ *
+ * For each frame, the animation is moved to the frame time, the recorder waits until all models are loaded,
+ * and the frame is rendered offscreen with {@link Autodesk.Viewing.ScreenShot.getScreenShot}, which includes
+ * all fragments and waits for the leaflet tiles. The frames are emitted as PNG images or encoded into a WebM video.
+ * Video frames are encoded with WebCodecs and timestamped with their animation time.
+ * The view and the animation time are restored when the recording ends, is cancelled or fails.
+ *
+ * @example
+ *   const recorder = new Autodesk.Viewing.FrameRecorder(viewer, {
+ *       width: 1920,
+ *       height: 1080,
+ *       fps: 25,
+ *       format: 'webm',
+ *       onProgress: (progress) => console.log(Math.round(progress * 100) + '%')
+ *   });
+ *   const video = await recorder.record();
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {object} [options]
+ * @param {number} [options.width] - Width of the frames. Defaults to the size of the canvas.
+ * @param {number} [options.height] - Height of the frames. Defaults to the size of the canvas.
+ * @param {number} [options.supersampling=1] - Frames are rendered at this multiple of the resolution and scaled down, to smooth the edges.
+ * @param {number} [options.fps=30] - Frames per second.
+ * @param {number} [options.startTime=0] - In seconds.
+ * @param {number} [options.duration] - In seconds. Defaults to the end of the animation or camera path.
+ * @param {Autodesk.Viewing.Private.KeyFrameAnimator} [options.animator] - Animation to record. Defaults to the animation of the viewer, if any.
+ * @param {object[]|function} [options.cameraPath] - Camera views { time, position, target, up, [fov] } sorted by time, which are
+ *   interpolated linearly. Or a function(time, camera) that sets up the camera of a frame. Overrides camera animations.
+ * @param {string} [options.format='png'] - 'png' to emit each frame with onFrame, or 'webm' to encode a video.
+ * @param {function} [options.onFrame] - Called with (blob, frameIndex, time) for each PNG frame.
+ * @param {function} [options.onProgress] - Called with the progress between 0 and 1.
+ * @param {string} [options.codec] - Video codec, 'vp9' or 'vp8'. Defaults to the first one that the browser can encode.
+ * @param {number} [options.videoBitsPerSecond] - Video bitrate.
+ * @param {boolean} [options.waitForLoad=true] - Wait until all models are loaded before each frame.
+ * @param {object} [options.screenShotOptions] - Additional options of ScreenShot.getScreenShot, e.g. excludeCutPlanes.
+ *
+ * @alias Autodesk.Viewing.FrameRecorder
+ * @class
+ */
+export class FrameRecorder {
+
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.options = options;
+
+        // Incremented to cancel the running recording
+        this._runId = 0;
+
+        // Rejects the pending step of the running recording
+        this._abortStep = null;
+    }
+
+    /**
+     * Cancels the running recording. Its promise rejects.
+     */
+    cancel() {
+        this._runId++;
+        this._abortStep && this._abortStep();
+    }
+
+    // Runs a step of the recording that is rejected on cancel. start() is called with (resolve, reject)
+    // and returns an optional function that stops the step.
+    _runStep(start) {
+        return new Promise((resolve, reject) => {
+            let stop = null;
+            const abort = () => {
+                this._abortStep = null;
+                stop && stop();
+                reject(new Error('Frame recording cancelled'));
+            };
+            // A cancelled step may still finish later, so it only unregisters itself
+            const done = (callback) => (value) => {
+                if (this._abortStep === abort) {
+                    this._abortStep = null;
+                }
+                callback(value);
+            };
+            this._abortStep = abort;
+            stop = start(done(resolve), done(reject));
+        });
+    }
+
+    /**
+     * @returns {number} The number of frames that record() emits.
+     */
+    getFrameCount() {
+        const fps = this.options.fps || DEFAULT_FPS;
+        return Math.floor(this._getDuration() * fps + 1e-6) + 1;
+    }
+
+    _getAnimator() {
+        return this.options.animator || this.viewer.impl.keyFrameAnimator;
+    }
+
+    _getDuration() {
+        const options = this.options;
+        if (options.duration !== undefined) {
+            return options.duration;
+        }
+
+        const startTime = options.startTime || 0;
+        let endTime = startTime;
+        if (Array.isArray(options.cameraPath) && options.cameraPath.length) {
+            endTime = Math.max(endTime, options.cameraPath[options.cameraPath.length - 1].time);
+        }
+        const animator = this._getAnimator();
+        if (animator) {
+            endTime = Math.max(endTime, animator.duration);
+        }
+        return endTime - startTime;
+    }
+
+    // Moves the animation to the given time and returns the camera of the frame
+    _seek(time, width, height) {
+        const viewerImpl = this.viewer.impl;
+        const animator = this._getAnimator();
+        if (animator) {
+            // goto() pauses the animation, so the render loop doesn't advance it in the meantime
+            animator.goto(time);
+            viewerImpl.sceneUpdated(true);
+        }
+
+        // Camera animations move the main camera
+        const camera = viewerImpl.camera.clone();
+        const cameraPath = this.options.cameraPath;
+        if (typeof cameraPath === 'function') {
+            cameraPath(time, camera);
+        } else if (Array.isArray(cameraPath) && cameraPath.length) {
+            applyCameraPath(cameraPath, time, camera);
+        }
+
+        camera.aspect = width / height;
+        viewerImpl.updateNearFarValues(camera, viewerImpl.getVisibleBounds());
+        return camera;
+    }
+
+    // Renders a frame into a canvas at render resolution
+    _renderFrame(camera, renderContext, width, height) {
+        return this._runStep((resolve, reject) => {
+            const options = Object.assign({}, this.options.screenShotOptions, {
+                camera,
+                renderContext,
+                returnAsTarget: true
+            });
+
+            const onFinished = (ctx, target, camera, sheetRenderer) => {
+                sheetRenderer && sheetRenderer.destroy();
+                try {
+                    resolve(ctx.targetToCanvas(target).canvas);
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            const control = ScreenShot.getScreenShot(width, height, onFinished, options, this.viewer.impl);
+            return () => control.stop();
+        });
+    }
+
+    // Saves the view and the animation time, which the recording changes
+    _saveState() {
+        const animator = this._getAnimator();
+        return {
+            viewport: this.viewer.getState({
+                viewport: true
+            }),
+            animator,
+            time: animator && animator.currentTime,
+            playing: animator && animator.isPlaying && !animator.isPaused
+        };
+    }
+
+    _restoreState(state) {
+        const animator = state.animator;
+        if (animator) {
+            // Camera animations move the camera as well, so the view is restored afterwards
+            animator.goto(state.time);
+            state.playing && animator.play(state.time, animator.onPlayCallback);
+            this.viewer.impl.sceneUpdated(true);
+        }
+        this.viewer.restoreState(state.viewport, undefined, true);
+    }
+
+    /**
+     * Records all frames.
+     *
+     * @returns {Promise<Blob|undefined>} Resolves with the video for the 'webm' format, or when all PNG frames have been
+     *   emitted. Rejects if the recording is cancelled or if the browser can't record the video.
+     */
+    record() {
+        this.cancel();
+        const runId = this._runId;
+        const checkCancelled = () => {
+            if (runId !== this._runId) {
+                throw new Error('Frame recording cancelled');
+            }
+        };
+
+        const options = this.options;
+        const viewer = this.viewer;
+        const _document = getGlobal().document;
+
+        const fps = options.fps || DEFAULT_FPS;
+        const startTime = options.startTime || 0;
+        const frameCount = this.getFrameCount();
+        const format = options.format || FrameRecorderFormat.PNG;
+
+        if (format === FrameRecorderFormat.WEBM && !(getGlobal().VideoEncoder && getGlobal().VideoFrame)) {
+            return Promise.reject(new Error('Video recording is not supported by this browser'));
+        }
+
+        const width = Math.round(options.width || viewer.impl.camera.clientWidth || viewer.container.clientWidth);
+        const height = Math.round(options.height || viewer.impl.camera.clientHeight || viewer.container.clientHeight);
+        const supersampling = Math.max(1, Math.round(options.supersampling || 1));
+        const renderWidth = width * supersampling;
+        const renderHeight = height * supersampling;
+
+        // Output canvas at the final resolution
+        const canvas = _document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context2d = canvas.getContext('2d');
+        context2d.imageSmoothingEnabled = true;
+        context2d.imageSmoothingQuality = 'high';
+
+        // One RenderContext for all frames
+        const renderContext = new RenderContext();
+        renderContext.init(viewer.impl.glrenderer(), renderWidth, renderHeight, {
+            offscreen: true
+        });
+
+        const state = this._saveState();
+        let video = null;
+
+        const recordFrame = (index) => {
+            if (index >= frameCount) {
+                return;
+            }
+
+            const time = startTime + index / fps;
+            const camera = this._seek(time, renderWidth, renderHeight);
+
+            const waitForLoad = options.waitForLoad !== false ? this._runStep((resolve, reject) => {
+                viewer.waitForLoadDone({
+                    propDb: false
+                }).then(resolve, reject);
+            }) : Promise.resolve();
+
+            return waitForLoad.then(() => {
+                return this._renderFrame(camera, renderContext, renderWidth, renderHeight);
+            }).then((frame) => {
+                checkCancelled();
+                context2d.drawImage(frame, 0, 0, width, height);
+
+                if (video) {
+                    video.addFrame(canvas, index);
+                    return;
+                }
+                return this._runStep((resolve) => {
+                    canvas.toBlob((blob) => {
+                        options.onFrame && options.onFrame(blob, index, time);
+                        resolve();
+                    }, 'image/png');
+                });
+            }).then(() => {
+                checkCancelled();
+                options.onProgress && options.onProgress((index + 1) / frameCount);
+                return recordFrame(index + 1);
+            });
+        };
+
+        return Promise.resolve().then(() => {
+            options.onProgress && options.onProgress(0);
+            if (format === FrameRecorderFormat.WEBM) {
+                return this._runStep((resolve, reject) => {
+                    this._startVideo(width, height, fps).then(resolve, reject);
+                }).then((result) => {
+                    video = result;
+                });
+            }
+        }).then(() => {
+            return recordFrame(0);
+        }).then(() => {
+            return video && this._runStep((resolve, reject) => {
+                video.finish(frameCount / fps).then(resolve, reject);
+            });
+        }).then((result) => {
+            renderContext.cleanup();
+            this._restoreState(state);
+            return result;
+        }, (err) => {
+            renderContext.cleanup();
+            video && video.abort();
+            this._restoreState(state);
+            throw err;
+        });
+    }
+
+    // Finds the first codec that the browser can encode with the given settings
+    _findVideoConfig(width, height, fps) {
+        const VideoEncoder = getGlobal().VideoEncoder;
+        const codecs = this.options.codec ? [this.options.codec] : DEFAULT_VIDEO_CODECS;
+
+        const tryCodec = (index) => {
+            const codec = VIDEO_CODECS[codecs[index]];
+            if (!codec) {
+                return Promise.reject(new Error('Video recording is not supported by this browser'));
+            }
+            const config = {
+                codec: codec.codec,
+                width,
+                height,
+                framerate: fps,
+                bitrate: this.options.videoBitsPerSecond
+            };
+            return VideoEncoder.isConfigSupported(config).then((support) => {
+                return support.supported ? {
+                    config,
+                    codecId: codec.codecId
+                } : tryCodec(index + 1);
+            });
+        };
+        return tryCodec(0);
+    }
+
+    // Encodes the frames drawn into the canvas. Each frame gets the timestamp of its animation time,
+    // so the timing of the video doesn't depend on how long the frames take to render.
+    _startVideo(width, height, fps) {
+        const _window = getGlobal();
+
+        return this._findVideoConfig(width, height, fps).then(({
+            config,
+            codecId
+        }) => {
+            const writer = new WebMWriter(codecId, width, height, 1000 / fps);
+            const keyFrameInterval = Math.max(1, Math.round(KEY_FRAME_INTERVAL * fps));
+
+            let error = null;
+            const encoder = new _window.VideoEncoder({
+                output: (chunk) => {
+                    const data = new Uint8Array(chunk.byteLength);
+                    chunk.copyTo(data);
+                    writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+                },
+                error: (err) => {
+                    error = err;
+                }
+            });
+            encoder.configure(config);
+
+            const close = () => encoder.state !== 'closed' && encoder.close();
+
+            return {
+                addFrame: (canvas, index) => {
+                    if (error) {
+                        throw error;
+                    }
+                    // Timestamps are in microseconds
+                    const frame = new _window.VideoFrame(canvas, {
+                        timestamp: Math.round(index * 1e6 / fps),
+                        duration: Math.round(1e6 / fps)
+                    });
+                    encoder.encode(frame, {
+                        keyFrame: index % keyFrameInterval === 0
+                    });
+                    frame.close();
+                },
+                finish: (duration) => encoder.flush().then(() => {
+                    close();
+                    if (error) {
+                        throw error;
+                    }
+                    return writer.getBlob(duration * 1000);
+                }),
+                abort: close
+            };
+        });
+    }
+}
@@ -0,0 +1,738 @@
+import * as THREE from "three";
+import {
+    logger
+} from "../logger/Logger";
+import {
+    SRGBToLinearFloat
+} from "../wgs/render/MaterialConverterCommon";
+
+// GLB container constants, see https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#binary-gltf-layout
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const GLB_VERSION = 2;
+const GLB_CHUNK_JSON = 0x4E4F534A; // "JSON"
+const GLB_CHUNK_BIN = 0x004E4942; // "BIN"
+
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_SHORT = 5123;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+const GL_TRIANGLES = 4;
+
+// Same threshold as used for cutplane tests in RenderModel
+const CUTPLANE_EPSILON = 1e-6;
+
+const DEFAULT_COLOR = new THREE.Color(0.7, 0.7, 0.7);
+
+const IDENTITY = new THREE.Matrix4();
+
+const _tmpMatrix = new THREE.Matrix4();
+const _tmpNormalMatrix = new THREE.Matrix3();
+const _tmpBox = new THREE.Box3();
+const _tmpVec = new THREE.Vector3();
+
+/**
+ * Inverse of the normal packing used by LMV meshes (see GeomMergeTask.decodeNormal).
+ * @param {number} x - First packed component in [0,1]
+ * @param {number} y - Second packed component in [0,1]
+ * @param {Float32Array} out
+ * @param {number} offset
+ */
+function decodeNormal(x, y, out, offset) {
+    var angX = 2.0 * x - 1.0;
+    var angY = 2.0 * y - 1.0;
+    var scthX = Math.sin(angX * Math.PI);
+    var scthY = Math.cos(angX * Math.PI);
+    var scphiX = Math.sqrt(1.0 - angY * angY);
+    out[offset] = scthY * scphiX;
+    out[offset + 1] = scthX * scphiX;
+    out[offset + 2] = angY;
+}
+
+/**
+ * Extracts positions, normals and indices of a triangle mesh from an LMV geometry.
+ * Interleaved vertex buffers and packed normals are converted to separate float arrays.
+ * @param {BufferGeometry} geom
+ * @returns {object|null} {positions, normals, indices, vertexCount} or null if the geometry cannot be exported.
+ */
+function readTriangleGeometry(geom) {
+
+    // Lines, points and 2D geometry have no meaningful glTF equivalent for our use cases.
+    // Instanced buffers are only used by consolidated meshes, which are not part of the FragmentList.
+    if (!geom || geom.isLines || geom.isWideLines || geom.isPoints || geom.is2d || geom.numInstances)
+        return null;
+
+    var posAttr = geom.attributes && geom.attributes.position;
+    var indices = geom.ib || (geom.index && geom.index.array);
+    if (!posAttr || !indices)
+        return null;
+
+    var interleaved = !!geom.vb;
+    var vbf = interleaved ? geom.vb : posAttr.array;
+    if (!vbf)
+        return null; // Vertex data was discarded after GPU upload
+
+    var stride = interleaved ? geom.vbstride : 3;
+    var vertexCount = vbf.length / stride;
+    var posOffset = interleaved ? posAttr.offset : 0;
+
+    var positions = new Float32Array(vertexCount * 3);
+    for (var i = 0, src = posOffset; i < vertexCount; i++, src += stride) {
+        positions[i * 3] = vbf[src];
+        positions[i * 3 + 1] = vbf[src + 1];
+        positions[i * 3 + 2] = vbf[src + 2];
+    }
+
+    var normals = null;
+    var nAttr = geom.attributes.normal;
+    if (nAttr) {
+        normals = new Float32Array(vertexCount * 3);
+
+        if (!interleaved) {
+            normals.set(nAttr.array.subarray(0, vertexCount * 3));
+        } else if (nAttr.itemSize === 2 && nAttr.bytesPerItem === 2) {
+            // Packed normals: two normalized uint16 values
+            var vbs = new Uint16Array(vbf.buffer, vbf.byteOffset, vbf.length * 2);
+            for (i = 0, src = nAttr.offset * 2; i < vertexCount; i++, src += stride * 2) {
+                decodeNormal(vbs[src] / 65535, vbs[src + 1] / 65535, normals, i * 3);
+            }
+        } else {
+            for (i = 0, src = nAttr.offset; i < vertexCount; i++, src += stride) {
+                normals[i * 3] = vbf[src];
+                normals[i * 3 + 1] = vbf[src + 1];
+                normals[i * 3 + 2] = vbf[src + 2];
+            }
+        }
+    }
+
+    return {
+        positions,
+        normals,
+        indices,
+        vertexCount
+    };
+}
+
+/**
+ * Transforms a mesh to world space and clips its triangles against the given cut planes.
+ * Follows the cutplane convention of the renderer: points with dot(plane, p) > 0 are cut away.
+ * The resulting mesh is not indexed (every triangle has its own vertices).
+ * @returns {object|null} Clipped mesh in the same format as readTriangleGeometry, or null if nothing remains.
+ */
+function clipTriangleGeometry(mesh, worldMatrix, cutPlanes) {
+
+    _tmpNormalMatrix.getNormalMatrix(worldMatrix);
+
+    var positions = mesh.positions;
+    var normals = mesh.normals;
+    var indices = mesh.indices;
+
+    var outPos = [];
+    var outNormal = [];
+
+    var p = new THREE.Vector3();
+
+    // Polygon vertices during clipping: [x, y, z, nx, ny, nz]
+    function makeVertex(index) {
+        p.set(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]).applyMatrix4(worldMatrix);
+        var v = [p.x, p.y, p.z, 0, 0, 0];
+        if (normals) {
+            _tmpVec.set(normals[index * 3], normals[index * 3 + 1], normals[index * 3 + 2]).applyMatrix3(_tmpNormalMatrix).normalize();
+            v[3] = _tmpVec.x;
+            v[4] = _tmpVec.y;
+            v[5] = _tmpVec.z;
+        }
+        return v;
+    }
+
+    function planeDist(plane, v) {
+        return plane.x * v[0] + plane.y * v[1] + plane.z * v[2] + plane.w;
+    }
+
+    function lerpVertex(a, b, t) {
+        var v = new Array(6);
+        for (var k = 0; k < 6; k++)
+            v[k] = a[k] + (b[k] - a[k]) * t;
+        return v;
+    }
+
+    for (var t = 0; t < indices.length; t += 3) {
+
+        var poly = [makeVertex(indices[t]), makeVertex(indices[t + 1]), makeVertex(indices[t + 2])];
+
+        // Sutherland-Hodgman, one plane at a time
+        for (var c = 0; c < cutPlanes.length && poly.length; c++) {
+            var plane = cutPlanes[c];
+            var clipped = [];
+            for (var i = 0; i < poly.length; i++) {
+                var a = poly[i];
+                var b = poly[(i + 1) % poly.length];
+                var da = planeDist(plane, a);
+                var db = planeDist(plane, b);
+                var aInside = da <= CUTPLANE_EPSILON;
+                var bInside = db <= CUTPLANE_EPSILON;
+
+                if (aInside)
+                    clipped.push(a);
+                if (aInside !== bInside)
+                    clipped.push(lerpVertex(a, b, da / (da - db)));
+            }
+            poly = clipped;
+        }
+
+        // Triangulate the remaining convex polygon as a fan
+        for (var k = 2; k < poly.length; k++) {
+            var tri = [poly[0], poly[k - 1], poly[k]];
+            for (var j = 0; j < 3; j++) {
+                outPos.push(tri[j][0], tri[j][1], tri[j][2]);
+                if (normals) {
+                    _tmpVec.set(tri[j][3], tri[j][4], tri[j][5]).normalize();
+                    outNormal.push(_tmpVec.x, _tmpVec.y, _tmpVec.z);
+                }
+            }
+        }
+    }
+
+    var vertexCount = outPos.length / 3;
+    if (!vertexCount)
+        return null;
+
+    var outIndices = vertexCount > 65535 ? new Uint32Array(vertexCount) : new Uint16Array(vertexCount);
+    for (var n = 0; n < vertexCount; n++)
+        outIndices[n] = n;
+
+    return {
+        positions: new Float32Array(outPos),
+        normals: normals ? new Float32Array(outNormal) : null,
+        indices: outIndices,
+        vertexCount
+    };
+}
+
+// Returns -1 if the box is completely cut away, 1 if it is not affected by any plane and 0 otherwise.
+function classifyBox(box, cutPlanes) {
+    var result = 1;
+    for (var i = 0; i < cutPlanes.length; i++) {
+        var plane = cutPlanes[i];
+
+        // Corner of the box with minimum and maximum signed distance
+        var min = plane.w + (plane.x > 0 ? plane.x * box.min.x : plane.x * box.max.x) +
+            (plane.y > 0 ? plane.y * box.min.y : plane.y * box.max.y) +
+            (plane.z > 0 ? plane.z * box.min.z : plane.z * box.max.z);
+        var max = plane.w + (plane.x > 0 ? plane.x * box.max.x : plane.x * box.min.x) +
+            (plane.y > 0 ? plane.y * box.max.y : plane.y * box.min.y) +
+            (plane.z > 0 ? plane.z * box.max.z : plane.z * box.min.z);
+
+        if (min > CUTPLANE_EPSILON)
+            return -1;
+        if (max > CUTPLANE_EPSILON)
+            result = 0;
+    }
+    return result;
+}
+
+/**
+ * Collects glTF json and binary data.
+ */
+class GlbBuilder {
+
+    constructor() {
+        this.json = {
+            asset: {
+                version: "2.0",
+                generator: "Autodesk Viewer glTF exporter"
+            },
+            scene: 0,
+            scenes: [{
+                nodes: []
+            }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        this.chunks = [];
+        this.byteLength = 0;
+    }
+
+    addBufferView(typedArray, target) {
+        var byteOffset = this.byteLength;
+        var bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+
+        // Keep all views 4-byte aligned
+        var padding = (4 - (this.byteLength % 4)) % 4;
+        if (padding) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        this.json.bufferViews.push({
+            buffer: 0,
+            byteOffset: byteOffset,
+            byteLength: bytes.byteLength,
+            target: target
+        });
+        return this.json.bufferViews.length - 1;
+    }
+
+    addAccessor(typedArray, type, componentType, count, target, minMax) {
+        var accessor = {
+            bufferView: this.addBufferView(typedArray, target),
+            componentType: componentType,
+            count: count,
+            type: type
+        };
+        if (minMax) {
+            accessor.min = minMax.min;
+            accessor.max = minMax.max;
+        }
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    addMesh(name, mesh, materialIndex) {
+
+        // glTF requires min/max for positions
+        var min = [Infinity, Infinity, Infinity];
+        var max = [-Infinity, -Infinity, -Infinity];
+        var positions = mesh.positions;
+        for (var i = 0; i < positions.length; i += 3) {
+            for (var k = 0; k < 3; k++) {
+                if (positions[i + k] < min[k]) min[k] = positions[i + k];
+                if (positions[i + k] > max[k]) max[k] = positions[i + k];
+            }
+        }
+
+        var attributes = {
+            POSITION: this.addAccessor(positions, "VEC3", GL_FLOAT, mesh.vertexCount, GL_ARRAY_BUFFER, {
+                min,
+                max
+            })
+        };
+        if (mesh.normals) {
+            attributes.NORMAL = this.addAccessor(mesh.normals, "VEC3", GL_FLOAT, mesh.vertexCount, GL_ARRAY_BUFFER);
+        }
+
+        // Copy the indices, the index buffer of the geometry may be a view into a larger buffer
+        var indices = mesh.indices instanceof Uint32Array ? new Uint32Array(mesh.indices) : new Uint16Array(mesh.indices);
+        var componentType = indices instanceof Uint32Array ? GL_UNSIGNED_INT : GL_UNSIGNED_SHORT;
+
+        this.json.meshes.push({
+            name: name,
+            primitives: [{
+                attributes: attributes,
+                indices: this.addAccessor(indices, "SCALAR", componentType, indices.length, GL_ELEMENT_ARRAY_BUFFER),
+                material: materialIndex,
+                mode: GL_TRIANGLES
+            }]
+        });
+        return this.json.meshes.length - 1;
+    }
+
+    addNode(node) {
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+
+    addMaterial(material) {
+        this.json.materials.push(material);
+        return this.json.materials.length - 1;
+    }
+
+    /**
+     * @returns {ArrayBuffer} The GLB file content.
+     */
+    toArrayBuffer() {
+        var json = this.json;
+        json.buffers.push({
+            byteLength: this.byteLength
+        });
+
+        // Remove empty top level arrays, glTF requires arrays to have at least one element
+        for (var key in json) {
+            if (Array.isArray(json[key]) && !json[key].length)
+                delete json[key];
+        }
+
+        var jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        var jsonLength = Math.ceil(jsonBytes.byteLength / 4) * 4;
+        var binLength = this.byteLength;
+
+        var totalLength = 12 + 8 + jsonLength + (binLength ? 8 + binLength : 0);
+        var buffer = new ArrayBuffer(totalLength);
+        var dv = new DataView(buffer);
+        var bytes = new Uint8Array(buffer);
+
+        dv.setUint32(0, GLB_MAGIC, true);
+        dv.setUint32(4, GLB_VERSION, true);
+        dv.setUint32(8, totalLength, true);
+
+        dv.setUint32(12, jsonLength, true);
+        dv.setUint32(16, GLB_CHUNK_JSON, true);
+        bytes.set(jsonBytes, 20);
+        // JSON chunk is padded with spaces
+        for (var i = 20 + jsonBytes.byteLength; i < 20 + jsonLength; i++)
+            bytes[i] = 0x20;
+
+        if (binLength) {
+            var offset = 20 + jsonLength;
+            dv.setUint32(offset, binLength, true);
+            dv.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+            offset += 8;
+            for (var c = 0; c < this.chunks.length; c++) {
+                bytes.set(this.chunks[c], offset);
+                offset += this.chunks[c].byteLength;
+            }
+        }
+
+        return buffer;
+    }
+}
+
+/**
+ * Converts an LMV material (and optional theming color) to a glTF metallic-roughness material.
+ */
+function convertMaterial(material, themingColor) {
+
+    // Phong materials have color, Prism materials surface_albedo.
+    var color = (material && (material.color || material.surface_albedo)) || DEFAULT_COLOR;
+    var r = color.r,
+        g = color.g,
+        b = color.b;
+
+    // Same blending as done by the shaders: mix(color, theming.rgb, theming.a)
+    if (themingColor) {
+        r += (themingColor.x - r) * themingColor.w;
+        g += (themingColor.y - g) * themingColor.w;
+        b += (themingColor.z - b) * themingColor.w;
+    }
+
+    var opacity = (material && material.transparent && material.opacity !== undefined) ? material.opacity : 1;
+    var shininess = (material && material.shininess !== undefined) ? material.shininess : 30;
+
+    var result = {
+        name: (material && material.name) || undefined,
+        pbrMetallicRoughness: {
+            // glTF colors are linear
+            baseColorFactor: [SRGBToLinearFloat(r), SRGBToLinearFloat(g), SRGBToLinearFloat(b), opacity],
+            metallicFactor: material && material.metal ? 1 : 0,
+            // Usual approximation of roughness from a Phong exponent
+            roughnessFactor: Math.min(1, Math.sqrt(2 / (shininess + 2)))
+        },
+        doubleSided: !!material && material.side === THREE.DoubleSide
+    };
+
+    if (opacity < 1)
+        result.alphaMode = "BLEND";
+
+    return result;
+}
+
+// Returns a matrix that converts viewer world coordinates into glTF conventions (Y-up, meters)
+function getSceneRootMatrix(model, options) {
+
+    var matrix = new THREE.Matrix4();
+
+    if (options.includeGlobalOffset) {
+        var offset = model.getGlobalOffset();
+        if (offset)
+            matrix.makeTranslation(offset.x, offset.y, offset.z);
+    }
+
+    if (options.convertToMeters !== false) {
+        var scale = model.getUnitScale();
+        if (scale && scale !== 1)
+            matrix.premultiply(_tmpMatrix.makeScale(scale, scale, scale));
+    }
+
+    var up = model.getUpVector();
+    if (up && up[2] === 1 && options.yUp !== false) {
+        // Z-up to Y-up: (x, y, z) -> (x, z, -y)
+        matrix.premultiply(_tmpMatrix.makeRotationX(-Math.PI / 2));
+    }
+
+    return matrix;
+}
+
+function isIdentity(matrix) {
+    return matrix.equals(IDENTITY);
+}
+
+/**
+ * Collects the fragments to export: loaded, visible (unless options.onlyVisible is false), optionally restricted
+ * to the given dbIds, and not completely removed by the cut planes.
+ */
+function collectFragments(model, options, cutPlanes) {
+
+    var frags = model.getFragmentList();
+    var it = model.getInstanceTree();
+
+    var fragIds = [];
+    var onlyVisible = options.onlyVisible !== false;
+
+    var addFragment = function(fragId) {
+        if (frags.isNotLoaded(fragId))
+            return;
+        if (onlyVisible && (!frags.isVisible(fragId) || frags.isFragOff(fragId)))
+            return;
+        if (cutPlanes) {
+            frags.getWorldBounds(fragId, _tmpBox);
+            if (classifyBox(_tmpBox, cutPlanes) < 0)
+                return;
+        }
+        fragIds.push(fragId);
+    };
+
+    if (options.dbIds && it) {
+        var seen = {};
+        options.dbIds.forEach(function(dbId) {
+            it.enumNodeFragments(dbId, function(fragId) {
+                if (!seen[fragId]) {
+                    seen[fragId] = true;
+                    addFragment(fragId);
+                }
+            }, true);
+        });
+    } else {
+        for (var i = 0, count = frags.getCount(); i < count; i++)
+            addFragment(i);
+    }
+
+    return fragIds;
+}
+
+function getExternalIds(model, dbIds) {
+    return new Promise(function(resolve) {
+        if (!dbIds.length) {
+            resolve({});
+            return;
+        }
+
+        model.getBulkProperties2(dbIds, {
+            propFilter: ['externalId'],
+            needsExternalId: true
+        }, function(results) {
+            var map = {};
+            results.forEach(function(r) {
+                map[r.dbId] = r.externalId;
+            });
+            resolve(map);
+        }, function() {
+            // Not fatal, we just don't have externalIds then
+            resolve({});
+        });
+    });
+}
+
+/**
+ * Exports the geometry of a 3D model as glTF 2.0 binary (GLB).
+ *
+ * The export reflects the current state of the scene: hidden objects are skipped, theming colors are baked into the
+ * materials and fragment transforms (e.g. explode) are applied. The node hierarchy follows the instance tree.
+ * Each node stores the dbId (and externalId, if available) of its object in its extras.
+ * Only triangle meshes are exported, without textures.
+ *
+ * @param {Autodesk.Viewing.Model} model - A loaded 3D model.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyVisible=true] - Skip hidden objects.
+ * @param {number[]} [options.dbIds] - Only export these objects (and their children).
+ * @param {boolean} [options.applyTheming=true] - Bake theming colors into the materials.
+ * @param {THREE.Vector4[]} [options.cutPlanes] - Clip the geometry against these planes, e.g. viewer.getCutPlanes().
+ * @param {boolean} [options.includeExternalIds=true] - Query the property database for externalIds.
+ * @param {boolean} [options.convertToMeters=true] - Scale the scene to meters, as expected by glTF consumers.
+ * @param {boolean} [options.yUp=true] - Rotate Z-up models to the Y-up convention of glTF.
+ * @param {boolean} [options.includeGlobalOffset=false] - Add the global offset of the model back to the coordinates.
+ * @returns {Promise<Blob>} Resolves with the GLB file content.
+ *
+ * @alias Autodesk.Viewing.GltfExporter.exportGlb
+ */
+async function exportGlb(model, options) {
+
+    options = options || {};
+
+    if (!model || !model.is3d() || !model.getFragmentList()) {
+        throw new Error("glTF export requires a 3D model");
+    }
+
+    var frags = model.getFragmentList();
+    var it = model.getInstanceTree();
+
+    var cutPlanes = (options.cutPlanes && options.cutPlanes.length && !model.getDoNotCut()) ? options.cutPlanes : null;
+    var fragIds = collectFragments(model, options, cutPlanes);
+
+    var builder = new GlbBuilder();
+    var materialIndices = {};
+    var meshIndices = {};
+    var geomCache = {};
+    var skipped = 0;
+
+    function getMaterialIndex(fragId) {
+        var material = frags.getMaterial(fragId);
+        var themingColor = options.applyTheming !== false ? frags.getThemingColor(fragId) : null;
+
+        var key = (material ? material.id : "default") +
+            (themingColor ? "|" + themingColor.x + "," + themingColor.y + "," + themingColor.z + "," + themingColor.w : "");
+
+        var index = materialIndices[key];
+        if (index === undefined)
+            index = materialIndices[key] = builder.addMaterial(convertMaterial(material, themingColor));
+        return index;
+    }
+
+    function getGeometry(fragId) {
+        var geomId = frags.getGeometryId(fragId);
+        if (!(geomId in geomCache))
+            geomCache[geomId] = readTriangleGeometry(frags.getGeometry(fragId));
+        return geomCache[geomId];
+    }
+
+    // Creates the glTF node for a fragment, or returns -1 if the fragment has no exportable geometry.
+    function createFragmentNode(fragId, name, dbId) {
+        var mesh = getGeometry(fragId);
+        if (!mesh) {
+            skipped++;
+            return -1;
+        }
+
+        var materialIndex = getMaterialIndex(fragId);
+        var node = {
+            name: name,
+            extras: {
+                dbId: dbId,
+                fragId: fragId
+            }
+        };
+
+        frags.getWorldMatrix(fragId, _tmpMatrix);
+
+        frags.getWorldBounds(fragId, _tmpBox);
+        if (cutPlanes && classifyBox(_tmpBox, cutPlanes) === 0) {
+            // Clipped meshes are fragment specific and already in world space
+            var clipped = clipTriangleGeometry(mesh, _tmpMatrix.clone(), cutPlanes);
+            if (!clipped)
+                return -1;
+            node.mesh = builder.addMesh(name, clipped, materialIndex);
+        } else {
+            // Geometry is shared between fragments, the transform goes into the node
+            var key = frags.getGeometryId(fragId) + "|" + materialIndex;
+            if (!(key in meshIndices))
+                meshIndices[key] = builder.addMesh(name, mesh, materialIndex);
+            node.mesh = meshIndices[key];
+            if (!isIdentity(_tmpMatrix))
+                node.matrix = _tmpMatrix.toArray();
+        }
+
+        return builder.addNode(node);
+    }
+
+    // Group fragments by dbId
+    var dbIdToFrags = {};
+    fragIds.forEach(function(fragId) {
+        var dbId = frags.getDbIds(fragId);
+        (dbIdToFrags[dbId] = dbIdToFrags[dbId] || []).push(fragId);
+    });
+
+    var externalIds = {};
+    if (options.includeExternalIds !== false) {
+        var dbIds = it ? [] : Object.keys(dbIdToFrags).map(Number);
+        if (it) {
+            // Also include parent nodes, they become nodes in the glTF hierarchy as well
+            var added = {};
+            Object.keys(dbIdToFrags).forEach(function(dbId) {
+                for (var id = Number(dbId); id && !added[id]; id = it.getNodeParentId(id)) {
+                    added[id] = true;
+                    dbIds.push(id);
+                }
+            });
+        }
+        externalIds = await getExternalIds(model, dbIds);
+    }
+
+    function createObjectNode(dbId, name) {
+        var node = {
+            name: name,
+            extras: {
+                dbId: dbId
+            }
+        };
+        if (externalIds[dbId] !== undefined)
+            node.extras.externalId = externalIds[dbId];
+        return node;
+    }
+
+    // Adds the fragments of an object. Returns the node indices to be used as children of the object node.
+    function createFragmentNodes(dbId, name) {
+        var children = [];
+        (dbIdToFrags[dbId] || []).forEach(function(fragId) {
+            var index = createFragmentNode(fragId, name, dbId);
+            if (index >= 0)
+                children.push(index);
+        });
+        return children;
+    }
+
+    // Recursively creates nodes for the instance tree. Returns the node index, or -1 if the subtree is empty.
+    function createTreeNode(dbId) {
+        var name = it.getNodeName(dbId) || String(dbId);
+
+        var children = [];
+        it.enumNodeChildren(dbId, function(childId) {
+            var index = createTreeNode(childId);
+            if (index >= 0)
+                children.push(index);
+        });
+
+        children = children.concat(createFragmentNodes(dbId, name));
+        if (!children.length)
+            return -1;
+
+        var node = createObjectNode(dbId, name);
+        node.children = children;
+        return builder.addNode(node);
+    }
+
+    var rootChildren = [];
+    if (it) {
+        var rootIndex = createTreeNode(it.getRootId());
+        if (rootIndex >= 0)
+            rootChildren.push(rootIndex);
+    } else {
+        Object.keys(dbIdToFrags).forEach(function(dbId) {
+            var children = createFragmentNodes(Number(dbId), String(dbId));
+            if (children.length) {
+                var node = createObjectNode(Number(dbId), String(dbId));
+                node.children = children;
+                rootChildren.push(builder.addNode(node));
+            }
+        });
+    }
+
+    // Scene root converts to glTF conventions
+    var sceneRoot = {
+        name: options.name || "Model",
+        children: rootChildren
+    };
+    var rootMatrix = getSceneRootMatrix(model, options);
+    if (!isIdentity(rootMatrix))
+        sceneRoot.matrix = rootMatrix.toArray();
+    if (!sceneRoot.children.length)
+        delete sceneRoot.children;
+
+    builder.json.scenes[0].nodes.push(builder.addNode(sceneRoot));
+
+    if (skipped) {
+        logger.warn("glTF export: skipped " + skipped + " fragments without exportable triangle geometry.");
+    }
+
+    return new Blob([builder.toArrayBuffer()], {
+        type: "model/gltf-binary"
+    });
+}
+
+export let GltfExporter = {
+    exportGlb
+};
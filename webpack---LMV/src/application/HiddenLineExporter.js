@@ -0,0 +1,955 @@
+import * as THREE from "three";
+import {
+    logger
+} from "../logger/Logger";
+import {
+    enumMeshFeatureEdges
+} from "../wgs/scene/DeriveTopology";
+import {
+    enumMeshTriangles,
+    enumMeshVertices,
+    getVertexCount
+} from "../wgs/scene/VertexEnumerator";
+import {
+    FrustumIntersector
+} from "../wgs/scene/FrustumIntersector";
+
+/**
+ * Types of the exported lines.
+ * @enum {string}
+ * @alias Autodesk.Viewing.HiddenLineType
+ */
+export const HiddenLineType = {
+    SILHOUETTE: 'silhouette', // Outline of curved and flat surfaces against the background or other surfaces
+    BOUNDARY: 'boundary', // Edges of open surfaces, which only have one triangle
+    CREASE: 'crease', // Edges between triangles at a sharp angle
+    SECTION: 'section' // Profile of the objects at the cut planes
+};
+
+// Line weights in pixels (SVG) or points (PDF) by line type. Hidden lines are dashed.
+const DEFAULT_LINE_WEIGHTS = {
+    silhouette: 1.4,
+    boundary: 1.4,
+    crease: 0.7,
+    section: 2.0,
+    hidden: 0.35
+};
+
+const DEFAULT_CREASE_ANGLE = 30; // degrees
+
+// Property that assigns the objects to categories, and the category of the objects without it
+const DEFAULT_CATEGORY_PROPERTY = 'Category';
+const DEFAULT_CATEGORY = 'Default';
+
+// Tolerance of the depth test, relative to the depth range of the view
+const DEFAULT_DEPTH_TOLERANCE = 1e-4;
+
+// Largest side of the depth buffer. Larger drawings are tested at lower resolution.
+const MAX_DEPTH_BUFFER_SIZE = 4096;
+
+// Same threshold as used for cutplane tests in RenderModel
+const CUTPLANE_EPSILON = 1e-6;
+
+// Fractional digits of the exported coordinates
+const PRECISION = 2;
+
+// Time in ms after which the computation gives way to the browser
+const TIME_SLICE = 30;
+
+// Flags of the cached edges
+const EDGE_BOUNDARY = 1;
+const EDGE_CREASE = 2;
+
+const _tmpBox = new THREE.Box3();
+const _tmpMatrix = new THREE.Matrix4();
+const _tmpNormalMatrix = new THREE.Matrix3();
+const _n1 = new THREE.Vector3();
+const _n2 = new THREE.Vector3();
+const _p1 = new THREE.Vector3();
+const _p2 = new THREE.Vector3();
+const _mid = new THREE.Vector3();
+const _toEye = new THREE.Vector3();
+
+function formatNumber(value) {
+    return String(+value.toFixed(PRECISION));
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function planeDist(plane, p) {
+    return plane.x * p[0] + plane.y * p[1] + plane.z * p[2] + plane.w;
+}
+
+function lerpPoint(a, b, t) {
+    const p = new Array(a.length);
+    for (let k = 0; k < a.length; k++) {
+        p[k] = a[k] + (b[k] - a[k]) * t;
+    }
+    return p;
+}
+
+// Clips a convex polygon (array of points) by the half-space dist(p) <= 0. Sutherland-Hodgman.
+function clipPolygon(poly, dist) {
+    const result = [];
+    for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        const da = dist(a);
+        const db = dist(b);
+        const aInside = da <= CUTPLANE_EPSILON;
+        const bInside = db <= CUTPLANE_EPSILON;
+        if (aInside) {
+            result.push(a);
+        }
+        if (aInside !== bInside) {
+            result.push(lerpPoint(a, b, da / (da - db)));
+        }
+    }
+    return result;
+}
+
+// Clips a segment [t0, t1] of a line by the half-space dist(t) <= 0, where dist is linear in t.
+// Returns the remaining range or null.
+function clipRange(range, d0, d1) {
+    const inside0 = d0 <= CUTPLANE_EPSILON;
+    const inside1 = d1 <= CUTPLANE_EPSILON;
+    if (inside0 && inside1) {
+        return range;
+    }
+    if (!inside0 && !inside1) {
+        return null;
+    }
+    const t = d0 / (d0 - d1);
+    return inside0 ? [range[0], Math.min(range[1], t)] : [Math.max(range[0], t), range[1]];
+}
+
+/**
+ * Splits a polygon into the parts that are not cut away.
+ * Usually, everything in front of any plane is cut away. With cutplanesHideInterior (e.g. an inverted section box),
+ * only the inside of all planes is cut away, so the remaining parts are the ones in front of plane i and behind the planes before.
+ * @param {number[][]} poly - Points [x, y, z, ...] in world coordinates.
+ * @param {THREE.Vector4[]} planes
+ * @param {boolean} hideInterior
+ * @returns {number[][][]} Convex polygons.
+ */
+function cutPolygon(poly, planes, hideInterior) {
+    if (!planes.length) {
+        return [poly];
+    }
+
+    if (!hideInterior) {
+        for (let i = 0; i < planes.length && poly.length; i++) {
+            poly = clipPolygon(poly, p => planeDist(planes[i], p));
+        }
+        return poly.length >= 3 ? [poly] : [];
+    }
+
+    const parts = [];
+    for (let i = 0; i < planes.length; i++) {
+        let part = clipPolygon(poly, p => -planeDist(planes[i], p));
+        for (let j = 0; j < i && part.length; j++) {
+            part = clipPolygon(part, p => planeDist(planes[j], p));
+        }
+        if (part.length >= 3) {
+            parts.push(part);
+        }
+    }
+    return parts;
+}
+
+// Same as cutPolygon for a segment from a to b. Returns ranges [t0, t1] of the segment.
+function cutSegment(a, b, planes, hideInterior) {
+    if (!planes.length) {
+        return [
+            [0, 1]
+        ];
+    }
+
+    if (!hideInterior) {
+        let range = [0, 1];
+        for (let i = 0; i < planes.length && range; i++) {
+            range = clipRange(range, planeDist(planes[i], a), planeDist(planes[i], b));
+        }
+        return range && range[1] > range[0] ? [range] : [];
+    }
+
+    const ranges = [];
+    for (let i = 0; i < planes.length; i++) {
+        let range = clipRange([0, 1], -planeDist(planes[i], a), -planeDist(planes[i], b));
+        for (let j = 0; j < i && range; j++) {
+            range = clipRange(range, planeDist(planes[j], a), planeDist(planes[j], b));
+        }
+        if (range && range[1] > range[0]) {
+            ranges.push(range);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Depth buffer of the view, filled by rasterizing the triangles on the CPU.
+ * Depth values are normalized device coordinates, which can be interpolated linearly in screen space.
+ * @private
+ */
+class DepthBuffer {
+
+    constructor(width, height, viewProj) {
+        this.width = width;
+        this.height = height;
+        this.viewProj = viewProj;
+        this.depth = new Float32Array(width * height).fill(Infinity);
+    }
+
+    // Converts world to clip coordinates [x, y, z, w]
+    toClip(p) {
+        const e = this.viewProj.elements;
+        const x = p[0],
+            y = p[1],
+            z = p[2];
+        return [
+            e[0] * x + e[4] * y + e[8] * z + e[12],
+            e[1] * x + e[5] * y + e[9] * z + e[13],
+            e[2] * x + e[6] * y + e[10] * z + e[14],
+            e[3] * x + e[7] * y + e[11] * z + e[15]
+        ];
+    }
+
+    // Converts clip to screen coordinates [x, y, depth], with y pointing down
+    toScreen(c) {
+        return [
+            (c[0] / c[3] + 1) * 0.5 * this.width,
+            (1 - c[1] / c[3]) * 0.5 * this.height,
+            c[2] / c[3]
+        ];
+    }
+
+    /**
+     * @param {number[][]} poly - Convex polygon in world coordinates.
+     */
+    addPolygon(poly) {
+        // Clip at the near plane (z >= -w), so that the projection is valid
+        let clip = poly.map(p => this.toClip(p));
+        clip = clipPolygon(clip, c => -(c[2] + c[3]));
+        if (clip.length < 3) {
+            return;
+        }
+
+        const screen = clip.map(c => this.toScreen(c));
+        for (let k = 2; k < screen.length; k++) {
+            this.addTriangle(screen[0], screen[k - 1], screen[k]);
+        }
+    }
+
+    addTriangle(a, b, c) {
+        const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        if (!area) {
+            return;
+        }
+
+        const xMin = Math.max(0, Math.floor(Math.min(a[0], b[0], c[0])));
+        const xMax = Math.min(this.width - 1, Math.ceil(Math.max(a[0], b[0], c[0])));
+        const yMin = Math.max(0, Math.floor(Math.min(a[1], b[1], c[1])));
+        const yMax = Math.min(this.height - 1, Math.ceil(Math.max(a[1], b[1], c[1])));
+
+        const invArea = 1 / area;
+        const depth = this.depth;
+        for (let y = yMin; y <= yMax; y++) {
+            const py = y + 0.5;
+            for (let x = xMin; x <= xMax; x++) {
+                const px = x + 0.5;
+
+                // Barycentric coordinates of the pixel center
+                const wa = ((b[0] - px) * (c[1] - py) - (b[1] - py) * (c[0] - px)) * invArea;
+                const wb = ((c[0] - px) * (a[1] - py) - (c[1] - py) * (a[0] - px)) * invArea;
+                const wc = 1 - wa - wb;
+                if (wa < 0 || wb < 0 || wc < 0) {
+                    continue;
+                }
+
+                const z = wa * a[2] + wb * b[2] + wc * c[2];
+                const i = y * this.width + x;
+                if (z < depth[i]) {
+                    depth[i] = z;
+                }
+            }
+        }
+    }
+
+    // Replaces each depth with the farthest one of its 3x3 neighborhood. Lines lie on the surfaces that they
+    // belong to, and at least one neighbor of a line pixel is on the far side of the line.
+    dilate() {
+        const w = this.width;
+        const h = this.height;
+        const src = this.depth;
+        const rows = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                rows[i] = Math.max(src[i], x > 0 ? src[i - 1] : -Infinity, x < w - 1 ? src[i + 1] : -Infinity);
+            }
+        }
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                src[i] = Math.max(rows[i], y > 0 ? rows[i - w] : -Infinity, y < h - 1 ? rows[i + w] : -Infinity);
+            }
+        }
+    }
+
+    getDepth(x, y) {
+        x = Math.min(Math.max(Math.floor(x), 0), this.width - 1);
+        y = Math.min(Math.max(Math.floor(y), 0), this.height - 1);
+        return this.depth[y * this.width + x];
+    }
+}
+
+// Visible and hidden parts of the lines by line type
+function createLines() {
+    const lines = {};
+    for (let key in HiddenLineType) {
+        lines[HiddenLineType[key]] = {
+            visible: [],
+            hidden: []
+        };
+    }
+    return lines;
+}
+
+/**
+ * Collects the visible and hidden parts of the lines of each object in drawing coordinates.
+ * @private
+ */
+class LineCollector {
+
+    constructor(depthBuffer, width, height, toLinearDepth, tolerance) {
+        this.depthBuffer = depthBuffer;
+        this.scaleX = width / depthBuffer.width;
+        this.scaleY = height / depthBuffer.height;
+        this.toLinearDepth = toLinearDepth;
+        this.tolerance = tolerance;
+
+        this.objects = new Map();
+    }
+
+    /**
+     * Returns the lines of an object, which are merged by category when all lines are collected.
+     * @param {Autodesk.Viewing.Model} model
+     * @param {number} dbId
+     * @returns {object} { model, dbId, lines }
+     */
+    getObject(model, dbId) {
+        const key = model.id + ':' + dbId;
+        let object = this.objects.get(key);
+        if (!object) {
+            object = {
+                model,
+                dbId,
+                lines: createLines()
+            };
+            this.objects.set(key, object);
+        }
+        return object;
+    }
+
+    _isVisible(p) {
+        const depth = this.depthBuffer.getDepth(p[0], p[1]);
+        return depth === Infinity || this.toLinearDepth(p[2]) <= this.toLinearDepth(depth) + this.tolerance;
+    }
+
+    _push(object, type, visible, a, b) {
+        const sx = this.scaleX;
+        const sy = this.scaleY;
+        object.lines[type][visible ? 'visible' : 'hidden'].push(a[0] * sx, a[1] * sy, b[0] * sx, b[1] * sy);
+    }
+
+    /**
+     * Clips a line at the view frustum and splits it into visible and hidden parts.
+     * @param {object} object - Object of the line, see getObject.
+     * @param {string} type - One of HiddenLineType.
+     * @param {number[]} a - Start point in world coordinates.
+     * @param {number[]} b - End point in world coordinates.
+     */
+    addLine(object, type, a, b) {
+        const db = this.depthBuffer;
+        const ca = db.toClip(a);
+        const cb = db.toClip(b);
+
+        // Clip at the six frustum planes of clip space: -w <= x,y,z <= w
+        let range = [0, 1];
+        for (let k = 0; k < 3 && range; k++) {
+            range = clipRange(range, -(ca[k] + ca[3]), -(cb[k] + cb[3]));
+            range = range && clipRange(range, ca[k] - ca[3], cb[k] - cb[3]);
+        }
+        if (!range || range[1] <= range[0]) {
+            return;
+        }
+
+        const p0 = db.toScreen(lerpPoint(ca, cb, range[0]));
+        const p1 = db.toScreen(lerpPoint(ca, cb, range[1]));
+
+        // Lines along the view direction project to a point
+        const length = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]);
+        if (length < 1e-3) {
+            return;
+        }
+
+        // Test at every half pixel. Screen coordinates and depth are linear along the projected line.
+        const steps = Math.max(1, Math.ceil(length * 2));
+
+        let start = p0;
+        let visible = this._isVisible(lerpPoint(p0, p1, 0.5 / steps));
+        for (let i = 1; i < steps; i++) {
+            const v = this._isVisible(lerpPoint(p0, p1, (i + 0.5) / steps));
+            if (v !== visible) {
+                const split = lerpPoint(p0, p1, i / steps);
+                this._push(object, type, visible, start, split);
+                start = split;
+                visible = v;
+            }
+        }
+        this._push(object, type, visible, start, p1);
+    }
+}
+
+// Edges of a geometry in its own coordinates, shared by all fragments that use it
+function getGeometryEdges(geom, creaseCos, cache) {
+    let edges = cache.get(geom);
+    if (edges) {
+        return edges;
+    }
+
+    const positions = new Float32Array(getVertexCount(geom) * 3);
+    enumMeshVertices(geom, (p, n, uv, i) => {
+        positions[i * 3] = p.x;
+        positions[i * 3 + 1] = p.y;
+        positions[i * 3 + 2] = p.z;
+    });
+
+    const indices = [];
+    const normals = [];
+    const flags = [];
+    enumMeshFeatureEdges(geom, null, geom.boundingBox, (i1, i2, n1, n2) => {
+        indices.push(i1, i2);
+        normals.push(n1.x, n1.y, n1.z);
+        if (n2) {
+            normals.push(n2.x, n2.y, n2.z);
+            flags.push(n1.dot(n2) < creaseCos ? EDGE_CREASE : 0);
+        } else {
+            normals.push(0, 0, 0);
+            flags.push(EDGE_BOUNDARY);
+        }
+    });
+
+    edges = {
+        positions,
+        indices,
+        normals: new Float32Array(normals),
+        flags
+    };
+    cache.set(geom, edges);
+    return edges;
+}
+
+// Vertex data may have been discarded after the upload to the GPU
+function hasVertexData(geom) {
+    return !!(geom.vb || (geom.attributes && geom.attributes.position && geom.attributes.position.array));
+}
+
+// Fragments of the view: visible, in the view frustum and with triangle geometry
+function collectFragments(models, frustum) {
+    const result = [];
+    result.skipped = 0;
+    models.forEach(model => {
+        const frags = model.getFragmentList();
+        if (!frags) {
+            return;
+        }
+
+        for (let fragId = 0, count = frags.getCount(); fragId < count; fragId++) {
+            // Hidden and isolated objects are handled by the visibility flags
+            if (frags.isNotLoaded(fragId) || !frags.isFragVisible(fragId)) {
+                continue;
+            }
+
+            const geom = frags.getGeometry(fragId);
+            if (!geom || geom.isLines || geom.isWideLines || geom.isPoints || geom.is2d || geom.numInstances) {
+                continue;
+            }
+
+            frags.getWorldBounds(fragId, _tmpBox);
+            if (frustum.intersectsBox(_tmpBox) === FrustumIntersector.OUTSIDE) {
+                continue;
+            }
+
+            if (!hasVertexData(geom)) {
+                result.skipped++;
+                continue;
+            }
+
+            result.push({
+                model,
+                fragId,
+                dbId: frags.getDbIds(fragId),
+                geom
+            });
+        }
+    });
+    return result;
+}
+
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function appendSegments(target, source) {
+    for (let i = 0; i < source.length; i++) {
+        target.push(source[i]);
+    }
+}
+
+// Looks up the category of each object and merges the lines of the objects by category
+async function mergeByCategory(objects, propertyName) {
+    const objectsByModel = new Map();
+    objects.forEach(object => {
+        const list = objectsByModel.get(object.model) || [];
+        list.push(object);
+        objectsByModel.set(object.model, list);
+    });
+
+    const lookups = [];
+    objectsByModel.forEach((list, model) => {
+        lookups.push(new Promise(resolve => {
+            const onDone = (results) => {
+                const names = {};
+                for (let i = 0; i < results.length; i++) {
+                    const prop = results[i].properties[0];
+                    if (prop && prop.displayValue !== '' && prop.displayValue !== null && prop.displayValue !== undefined) {
+                        names[results[i].dbId] = String(prop.displayValue);
+                    }
+                }
+                list.forEach(object => {
+                    object.category = names[object.dbId];
+                });
+                resolve();
+            };
+
+            // Objects without properties end up in the default category
+            const onError = () => resolve();
+
+            model.getBulkProperties2(list.map(object => object.dbId), {
+                propFilter: [propertyName],
+                ignoreHidden: false
+            }, onDone, onError);
+        }));
+    });
+    await Promise.all(lookups);
+
+    const categories = {};
+    objects.forEach(object => {
+        const name = object.category || DEFAULT_CATEGORY;
+        const lines = categories[name] = categories[name] || createLines();
+        for (let type in lines) {
+            appendSegments(lines[type].visible, object.lines[type].visible);
+            appendSegments(lines[type].hidden, object.lines[type].hidden);
+        }
+    });
+    return categories;
+}
+
+/**
+ * Computes a hidden-line drawing of the current view.
+ *
+ * The feature edges of the visible objects are extracted from their triangles: outer edges of open surfaces,
+ * creases between triangles at a sharp angle and the silhouettes as seen from the camera. Their visibility is
+ * tested against a depth buffer of the view. Cut planes (including scoped sections) remove the geometry like in
+ * the viewer and add the section profiles as lines. Hidden and isolated objects are skipped. The lines are grouped
+ * by the category of their object, so that each category can be drawn with its own line weights.
+ *
+ * Only geometry that is in memory is exported, so it's best to wait until all models are fully loaded.
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {object} [options]
+ * @param {number} [options.width] - Width of the drawing in pixels. Defaults to the size of the canvas.
+ * @param {number} [options.height] - Height of the drawing in pixels. Defaults to the size of the canvas.
+ * @param {UnifiedCamera} [options.camera] - Camera of the drawing. Defaults to the current view.
+ * @param {Autodesk.Viewing.Model[]} [options.models] - Models to export. Defaults to all visible 3D models.
+ * @param {number} [options.creaseAngle=30] - Minimum angle in degrees between two triangles for a crease line.
+ * @param {boolean} [options.includeHidden=false] - Also collect the hidden parts of the lines.
+ * @param {number} [options.depthTolerance=1e-4] - Tolerance of the visibility test, relative to the depth of the view.
+ * @param {string} [options.categoryProperty='Category'] - Property that assigns the objects to categories.
+ *   Objects without it are in the category 'Default'.
+ * @param {function} [options.onProgress] - Called with the progress between 0 and 1.
+ * @returns {Promise<object>} Resolves to the drawing { width, height, categories }, where categories contains the lines
+ *   of each object category. They have an entry { visible, hidden } for each {@link Autodesk.Viewing.HiddenLineType}.
+ *   Each entry is a flat array of line segments [x0, y0, x1, y1, ...] in pixels, with the origin at the top left.
+ *
+ * @alias Autodesk.Viewing.HiddenLineExporter.computeHiddenLines
+ */
+async function computeHiddenLines(viewer, options) {
+
+    options = options || {};
+
+    const viewerImpl = viewer.impl;
+    const materials = viewerImpl.matman();
+
+    const width = Math.round(options.width || viewerImpl.camera.clientWidth || viewer.container.clientWidth);
+    const height = Math.round(options.height || viewerImpl.camera.clientHeight || viewer.container.clientHeight);
+    if (!(width > 0 && height > 0)) {
+        throw new Error("Invalid drawing size");
+    }
+
+    const models = (options.models || viewerImpl.modelQueue().getModels()).filter(model => model.is3d());
+
+    // Camera of the drawing
+    const camera = (options.camera || viewerImpl.camera).clone();
+    camera.aspect = width / height;
+    viewerImpl.updateNearFarValues(camera, viewerImpl.getVisibleBounds());
+    camera.updateCameraMatrices();
+
+    const viewProj = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    const frustum = new FrustumIntersector();
+    frustum.reset(camera);
+
+    // Depth values of the buffer are converted to the distance from the camera for the visibility test
+    const P = camera.projectionMatrix.elements;
+    const toLinearDepth = camera.isPerspective ? (z => P[14] / (z + P[10])) : (z => (P[14] - z) / P[10]);
+    const tolerance = (options.depthTolerance !== undefined ? options.depthTolerance : DEFAULT_DEPTH_TOLERANCE) * (camera.far - camera.near);
+
+    // The depth buffer has the resolution of the drawing, up to a limit
+    const scale = Math.max(1, Math.max(width, height) / MAX_DEPTH_BUFFER_SIZE);
+    const depthBuffer = new DepthBuffer(Math.ceil(width / scale), Math.ceil(height / scale), viewProj);
+    const collector = new LineCollector(depthBuffer, width, height, toLinearDepth, tolerance);
+
+    const hideInterior = materials.cutplanesHideInterior > 0;
+    const creaseCos = Math.cos(THREE.Math.degToRad(options.creaseAngle !== undefined ? options.creaseAngle : DEFAULT_CREASE_ANGLE));
+
+    const fragments = collectFragments(models, frustum);
+    const geometryEdges = new Map();
+
+    // Section lines in world coordinates, collected while rasterizing
+    const sections = [];
+
+    let sliceStart = Date.now();
+    const nextFragment = async (index) => {
+        options.onProgress && options.onProgress(index / (fragments.length * 2));
+        if (Date.now() - sliceStart > TIME_SLICE) {
+            await yieldToBrowser();
+            sliceStart = Date.now();
+        }
+    };
+
+    const getCutPlanes = (fragment) => {
+        const material = fragment.model.getFragmentList().getMaterial(fragment.fragId);
+        return (material && material.cutplanes) || [];
+    };
+
+    // 1. Rasterize the remaining triangles and find the section lines
+    for (let i = 0; i < fragments.length; i++) {
+        await nextFragment(i);
+
+        const fragment = fragments[i];
+        const object = collector.getObject(fragment.model, fragment.dbId);
+        const frags = fragment.model.getFragmentList();
+        const planes = getCutPlanes(fragment);
+        frags.getWorldMatrix(fragment.fragId, _tmpMatrix);
+
+        enumMeshTriangles(fragment.geom, (vA, vB, vC) => {
+            const tri = [vA, vB, vC].map(v => {
+                _p1.set(v.x, v.y, v.z).applyMatrix4(_tmpMatrix);
+                return [_p1.x, _p1.y, _p1.z];
+            });
+
+            cutPolygon(tri, planes, hideInterior).forEach(poly => depthBuffer.addPolygon(poly));
+
+            // Profile at each cut plane, limited to the part on the surface of the cut volume
+            for (let k = 0; k < planes.length; k++) {
+                const d = tri.map(p => planeDist(planes[k], p));
+                const points = [];
+                for (let j = 0; j < 3; j++) {
+                    const dj = d[j];
+                    const dn = d[(j + 1) % 3];
+                    if ((dj < 0 && dn > 0) || (dj > 0 && dn < 0)) {
+                        points.push(lerpPoint(tri[j], tri[(j + 1) % 3], dj / (dj - dn)));
+                    }
+                }
+                if (points.length !== 2) {
+                    continue;
+                }
+
+                // The profile is where plane k bounds the cut-away volume, i.e. behind all other planes. This holds for
+                // both modes: the volume is in front of any plane, or with hideInterior behind all of them. Clipping
+                // with hideInterior would keep the parts in front of the other planes, where nothing is cut.
+                const others = planes.filter((plane, j) => j !== k);
+                cutSegment(points[0], points[1], others, false).forEach(range => {
+                    sections.push({
+                        object,
+                        a: lerpPoint(points[0], points[1], range[0]),
+                        b: lerpPoint(points[0], points[1], range[1])
+                    });
+                });
+            }
+        });
+    }
+
+    depthBuffer.dilate();
+
+    // 2. Classify the edges for the view and test their visibility
+    for (let i = 0; i < fragments.length; i++) {
+        await nextFragment(fragments.length + i);
+
+        const fragment = fragments[i];
+        const object = collector.getObject(fragment.model, fragment.dbId);
+        const edges = getGeometryEdges(fragment.geom, creaseCos, geometryEdges);
+
+        const planes = getCutPlanes(fragment);
+        fragment.model.getFragmentList().getWorldMatrix(fragment.fragId, _tmpMatrix);
+        _tmpNormalMatrix.getNormalMatrix(_tmpMatrix);
+
+        const {
+            positions,
+            indices,
+            normals,
+            flags
+        } = edges;
+        for (let e = 0; e < flags.length; e++) {
+            const i1 = indices[2 * e];
+            const i2 = indices[2 * e + 1];
+            _p1.set(positions[3 * i1], positions[3 * i1 + 1], positions[3 * i1 + 2]).applyMatrix4(_tmpMatrix);
+            _p2.set(positions[3 * i2], positions[3 * i2 + 1], positions[3 * i2 + 2]).applyMatrix4(_tmpMatrix);
+
+            let type;
+            if (flags[e] & EDGE_BOUNDARY) {
+                type = HiddenLineType.BOUNDARY;
+            } else {
+                // Silhouettes are between a triangle facing the camera and one facing away
+                if (camera.isPerspective) {
+                    _toEye.copy(camera.position).sub(_mid.copy(_p1).add(_p2).multiplyScalar(0.5));
+                } else {
+                    _toEye.copy(camera.position).sub(camera.target);
+                }
+                _n1.set(normals[6 * e], normals[6 * e + 1], normals[6 * e + 2]).applyMatrix3(_tmpNormalMatrix);
+                _n2.set(normals[6 * e + 3], normals[6 * e + 4], normals[6 * e + 5]).applyMatrix3(_tmpNormalMatrix);
+                if ((_n1.dot(_toEye) > 0) !== (_n2.dot(_toEye) > 0)) {
+                    type = HiddenLineType.SILHOUETTE;
+                } else if (flags[e] & EDGE_CREASE) {
+                    type = HiddenLineType.CREASE;
+                } else {
+                    continue;
+                }
+            }
+
+            const a = [_p1.x, _p1.y, _p1.z];
+            const b = [_p2.x, _p2.y, _p2.z];
+            cutSegment(a, b, planes, hideInterior).forEach(range => {
+                collector.addLine(object, type, lerpPoint(a, b, range[0]), lerpPoint(a, b, range[1]));
+            });
+        }
+    }
+
+    sections.forEach(section => collector.addLine(section.object, HiddenLineType.SECTION, section.a, section.b));
+
+    if (fragments.skipped) {
+        logger.warn("Hidden line export: skipped " + fragments.skipped + " fragments without vertex data.");
+    }
+
+    if (!options.includeHidden) {
+        collector.objects.forEach(object => {
+            for (let type in object.lines) {
+                object.lines[type].hidden.length = 0;
+            }
+        });
+    }
+
+    const categories = await mergeByCategory(collector.objects, options.categoryProperty || DEFAULT_CATEGORY_PROPERTY);
+
+    options.onProgress && options.onProgress(1);
+
+    return {
+        width,
+        height,
+        categories
+    };
+}
+
+// Line weights of an object category by line type. The weights of a category are either a single weight or
+// { projection, cut } for the lines beyond and at the cut planes. They replace the weights of the visible lines.
+function getLineWeights(options, category) {
+    const weights = Object.assign({}, DEFAULT_LINE_WEIGHTS, options && options.lineWeights);
+
+    let categoryWeights = options && options.categoryWeights && options.categoryWeights[category];
+    if (typeof categoryWeights === 'number') {
+        categoryWeights = {
+            projection: categoryWeights,
+            cut: categoryWeights
+        };
+    }
+    if (categoryWeights && categoryWeights.projection !== undefined) {
+        weights.silhouette = weights.boundary = weights.crease = categoryWeights.projection;
+    }
+    if (categoryWeights && categoryWeights.cut !== undefined) {
+        weights.section = categoryWeights.cut;
+    }
+    return weights;
+}
+
+// Line groups { category, type, hidden, weight, segments } of a drawing. Hidden lines come first and the
+// others from thin to thick, so that heavier lines are drawn on top.
+function getLineGroups(drawing, options) {
+    const groups = [];
+    for (let category in drawing.categories) {
+        const weights = getLineWeights(options, category);
+        const lines = drawing.categories[category];
+        for (let type in lines) {
+            if (lines[type].hidden.length) {
+                groups.push({
+                    category,
+                    type,
+                    hidden: true,
+                    weight: weights.hidden,
+                    segments: lines[type].hidden
+                });
+            }
+            if (lines[type].visible.length) {
+                groups.push({
+                    category,
+                    type,
+                    hidden: false,
+                    weight: weights[type],
+                    segments: lines[type].visible
+                });
+            }
+        }
+    }
+    return groups.sort((a, b) => (b.hidden - a.hidden) || (a.weight - b.weight));
+}
+
+/**
+ * Writes a hidden-line drawing as SVG document, with one group per object category, line type and visibility.
+ *
+ * @param {object} drawing - Result of computeHiddenLines.
+ * @param {object} [options]
+ * @param {object} [options.lineWeights] - Line weights in pixels by line type, e.g. { silhouette: 2, hidden: 0.5 }.
+ * @param {object} [options.categoryWeights] - Line weights in pixels by object category, which replace the weights of
+ *   the visible lines, e.g. { 'Revit Walls': { projection: 1, cut: 2 }, 'Revit Doors': 0.5 }. A single number is used
+ *   for both the projection and the cut (section) lines.
+ * @param {string} [options.color='black'] - Line color.
+ * @returns {string} SVG document.
+ *
+ * @alias Autodesk.Viewing.HiddenLineExporter.writeSvg
+ */
+function writeSvg(drawing, options) {
+    const color = (options && options.color) || 'black';
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${drawing.width}" height="${drawing.height}" viewBox="0 0 ${drawing.width} ${drawing.height}">`,
+        `<g fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round">`
+    ];
+
+    getLineGroups(drawing, options).forEach(group => {
+        const segments = group.segments;
+        const path = [];
+        for (let i = 0; i < segments.length; i += 4) {
+            path.push(`M${formatNumber(segments[i])} ${formatNumber(segments[i + 1])}L${formatNumber(segments[i + 2])} ${formatNumber(segments[i + 3])}`);
+        }
+        const weight = group.weight;
+        const style = group.hidden ?
+            `stroke-width="${weight}" stroke-dasharray="${formatNumber(weight * 8)} ${formatNumber(weight * 6)}"` :
+            `stroke-width="${weight}"`;
+        lines.push(`<g class="${group.type}${group.hidden ? ' hidden' : ''}" data-category="${escapeXml(group.category)}" ${style}>`, `<path d="${path.join('')}"/>`, '</g>');
+    });
+
+    lines.push('</g>', '</svg>');
+    return lines.join('\n');
+}
+
+/**
+ * Writes a hidden-line drawing as single page PDF. One pixel of the drawing is one point (1/72 inch) on the page.
+ *
+ * @param {object} drawing - Result of computeHiddenLines.
+ * @param {object} [options]
+ * @param {object} [options.lineWeights] - Line weights in points by line type, see writeSvg.
+ * @param {object} [options.categoryWeights] - Line weights in points by object category, see writeSvg.
+ * @returns {Blob} PDF document.
+ *
+ * @alias Autodesk.Viewing.HiddenLineExporter.writePdf
+ */
+function writePdf(drawing, options) {
+    const height = drawing.height;
+
+    // Page content. PDF's y-axis points up.
+    const content = ['0 G', '1 J', '1 j'];
+    const addLines = (segments, weight, hidden) => {
+        content.push(`${formatNumber(weight)} w`, hidden ? `[${formatNumber(weight * 8)} ${formatNumber(weight * 6)}] 0 d` : '[] 0 d');
+        for (let i = 0; i < segments.length; i += 4) {
+            content.push(`${formatNumber(segments[i])} ${formatNumber(height - segments[i + 1])} m ` +
+                `${formatNumber(segments[i + 2])} ${formatNumber(height - segments[i + 3])} l`);
+        }
+        content.push('S');
+    };
+
+    getLineGroups(drawing, options).forEach(group => addLines(group.segments, group.weight, group.hidden));
+
+    const stream = content.join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${drawing.width} ${height}] /Resources << >> /Contents 4 0 R >>`,
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    ];
+
+    // The document is ASCII only, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return new Blob([pdf], {
+        type: 'application/pdf'
+    });
+}
+
+/**
+ * Exports a hidden-line drawing of the current view as SVG. See computeHiddenLines and writeSvg for the options.
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {object} [options]
+ * @returns {Promise<string>} SVG document.
+ *
+ * @alias Autodesk.Viewing.HiddenLineExporter.exportSvg
+ */
+async function exportSvg(viewer, options) {
+    return writeSvg(await computeHiddenLines(viewer, options), options);
+}
+
+/**
+ * Exports a hidden-line drawing of the current view as PDF. See computeHiddenLines and writePdf for the options.
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {object} [options]
+ * @returns {Promise<Blob>} PDF document.
+ *
+ * @alias Autodesk.Viewing.HiddenLineExporter.exportPdf
+ */
+async function exportPdf(viewer, options) {
+    return writePdf(await computeHiddenLines(viewer, options), options);
+}
+
+export let HiddenLineExporter = {
+    computeHiddenLines,
+    writeSvg,
+    writePdf,
+    exportSvg,
+    exportPdf
+};
@@ -1009,6 +1009,135 @@ export class Model extends RenderModel {
         return pdb.findProperty(propertyName);
     }
 
+    /**
+     * Returns the dbIds of all objects that match a structured property query.
+     *
+     * Conditions compare a property (optionally prefixed by its category) with a value, and can be combined
+     * with AND, OR, NOT and parentheses. Operators are =, !=, <, <=, >, >=, ~ (regex match or substring) and !~.
+     * Numbers may have units, which are converted when the property has units too.
+     * A property name on its own matches all objects that have the property.
+     *
+     * @example
+     *   model.queryProperties('Category = "Revit Walls" AND Height > 3m AND name ~ /^W-\\d+/')
+     *       .then(dbIds => viewer.isolate(dbIds, model));
+     *   model.queryProperties('Dimensions.Width >= 10\'6" OR NOT Material');
+     *
+     * @param {string} query - The query text. Property names containing spaces or operator characters must be quoted.
+     * @param {object} [options]
+     * @param {boolean} [options.includeInherited=true] - Include properties inherited through instance_of relations.
+     * @returns {Promise} that resolves with an Array of matching dbIds, or rejects with {msg} if the query is invalid.
+     *
+     * @alias Autodesk.Viewing.Model#queryProperties
+     */
+    queryProperties(query, options) {
+        var pdb = this.getPropertyDb();
+
+        if (!pdb) {
+            return Promise.reject('Model doesn\'t have any properties.');
+        }
+
+        return new Promise(function(resolve, reject) {
+            pdb.queryProperties(query, resolve, reject, options);
+        });
+    }
+
+    /**
+     * Exports a table of object properties, e.g. for a schedule in Excel.
+     * The table is built in the property worker, with one row per object and one column per property.
+     * The worker streams the output in chunks, which can be processed as they arrive with onData.
+     *
+     * @example
+     *   model.exportProperties({
+     *       columns: ['Name', 'Dimensions.Height', { name: 'Area', label: 'Floor Area' }],
+     *       query: 'Category = "Revit Rooms"',
+     *       format: 'xml'
+     *   }).then(result => new Blob([result.data], { type: 'application/vnd.ms-excel' }));
+     *
+     * @param {object} [options]
+     * @param {string} [options.format='csv'] - 'csv', or 'xml' for an Excel 2003 XML workbook (SpreadsheetML).
+     * @param {Array<string|object>} [options.columns] - Properties to export, by name, as 'Category.Name', or as
+     *        {name, category, label}. Default: the name and all visible properties that the exported objects have.
+     * @param {number[]} [options.dbIds] - Objects to export. Default: all objects.
+     * @param {string} [options.query] - Only export objects matching this query, see {@link Autodesk.Viewing.Model#queryProperties}.
+     * @param {boolean} [options.displayValues=true] - Export values as displayed, with precision and units.
+     *        Otherwise, raw values are exported and the units are added to the column headers.
+     * @param {boolean} [options.includeDbId=true] - Add a dbId column.
+     * @param {boolean} [options.includeExternalId=false] - Add an externalId column. This loads the externalID table if necessary.
+     * @param {boolean} [options.includeInherited=true] - Include properties inherited through instance_of relations.
+     * @param {string} [options.delimiter=','] - Column delimiter for CSV.
+     * @param {string} [options.sheetName='Properties'] - Worksheet name for SpreadsheetML.
+     * @param {function(number)} [onProgress] - Receives percent values while the export is running.
+     * @param {function(string)} [onData] - Receives the CSV or XML output in chunks, in order. If set, the chunks
+     *        are not joined into data.
+     * @returns {Promise} that resolves with {data, rowCount, columnCount}, where data is the CSV or XML string.
+     *
+     * @alias Autodesk.Viewing.Model#exportProperties
+     */
+    exportProperties(options, onProgress, onData) {
+        var pdb = this.getPropertyDb();
+
+        if (!pdb) {
+            return Promise.reject('Model doesn\'t have any properties.');
+        }
+
+        return new Promise(function(resolve, reject) {
+            pdb.exportProperties(options, resolve, reject, onProgress && function(progress) {
+                onProgress(progress.percent);
+            }, onData);
+        });
+    }
+
+    /**
+     * Attaches user-defined custom properties to the model's property database, replacing the ones attached before.
+     * They are returned with the other object properties and take part in search and property queries.
+     * Usually, custom properties are managed through {@link Autodesk.Viewing.CustomPropertyManager}.
+     *
+     * @param {object[]} definitions - {name, category, displayName, type, units, precision, hidden}, where type is
+     *        one of 'String', 'Boolean', 'Integer' or 'Double'.
+     * @param {object} values - Maps externalIds to {propertyKey: value}, where propertyKey is 'category/name', or just the name.
+     * @returns {Promise} that resolves with {unresolvedIds}, listing the externalIds that don't exist in this model.
+     *
+     * @alias Autodesk.Viewing.Model#setCustomProperties
+     */
+    setCustomProperties(definitions, values) {
+        var pdb = this.getPropertyDb();
+
+        if (!pdb) {
+            return Promise.reject('Model doesn\'t have any properties.');
+        }
+
+        return new Promise(function(resolve, reject) {
+            pdb.setUserCustomProperties(definitions, values, resolve, reject);
+        });
+    }
+
+    /**
+     * Replaces the selective loading queries of a loaded model without reloading it. Fragments that no longer
+     * pass the queries are unloaded and their GPU memory is freed, newly passing fragments are requested.
+     * Progress is reported via {@link Autodesk.Viewing.PROGRESS_UPDATE_EVENT}.
+     *
+     * Only supported for SVF2 models that were loaded with a `filter` or with `onDemandLoading`.
+     *
+     * @example
+     *  model.updateSelectiveLoading({
+     *      spatial_query: { '$intersects': [ { 'sphere': [ 120, 45, 2, 30 ] } ] }
+     *  }).then(({ loaded, unloaded }) => console.log(loaded, unloaded));
+     *
+     * @param {object} [query] - Same format as the `filter` load option: spatial_query, property_query and
+     *        root_condition. Omitted queries are removed.
+     * @returns {Promise} that resolves with {loaded, unloaded}, the number of affected fragments, once all geometry is received.
+     *        Rejects if the queries can't be initialized, e.g. if a property query can't be resolved.
+     *
+     * @alias Autodesk.Viewing.Model#updateSelectiveLoading
+     */
+    updateSelectiveLoading(query) {
+        if (!this.isOTG() || !this.loader ? .updateSelectiveLoading) {
+            return Promise.reject('Selective loading is only supported for SVF2 models.');
+        }
+
+        return this.loader.updateSelectiveLoading(query);
+    }
+
     //========================================================
     // Utility functions used by page->model conversions below
 
@@ -102,6 +102,7 @@ export const Prefs2D = {
  * @property {string} PROGRESSIVE_RENDERING - Toggles whether progressive rendering is used.
  * @property {string} OPEN_PROPERTIES_ON_SELECT - Open property panel when selecting an object. (Only for GuiViewer3D)
  * @property {string} POINT_RENDERING - Hides all points in the scene.
+ * @property {string} POINT_SIZE - Size of points in pixels. 0 uses the size stored with the geometry.
  * @property {string} BACKGROUND_COLOR_PRESET - Sets a color to the background.
  * @property {string} REVERSE_MOUSE_ZOOM_DIR - Reverse the default direction for camera dolly (zoom) operations.
  * @property {string} LEFT_HANDED_MOUSE_SETUP - Reverse mouse buttons from their default assignment (i.e. Left mouse operation becomes right mouse and vice versa).
@@ -124,6 +125,7 @@ export const Prefs = {
     PROGRESSIVE_RENDERING: 'progressiveRendering',
     OPEN_PROPERTIES_ON_SELECT: 'openPropertiesOnSelect',
     POINT_RENDERING: 'pointRendering',
+    POINT_SIZE: 'pointSize',
     BACKGROUND_COLOR_PRESET: 'backgroundColorPreset',
     REVERSE_MOUSE_ZOOM_DIR: 'reverseMouseZoomDir',
     LEFT_HANDED_MOUSE_SETUP: 'leftHandedMouseSetup',
@@ -96,6 +96,7 @@ export class EnumType {
  * @property {boolean} progressiveRendering - Toggles whether progressive rendering is used.
  * @property {boolean} openPropertiesOnSelect - Open property panel when selecting an object (Only for GuiViewer3D).
  * @property {boolean} pointRendering - Hides all points in the scene.
+ * @property {number} pointSize - Size of points in pixels. 0 uses the size stored with the geometry.
  * @property {*} backgroundColorPreset - Sets a color to the background.
  * @property {boolean} reverseMouseZoomDir - Reverse the default direction for camera dolly (zoom) operations.
  * @property {boolean} leftHandedMouseSetup - Reverse mouse buttons from their default assignment (i.e. Left mouse operation becomes right mouse and vice versa).
@@ -161,6 +162,7 @@ defaultSettings[Prefs2D.USE_PDF_VIEWPORT_INFO] = false;
 defaultSettings[Prefs.PROGRESSIVE_RENDERING] = true;
 defaultSettings[Prefs.OPEN_PROPERTIES_ON_SELECT] = false;
 defaultSettings[Prefs.POINT_RENDERING] = true;
+defaultSettings[Prefs.POINT_SIZE] = 0;
 defaultSettings[Prefs.BACKGROUND_COLOR_PRESET] = null;
 defaultSettings[Prefs.REVERSE_MOUSE_ZOOM_DIR] = false;
 defaultSettings[Prefs.LEFT_HANDED_MOUSE_SETUP] = false;
@@ -200,6 +202,7 @@ defaultSettings[Prefs.KEY_MAP_CMD] = true;
  * @property {boolean} progressiveRendering - Default Value: true. Toggles whether progressive rendering is used.
  * @property {boolean} openPropertiesOnSelect - Default Value: false. Open property panel when selecting an object (Only for GuiViewer3D).
  * @property {boolean} pointRendering - Default Value: true. Hides all points in the scene.
+ * @property {number} pointSize - Default Value: 0. Size of points in pixels. 0 uses the size stored with the geometry.
  * @property {*} backgroundColorPreset - Default Value: null. Sets a color to the background.
  * @property {boolean} reverseMouseZoomDir - Default Value: false. Reverse the default direction for camera dolly (zoom) operations.
  * @property {boolean} leftHandedMouseSetup - Default Value: false. Reverse mouse buttons from their default assignment (i.e. Left mouse operation becomes right mouse and vice versa).
@@ -162,6 +162,8 @@ function getScreenShotLegacy(viewer, w, h, cb, overlayRenderer) {
 //  @param {boolean}            [options.renderOverlayScenes] - Render overlay scenes in final step to overlayTarget. If options.overlayScenes is not provided, renders all overlay scenes.
 //  @param {Object}             [options.overlayScenes]       - An object containing overlay scenes to render to overlayTarget
 //  @param {Array}              [options.extraTargets]   - Extra named targets to return in onFinished callback
+//  @param {number}             [options.pixelScale]     - Factor for the pixels per unit of the screenshot (default 1). Used when rendering a tile of a
+//                                                       larger image, so that line widths match the full image size.
 //  @param {Viewer3DImpl}     viewerImpl             - main viewer instance - to get glRenderer, material manager, default models etc.
 //  @returns {Object} Control object C: Use...
 //                    - C.stop() to cancel computation
@@ -407,6 +409,9 @@ const getScreenShot = (w, h, onFinished, options, viewerImpl) => {
         scene.forEachNoMesh(recoverFragState);
     };
 
+    // Tiles of a larger image are rendered with the pixel scale of the full image
+    const pixelScale = options.pixelScale || 1;
+
     // Determine pixelPerUnit parameter for this screenshot
     const getPixelsPerUnitValue = () => {
 
@@ -439,7 +444,7 @@ const getScreenShot = (w, h, onFinished, options, viewerImpl) => {
         let modelBox = models[0] && models[0].getBoundingBox();
 
         // Note that getPixelsPerUnit() uses the _deviceHeight of the RenderContext. This value is only
-        return SceneMath.getPixelsPerUnit(camera, is2d, worldBox, deviceHeight, cutPlane, modelBox);
+        return SceneMath.getPixelsPerUnit(camera, is2d, worldBox, deviceHeight, cutPlane, modelBox) * pixelScale;
     };
     const pixelsPerUnit = getPixelsPerUnitValue();
 
@@ -615,7 +620,7 @@ const getScreenShot = (w, h, onFinished, options, viewerImpl) => {
                     const deviceWidth = ctx.settings.deviceWidth;
                     const deviceHeight = ctx.settings.deviceHeight;
                     // Sending is2d:true here because we want the calculation path done for 2D sheets
-                    const pixelsPerUnit = SceneMath.getPixelsPerUnit(camera, true, bounds, deviceHeight, null, bounds);
+                    const pixelsPerUnit = SceneMath.getPixelsPerUnit(camera, true, bounds, deviceHeight, null, bounds) * pixelScale;
 
                     materials.updatePixelScaleForModel(model, pixelsPerUnit, deviceWidth, deviceHeight, scaling, camera);
                 }
@@ -0,0 +1,432 @@
+import * as THREE from "three";
+import {
+    getGlobal
+} from "../compat";
+import {
+    RenderContext
+} from "../wgs/render/RenderContext";
+import {
+    UnifiedCamera
+} from "../tools/UnifiedCamera";
+import {
+    ScreenShot
+} from "./ScreenShot";
+
+const DEFAULT_TILE_SIZE = 2048;
+const DEFAULT_MARGIN = 64;
+const DEFAULT_JPEG_QUALITY = 0.92;
+
+export const TiledScreenShotFormat = {
+    PNG: 'png',
+    JPEG: 'jpeg'
+};
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+let _crcTable = null;
+
+function getCrcTable() {
+    if (!_crcTable) {
+        _crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            _crcTable[n] = c >>> 0;
+        }
+    }
+    return _crcTable;
+}
+
+// Creates a PNG chunk: length, type, data and the CRC of type and data
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 4; i < data.length + 8; i++) {
+        crc = table[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    view.setUint32(data.length + 8, (crc ^ 0xFFFFFFFF) >>> 0);
+    return chunk;
+}
+
+/**
+ * Encodes an RGBA PNG from scanlines that are written from top to bottom, so that the
+ * full image never has to be in memory uncompressed.
+ * @private
+ */
+class PngStreamWriter {
+
+    constructor(width, height) {
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 8; // bits per channel
+        header[9] = 6; // RGBA
+        // compression, filter and interlace methods are 0
+
+        this.parts = [PNG_SIGNATURE, createPngChunk('IHDR', header)];
+
+        // 'deflate' is the zlib format that PNG expects
+        const CompressionStream = getGlobal().CompressionStream;
+        const stream = new CompressionStream('deflate');
+        this.writer = stream.writable.getWriter();
+
+        const reader = stream.readable.getReader();
+        const read = () => reader.read().then(({
+            done,
+            value
+        }) => {
+            if (!done) {
+                this.parts.push(createPngChunk('IDAT', value));
+                return read();
+            }
+        });
+        this.reading = read();
+    }
+
+    /**
+     * @param {Uint8Array} scanlines - Each row starts with its filter type (0), followed by the RGBA values.
+     * @returns {Promise} Resolves when the data has been consumed.
+     */
+    write(scanlines) {
+        return this.writer.write(scanlines);
+    }
+
+    /**
+     * @returns {Promise<Blob>}
+     */
+    finish() {
+        return this.writer.close().then(() => this.reading).then(() => {
+            this.parts.push(createPngChunk('IEND', new Uint8Array(0)));
+            return new Blob(this.parts, {
+                type: 'image/png'
+            });
+        });
+    }
+
+    abort() {
+        this.reading.catch(() => {});
+        this.writer.abort().catch(() => {});
+    }
+}
+
+/**
+ * Camera that renders a window of the view of a larger image. The projection of the full view is
+ * followed by a scale and offset in normalized device coordinates, which gives an off-axis frustum
+ * for perspective and orthographic views alike.
+ * @private
+ */
+class TileCamera extends UnifiedCamera {
+
+    constructor(clientWidth, clientHeight) {
+        super(clientWidth, clientHeight);
+
+        // Maps the window of the tile to [-1, 1]
+        this.tileMatrix = new THREE.Matrix4();
+        this.tileProjectionMatrix = new THREE.Matrix4();
+    }
+
+    /**
+     * @param {number} left - Window of the tile in normalized device coordinates of the full view.
+     * @param {number} right
+     * @param {number} bottom
+     * @param {number} top
+     */
+    setTile(left, right, bottom, top) {
+        const sx = 2 / (right - left);
+        const sy = 2 / (top - bottom);
+        this.tileMatrix.set(
+            sx, 0, 0, -(right + left) / (right - left),
+            0, sy, 0, -(top + bottom) / (top - bottom),
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        );
+        this.updateProjectionMatrix();
+    }
+
+    updateProjectionMatrix() {
+        super.updateProjectionMatrix();
+
+        // The constructor sets up the projection before the tile matrix exists
+        if (this.tileMatrix) {
+            this.projectionMatrix = this.tileProjectionMatrix.multiplyMatrices(this.tileMatrix, this.projectionMatrix);
+        }
+    }
+}
+
+/**
+ * Renders a screenshot at a resolution beyond the size limit of render targets, e.g. for printing posters.
+ *
+ * The view is split into tiles that are rendered one after another with {@link Autodesk.Viewing.ScreenShot.getScreenShot}.
+ * All tiles share the camera of the full view, with an off-axis projection per tile, and the same render settings.
+ * Each tile is rendered with an extra margin that is cropped again, so that screen-space effects like ambient occlusion
+ * and edges have their neighborhood and the tiles stitch without seams.
+ *
+ * PNG images are compressed band by band while the tiles are rendered, if the browser supports CompressionStream.
+ * JPEG images are assembled in a canvas of the full size, which limits their size to what the browser supports for canvases.
+ *
+ * @example
+ *   // A0 poster at 300 DPI
+ *   const screenshot = new Autodesk.Viewing.TiledScreenShot(viewer, {
+ *       width: 14043,
+ *       height: 9933,
+ *       onProgress: (progress) => console.log(Math.round(progress * 100) + '%')
+ *   });
+ *   const blob = await screenshot.render();
+ *
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {object} options
+ * @param {number} options.width - Width of the image.
+ * @param {number} options.height - Height of the image.
+ * @param {string} [options.format='png'] - 'png' or 'jpeg'.
+ * @param {number} [options.quality=0.92] - JPEG quality between 0 and 1.
+ * @param {number} [options.tileSize=2048] - Size of the rendered tiles, including the margin. Limited by the render target size of the device.
+ * @param {number} [options.margin=64] - Pixels rendered around each tile and cropped again. Should cover the radius of ambient occlusion and edges.
+ * @param {UnifiedCamera} [options.camera] - Camera of the full view. Defaults to the current view.
+ * @param {function} [options.onProgress] - Called with the progress between 0 and 1.
+ * @param {object} [options.screenShotOptions] - Additional options of ScreenShot.getScreenShot, e.g. renderConfig or excludeCutPlanes.
+ *
+ * @alias Autodesk.Viewing.TiledScreenShot
+ * @class
+ */
+export class TiledScreenShot {
+
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.options = options;
+
+        // Incremented to cancel the running screenshot
+        this._runId = 0;
+
+        // Rejects the pending step of the running screenshot
+        this._abortStep = null;
+    }
+
+    /**
+     * Cancels the running screenshot. Its promise rejects.
+     */
+    cancel() {
+        this._runId++;
+        this._abortStep && this._abortStep();
+    }
+
+    // Runs a step of the screenshot that is rejected on cancel, see FrameRecorder
+    _runStep(start) {
+        return new Promise((resolve, reject) => {
+            let stop = null;
+            const abort = () => {
+                this._abortStep = null;
+                stop && stop();
+                reject(new Error('Tiled screenshot cancelled'));
+            };
+            // A cancelled step may still finish later, so it only unregisters itself
+            const done = (callback) => (value) => {
+                if (this._abortStep === abort) {
+                    this._abortStep = null;
+                }
+                callback(value);
+            };
+            this._abortStep = abort;
+            stop = start(done(resolve), done(reject));
+        });
+    }
+
+    /**
+     * @returns {number} The largest tile size that the device can render. Supersampling and
+     *   post-processed edges render into targets of twice the size.
+     */
+    getMaxTileSize() {
+        const gl = this.viewer.impl.glrenderer().getContext();
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewport[0], viewport[1]);
+        return Math.floor(maxSize / 2);
+    }
+
+    // Renders a tile and returns it as a canvas
+    _renderTile(camera, renderContext, tileSize, pixelScale, renderConfig) {
+        return this._runStep((resolve, reject) => {
+            const options = Object.assign({
+                renderConfig
+            }, this.options.screenShotOptions, {
+                camera,
+                renderContext,
+                pixelScale,
+                returnAsTarget: true
+            });
+
+            const onFinished = (ctx, target, camera, sheetRenderer) => {
+                sheetRenderer && sheetRenderer.destroy();
+                try {
+                    resolve(ctx.targetToCanvas(target).canvas);
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            const control = ScreenShot.getScreenShot(tileSize, tileSize, onFinished, options, this.viewer.impl);
+            return () => control.stop();
+        });
+    }
+
+    /**
+     * Renders all tiles and encodes the image.
+     *
+     * @returns {Promise<Blob>} Rejects if the screenshot is cancelled or the image is too large for the browser.
+     */
+    render() {
+        this.cancel();
+        const runId = this._runId;
+        const checkCancelled = () => {
+            if (runId !== this._runId) {
+                throw new Error('Tiled screenshot cancelled');
+            }
+        };
+
+        const options = this.options;
+        const viewerImpl = this.viewer.impl;
+        const _document = getGlobal().document;
+
+        const width = Math.round(options.width);
+        const height = Math.round(options.height);
+        if (!(width > 0 && height > 0)) {
+            return Promise.reject(new Error('Invalid screenshot size'));
+        }
+
+        const format = options.format || TiledScreenShotFormat.PNG;
+        const streamPng = format === TiledScreenShotFormat.PNG && !!getGlobal().CompressionStream;
+
+        const tileSize = Math.max(1, Math.min(Math.round(options.tileSize || DEFAULT_TILE_SIZE), this.getMaxTileSize()));
+        const margin = Math.min(Math.round(options.margin !== undefined ? options.margin : DEFAULT_MARGIN), Math.floor((tileSize - 1) / 2));
+        const innerSize = tileSize - 2 * margin;
+        const columns = Math.ceil(width / innerSize);
+        const rows = Math.ceil(height / innerSize);
+        const tileCount = columns * rows;
+
+        // Camera of the full view. Near and far are the same for all tiles, so that depth based effects match.
+        const camera = (options.camera || viewerImpl.camera).clone(new TileCamera(tileSize, tileSize));
+        camera.aspect = width / height;
+        viewerImpl.updateNearFarValues(camera, viewerImpl.getVisibleBounds());
+
+        // Line widths and other sizes in pixels refer to the full image
+        const pixelScale = height / tileSize;
+        const renderConfig = viewerImpl.renderer().getConfig();
+
+        // Crops the tiles from the rendered canvases
+        const tileCanvas = _document.createElement('canvas');
+        tileCanvas.width = tileSize;
+        tileCanvas.height = tileSize;
+        const tileContext = tileCanvas.getContext('2d', {
+            willReadFrequently: true
+        });
+
+        let png = null;
+        let band = null;
+        let outputContext = null;
+        if (streamPng) {
+            png = new PngStreamWriter(width, height);
+            // Scanlines of one row of tiles
+            band = new Uint8Array((width * 4 + 1) * Math.min(innerSize, height));
+        } else {
+            const outputCanvas = _document.createElement('canvas');
+            outputCanvas.width = width;
+            outputCanvas.height = height;
+            outputContext = outputCanvas.getContext('2d');
+            if (!outputContext) {
+                return Promise.reject(new Error('Screenshot size is not supported by this browser'));
+            }
+        }
+
+        // One RenderContext for all tiles
+        const renderContext = new RenderContext();
+        renderContext.init(viewerImpl.glrenderer(), tileSize, tileSize, {
+            offscreen: true
+        });
+
+        const renderTile = (index) => {
+            if (index >= tileCount) {
+                return;
+            }
+
+            const row = Math.floor(index / columns);
+            const column = index % columns;
+
+            // Cropped tile in pixels of the image, from the top left
+            const x = column * innerSize;
+            const y = row * innerSize;
+            const w = Math.min(innerSize, width - x);
+            const h = Math.min(innerSize, height - y);
+
+            // Rendered tile including the margin, in normalized device coordinates of the full view
+            const left = x - margin;
+            const top = y - margin;
+            camera.setTile(
+                2 * left / width - 1,
+                2 * (left + tileSize) / width - 1,
+                1 - 2 * (top + tileSize) / height,
+                1 - 2 * top / height
+            );
+
+            return this._renderTile(camera, renderContext, tileSize, pixelScale, renderConfig).then((canvas) => {
+                checkCancelled();
+                tileContext.clearRect(0, 0, tileSize, tileSize);
+                tileContext.drawImage(canvas, 0, 0, tileSize, tileSize);
+                const imageData = tileContext.getImageData(margin, margin, w, h);
+
+                if (!png) {
+                    outputContext.putImageData(imageData, x, y);
+                    return;
+                }
+
+                const stride = width * 4 + 1;
+                for (let i = 0; i < h; i++) {
+                    band.set(imageData.data.subarray(i * w * 4, (i + 1) * w * 4), i * stride + 1 + x * 4);
+                }
+
+                // Compress the band when its last tile is done
+                if (column === columns - 1) {
+                    return this._runStep((resolve, reject) => {
+                        png.write(band.subarray(0, h * stride)).then(resolve, reject);
+                    });
+                }
+            }).then(() => {
+                checkCancelled();
+                options.onProgress && options.onProgress((index + 1) / tileCount);
+                return renderTile(index + 1);
+            });
+        };
+
+        const encode = () => {
+            if (png) {
+                return png.finish();
+            }
+            const mimeType = format === TiledScreenShotFormat.JPEG ? 'image/jpeg' : 'image/png';
+            return this._runStep((resolve, reject) => {
+                outputContext.canvas.toBlob((blob) => {
+                    blob ? resolve(blob) : reject(new Error('Screenshot size is not supported by this browser'));
+                }, mimeType, options.quality !== undefined ? options.quality : DEFAULT_JPEG_QUALITY);
+            });
+        };
+
+        return Promise.resolve().then(() => {
+            options.onProgress && options.onProgress(0);
+            return renderTile(0);
+        }).then(() => {
+            renderContext.cleanup();
+            return encode();
+        }, (err) => {
+            renderContext.cleanup();
+            png && png.abort();
+            throw err;
+        });
+    }
+}
@@ -121,6 +121,9 @@ import loaderExtensions from '../file-loaders/loader-extensions';
 import {
     OverlayManager
 } from './OverlayManager';
+import {
+    CustomPropertyManager
+} from './CustomPropertyManager';
 import {
     GlobalManager
 } from './GlobalManager';
@@ -332,6 +335,8 @@ export function Viewer3D(container, config) {
 
     this.overlays = new OverlayManager(this.impl);
 
+    this.customProperties = new CustomPropertyManager(this);
+
     this._loadingSpinner = av.Private.DISABLE_FORGE_LOGO ? new LoadingSpinner() : new ForgeLogoSpinner(this);
     this._loadingSpinner.setGlobalManager(this.globalManager);
 
@@ -1187,6 +1192,11 @@ Viewer3D.prototype.uninitialize = function() {
         this.overlays = null;
     }
 
+    if (this.customProperties) {
+        this.customProperties.dtor();
+        this.customProperties = null;
+    }
+
     this.loadSpinner = null;
     this._loadingSpinner.destroy();
     this._loadingSpinner = null;
@@ -3731,6 +3741,10 @@ Viewer3D.prototype.initializePrefListeners = function() {
         this.impl.hidePoints(!value);
     });
 
+    this.prefs.addListeners(Prefs.POINT_SIZE, (value) => {
+        this.impl.setPointSize(value);
+    });
+
     this.prefs.addListeners(Prefs3D.EDGE_RENDERING, (value) => {
         this._displayEdges = () => {
             this.impl.setDisplayEdges(value);
@@ -4115,6 +4129,16 @@ Viewer3D.prototype.hidePoints = function(hide) {
     this.prefs.set(Prefs.POINT_RENDERING, !hide);
 };
 
+/**
+ * Sets the size of points (e.g. of point clouds) in pixels.
+ * @param {number} size - Point size in pixels. 0 uses the size stored with each geometry.
+ *
+ * @alias Autodesk.Viewing.Viewer3D#setPointSize
+ */
+Viewer3D.prototype.setPointSize = function(size) {
+    this.prefs.set(Prefs.POINT_SIZE, size);
+};
+
 /**
  * Turns edge topology display on/off (where available).
  * @param {boolean} show - true to turn edge topology display on, false to turn edge topology display off.
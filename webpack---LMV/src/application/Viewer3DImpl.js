@@ -24,6 +24,9 @@ import {
 import {
     MaterialManager
 } from "../wgs/render/MaterialManager";
+import {
+    ScopedCutPlanes
+} from "../wgs/render/ScopedCutPlanes";
 import {
     MultiModelSelector
 } from "../tools/Selector";
@@ -295,6 +298,8 @@ export function Viewer3DImpl(thecanvas, theapi) {
 
     // keys: name of cutplane set. values: array of cutplanes
     var _cutPlaneSets = {};
+    // Cutplane sets that only cut some models or objects. See setCutPlaneSetScope.
+    var _scopedCutPlanes = new ScopedCutPlanes(this);
     // Global toggle which skips rendering any fragment inside the smallest convex shape generated by the cutplanes
     // Applies to all cutplane sets at once. Used primarily for inverted section box
     var _cutPlaneHideInterior = false;
@@ -4277,6 +4282,11 @@ export function Viewer3DImpl(thecanvas, theapi) {
         }
     };
 
+    this.setPointSize = function(size) {
+        _materials.setPointSize(size);
+        this.invalidate(true);
+    };
+
     this.setDisplayEdges = function(show) {
 
         _renderer.toggleEdges(show);
@@ -4328,7 +4338,8 @@ export function Viewer3DImpl(thecanvas, theapi) {
         var allPlanes = undefined;
         for (var key in _cutPlaneSets) {
             var cps = _cutPlaneSets[key];
-            if (cps && cps.length) {
+            // Scoped sets don't go into the shared cutplanes.
+            if (cps && cps.length && !_scopedCutPlanes.isScoped(key)) {
                 if (!allPlanes) {
                     allPlanes = cps;
                 } else if (key === _cutPlaneSetFor2DRendering) {
@@ -4388,6 +4399,26 @@ export function Viewer3DImpl(thecanvas, theapi) {
         return _cutPlaneSets[cutPlaneSetName] || [];
     };
 
+    /**
+     * Restricts a cutplane set to some models or objects. Other models and objects are not cut by the set.
+     *  @param {string} cutPlaneSetName
+     *  @param {Object|null} scope - Maps model ids to either true (the whole model) or an array of dbIds (including
+     *                               their children). Null makes the set cut the whole scene again.
+     *  @param {Boolean} [fireEvent] - if set to false the av.CUTPLANES_CHANGE_EVENT event will not be fired.
+     */
+    this.setCutPlaneSetScope = function(cutPlaneSetName, scope, fireEvent = true) {
+        _scopedCutPlanes.setScope(cutPlaneSetName, scope);
+        this.setCutPlaneSet(cutPlaneSetName, _cutPlaneSets[cutPlaneSetName], fireEvent);
+    };
+
+    /**
+     *  @param {string} cutPlaneSetName
+     *  @returns {Object|null} The scope of the cutplane set, or null if it cuts the whole scene. See setCutPlaneSetScope.
+     */
+    this.getCutPlaneSetScope = function(cutPlaneSetName) {
+        return _scopedCutPlanes.getScope(cutPlaneSetName);
+    };
+
     /* @returns {string[]} names - names of all active (non-empty) cutplane sets. */
     this.getCutPlaneSets = function() {
         var result = [];
@@ -4410,7 +4441,9 @@ export function Viewer3DImpl(thecanvas, theapi) {
      * @see Viewer3DImpl#setCutPlanes
      */
     this.setCutPlanesInScene = function(planes) {
-        _renderer.toggleTwoSided(_materials.setCutPlanes(planes, _cutPlaneHideInterior ? 1 : 0));
+        const twoSided = _materials.setCutPlanes(planes, _cutPlaneHideInterior ? 1 : 0);
+        const scoped = _scopedCutPlanes.update(_cutPlaneSets, _materials.getCutPlanesRaw());
+        _renderer.toggleTwoSided(twoSided || scoped);
         this.sceneUpdated();
     };
 
@@ -0,0 +1,178 @@
+// Element ids of the Matroska/WebM format
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimestampScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    DefaultDuration: 0x23E383,
+    CodecID: 0x86,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timestamp: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+const APP_NAME = 'LMV';
+const TRACK_NUMBER = 1;
+const TRACK_TYPE_VIDEO = 1;
+
+// Timestamps are in ms
+const TIMESTAMP_SCALE = 1000000;
+
+// Block timestamps are 16 bit offsets to the timestamp of their cluster
+const MAX_CLUSTER_OFFSET = 30000;
+
+function encodeUint(value, minLength) {
+    const bytes = [];
+    for (; value > 0 || bytes.length < minLength; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Variable length size: the number of leading zero bits is the number of additional bytes
+function encodeSize(size) {
+    let length = 1;
+    while (size >= Math.pow(2, 7 * length) - 1) {
+        length++;
+    }
+    const bytes = encodeUint(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function encodeString(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+// An element is a flat list of byte arrays, which are only joined by the Blob
+function element(id, children) {
+    const parts = [];
+    let size = 0;
+    const add = (part) => {
+        parts.push(part);
+        size += part.byteLength;
+    };
+    children.forEach(child => Array.isArray(child) ? child.forEach(add) : add(child));
+    return [encodeUint(id, 1), encodeSize(size)].concat(parts);
+}
+
+function uintElement(id, value) {
+    return element(id, [encodeUint(value, 1)]);
+}
+
+/**
+ * Writes encoded video frames into a WebM file with a single video track.
+ * The frames keep their timestamps, e.g. from a WebCodecs VideoEncoder. Each key frame starts a new cluster.
+ * @private
+ */
+export class WebMWriter {
+
+    /**
+     * @param {string} codecId - Matroska codec id, e.g. 'V_VP9'.
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [frameDuration] - In ms.
+     */
+    constructor(codecId, width, height, frameDuration) {
+        this.codecId = codecId;
+        this.width = width;
+        this.height = height;
+        this.frameDuration = frameDuration;
+        this.clusters = [];
+    }
+
+    /**
+     * @param {Uint8Array} data - Encoded frame.
+     * @param {number} time - Timestamp in ms.
+     * @param {boolean} keyFrame
+     */
+    addFrame(data, time, keyFrame) {
+        time = Math.round(time);
+        let cluster = this.clusters[this.clusters.length - 1];
+        if (!cluster || keyFrame || time - cluster.time > MAX_CLUSTER_OFFSET) {
+            cluster = {
+                time,
+                blocks: []
+            };
+            this.clusters.push(cluster);
+        }
+
+        // Track number, timestamp relative to the cluster and flags
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | TRACK_NUMBER;
+        new DataView(header.buffer).setInt16(1, time - cluster.time);
+        header[3] = keyFrame ? 0x80 : 0;
+        cluster.blocks.push(element(ID.SimpleBlock, [header, data]));
+    }
+
+    /**
+     * @param {number} duration - Duration of the video in ms.
+     * @returns {Blob} The WebM file.
+     */
+    getBlob(duration) {
+        const header = element(ID.EBML, [
+            uintElement(ID.EBMLVersion, 1),
+            uintElement(ID.EBMLReadVersion, 1),
+            uintElement(ID.EBMLMaxIDLength, 4),
+            uintElement(ID.EBMLMaxSizeLength, 8),
+            element(ID.DocType, [encodeString('webm')]),
+            uintElement(ID.DocTypeVersion, 2),
+            uintElement(ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(ID.Info, [
+            uintElement(ID.TimestampScale, TIMESTAMP_SCALE),
+            element(ID.Duration, [encodeFloat(duration)]),
+            element(ID.MuxingApp, [encodeString(APP_NAME)]),
+            element(ID.WritingApp, [encodeString(APP_NAME)])
+        ]);
+
+        const track = [
+            uintElement(ID.TrackNumber, TRACK_NUMBER),
+            uintElement(ID.TrackUID, TRACK_NUMBER),
+            uintElement(ID.TrackType, TRACK_TYPE_VIDEO),
+            uintElement(ID.FlagLacing, 0),
+            element(ID.CodecID, [encodeString(this.codecId)]),
+            element(ID.Video, [
+                uintElement(ID.PixelWidth, this.width),
+                uintElement(ID.PixelHeight, this.height)
+            ])
+        ];
+        if (this.frameDuration) {
+            track.push(uintElement(ID.DefaultDuration, Math.round(this.frameDuration * TIMESTAMP_SCALE)));
+        }
+        const tracks = element(ID.Tracks, [element(ID.TrackEntry, track)]);
+
+        const clusters = this.clusters.map(cluster => element(ID.Cluster, [uintElement(ID.Timestamp, cluster.time)].concat(cluster.blocks)));
+        const segment = element(ID.Segment, [info, tracks].concat(clusters));
+
+        return new Blob(header.concat(segment), {
+            type: 'video/webm'
+        });
+    }
+}
@@ -0,0 +1,389 @@
+"use strict";
+
+import {
+    LmvMatrix4
+} from '../../../wgs/scene/LmvMatrix4';
+import {
+    LmvBox3
+} from '../../../wgs/scene/LmvBox3';
+
+// Helpers to assemble an SVF-like package for simple mesh file formats (STL, OBJ, ...)
+// that come as a single file without fragment list, materials json or property database.
+// The resulting package is consumed by MeshFileLoader on the main thread.
+
+var INV_PI = 1.0 / Math.PI;
+
+/**
+ * Writes a normal into an interleaved vertex buffer, packed into two 16 bit values
+ * the same way as SVF meshes (see Geoms.js).
+ * @param {Uint16Array} vbi - Uint16 view of the vertex buffer
+ * @param {number} offset - Float offset of the normal attribute within the vertex buffer
+ */
+export function packNormal(nx, ny, nz, vbi, offset) {
+    var pnx = (Math.atan2(ny, nx) * INV_PI + 1.0) * 0.5;
+    var pny = (nz + 1.0) * 0.5;
+
+    vbi[offset * 2] = (pnx * 65535) | 0;
+    vbi[offset * 2 + 1] = (pny * 65535) | 0;
+}
+
+/**
+ * Decodes the content of a text based mesh file.
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+export function decodeText(data) {
+    if (typeof TextDecoder !== "undefined")
+        return new TextDecoder("utf-8").decode(data);
+
+    var text = "";
+    for (var i = 0; i < data.length; i++)
+        text += String.fromCharCode(data[i]);
+    return text;
+}
+
+/**
+ * Creates an entry for the properties list of a synthesized object tree node.
+ * The result has the same layout as the property results returned by the property database.
+ */
+export function makeProperty(displayName, displayValue, type, category, units, precision) {
+    return {
+        displayName: displayName,
+        displayValue: displayValue,
+        displayCategory: category,
+        attributeName: displayName,
+        type: type,
+        units: units || null,
+        hidden: false,
+        precision: precision || 0
+    };
+}
+
+/**
+ * Returns the file name of a url, without query string.
+ */
+export function getFileName(url) {
+    var path = url.split("?")[0];
+    var name = path.substr(path.lastIndexOf("/") + 1);
+    try {
+        name = decodeURIComponent(name);
+    } catch (e) {
+        // keep the encoded name
+    }
+    return name;
+}
+
+/**
+ * Creates a SimplePhong material definition in the format of the SVF Materials.json,
+ * so that it can be converted by MaterialConverter like any other SVF material.
+ *
+ * @param {object} params
+ * @param {object} params.diffuse - {r, g, b} in [0,1]
+ * @param {object} [params.ambient]
+ * @param {object} [params.specular]
+ * @param {object} [params.emissive]
+ * @param {number} [params.glossiness=30] - Phong exponent
+ * @param {number} [params.opacity=1]
+ * @param {boolean} [params.backfaceCulling=true]
+ * @param {object} [params.textures] - Map from SVF texture slot (e.g. generic_diffuse) to
+ *                                      {uri, uScale, vScale, uOffset, vOffset, bumpAmount, isNormalMap}
+ * @returns {object}
+ */
+export function createSimplePhongMaterial(params) {
+
+    function color(c) {
+        return {
+            values: [{
+                r: c.r,
+                g: c.g,
+                b: c.b,
+                a: 1
+            }]
+        };
+    }
+
+    var opacity = params.opacity === undefined ? 1 : params.opacity;
+
+    var props = {
+        colors: {
+            generic_diffuse: color(params.diffuse)
+        },
+        scalars: {
+            generic_glossiness: {
+                values: [params.glossiness === undefined ? 30 : params.glossiness]
+            },
+            generic_transparency: {
+                values: [1 - opacity]
+            }
+        },
+        booleans: {}
+    };
+
+    if (params.ambient)
+        props.colors.generic_ambient = color(params.ambient);
+    if (params.specular)
+        props.colors.generic_specular = color(params.specular);
+    if (params.emissive)
+        props.colors.generic_emissive = color(params.emissive);
+    if (params.backfaceCulling === false)
+        props.booleans.generic_backface_cull = false;
+
+    var innerMats = {};
+    var textures = {};
+    var nextId = 1;
+
+    for (var slot in params.textures) {
+        var tex = params.textures[slot];
+        var texId = (nextId++).toString();
+
+        innerMats[texId] = {
+            definition: "UnifiedBitmap",
+            properties: {
+                uris: {
+                    unifiedbitmap_Bitmap: {
+                        values: [tex.uri]
+                    }
+                },
+                scalars: {
+                    texture_UScale: {
+                        values: [tex.uScale === undefined ? 1 : tex.uScale]
+                    },
+                    texture_VScale: {
+                        values: [tex.vScale === undefined ? 1 : tex.vScale]
+                    },
+                    texture_UOffset: {
+                        values: [tex.uOffset || 0]
+                    },
+                    texture_VOffset: {
+                        values: [tex.vOffset || 0]
+                    }
+                }
+            }
+        };
+
+        textures[slot] = {
+            connections: [texId]
+        };
+
+        if (slot === "generic_bump") {
+            if (tex.bumpAmount !== undefined) {
+                props.scalars.generic_bump_amount = {
+                    values: [tex.bumpAmount]
+                };
+            }
+            if (tex.isNormalMap)
+                props.booleans.generic_bump_is_normal = true;
+        }
+    }
+
+    innerMats["0"] = {
+        tag: "",
+        proteinType: "",
+        definition: "SimplePhong",
+        transparent: opacity < 1 || !!params.textures && !!params.textures.generic_alpha,
+        textures: textures,
+        properties: props
+    };
+
+    return {
+        userassets: ["0"],
+        materials: innerMats
+    };
+}
+
+/**
+ * Builds the SVF-like package for a list of meshes. Each mesh becomes one fragment.
+ *
+ * @param {object} loadContext - Worker load context. Uses globalOffset, placementTransform, units and basePath.
+ * @param {object[]} items - One entry per fragment: {mesh, dbId, materialId, translation}.
+ *                           Only the boundingBox and triangleCount of the mesh are used, so meshes that are sent
+ *                           later can be represented by a stub. The optional translation {x, y, z} is applied
+ *                           to the mesh before the placement transform, e.g. for meshes stored relative to their center.
+ * @param {object} params
+ * @param {object} params.materials - Map from material id to material definition (see createSimplePhongMaterial)
+ * @param {object} params.objectTree - Synthesized object tree {dbId, name, children, properties}
+ * @param {number} params.primitiveCount - Total number of triangles (or other primitives)
+ * @param {number} [params.byteLength] - Size of the source file
+ * @param {number[]} [params.upVector=[0,0,1]]
+ * @returns {object} The package. Use getTransferList() to get the buffers that can be transferred.
+ */
+export function createMeshPackage(loadContext, items, params) {
+
+    var numFrags = items.length;
+
+    var frags = {
+        length: numFrags,
+        numLoaded: 0,
+        boxes: new Float32Array(numFrags * 6),
+        transforms: new Float32Array(numFrags * 12),
+        materials: new Int32Array(numFrags),
+        packIds: new Int32Array(numFrags),
+        entityIndexes: new Int32Array(numFrags),
+        fragId2dbId: new Int32Array(numFrags),
+        polygonCounts: new Int32Array(numFrags),
+        mesh2frag: {},
+        dbToFragId: {}
+    };
+
+    var xform = new LmvMatrix4(true);
+    if (loadContext.placementTransform) {
+        xform.copy(loadContext.placementTransform);
+    }
+
+    var globalOffset = loadContext.globalOffset || {
+        x: 0,
+        y: 0,
+        z: 0
+    };
+    xform.elements[12] -= globalOffset.x;
+    xform.elements[13] -= globalOffset.y;
+    xform.elements[14] -= globalOffset.z;
+
+    var modelBox = new LmvBox3();
+    var fragBox = new LmvBox3();
+    var e = xform.elements;
+    var t = frags.transforms;
+
+    for (var i = 0; i < numFrags; i++) {
+        var item = items[i];
+        var mesh = item.mesh;
+
+        var tx = 0,
+            ty = 0,
+            tz = 0;
+        if (item.translation) {
+            tx = item.translation.x;
+            ty = item.translation.y;
+            tz = item.translation.z;
+        }
+
+        // Fragment transforms skip the last row of the matrix (see PackFileReader.readTransform)
+        var off = i * 12;
+        t[off] = e[0];
+        t[off + 1] = e[1];
+        t[off + 2] = e[2];
+        t[off + 3] = e[4];
+        t[off + 4] = e[5];
+        t[off + 5] = e[6];
+        t[off + 6] = e[8];
+        t[off + 7] = e[9];
+        t[off + 8] = e[10];
+        t[off + 9] = e[0] * tx + e[4] * ty + e[8] * tz + e[12];
+        t[off + 10] = e[1] * tx + e[5] * ty + e[9] * tz + e[13];
+        t[off + 11] = e[2] * tx + e[6] * ty + e[10] * tz + e[14];
+
+        fragBox.copy(mesh.boundingBox);
+        fragBox.min.x += tx;
+        fragBox.min.y += ty;
+        fragBox.min.z += tz;
+        fragBox.max.x += tx;
+        fragBox.max.y += ty;
+        fragBox.max.z += tz;
+        fragBox.applyMatrix4(xform);
+        fragBox.copyToArray(frags.boxes, i * 6);
+        modelBox.union(fragBox);
+
+        frags.materials[i] = item.materialId || 0;
+        frags.entityIndexes[i] = i;
+        frags.fragId2dbId[i] = item.dbId;
+        frags.polygonCounts[i] = mesh.triangleCount || 0;
+        frags.mesh2frag["0:" + i] = i;
+
+        var dbFrags = frags.dbToFragId[item.dbId];
+        if (dbFrags) {
+            dbFrags.push(i);
+        } else {
+            frags.dbToFragId[item.dbId] = [i];
+        }
+    }
+
+    var upVector = params.upVector || [0, 0, 1];
+
+    var metadata = {
+        "world up vector": {
+            XYZ: upVector
+        },
+        "stats": {
+            num_materials: Object.keys(params.materials).length,
+            num_geoms: numFrags
+        }
+    };
+    if (loadContext.units) {
+        metadata["distance unit"] = {
+            value: loadContext.units
+        };
+    }
+
+    return {
+        basePath: loadContext.basePath,
+        fragments: frags,
+        geompacks: [],
+        numGeoms: numFrags,
+        packFileTotalSize: params.byteLength || 0,
+        primitiveCount: params.primitiveCount,
+        bbox: {
+            min: {
+                x: modelBox.min.x,
+                y: modelBox.min.y,
+                z: modelBox.min.z
+            },
+            max: {
+                x: modelBox.max.x,
+                y: modelBox.max.y,
+                z: modelBox.max.z
+            }
+        },
+        globalOffset: globalOffset,
+        placementTransform: loadContext.placementTransform,
+        metadata: metadata,
+        manifest: {
+            assets: []
+        },
+        cameras: [],
+        lights: [],
+        objectTree: params.objectTree,
+        materials: {
+            materials: params.materials,
+            scene: {
+                SceneUnit: loadContext.units || "m"
+            }
+        }
+    };
+}
+
+/**
+ * Returns the list of buffers of a mesh package and its meshes, for transfer to the main thread.
+ */
+export function getTransferList(pkg, meshes) {
+    var frags = pkg.fragments;
+    var buffers = new Set([
+        frags.boxes.buffer,
+        frags.transforms.buffer,
+        frags.materials.buffer,
+        frags.packIds.buffer,
+        frags.entityIndexes.buffer,
+        frags.fragId2dbId.buffer,
+        frags.polygonCounts.buffer
+    ]);
+
+    addMeshBuffers(buffers, meshes);
+
+    return Array.from(buffers);
+}
+
+/**
+ * Returns the list of buffers of meshes that are sent after the package.
+ */
+export function getMeshTransferList(meshes) {
+    var buffers = new Set();
+    addMeshBuffers(buffers, meshes);
+    return Array.from(buffers);
+}
+
+function addMeshBuffers(buffers, meshes) {
+    // vb and indices may share one buffer, hence the Set
+    for (var i = 0; i < meshes.length; i++) {
+        buffers.add(meshes[i].vb.buffer);
+        buffers.add(meshes[i].indices.buffer);
+    }
+}
@@ -1098,7 +1098,7 @@ export function PropertyDatabase(dbjsons) {
 
             let cached = _instanceOfCache[iofDbId];
             if (!cached) {
-                _instanceOfCache[iofDbId] = cached = getPropertiesSubsetWithInheritanceV2(iofDbId);
+                _instanceOfCache[iofDbId] = cached = getPropertiesSubsetWithInheritanceV1(iofDbId);
             }
 
             for (let j = 0; j < cached.length; j += 2) {
@@ -1440,6 +1440,7 @@ export function PropertyDatabase(dbjsons) {
     };
 
     /* Finds all common dbIds of this and another db for which the properties are not identical.
+     * Optionally, also finds the dbIds that only exist in one of the dbs.
      * Hidden attributes are excluded.
      *  @param {PropertyDatabase} dbToCompare
      *  @param {Object} [DiffOptions] diffOptions 
@@ -1466,6 +1467,13 @@ export function PropertyDatabase(dbjsons) {
             result.propChanges = [];
         }
 
+        // Optional: Collect objects that only exist in one of the dbs
+        var listAddedAndRemoved = diffOptions && diffOptions.listAddedAndRemoved;
+        if (listAddedAndRemoved) {
+            result.addedIds = [];
+            result.removedIds = [];
+        }
+
         //Optional : Collect user-specified properties to ignore for diff
         let propertyFilter = diffOptions && diffOptions.propertyFilter || {};
 
@@ -1502,7 +1510,13 @@ export function PropertyDatabase(dbjsons) {
             if (!propIds1.length || !propIds2.length) {
                 // If an array is empty, this dbId does only exist
                 // in one of the two dbs, i.e, the whole object was added or removed.
-                // We are only interested in prop changes of matching objects.
+                if (listAddedAndRemoved) {
+                    if (propIds2.length) {
+                        result.addedIds.push(dbId);
+                    } else if (propIds1.length) {
+                        result.removedIds.push(dbId);
+                    }
+                }
                 return;
             }
 
@@ -1610,9 +1624,11 @@ export function PropertyDatabase(dbjsons) {
             }
         } else {
             // diff all objects
-            // Note: We are only searching for common objects that changed. Therefore, the loop
-            //       runs only over dbIds that are within the valid range for both.
-            var dbIdEnd = Math.min(db1.getObjectCount(), this.getObjectCount());
+            // Note: Unless we are looking for added/removed objects, we are only searching for common objects
+            //       that changed. Therefore, the loop runs only over dbIds that are within the valid range for both.
+            var dbIdEnd = listAddedAndRemoved ?
+                Math.max(db1.getObjectCount(), db2.getObjectCount()) :
+                Math.min(db1.getObjectCount(), db2.getObjectCount());
             for (let dbId = 1; dbId < dbIdEnd; dbId++) {
                 diffObject(dbId);
                 trackProgress(dbId, dbIdEnd);
@@ -7,12 +7,12 @@ import {
  * This wrapper takes the Property Database then extends it to have functionality that handles user-provided Custom Properties.
  * @class PropertyDatabaseCustomPropertyWrapper
  * @extends {PropertyDatabase} PropertyDatabase
- * @param dbjsons
+ * @param dbjsons - The property database files, or an already loaded {@link PropertyDatabase} to wrap.
  */
 export function PropertyDatabaseCustomPropertyWrapper(dbjsons) {
     'use strict';
 
-    this._impl = new PropertyDatabase(dbjsons);
+    this._impl = dbjsons instanceof PropertyDatabase ? dbjsons : new PropertyDatabase(dbjsons);
 
     /** @type ValuesCacheEntry */
     this.customAttrs = undefined;
@@ -25,7 +25,13 @@ export function PropertyDatabaseCustomPropertyWrapper(dbjsons) {
 
     this._ignoreAttribute = (attrId) => this._impl._ignoreAttribute(attrId);
 
-    this.attributeHidden = (attrId) => this._impl.attributeHidden(attrId);
+    this.attributeHidden = (attrId) => {
+        const customAttrId = attrId - this._customAttrIdOffset;
+        if (customAttrId >= 0)
+            return !!(this.customAttrs ? .attributes.customAttrs[customAttrId] ? .flags & 1);
+
+        return this._impl.attributeHidden(attrId);
+    };
 
     this.setIdsBlob = (data) => this._impl.setIdsBlob(data);
 
@@ -53,10 +59,62 @@ export function PropertyDatabaseCustomPropertyWrapper(dbjsons) {
 
     this.getSearchTerms = (searchText) => this._impl.getSearchTerms(searchText);
 
-    this.bruteForceSearch = (searchText, attributeNames, searchOptions) =>
-        this._impl.bruteForceSearch(searchText, attributeNames, searchOptions);
+    this.bruteForceSearch = (searchText, attributeNames, searchOptions) => {
+        if (!this.customAttrs ? .customAttributeValues.size)
+            return this._impl.bruteForceSearch(searchText, attributeNames, searchOptions);
+
+        // Each search term may match either a regular or a custom value of an object,
+        // so the terms are searched one by one and the results intersected here.
+        const searchList = this.getSearchTerms(searchText);
+        let result = null;
+        for (let i = 0; i < searchList.length; i++) {
+            const ids = new Set(this._impl.bruteForceSearch('"' + searchList[i] + '"', attributeNames, searchOptions));
+            this._searchCustomValues(searchList[i], attributeNames, searchOptions, ids);
+            result = result ? result.filter(id => ids.has(id)) : Array.from(ids);
+        }
+        return result || [];
+    };
+
+    this._searchCustomValues = (searchTerm, attributeNames, searchOptions, ids) => {
+        const customAttrs = this.customAttrs.attributes.customAttrs;
+        const customValues = this.customAttrs.customValues;
+        this.customAttrs.customAttributeValues.forEach((avs, dbId) => {
+            for (let i = 0; i < avs.length; i += 2) {
+                const attr = customAttrs[avs[i]];
+                const value = customValues[avs[i + 1]];
+                if (!searchOptions ? .searchHidden && (attr.flags & 1))
+                    continue;
+                if (attributeNames && attributeNames.length && attributeNames.indexOf(attr.name) === -1)
+                    continue;
+                if (value !== null && value !== undefined && value.toString().toLowerCase().indexOf(searchTerm) !== -1) {
+                    ids.add(dbId);
+                    break;
+                }
+            }
+        });
+    };
 
-    this.bruteForceFind = (propertyName) => this._impl.bruteForceFind(propertyName);
+    this.bruteForceFind = (propertyName) => {
+        const results = this._impl.bruteForceFind(propertyName);
+        if (!this.customAttrs ? .customAttributeValues.size)
+            return results;
+
+        const ids = new Set(results);
+        const customAttrs = this.customAttrs.attributes.customAttrs;
+        this.customAttrs.customAttributeValues.forEach((avs, dbId) => {
+            for (let i = 0; i < avs.length; i += 2) {
+                const attr = customAttrs[avs[i]];
+                if (attr.name === propertyName || attr.displayName === propertyName) {
+                    if (!ids.has(dbId)) {
+                        ids.add(dbId);
+                        results.push(dbId);
+                    }
+                    break;
+                }
+            }
+        });
+        return results;
+    };
 
     this.getLayerToNodeIdMapping = () => this._impl.getLayerToNodeIdMapping();
 
@@ -438,6 +496,104 @@ class ProjectCacheEntry {
     }
 }
 
+/**
+ * Returns the key that identifies a user-defined custom property: `category/name`, or just the name without category.
+ * The key uses the name, so that stored values stay valid when the displayName changes. Note that the keys of a
+ * {@link Autodesk.Viewing.PropertySet} use the displayName instead, so they only match if both names are the same.
+ *
+ * @param {object} definition - {name, category}
+ * @returns {string}
+ */
+export function getCustomPropertyKey(definition) {
+    return definition.category ? `${definition.category}/${definition.name}` : definition.name;
+}
+
+/**
+ * Returns the property hash of a user-defined custom property, which addresses it in property queries
+ * (e.g. "s.props.<hash>" of selective loading), like the hashes of the properties in the database do.
+ * It is derived from the property key, so it stays the same across sessions and model versions.
+ *
+ * @param {object} definition - {name, category}
+ * @returns {string}
+ */
+export function getCustomPropertyHash(definition) {
+    // 32 bit FNV-1a hash of the key
+    const key = getCustomPropertyKey(definition);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return 'u' + (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Creates the custom attributes for {@link PropertyDatabaseCustomPropertyWrapper#setCustomAttrs} from user-defined
+ * properties, whose values are keyed by externalId.
+ *
+ * @param {object[]} definitions - {name, category, displayName, type, units, precision, hidden}, where type is
+ *                                 one of 'String', 'Boolean', 'Integer' or 'Double'.
+ * @param {Object<string, Object<string, *>>} values - Maps externalIds to {propertyKey: value}, see {@link getCustomPropertyKey}.
+ * @param {Object<string, number>} externalIdMapping - Maps externalIds to dbIds.
+ * @returns {object} {customAttrs: ValuesCacheEntry, unresolvedIds: string[]} - unresolvedIds lists the externalIds
+ *                   that don't exist in the property database.
+ */
+export function createUserCustomAttrs(definitions, values, externalIdMapping) {
+    const customAttrIds = new Map();
+    const customAttrs = definitions.map((def, index) => {
+        customAttrIds.set(getCustomPropertyKey(def), index);
+        return {
+            propertyHash: getCustomPropertyHash(def),
+            category: def.category || '',
+            name: def.name,
+            displayName: def.displayName || def.name,
+            dataType: TypeMap[def.type] ? ? TypeMap.String,
+            dataTypeContext: def.units || '',
+            flags: def.hidden ? 1 : 0,
+            precision: def.precision || 0,
+        };
+    });
+
+    const entry = new ValuesCacheEntry({
+        lastFetched: Date.now(),
+        lastUpdated: Date.now(),
+        customAttrIds,
+        customAttrs
+    });
+    const unresolvedIds = [];
+
+    for (const externalId in values) {
+        const dbId = externalIdMapping[externalId];
+        if (dbId === undefined) {
+            unresolvedIds.push(externalId);
+            continue;
+        }
+        const avs = [];
+        const objectValues = values[externalId];
+        for (const key in objectValues) {
+            const attrId = customAttrIds.get(key);
+            let value = objectValues[key];
+            if (attrId === undefined || value === null || value === undefined) {
+                continue;
+            }
+            // Booleans are stored as integers, just like in the property database itself.
+            if (typeof value === 'boolean') {
+                value = value ? 1 : 0;
+            }
+            avs.push(attrId, entry.internValue(value));
+        }
+        if (avs.length) {
+            entry.customAttributeValues.set(dbId, avs);
+        }
+    }
+    entry.lastUpdated = entry.lastFetched = Date.now();
+
+    return {
+        customAttrs: entry,
+        unresolvedIds
+    };
+}
+
 export class CustomPropsCache {
 
     constructor() {
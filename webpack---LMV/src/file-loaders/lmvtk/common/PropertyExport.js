@@ -0,0 +1,440 @@
+import {
+    AttributeType
+} from './PropdbEnums';
+import {
+    executePropertyQuery
+} from './PropertyQuery';
+
+/*
+ * Tabular export of the property database: one row per object, one column per property.
+ * Runs in the property worker, so it can't use the (localized) UnitFormatter. Display values
+ * are formatted with the attribute's precision and unit symbol instead.
+ */
+
+export var ExportFormat = {
+    CSV: "csv",
+    SPREADSHEET_ML: "xml"
+};
+
+// Unit symbols for Forge unit ids (autodesk.unit.unit:<id>-<version>)
+var FORGE_UNIT_SYMBOLS = {
+    "meters": "m",
+    "centimeters": "cm",
+    "millimeters": "mm",
+    "decimeters": "dm",
+    "kilometers": "km",
+    "metersCentimeters": "m",
+    "feet": "ft",
+    "usSurveyFeet": "ft",
+    "feetFractionalInches": "ft",
+    "inches": "in",
+    "fractionalInches": "in",
+    "yards": "yd",
+    "miles": "mi",
+    "liters": "L",
+    "degrees": "°",
+    "radians": "rad",
+    "kilograms": "kg",
+    "grams": "g",
+    "celsius": "°C",
+    "fahrenheit": "°F",
+    "kelvin": "K"
+};
+
+var DEFAULT_PRECISION = 3;
+
+// Separator for objects that have several values for one column
+var VALUE_SEPARATOR = "; ";
+
+var MAX_SHEET_NAME_LENGTH = 31;
+
+// Spreadsheet applications evaluate CSV cells starting with these characters as formulas
+var FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+var NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Returns the unit symbol to display for a property unit string, e.g. "m²" for "m^2" or
+ * "autodesk.unit.unit:squareMeters-1.0.1".
+ * @param {string} units
+ * @returns {string}
+ */
+export function getUnitSymbol(units) {
+    if (!units)
+        return "";
+
+    var forge = /^autodesk\.unit\.unit:([^-]+)/.exec(units);
+    if (forge) {
+        var id = forge[1];
+        var exponent = "";
+        var prefix = /^(square|cubic)([A-Z].*)$/.exec(id);
+        if (prefix) {
+            exponent = prefix[1] === "square" ? "^2" : "^3";
+            id = prefix[2].charAt(0).toLowerCase() + prefix[2].substr(1);
+        }
+        units = (FORGE_UNIT_SYMBOLS[id] || id) + exponent;
+    }
+
+    return units.replace("^2", "²").replace("^3", "³");
+}
+
+/**
+ * Formats a property value for display, with units.
+ * @param {*} value
+ * @param {object} attrDef - As returned by PropertyDatabase.getAttributeDef
+ * @returns {string}
+ */
+export function formatDisplayValue(value, attrDef) {
+    if (value === undefined || value === null)
+        return "";
+
+    var type = attrDef.dataType;
+    if (type === AttributeType.Boolean)
+        return value ? "Yes" : "No";
+
+    var text;
+    if (type === AttributeType.Double && typeof value === "number") {
+        var precision = typeof attrDef.precision === "number" ? attrDef.precision : DEFAULT_PRECISION;
+        text = value.toFixed(precision);
+    } else {
+        text = value.toString();
+    }
+
+    var symbol = getUnitSymbol(attrDef.dataTypeContext);
+    return symbol ? text + " " + symbol : text;
+}
+
+function escapeCsv(text, delimiter) {
+    if (text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text))
+        return "\"" + text.replace(/"/g, "\"\"") + "\"";
+    return text;
+}
+
+// Property values come from the model, so they must not run as formulas. Plain numbers are kept as they are.
+function neutralizeFormula(text) {
+    return FORMULA_PREFIX_RE.test(text) && !NUMBER_RE.test(text) ? "'" + text : text;
+}
+
+function escapeXml(text) {
+    // Control characters are not allowed in XML 1.0
+    return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function CsvWriter(delimiter) {
+    this.delimiter = delimiter || ",";
+    this.lines = [];
+}
+
+CsvWriter.prototype.addRow = function(cells) {
+    var delimiter = this.delimiter;
+    this.lines.push(cells.map(function(cell) {
+        return cell === null ? "" : escapeCsv(neutralizeFormula(cell.toString()), delimiter);
+    }).join(delimiter));
+};
+
+CsvWriter.prototype.addHeader = CsvWriter.prototype.addRow;
+
+/**
+ * Returns the text of the rows added since the last call.
+ */
+CsvWriter.prototype.flush = function() {
+    var text = this.lines.length ? this.lines.join("\r\n") + "\r\n" : "";
+    this.lines = [];
+    return text;
+};
+
+CsvWriter.prototype.finish = CsvWriter.prototype.flush;
+
+/**
+ * Writes an Excel 2003 XML workbook (SpreadsheetML), which Excel and LibreOffice open directly.
+ */
+function SpreadsheetWriter(sheetName) {
+    sheetName = (sheetName || "Properties").replace(/[[\]:*?/\\]/g, " ").substr(0, MAX_SHEET_NAME_LENGTH);
+
+    this.parts = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n",
+        "<?mso-application progid=\"Excel.Sheet\"?>\n",
+        "<Workbook xmlns=\"urn:schemas-microsoft-com:office:spreadsheet\" xmlns:ss=\"urn:schemas-microsoft-com:office:spreadsheet\">\n",
+        "<Styles><Style ss:ID=\"header\"><Font ss:Bold=\"1\"/></Style></Styles>\n",
+        "<Worksheet ss:Name=\"" + escapeXml(sheetName) + "\">\n<Table>\n"
+    ];
+}
+
+SpreadsheetWriter.prototype.addRow = function(cells, style) {
+    var row = "<Row>";
+    for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        var attrs = style ? " ss:StyleID=\"" + style + "\"" : "";
+        if (cell === null || cell === "") {
+            row += "<Cell" + attrs + "/>";
+        } else if (typeof cell === "number" && isFinite(cell)) {
+            row += "<Cell" + attrs + "><Data ss:Type=\"Number\">" + cell + "</Data></Cell>";
+        } else {
+            row += "<Cell" + attrs + "><Data ss:Type=\"String\">" + escapeXml(cell.toString()) + "</Data></Cell>";
+        }
+    }
+    this.parts.push(row + "</Row>\n");
+};
+
+SpreadsheetWriter.prototype.addHeader = function(cells) {
+    this.addRow(cells, "header");
+};
+
+/**
+ * Returns the text of the rows added since the last call.
+ */
+SpreadsheetWriter.prototype.flush = function() {
+    var text = this.parts.join("");
+    this.parts = [];
+    return text;
+};
+
+SpreadsheetWriter.prototype.finish = function() {
+    this.parts.push("</Table>\n</Worksheet>\n</Workbook>\n");
+    return this.flush();
+};
+
+/**
+ * Resolves the export columns to attribute ids.
+ * @returns {object[]} [{label, attrIds}]
+ */
+function resolveColumns(pdb, columns, dbIds, includeInherited) {
+
+    var defs = [];
+    pdb.enumAttributes(function(attrId, def) {
+        defs[attrId] = def;
+    });
+
+    if (!columns) {
+        // All visible properties that are used by at least one of the exported objects
+        var allAttrIds = {};
+        defs.forEach(function(def, attrId) {
+            allAttrIds[attrId] = true;
+        });
+
+        var used = {};
+        dbIds.forEach(function(dbId) {
+            var avs = includeInherited ? pdb.getPropertiesSubsetWithInheritance(dbId, allAttrIds) : getObjectProperties(pdb, dbId);
+            for (var i = 0; i < avs.length; i += 2)
+                used[avs[i]] = true;
+        });
+
+        var result = [];
+        defs.forEach(function(def, attrId) {
+            // The object name is in an internal category, but belongs in every schedule
+            if (used[attrId] && def.category === "__name__") {
+                result.unshift({
+                    label: "Name",
+                    attrIds: [attrId]
+                });
+                return;
+            }
+            // Structural attributes (parent, child, instanceof...) are in "__" categories
+            if (!used[attrId] || (def.flags & 1 /*afHidden*/ ) || (def.category && def.category.indexOf("__") === 0))
+                return;
+            var name = def.displayName || def.name;
+            result.push({
+                label: def.category ? def.category + "/" + name : name,
+                attrIds: [attrId]
+            });
+        });
+        return result;
+    }
+
+    function findAttributes(name, category) {
+        var lowerName = name.toLowerCase();
+        var lowerCategory = category && category.toLowerCase();
+        var attrIds = [];
+        defs.forEach(function(def, attrId) {
+            if ((def.name || "").toLowerCase() !== lowerName && (def.displayName || "").toLowerCase() !== lowerName)
+                return;
+            if (lowerCategory && (def.category || "").toLowerCase() !== lowerCategory)
+                return;
+            attrIds.push(attrId);
+        });
+        return attrIds;
+    }
+
+    return columns.map(function(column) {
+        if (typeof column === "string") {
+            // "Category.Name", unless there is a property with the full name
+            var attrIds = findAttributes(column);
+            var dot = column.indexOf(".");
+            if (!attrIds.length && dot > 0)
+                attrIds = findAttributes(column.substr(dot + 1), column.substr(0, dot));
+            return {
+                label: column,
+                attrIds: attrIds
+            };
+        }
+
+        return {
+            label: column.label || column.name,
+            attrIds: findAttributes(column.name, column.category)
+        };
+    });
+}
+
+function getObjectProperties(pdb, dbId) {
+    var avs = [];
+    pdb.enumObjectProperties(dbId, function(attrId, valId) {
+        avs.push(attrId, valId);
+    });
+    return avs;
+}
+
+/**
+ * Exports object properties as a table. The output is streamed: each time the progress changes,
+ * the text written since the last time is passed to onData, so the whole table is never kept in memory here.
+ *
+ * @param {PropertyDatabase} pdb
+ * @param {object} [options]
+ * @param {string} [options.format="csv"] - "csv" or "xml" (SpreadsheetML, opens in Excel).
+ * @param {Array<string|object>} [options.columns] - Properties to export, by name, as "Category.Name", or as
+ *        {name, category, label}. Names are matched case insensitive against name and display name.
+ *        Default: the name and all visible properties that the exported objects have.
+ * @param {number[]} [options.dbIds] - Objects to export. Default: all objects.
+ * @param {string} [options.query] - Only export objects matching this property query (see PropertyQuery.js).
+ * @param {boolean} [options.displayValues=true] - Format values with precision and units. Otherwise raw values
+ *        are exported and the units go into the header.
+ * @param {boolean} [options.includeDbId=true] - Add a dbId column.
+ * @param {boolean} [options.includeExternalId=false] - Add an externalId column. Requires the external ids to be loaded.
+ * @param {boolean} [options.includeInherited=true] - Include properties inherited through instance_of relations.
+ * @param {string} [options.delimiter=","] - CSV column delimiter.
+ * @param {string} [options.sheetName="Properties"] - SpreadsheetML worksheet name.
+ * @param {function(number)} [onProgress] - Receives percent values.
+ * @param {function(string)} [onData] - Receives the output in chunks, in order. If not set, the output
+ *        is collected and returned as data.
+ * @returns {object} {rowCount, columnCount}, and data if onData is not set.
+ */
+export function exportProperties(pdb, options, onProgress, onData) {
+
+    options = options || {};
+    var includeInherited = options.includeInherited !== false;
+    var displayValues = options.displayValues !== false;
+    var includeExternalId = options.includeExternalId && pdb.externalIdsLoaded();
+
+    var dbIds = options.dbIds;
+    if (!dbIds) {
+        dbIds = [];
+        pdb.enumObjects(function(dbId) {
+            dbIds.push(dbId);
+        });
+    }
+
+    if (options.query) {
+        var matches = new Set(executePropertyQuery(pdb, options.query, {
+            includeInherited: includeInherited
+        }));
+        dbIds = dbIds.filter(function(dbId) {
+            return matches.has(dbId);
+        });
+    }
+
+    var columns = resolveColumns(pdb, options.columns, dbIds, includeInherited);
+
+    var desiredAttrIds = {};
+    var columnByAttr = {};
+    columns.forEach(function(column, index) {
+        column.attrIds.forEach(function(attrId) {
+            desiredAttrIds[attrId] = true;
+            columnByAttr[attrId] = index;
+        });
+    });
+
+    var writer = options.format === ExportFormat.SPREADSHEET_ML ?
+        new SpreadsheetWriter(options.sheetName) :
+        new CsvWriter(options.delimiter);
+
+    var chunks = [];
+
+    function write(text) {
+        if (!text)
+            return;
+        if (onData)
+            onData(text);
+        else
+            chunks.push(text);
+    }
+
+    // Header
+    var header = [];
+    if (options.includeDbId !== false)
+        header.push("dbId");
+    if (includeExternalId)
+        header.push("externalId");
+    columns.forEach(function(column) {
+        var label = column.label;
+        if (!displayValues && column.attrIds.length) {
+            var symbol = getUnitSymbol(pdb.getAttributeDef(column.attrIds[0]).dataTypeContext);
+            if (symbol)
+                label += " (" + symbol + ")";
+        }
+        header.push(label);
+    });
+    writer.addHeader(header);
+
+    // Formatted values by attribute and value id. Values are shared across objects.
+    var valueCache = {};
+
+    function getCellValue(attrId, valId) {
+        var cache = valueCache[attrId] || (valueCache[attrId] = new Map());
+        var value = cache.get(valId);
+        if (value === undefined) {
+            value = pdb.getAttrValue(attrId, valId);
+            if (displayValues)
+                value = formatDisplayValue(value, pdb.getAttributeDef(attrId));
+            else if (value === undefined || value === null)
+                value = "";
+            cache.set(valId, value);
+        }
+        return value;
+    }
+
+    var lastPercent = -1;
+    var rowValues = new Array(columns.length);
+
+    for (var i = 0; i < dbIds.length; i++) {
+        var dbId = dbIds[i];
+        var row = [];
+        if (options.includeDbId !== false)
+            row.push(dbId);
+        if (includeExternalId)
+            row.push(pdb.getIdAt(dbId) || "");
+
+        rowValues.fill(null);
+
+        var avs = includeInherited ? pdb.getPropertiesSubsetWithInheritance(dbId, desiredAttrIds) : getObjectProperties(pdb, dbId);
+        for (var j = 0; j < avs.length; j += 2) {
+            var column = columnByAttr[avs[j]];
+            if (column === undefined)
+                continue;
+            var value = getCellValue(avs[j], avs[j + 1]);
+            var current = rowValues[column];
+            rowValues[column] = current === null || current === value ? value : current + VALUE_SEPARATOR + value;
+        }
+
+        writer.addRow(row.concat(rowValues));
+
+        // Limit progress messages and chunks to 100
+        var percent = Math.floor(100 * (i + 1) / dbIds.length);
+        if (percent !== lastPercent) {
+            write(writer.flush());
+            onProgress && onProgress(percent);
+            lastPercent = percent;
+        }
+    }
+
+    write(writer.finish());
+
+    var result = {
+        rowCount: dbIds.length,
+        columnCount: header.length
+    };
+    if (!onData)
+        result.data = chunks.join("");
+    return result;
+}
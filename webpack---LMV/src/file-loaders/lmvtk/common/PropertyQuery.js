@@ -0,0 +1,766 @@
+import {
+    UnitParser
+} from '../../../measurement/UnitParser';
+
+/*
+ * Structured queries against the property database.
+ *
+ * Syntax:
+ *
+ *   Query      := Or
+ *   Or         := And { ("OR" | "||") And }
+ *   And        := Not { ("AND" | "&&") Not }
+ *   Not        := ("NOT" | "!") Not | "(" Or ")" | Condition
+ *   Condition  := Field [ Operator Value ]      A field without operator tests whether the object has the property.
+ *   Field      := [ Name "." ] Name             The optional first name restricts the match to a property category.
+ *   Name       := identifier | "quoted" | 'quoted'
+ *   Operator   := "=" | "==" | "!=" | "<" | "<=" | ">" | ">=" | "~" | "!~"
+ *   Value      := "quoted string" | /regex/flags | true | false | quantity | unquoted text
+ *
+ * Examples:
+ *
+ *   Category = "Revit Walls" AND Height > 3m AND name ~ /^W-\d+/
+ *   Dimensions.Width >= 10'6" OR NOT Material
+ *   "Type Name" ~ concrete
+ *
+ * Semantics:
+ *  - Keywords, property names and categories are case insensitive. Properties are matched by name or display name,
+ *    hidden properties included. "dbId" and "externalId" address the object ids.
+ *  - An object matches a condition if any of its values for the field matches (objects can have several
+ *    properties of the same name in different categories). Objects without the property never match,
+ *    so "NOT Height = 3" differs from "Height != 3".
+ *  - Quantities are numbers with optional units (3, 3m, 2.5 ft, 10'6", 12 m^2, 90deg). If both the literal and
+ *    the property have length (or area, volume, angle) units, the comparison is done after unit conversion.
+ *    Otherwise the numbers are compared as they are. "=" and "!=" on numbers use a relative tolerance of 1e-6.
+ *  - Strings compare case insensitive. "~" tests a regex, or does a case insensitive substring search for other values.
+ *  - Properties inherited through instance_of relations are included, unless options.includeInherited is false.
+ */
+
+var KEYWORD_AND = "and";
+var KEYWORD_OR = "or";
+var KEYWORD_NOT = "not";
+
+// Longer operators first, so that "<=" is not read as "<"
+var OPERATORS = ["==", "!=", "!~", "<=", ">=", "=", "<", ">", "~"];
+
+// Characters that end an unquoted property name
+var NAME_DELIMITERS = " \t\r\n()=!<>~.\"'&|";
+
+var EQUALITY_TOLERANCE = 1e-6;
+
+// Units, by lower case symbol or name. Scales are relative to the SI unit (meter, radian).
+var LENGTH_UNITS = {
+    "mm": 0.001,
+    "millimeter": 0.001,
+    "millimeters": 0.001,
+    "cm": 0.01,
+    "centimeter": 0.01,
+    "centimeters": 0.01,
+    "dm": 0.1,
+    "decimeter": 0.1,
+    "decimeters": 0.1,
+    "m": 1,
+    "meter": 1,
+    "meters": 1,
+    "metre": 1,
+    "metres": 1,
+    "meterscentimeters": 1,
+    "m-and-cm": 1,
+    "km": 1000,
+    "kilometer": 1000,
+    "kilometers": 1000,
+    "in": 0.0254,
+    "inch": 0.0254,
+    "inches": 0.0254,
+    "\"": 0.0254,
+    "decimal-in": 0.0254,
+    "fractional-in": 0.0254,
+    "ft": 0.3048,
+    "foot": 0.3048,
+    "feet": 0.3048,
+    "'": 0.3048,
+    "decimal-ft": 0.3048,
+    "ft-and-fractional-in": 0.3048,
+    "ft-and-decimal-in": 0.3048,
+    "feetfractionalinches": 0.3048,
+    "ussurveyfeet": 1200 / 3937,
+    "yd": 0.9144,
+    "yard": 0.9144,
+    "yards": 0.9144,
+    "mi": 1609.344,
+    "mile": 1609.344,
+    "miles": 1609.344
+};
+
+var ANGLE_UNITS = {
+    "deg": Math.PI / 180,
+    "degree": Math.PI / 180,
+    "degrees": Math.PI / 180,
+    "°": Math.PI / 180,
+    "rad": 1,
+    "radian": 1,
+    "radians": 1
+};
+
+var VOLUME_UNITS = {
+    "l": 0.001,
+    "liter": 0.001,
+    "liters": 0.001,
+    "litre": 0.001,
+    "litres": 0.001
+};
+
+/**
+ * Returns the unit definition {dimension, exponent, scale} for a unit string, or null for unknown units.
+ * Supports symbols and names (m, ft, inches), area and volume (m^2, m², sq ft, cubic feet, l), angles (deg, rad)
+ * and Forge unit ids (autodesk.unit.unit:squareMeters-1.0.1).
+ * @param {string} units
+ * @returns {object|null}
+ */
+export function getUnitDefinition(units) {
+
+    if (!units)
+        return null;
+
+    var str = units.toString().trim();
+
+    // Forge unit ids
+    var forge = /^autodesk\.unit\.unit:([^-]+)/.exec(str);
+    if (forge)
+        str = forge[1];
+
+    str = str.toLowerCase().replace(/²/g, "^2").replace(/³/g, "^3").replace(/\s+/g, "");
+
+    var exponent = 1;
+    var prefix = /^(square|sq|cubic|cu)/.exec(str);
+    if (prefix && str.length > prefix[0].length) {
+        exponent = prefix[1].charAt(0) === "s" ? 2 : 3;
+        str = str.substr(prefix[0].length);
+    } else {
+        var suffix = /\^?([23])$/.exec(str);
+        if (suffix && str.length > suffix[0].length) {
+            exponent = parseInt(suffix[1]);
+            str = str.substr(0, str.length - suffix[0].length);
+        }
+    }
+
+    var scale = LENGTH_UNITS[str];
+    if (scale !== undefined) {
+        return {
+            dimension: "length",
+            exponent: exponent,
+            scale: Math.pow(scale, exponent)
+        };
+    }
+
+    if (exponent === 1 && VOLUME_UNITS[str] !== undefined) {
+        return {
+            dimension: "length",
+            exponent: 3,
+            scale: VOLUME_UNITS[str]
+        };
+    }
+
+    if (exponent === 1 && ANGLE_UNITS[str] !== undefined) {
+        return {
+            dimension: "angle",
+            exponent: 1,
+            scale: ANGLE_UNITS[str]
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Parses a number with optional units, e.g. "3", "-1.5e3 mm", "12 m^2", "10'6\"" or "1m 20cm".
+ * @param {string} text
+ * @returns {object|null} {value, unit} where value is the number in the given units and unit is null or
+ *                        as returned by getUnitDefinition(). null if the text is not a quantity.
+ */
+export function parseQuantity(text) {
+
+    text = text.toString().trim();
+
+    var m = /^([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)\s*(.*)$/i.exec(text);
+    if (!m)
+        return null;
+
+    var value = parseFloat(m[1]);
+    var unitText = m[2];
+    if (!unitText) {
+        return {
+            value: value,
+            unit: null
+        };
+    }
+
+    var unit = getUnitDefinition(unitText);
+    if (unit) {
+        return {
+            value: value,
+            unit: unit
+        };
+    }
+
+    // Compound notations like 10'6" or 1m 20cm
+    if (/['"]|ft|feet|foot|in/i.test(unitText)) {
+        value = UnitParser.parseFeet(text);
+        if (!isNaN(value)) {
+            return {
+                value: value,
+                unit: getUnitDefinition("ft")
+            };
+        }
+    } else if (/m/i.test(unitText)) {
+        value = UnitParser.parseMeter(text);
+        if (!isNaN(value)) {
+            return {
+                value: value,
+                unit: getUnitDefinition("m")
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses a property query (see syntax at the top of this file).
+ * The result only contains plain objects, so that it can be posted to a worker.
+ *
+ * @param {string} text
+ * @returns {object} Root node of the syntax tree. Node types: "and"/"or" {left, right}, "not" {operand} and
+ *                   "condition" {category, name, op, value}, where value is {kind, ...} with kind "string", "regex",
+ *                   "boolean" or "number".
+ * @throws {Error} If the query is malformed
+ */
+export function parsePropertyQuery(text) {
+
+    var pos = 0;
+    var len = text.length;
+
+    function fail(message) {
+        throw new Error("Invalid property query: " + message + " at position " + pos);
+    }
+
+    function skipWhitespace() {
+        while (pos < len && /\s/.test(text.charAt(pos)))
+            pos++;
+    }
+
+    function isNameDelimiter(c) {
+        return NAME_DELIMITERS.indexOf(c) !== -1;
+    }
+
+    // Matches a keyword (case insensitive) or symbol at the current position, without consuming it
+    function lookingAt(keyword, symbol) {
+        skipWhitespace();
+        if (symbol && text.substr(pos, symbol.length) === symbol)
+            return symbol.length;
+        if (text.substr(pos, keyword.length).toLowerCase() === keyword) {
+            var next = text.charAt(pos + keyword.length);
+            if (!next || isNameDelimiter(next))
+                return keyword.length;
+        }
+        return 0;
+    }
+
+    function accept(keyword, symbol) {
+        var n = lookingAt(keyword, symbol);
+        pos += n;
+        return n > 0;
+    }
+
+    function parseQuoted() {
+        var quote = text.charAt(pos++);
+        var result = "";
+        while (pos < len) {
+            var c = text.charAt(pos++);
+            if (c === quote)
+                return result;
+            if (c === "\\" && pos < len)
+                c = text.charAt(pos++);
+            result += c;
+        }
+        fail("Unterminated string");
+    }
+
+    function parseName() {
+        skipWhitespace();
+        var c = text.charAt(pos);
+        if (c === "\"" || c === "'")
+            return parseQuoted();
+
+        var start = pos;
+        while (pos < len && !isNameDelimiter(text.charAt(pos)))
+            pos++;
+        if (pos === start)
+            fail("Expected property name");
+        return text.substring(start, pos);
+    }
+
+    function parseRegex() {
+        var start = ++pos;
+        var inClass = false;
+        while (pos < len) {
+            var c = text.charAt(pos);
+            if (c === "\\") {
+                pos += 2;
+                continue;
+            }
+            if (c === "[")
+                inClass = true;
+            else if (c === "]")
+                inClass = false;
+            else if (c === "/" && !inClass)
+                break;
+            pos++;
+        }
+        if (pos >= len)
+            fail("Unterminated regular expression");
+
+        var source = text.substring(start, pos++);
+        var flagsStart = pos;
+        while (pos < len && /[gimsuy]/.test(text.charAt(pos)))
+            pos++;
+        var flags = text.substring(flagsStart, pos);
+
+        try {
+            new RegExp(source, flags);
+        } catch (e) {
+            fail("Invalid regular expression /" + source + "/");
+        }
+
+        return {
+            kind: "regex",
+            source: source,
+            flags: flags
+        };
+    }
+
+    // Unquoted values extend up to a closing parenthesis or the next AND/OR
+    function parseUnquoted() {
+        var start = pos;
+        while (pos < len) {
+            var c = text.charAt(pos);
+            if (c === ")" || text.substr(pos, 2) === "&&" || text.substr(pos, 2) === "||")
+                break;
+            if (/\s/.test(c)) {
+                var save = pos;
+                var isKeyword = lookingAt(KEYWORD_AND) || lookingAt(KEYWORD_OR);
+                pos = save;
+                if (isKeyword)
+                    break;
+            }
+            pos++;
+        }
+
+        var raw = text.substring(start, pos).trim();
+        if (!raw)
+            fail("Expected value");
+
+        var lower = raw.toLowerCase();
+        if (lower === "true" || lower === "false") {
+            return {
+                kind: "boolean",
+                value: lower === "true"
+            };
+        }
+
+        var quantity = parseQuantity(raw);
+        if (quantity) {
+            return {
+                kind: "number",
+                value: quantity.value,
+                unit: quantity.unit,
+                text: raw
+            };
+        }
+
+        return {
+            kind: "string",
+            value: raw
+        };
+    }
+
+    function parseValue() {
+        skipWhitespace();
+        var c = text.charAt(pos);
+        if (c === "\"" || c === "'") {
+            return {
+                kind: "string",
+                value: parseQuoted()
+            };
+        }
+        if (c === "/")
+            return parseRegex();
+        return parseUnquoted();
+    }
+
+    function parseCondition() {
+        var name = parseName();
+        var category = null;
+
+        skipWhitespace();
+        if (text.charAt(pos) === ".") {
+            pos++;
+            category = name;
+            name = parseName();
+        }
+
+        var node = {
+            type: "condition",
+            category: category,
+            name: name,
+            op: null,
+            value: null
+        };
+
+        skipWhitespace();
+        for (var i = 0; i < OPERATORS.length; i++) {
+            var op = OPERATORS[i];
+            if (text.substr(pos, op.length) === op) {
+                pos += op.length;
+                node.op = op === "==" ? "=" : op;
+                node.value = parseValue();
+                break;
+            }
+        }
+
+        return node;
+    }
+
+    function parseNot() {
+        skipWhitespace();
+
+        // "!" negates, unless it starts "!=" or "!~" (which can't appear here anyway)
+        if (accept(KEYWORD_NOT) || (text.charAt(pos) === "!" && "=~".indexOf(text.charAt(pos + 1)) === -1 && ++pos)) {
+            return {
+                type: "not",
+                operand: parseNot()
+            };
+        }
+
+        if (text.charAt(pos) === "(") {
+            pos++;
+            var node = parseOr();
+            skipWhitespace();
+            if (text.charAt(pos) !== ")")
+                fail("Expected )");
+            pos++;
+            return node;
+        }
+
+        return parseCondition();
+    }
+
+    function parseAnd() {
+        var node = parseNot();
+        while (accept(KEYWORD_AND, "&&")) {
+            node = {
+                type: "and",
+                left: node,
+                right: parseNot()
+            };
+        }
+        return node;
+    }
+
+    function parseOr() {
+        var node = parseAnd();
+        while (accept(KEYWORD_OR, "||")) {
+            node = {
+                type: "or",
+                left: node,
+                right: parseAnd()
+            };
+        }
+        return node;
+    }
+
+    if (!text || !text.trim())
+        fail("Empty query");
+
+    var root = parseOr();
+    skipWhitespace();
+    if (pos < len)
+        fail("Unexpected '" + text.charAt(pos) + "'");
+
+    return root;
+}
+
+function toBoolean(value) {
+    if (typeof value === "string") {
+        var lower = value.trim().toLowerCase();
+        return lower === "true" || lower === "yes" || lower === "1";
+    }
+    return !!value;
+}
+
+function compareNumbers(a, op, b) {
+    switch (op) {
+        case "=":
+            return a === b || Math.abs(a - b) <= EQUALITY_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+        case "!=":
+            return !compareNumbers(a, "=", b);
+        case "<":
+            return a < b;
+        case "<=":
+            return a <= b || compareNumbers(a, "=", b);
+        case ">":
+            return a > b;
+        case ">=":
+            return a >= b || compareNumbers(a, "=", b);
+    }
+    return false;
+}
+
+function compareStrings(a, op, b) {
+    switch (op) {
+        case "=":
+            return a === b;
+        case "!=":
+            return a !== b;
+        case "<":
+            return a < b;
+        case "<=":
+            return a <= b;
+        case ">":
+            return a > b;
+        case ">=":
+            return a >= b;
+    }
+    return false;
+}
+
+/**
+ * Creates the test for a single property value of a condition.
+ * @returns {function(*, object):boolean} Receives the property value and its unit definition (or null).
+ */
+function createValueTest(op, literal) {
+
+    if (op === "~" || op === "!~") {
+        var match;
+        if (literal.kind === "regex") {
+            var regex = new RegExp(literal.source, literal.flags.replace("g", ""));
+            match = function(value) {
+                return regex.test(value.toString());
+            };
+        } else {
+            var needle = (literal.kind === "number" ? literal.text : literal.value.toString()).toLowerCase();
+            match = function(value) {
+                return value.toString().toLowerCase().indexOf(needle) !== -1;
+            };
+        }
+        return op === "~" ? match : function(value) {
+            return !match(value);
+        };
+    }
+
+    if (literal.kind === "regex") {
+        // Regex with a comparison operator: treat "=" as match
+        var re = new RegExp(literal.source, literal.flags.replace("g", ""));
+        return function(value) {
+            var matches = re.test(value.toString());
+            return op === "!=" ? !matches : op === "=" && matches;
+        };
+    }
+
+    if (literal.kind === "boolean") {
+        return function(value) {
+            var equal = toBoolean(value) === literal.value;
+            return op === "!=" ? !equal : op === "=" && equal;
+        };
+    }
+
+    if (literal.kind === "number") {
+        var literalText = literal.text.toLowerCase();
+        return function(value, propUnit) {
+            var quantity;
+            if (typeof value === "number") {
+                quantity = {
+                    value: value,
+                    unit: propUnit
+                };
+            } else if (typeof value === "boolean") {
+                quantity = {
+                    value: value ? 1 : 0,
+                    unit: null
+                };
+            } else {
+                quantity = parseQuantity(value);
+                if (quantity && !quantity.unit)
+                    quantity.unit = propUnit;
+            }
+
+            if (!quantity) {
+                // Not a number, fall back to text comparison
+                return (op === "=" || op === "!=") && compareStrings(value.toString().trim().toLowerCase(), op, literalText);
+            }
+
+            if (literal.unit && quantity.unit) {
+                if (literal.unit.dimension !== quantity.unit.dimension || literal.unit.exponent !== quantity.unit.exponent)
+                    return op === "!=";
+                return compareNumbers(quantity.value * quantity.unit.scale, op, literal.value * literal.unit.scale);
+            }
+
+            return compareNumbers(quantity.value, op, literal.value);
+        };
+    }
+
+    // String literal
+    var str = literal.value.toString().trim().toLowerCase();
+    return function(value) {
+        return compareStrings(value.toString().trim().toLowerCase(), op, str);
+    };
+}
+
+/**
+ * Evaluates a property query against a property database.
+ *
+ * @param {PropertyDatabase} pdb
+ * @param {string|object} query - Query text, or the result of parsePropertyQuery().
+ * @param {object} [options]
+ * @param {boolean} [options.includeInherited=true] - Include properties inherited through instance_of relations.
+ * @returns {number[]} dbIds of all matching objects, in ascending order.
+ * @throws {Error} If the query is malformed
+ */
+export function executePropertyQuery(pdb, query, options) {
+
+    var root = typeof query === "string" ? parsePropertyQuery(query) : query;
+    var includeInherited = !options || options.includeInherited !== false;
+
+    // Index attributes by lower case name and display name
+    var attrsByName = {};
+    var attrDefs = [];
+
+    function addName(name, attrId) {
+        if (name === undefined || name === null || name === "")
+            return;
+        var key = name.toString().toLowerCase();
+        var list = attrsByName[key] || (attrsByName[key] = []);
+        if (list.indexOf(attrId) === -1)
+            list.push(attrId);
+    }
+
+    pdb.enumAttributes(function(attrId, def) {
+        attrDefs[attrId] = def;
+        addName(def.name, attrId);
+        addName(def.displayName, attrId);
+    });
+
+    // All attributes used by the query, for getPropertiesSubsetWithInheritance
+    var desiredAttrIds = {};
+
+    function resolveAttributes(node) {
+        var candidates = attrsByName[node.name.toLowerCase()] || [];
+        var category = node.category && node.category.toLowerCase();
+        var attrs = {};
+        for (var i = 0; i < candidates.length; i++) {
+            var def = attrDefs[candidates[i]];
+            if (category && (def.category || "").toLowerCase() !== category)
+                continue;
+            attrs[candidates[i]] = getUnitDefinition(def.dataTypeContext);
+            desiredAttrIds[candidates[i]] = true;
+        }
+        return attrs;
+    }
+
+    function compileCondition(node) {
+
+        var test = node.op ? createValueTest(node.op, node.value) : null;
+        var name = node.name.toLowerCase();
+
+        // Pseudo properties
+        if (!node.category && (name === "dbid" || name === "externalid")) {
+            var isDbId = name === "dbid";
+            if (!isDbId && !pdb.externalIdsLoaded()) {
+                return function() {
+                    return false;
+                };
+            }
+            return function(dbId) {
+                var value = isDbId ? dbId : pdb.getIdAt(dbId);
+                return value !== undefined && value !== null && (!test || test(value, null));
+            };
+        }
+
+        var attrs = resolveAttributes(node);
+
+        // Test results by attribute and value id. Values are shared across objects in the property database.
+        var cache = {};
+
+        return function(dbId, avPairs) {
+            for (var i = 0; i < avPairs.length; i += 2) {
+                var attrId = avPairs[i];
+                if (!(attrId in attrs))
+                    continue;
+                if (!test)
+                    return true;
+
+                var valId = avPairs[i + 1];
+                var attrCache = cache[attrId] || (cache[attrId] = new Map());
+                var result = attrCache.get(valId);
+                if (result === undefined) {
+                    var value = pdb.getAttrValue(attrId, valId);
+                    result = value !== undefined && value !== null && test(value, attrs[attrId]);
+                    attrCache.set(valId, result);
+                }
+                if (result)
+                    return true;
+            }
+            return false;
+        };
+    }
+
+    function compile(node) {
+        switch (node.type) {
+            case "and": {
+                let left = compile(node.left),
+                    right = compile(node.right);
+                return function(dbId, avPairs) {
+                    return left(dbId, avPairs) && right(dbId, avPairs);
+                };
+            }
+            case "or": {
+                let left = compile(node.left),
+                    right = compile(node.right);
+                return function(dbId, avPairs) {
+                    return left(dbId, avPairs) || right(dbId, avPairs);
+                };
+            }
+            case "not": {
+                let operand = compile(node.operand);
+                return function(dbId, avPairs) {
+                    return !operand(dbId, avPairs);
+                };
+            }
+            case "condition":
+                return compileCondition(node);
+        }
+        throw new Error("Invalid property query node " + node.type);
+    }
+
+    var evaluate = compile(root);
+
+    var result = [];
+    pdb.enumObjects(function(dbId) {
+        var avPairs;
+        if (includeInherited) {
+            avPairs = pdb.getPropertiesSubsetWithInheritance(dbId, desiredAttrIds);
+        } else {
+            avPairs = [];
+            pdb.enumObjectProperties(dbId, function(attrId, valId) {
+                if (desiredAttrIds[attrId]) {
+                    avPairs.push(attrId, valId);
+                }
+            });
+        }
+
+        if (evaluate(dbId, avPairs))
+            result.push(dbId);
+    });
+
+    return result;
+}
@@ -0,0 +1,619 @@
+"use strict";
+
+import {
+    VBUtils
+} from '../common/VbUtils';
+import {
+    packNormal,
+    decodeText
+} from '../common/MeshPackage';
+
+// Meshes use 16 bit indices
+var MAX_VERTICES_PER_MESH = 65535;
+
+// Number of floats per vertex in the temporary vertex list of createMeshes: position, normal, uv
+var TMP_STRIDE = 8;
+
+// Splits the file into logical lines, joining lines continued with a trailing backslash.
+function splitLines(text) {
+    var lines = text.split("\n");
+    var result = [];
+    var continued = "";
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i];
+        if (line.charCodeAt(line.length - 1) === 13) // \r
+            line = line.substr(0, line.length - 1);
+
+        if (line.charCodeAt(line.length - 1) === 92) { // \
+            continued += line.substr(0, line.length - 1) + " ";
+            continue;
+        }
+
+        result.push(continued ? continued + line : line);
+        continued = "";
+    }
+
+    if (continued)
+        result.push(continued);
+
+    return result;
+}
+
+// Splits a trimmed line into tokens. Splitting at single spaces is a lot faster than
+// splitting at a regex, and covers the vast majority of lines.
+function tokenize(line) {
+    if (line.indexOf("\t") === -1 && line.indexOf("  ") === -1)
+        return line.split(" ");
+    return line.split(/\s+/);
+}
+
+// Converts a 1-based (or negative, i.e. relative) OBJ index into a 0-based index.
+function resolveIndex(str, count) {
+    var i = parseInt(str, 10);
+    if (isNaN(i))
+        return -1;
+    return i < 0 ? count + i : i - 1;
+}
+
+/**
+ * Parses the geometry of a Wavefront OBJ file.
+ *
+ * Faces are grouped into parts by object name (o), group name (g) and material (usemtl).
+ * Each part is triangulated (polygons as fans) and split into LMV meshes of at most 65535 vertices.
+ * Missing normals are computed from the faces, smoothed per smoothing group (s) unless smoothing is
+ * turned off. Vertex colors, lines, points and free-form geometry are ignored.
+ *
+ * @param {Uint8Array} data - Raw file content
+ * @returns {object} {mtllibs, triangleCount, parts}, where each part is {object, group, material, triangleCount, meshes}
+ */
+export function parseObj(data) {
+
+    var lines = splitLines(decodeText(data));
+
+    var positions = [];
+    var uvs = [];
+    var normals = [];
+
+    var mtllibs = [];
+    var parts = [];
+    var partMap = {};
+
+    var objectName = null;
+    var groupName = null;
+    var material = null;
+    var smoothingGroup = 1; // smooth unless told otherwise
+    var part = null;
+
+    function getPart() {
+        if (part)
+            return part;
+
+        var key = objectName + "\u0000" + groupName + "\u0000" + material;
+        part = partMap[key];
+        if (!part) {
+            part = partMap[key] = {
+                object: objectName,
+                group: groupName,
+                material: material,
+                // Three entries per triangle corner: position, uv and normal index (-1 if missing)
+                corners: [],
+                // One entry per triangle
+                smoothing: []
+            };
+            parts.push(part);
+        }
+        return part;
+    }
+
+    for (var l = 0; l < lines.length; l++) {
+
+        var line = lines[l].trim();
+        if (!line || line.charAt(0) === "#")
+            continue;
+
+        var tokens = tokenize(line);
+        var keyword = tokens[0];
+
+        switch (keyword) {
+            case "v":
+                positions.push(parseFloat(tokens[1]) || 0, parseFloat(tokens[2]) || 0, parseFloat(tokens[3]) || 0);
+                break;
+
+            case "vt":
+                uvs.push(parseFloat(tokens[1]) || 0, parseFloat(tokens[2]) || 0);
+                break;
+
+            case "vn":
+                normals.push(parseFloat(tokens[1]) || 0, parseFloat(tokens[2]) || 0, parseFloat(tokens[3]) || 0);
+                break;
+
+            case "f":
+                {
+                    var p = getPart();
+                    var numPositions = positions.length / 3;
+                    var numUvs = uvs.length / 2;
+                    var numNormals = normals.length / 3;
+
+                    var face = [];
+                    for (var t = 1; t < tokens.length; t++) {
+                        var refs = tokens[t].split("/");
+                        var vi = resolveIndex(refs[0], numPositions);
+                        if (vi < 0 || vi >= numPositions)
+                            continue;
+                        var ti = refs.length > 1 && refs[1] ? resolveIndex(refs[1], numUvs) : -1;
+                        var ni = refs.length > 2 && refs[2] ? resolveIndex(refs[2], numNormals) : -1;
+                        face.push(vi, ti < numUvs ? ti : -1, ni < numNormals ? ni : -1);
+                    }
+
+                    //Triangulate as a fan
+                    for (var c = 6; c < face.length; c += 3) {
+                        p.corners.push(face[0], face[1], face[2],
+                            face[c - 3], face[c - 2], face[c - 1],
+                            face[c], face[c + 1], face[c + 2]);
+                        p.smoothing.push(smoothingGroup);
+                    }
+                    break;
+                }
+
+            case "o":
+                objectName = tokens.slice(1).join(" ") || null;
+                groupName = null;
+                part = null;
+                break;
+
+            case "g":
+                // Multiple group names are allowed, we use them together as a single name
+                groupName = tokens.slice(1).join(" ") || null;
+                part = null;
+                break;
+
+            case "usemtl":
+                material = tokens.slice(1).join(" ") || null;
+                part = null;
+                break;
+
+            case "mtllib":
+                {
+                    // File names may contain spaces, but multiple files are separated by spaces too.
+                    // Only split if every token looks like an mtl file.
+                    var names = tokens.slice(1);
+                    var allMtl = names.every(function(n) {
+                        return /\.mtl$/i.test(n);
+                    });
+                    if (!allMtl)
+                        names = [names.join(" ")];
+                    for (var m = 0; m < names.length; m++) {
+                        if (names[m] && mtllibs.indexOf(names[m]) === -1)
+                            mtllibs.push(names[m]);
+                    }
+                    break;
+                }
+
+            case "s":
+                smoothingGroup = (tokens[1] === "off" || tokens[1] === "0") ? 0 : (parseInt(tokens[1], 10) || 1);
+                break;
+
+            default:
+                //Lines, points, curves and surfaces are not supported
+                break;
+        }
+    }
+
+    var smoothNormals = computeSmoothNormals(parts, positions);
+
+    var triangleCount = 0;
+    for (var i = 0; i < parts.length; i++) {
+        var objPart = parts[i];
+        objPart.triangleCount = objPart.smoothing.length;
+        objPart.meshes = createMeshes(objPart, positions, uvs, normals, smoothNormals);
+        triangleCount += objPart.triangleCount;
+
+        // Release the face data, it is not needed anymore
+        objPart.corners = null;
+        objPart.smoothing = null;
+    }
+
+    // Drop parts without faces, e.g. faces referencing invalid vertices only
+    parts = parts.filter(function(p) {
+        return p.triangleCount > 0;
+    });
+
+    return {
+        mtllibs: mtllibs,
+        triangleCount: triangleCount,
+        parts: parts
+    };
+}
+
+function computeFaceNormal(positions, a, b, c, out) {
+    var ux = positions[b * 3] - positions[a * 3],
+        uy = positions[b * 3 + 1] - positions[a * 3 + 1],
+        uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    var vx = positions[c * 3] - positions[a * 3],
+        vy = positions[c * 3 + 1] - positions[a * 3 + 1],
+        vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+
+    //Not normalized -- larger faces get a larger weight when smoothing
+    out[0] = uy * vz - uz * vy;
+    out[1] = uz * vx - ux * vz;
+    out[2] = ux * vy - uy * vx;
+}
+
+// Triangles need computed normals if any of their corners misses a normal index
+function needsNormals(corners, t) {
+    return corners[t * 9 + 2] < 0 || corners[t * 9 + 5] < 0 || corners[t * 9 + 8] < 0;
+}
+
+// Accumulates the face normals of all smoothed triangles without normals, per position and smoothing group.
+// Returns a map from smoothing key (see smoothKey) to normal.
+function computeSmoothNormals(parts, positions) {
+
+    var result = new Map();
+    var fn = [0, 0, 0];
+    var numPositions = positions.length / 3;
+
+    for (var i = 0; i < parts.length; i++) {
+        var corners = parts[i].corners;
+        var smoothing = parts[i].smoothing;
+
+        for (var t = 0; t < smoothing.length; t++) {
+            if (!smoothing[t] || !needsNormals(corners, t))
+                continue;
+
+            var base = t * 9;
+            computeFaceNormal(positions, corners[base], corners[base + 3], corners[base + 6], fn);
+
+            for (var c = 0; c < 3; c++) {
+                var key = smoothKey(corners[base + c * 3], smoothing[t], numPositions);
+                var n = result.get(key);
+                if (n) {
+                    n[0] += fn[0];
+                    n[1] += fn[1];
+                    n[2] += fn[2];
+                } else {
+                    result.set(key, [fn[0], fn[1], fn[2]]);
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+function smoothKey(vi, smoothingGroup, numPositions) {
+    return smoothingGroup * numPositions + vi;
+}
+
+function normalize(n) {
+    var len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+    if (len > 0) {
+        n[0] /= len;
+        n[1] /= len;
+        n[2] /= len;
+    } else {
+        //degenerate triangle
+        n[0] = 0;
+        n[1] = 0;
+        n[2] = 1;
+    }
+    return n;
+}
+
+function createMeshes(part, positions, uvs, normals, smoothNormals) {
+
+    var corners = part.corners;
+    var smoothing = part.smoothing;
+    var numTriangles = smoothing.length;
+    var numPositions = positions.length / 3;
+
+    //Only add uvs if the part uses them at all
+    var hasUvs = false;
+    for (var i = 1; i < corners.length; i += 3) {
+        if (corners[i] >= 0) {
+            hasUvs = true;
+            break;
+        }
+    }
+
+    var stride = hasUvs ? 6 : 4;
+    var meshes = [];
+
+    // Vertex data of the current chunk, TMP_STRIDE floats per vertex
+    var verts = [];
+    var indices = [];
+    // Vertex sharing: vertexMap maps a position index to the first vertex using it, vertexNext chains
+    // further vertices with the same position. vertexUv and vertexNormal hold the uv index and either the
+    // normal index or, for computed normals, the negated smoothing group - 1.
+    var vertexMap = new Map();
+    var vertexNext = [];
+    var vertexUv = [];
+    var vertexNormal = [];
+    var fn = [0, 0, 0];
+    var n = [0, 0, 0];
+
+    function flush() {
+        if (!indices.length)
+            return;
+        meshes.push(createMesh(verts, indices, stride, hasUvs));
+        verts = [];
+        indices = [];
+        vertexMap.clear();
+        vertexNext = [];
+        vertexUv = [];
+        vertexNormal = [];
+    }
+
+    for (var t = 0; t < numTriangles; t++) {
+
+        //Start a new mesh if the triangle might not fit anymore
+        if (verts.length / TMP_STRIDE + 3 > MAX_VERTICES_PER_MESH)
+            flush();
+
+        var base = t * 9;
+        var computeNormals = needsNormals(corners, t);
+        var flat = computeNormals && !smoothing[t];
+        if (flat) {
+            computeFaceNormal(positions, corners[base], corners[base + 3], corners[base + 6], fn);
+            normalize(fn);
+        }
+
+        for (var c = 0; c < 3; c++) {
+            var vi = corners[base + c * 3];
+            var ti = corners[base + c * 3 + 1];
+            var ni = corners[base + c * 3 + 2];
+
+            //Vertices with flat computed normals are not shared
+            var normalKey = computeNormals ? -1 - smoothing[t] : ni;
+            var first = -1;
+            if (!flat) {
+                first = vertexMap.get(vi);
+                if (first === undefined)
+                    first = -1;
+
+                var existing = first;
+                while (existing >= 0 && (vertexUv[existing] !== ti || vertexNormal[existing] !== normalKey))
+                    existing = vertexNext[existing];
+
+                if (existing >= 0) {
+                    indices.push(existing);
+                    continue;
+                }
+            }
+
+            if (flat) {
+                n[0] = fn[0];
+                n[1] = fn[1];
+                n[2] = fn[2];
+            } else if (computeNormals) {
+                var sn = smoothNormals.get(smoothKey(vi, smoothing[t], numPositions));
+                n[0] = sn[0];
+                n[1] = sn[1];
+                n[2] = sn[2];
+                normalize(n);
+            } else {
+                n[0] = normals[ni * 3];
+                n[1] = normals[ni * 3 + 1];
+                n[2] = normals[ni * 3 + 2];
+                normalize(n);
+            }
+
+            var index = verts.length / TMP_STRIDE;
+            verts.push(positions[vi * 3], positions[vi * 3 + 1], positions[vi * 3 + 2]);
+            verts.push(n[0], n[1], n[2]);
+            verts.push(ti >= 0 ? uvs[ti * 2] : 0, ti >= 0 ? uvs[ti * 2 + 1] : 0);
+
+            vertexUv.push(ti);
+            vertexNormal.push(normalKey);
+            vertexNext.push(first);
+            if (!flat)
+                vertexMap.set(vi, index);
+            indices.push(index);
+        }
+    }
+
+    flush();
+
+    return meshes;
+}
+
+function createMesh(verts, indexList, stride, hasUvs) {
+
+    var vcount = verts.length / TMP_STRIDE;
+
+    var mesh = {
+        vertexCount: vcount,
+        triangleCount: indexList.length / 3,
+        vbstride: stride,
+        vblayout: {
+            position: {
+                offset: 0,
+                itemSize: 3
+            },
+            normal: {
+                offset: 3,
+                itemSize: 2,
+                bytesPerItem: 2,
+                normalized: true
+            }
+        }
+    };
+
+    if (hasUvs) {
+        mesh.vblayout.uv = {
+            offset: 4,
+            itemSize: 2
+        };
+    }
+
+    var vbf = mesh.vb = new Float32Array(vcount * stride);
+    var vbi = new Uint16Array(vbf.buffer);
+    mesh.indices = new Uint16Array(indexList);
+
+    for (var i = 0, src = 0, dst = 0; i < vcount; i++, src += TMP_STRIDE, dst += stride) {
+        vbf[dst] = verts[src];
+        vbf[dst + 1] = verts[src + 1];
+        vbf[dst + 2] = verts[src + 2];
+        packNormal(verts[src + 3], verts[src + 4], verts[src + 5], vbi, dst + 3);
+        if (hasUvs) {
+            vbf[dst + 4] = verts[src + 6];
+            vbf[dst + 5] = verts[src + 7];
+        }
+    }
+
+    VBUtils.computeBounds3D(mesh);
+    if (hasUvs)
+        VBUtils.deduceUVRepetition(mesh);
+
+    return mesh;
+}
+
+// Parses the options and file name of a texture map statement, e.g. "map_Kd -s 2 2 1 textures/wood.png"
+function parseMapStatement(tokens) {
+
+    // Number of arguments of the map options, see the MTL spec. -o, -s and -t take 1 to 3 numbers.
+    var optionArgs = {
+        "-blendu": 1,
+        "-blendv": 1,
+        "-boost": 1,
+        "-mm": 2,
+        "-texres": 1,
+        "-clamp": 1,
+        "-bm": 1,
+        "-imfchan": 1,
+        "-type": 1,
+        "-cc": 1
+    };
+
+    var map = {
+        uScale: 1,
+        vScale: 1,
+        uOffset: 0,
+        vOffset: 0
+    };
+
+    var i = 1;
+    while (i < tokens.length && tokens[i].charAt(0) === "-") {
+        var opt = tokens[i++];
+        if (opt === "-o" || opt === "-s" || opt === "-t") {
+            var values = [];
+            while (i < tokens.length && values.length < 3 && !isNaN(parseFloat(tokens[i])) && i < tokens.length - 1)
+                values.push(parseFloat(tokens[i++]));
+            if (opt === "-s") {
+                map.uScale = values.length > 0 ? values[0] : 1;
+                map.vScale = values.length > 1 ? values[1] : map.uScale;
+            } else if (opt === "-o") {
+                map.uOffset = values.length > 0 ? values[0] : 0;
+                map.vOffset = values.length > 1 ? values[1] : 0;
+            }
+        } else {
+            var numArgs = optionArgs[opt] || 0;
+            if (opt === "-bm")
+                map.bumpAmount = parseFloat(tokens[i]);
+            i += numArgs;
+        }
+    }
+
+    // The rest is the file name, which may contain spaces. Normalize windows path separators.
+    map.file = tokens.slice(i).join(" ").replace(/\\/g, "/");
+
+    return map.file ? map : null;
+}
+
+function parseColor(tokens) {
+    var r = parseFloat(tokens[1]);
+    if (isNaN(r))
+        return null;
+    var g = parseFloat(tokens[2]);
+    var b = parseFloat(tokens[3]);
+    return {
+        r: r,
+        g: isNaN(g) ? r : g,
+        b: isNaN(b) ? r : b
+    };
+}
+
+/**
+ * Parses a Wavefront MTL file.
+ *
+ * @param {Uint8Array} data - Raw file content
+ * @returns {object} Map from material name to {name, ambient, diffuse, specular, emissive, shininess, opacity, maps},
+ *   where maps is a map from the MTL map statement (map_Kd, bump, ...) to {file, uScale, vScale, uOffset, vOffset, bumpAmount}
+ */
+export function parseMtl(data) {
+
+    var lines = splitLines(decodeText(data));
+    var materials = {};
+    var mtl = null;
+
+    for (var l = 0; l < lines.length; l++) {
+
+        var line = lines[l].trim();
+        if (!line || line.charAt(0) === "#")
+            continue;
+
+        var tokens = tokenize(line);
+        var keyword = tokens[0];
+
+        if (keyword === "newmtl") {
+            var name = tokens.slice(1).join(" ");
+            mtl = materials[name] = {
+                name: name,
+                maps: {}
+            };
+            continue;
+        }
+
+        if (!mtl)
+            continue;
+
+        switch (keyword) {
+            case "Ka":
+                mtl.ambient = parseColor(tokens);
+                break;
+            case "Kd":
+                mtl.diffuse = parseColor(tokens);
+                break;
+            case "Ks":
+                mtl.specular = parseColor(tokens);
+                break;
+            case "Ke":
+                mtl.emissive = parseColor(tokens);
+                break;
+            case "Ns":
+                mtl.shininess = parseFloat(tokens[1]);
+                break;
+            case "d":
+                // "d -halo 0.5" is rare, just take the last value
+                mtl.opacity = parseFloat(tokens[tokens.length - 1]);
+                break;
+            case "Tr":
+                mtl.opacity = 1 - parseFloat(tokens[1]);
+                break;
+            case "map_Kd":
+            case "map_Ks":
+            case "map_d":
+            case "map_bump":
+            case "map_Bump":
+            case "bump":
+            case "norm":
+            case "map_Kn":
+                {
+                    var map = parseMapStatement(tokens);
+                    if (map) {
+                        var mapName = keyword;
+                        if (keyword === "map_Bump" || keyword === "bump")
+                            mapName = "map_bump";
+                        else if (keyword === "map_Kn")
+                            mapName = "norm";
+                        mtl.maps[mapName] = map;
+                    }
+                    break;
+                }
+            default:
+                break;
+        }
+    }
+
+    return materials;
+}
@@ -0,0 +1,692 @@
+"use strict";
+
+import {
+    decodeText
+} from '../common/MeshPackage';
+
+// Parsers for point cloud files (PLY, XYZ and uncompressed LAS).
+//
+// All parsers return the same structure:
+//  - count: Number of points
+//  - origin: {x, y, z} Position of the first point. Point positions are stored relative to it,
+//            so that georeferenced coordinates (e.g. UTM) keep their precision in 32 bit floats.
+//  - positions: Float32Array with count * 3 values, relative to origin
+//  - colors: Float32Array with count * 3 raw color values or null. Multiply by colorScale to get [0,1].
+//  - colorScale: Number
+//  - intensities: Float32Array with count raw intensity values or null
+//  - bounds: {min, max} Absolute bounds of the points
+//  - format: Human readable description of the file format
+
+var INITIAL_CAPACITY = 1 << 16;
+
+/**
+ * Growable storage for parsed points.
+ * @param {number} capacity - Expected number of points. The buffers grow as needed.
+ * @param {boolean} hasColors
+ * @param {boolean} hasIntensities
+ * @constructor
+ */
+function PointBuffer(capacity, hasColors, hasIntensities) {
+    this.count = 0;
+    this.capacity = Math.max(capacity, 1);
+    this.origin = null;
+    this.positions = new Float32Array(this.capacity * 3);
+    this.colors = hasColors ? new Float32Array(this.capacity * 3) : null;
+    this.intensities = hasIntensities ? new Float32Array(this.capacity) : null;
+    this.maxColor = 0;
+    this.min = {
+        x: Infinity,
+        y: Infinity,
+        z: Infinity
+    };
+    this.max = {
+        x: -Infinity,
+        y: -Infinity,
+        z: -Infinity
+    };
+}
+
+PointBuffer.prototype.grow = function() {
+
+    function resize(src, size) {
+        var dst = new Float32Array(size);
+        dst.set(src);
+        return dst;
+    }
+
+    this.capacity *= 2;
+    this.positions = resize(this.positions, this.capacity * 3);
+    if (this.colors)
+        this.colors = resize(this.colors, this.capacity * 3);
+    if (this.intensities)
+        this.intensities = resize(this.intensities, this.capacity);
+};
+
+/**
+ * Appends a point and returns its index, to be used with setColor() and setIntensity().
+ */
+PointBuffer.prototype.addPoint = function(x, y, z) {
+
+    if (this.count === this.capacity)
+        this.grow();
+
+    if (!this.origin) {
+        this.origin = {
+            x: x,
+            y: y,
+            z: z
+        };
+    }
+
+    var i = this.count++;
+    var p = this.positions;
+    p[i * 3] = x - this.origin.x;
+    p[i * 3 + 1] = y - this.origin.y;
+    p[i * 3 + 2] = z - this.origin.z;
+
+    var min = this.min,
+        max = this.max;
+    if (x < min.x) min.x = x;
+    if (y < min.y) min.y = y;
+    if (z < min.z) min.z = z;
+    if (x > max.x) max.x = x;
+    if (y > max.y) max.y = y;
+    if (z > max.z) max.z = z;
+
+    return i;
+};
+
+PointBuffer.prototype.setColor = function(i, r, g, b) {
+    var c = this.colors;
+    c[i * 3] = r;
+    c[i * 3 + 1] = g;
+    c[i * 3 + 2] = b;
+    this.maxColor = Math.max(this.maxColor, r, g, b);
+};
+
+PointBuffer.prototype.setIntensity = function(i, value) {
+    this.intensities[i] = value;
+};
+
+/**
+ * Returns the parse result. If colorScale is not given, it is guessed from the largest color value:
+ * files store colors as [0,1] floats, 8 bit or 16 bit values.
+ */
+PointBuffer.prototype.finish = function(format, colorScale) {
+
+    if (!colorScale) {
+        if (this.maxColor <= 1)
+            colorScale = 1;
+        else if (this.maxColor <= 255)
+            colorScale = 1 / 255;
+        else
+            colorScale = 1 / 65535;
+    }
+
+    var count = this.count;
+
+    return {
+        format: format,
+        count: count,
+        origin: this.origin || {
+            x: 0,
+            y: 0,
+            z: 0
+        },
+        positions: this.positions.subarray(0, count * 3),
+        colors: this.colors && this.colors.subarray(0, count * 3),
+        colorScale: colorScale,
+        intensities: this.intensities && this.intensities.subarray(0, count),
+        bounds: {
+            min: this.min,
+            max: this.max
+        }
+    };
+};
+
+function isWhitespace(c) {
+    return c === 32 || c === 9 || c === 10 || c === 13;
+}
+
+// Reads the next whitespace separated token of a text, starting at pos.
+// Returns the position after the token, or -1 at the end of the text.
+// The token boundaries are stored in range[0] and range[1].
+function nextToken(text, pos, range, stopAtNewline) {
+    var len = text.length;
+    var c;
+    while (pos < len) {
+        c = text.charCodeAt(pos);
+        if (stopAtNewline && c === 10)
+            return -1;
+        if (!isWhitespace(c) && c !== 44 && c !== 59) // also skip "," and ";" used by some XYZ exporters
+            break;
+        pos++;
+    }
+    if (pos === len)
+        return -1;
+
+    var start = pos;
+    while (pos < len) {
+        c = text.charCodeAt(pos);
+        if (isWhitespace(c) || c === 44 || c === 59)
+            break;
+        pos++;
+    }
+
+    range[0] = start;
+    range[1] = pos;
+    return pos;
+}
+
+// ---------------------------------------------------------------------------
+// PLY
+// ---------------------------------------------------------------------------
+
+var PLY_TYPES = {
+    char: 1,
+    int8: 1,
+    uchar: 1,
+    uint8: 1,
+    short: 2,
+    int16: 2,
+    ushort: 2,
+    uint16: 2,
+    int: 4,
+    int32: 4,
+    uint: 4,
+    uint32: 4,
+    float: 4,
+    float32: 4,
+    double: 8,
+    float64: 8
+};
+
+// Names of the vertex properties we are interested in, by slot
+var PLY_X = 0,
+    PLY_Y = 1,
+    PLY_Z = 2,
+    PLY_R = 3,
+    PLY_G = 4,
+    PLY_B = 5,
+    PLY_I = 6;
+
+var PLY_PROPERTY_SLOTS = {
+    x: PLY_X,
+    y: PLY_Y,
+    z: PLY_Z,
+    red: PLY_R,
+    green: PLY_G,
+    blue: PLY_B,
+    r: PLY_R,
+    g: PLY_G,
+    b: PLY_B,
+    diffuse_red: PLY_R,
+    diffuse_green: PLY_G,
+    diffuse_blue: PLY_B,
+    intensity: PLY_I,
+    scalar_intensity: PLY_I
+};
+
+function readPlyValue(dv, offset, type, littleEndian) {
+    switch (type) {
+        case "char":
+        case "int8":
+            return dv.getInt8(offset);
+        case "uchar":
+        case "uint8":
+            return dv.getUint8(offset);
+        case "short":
+        case "int16":
+            return dv.getInt16(offset, littleEndian);
+        case "ushort":
+        case "uint16":
+            return dv.getUint16(offset, littleEndian);
+        case "int":
+        case "int32":
+            return dv.getInt32(offset, littleEndian);
+        case "uint":
+        case "uint32":
+            return dv.getUint32(offset, littleEndian);
+        case "float":
+        case "float32":
+            return dv.getFloat32(offset, littleEndian);
+        case "double":
+        case "float64":
+            return dv.getFloat64(offset, littleEndian);
+    }
+    throw new Error("Unknown PLY property type " + type);
+}
+
+/**
+ * Checks whether the given buffer starts with a PLY header.
+ * @param {Uint8Array} data
+ */
+export function isPly(data) {
+    return data.length > 4 && data[0] === 112 /* p */ && data[1] === 108 /* l */ && data[2] === 121 /* y */ &&
+        (data[3] === 10 || data[3] === 13);
+}
+
+function parsePlyHeader(data) {
+
+    // Find the end of the header without decoding the (possibly huge) body
+    var marker = "end_header";
+    var end = -1;
+    for (var i = 0, iEnd = data.length - marker.length; i <= iEnd && end === -1; i++) {
+        if (data[i] !== 101 /* e */ )
+            continue;
+        var k = 0;
+        while (k < marker.length && data[i + k] === marker.charCodeAt(k))
+            k++;
+        if (k === marker.length)
+            end = i + k;
+    }
+    if (end === -1)
+        throw new Error("PLY header is not terminated");
+
+    var lines = decodeText(data.subarray(0, end)).split(/\r?\n/);
+
+    // The body starts after the line break that follows end_header
+    if (data[end] === 13)
+        end++;
+    if (data[end] === 10)
+        end++;
+
+    var header = {
+        format: null,
+        elements: [],
+        dataOffset: end
+    };
+
+    var element = null;
+    for (i = 0; i < lines.length; i++) {
+        var tokens = lines[i].trim().split(/\s+/);
+        switch (tokens[0]) {
+            case "format":
+                header.format = tokens[1];
+                break;
+            case "element":
+                element = {
+                    name: tokens[1],
+                    count: parseInt(tokens[2]),
+                    properties: []
+                };
+                header.elements.push(element);
+                break;
+            case "property":
+                if (!element)
+                    throw new Error("PLY property outside of element");
+                if (tokens[1] === "list") {
+                    element.properties.push({
+                        name: tokens[4],
+                        countType: tokens[2],
+                        type: tokens[3]
+                    });
+                } else {
+                    element.properties.push({
+                        name: tokens[2],
+                        type: tokens[1]
+                    });
+                }
+                break;
+        }
+    }
+
+    if (header.format !== "ascii" && header.format !== "binary_little_endian" && header.format !== "binary_big_endian")
+        throw new Error("Unsupported PLY format " + header.format);
+
+    return header;
+}
+
+// Maps the properties of the vertex element to slots. Returns an array with one slot (or -1) per property.
+function getPlySlots(vertexElement) {
+    return vertexElement.properties.map(function(prop) {
+        var slot = PLY_PROPERTY_SLOTS[prop.name.toLowerCase()];
+        return (slot === undefined || prop.countType) ? -1 : slot;
+    });
+}
+
+// Color scale for the type of the red property, if there is one
+function getPlyColorScale(vertexElement, slots) {
+    for (var i = 0; i < slots.length; i++) {
+        if (slots[i] === PLY_R) {
+            var size = PLY_TYPES[vertexElement.properties[i].type];
+            if (vertexElement.properties[i].type.indexOf("float") === 0 || size === 8)
+                return 1;
+            return size === 1 ? 1 / 255 : 1 / 65535;
+        }
+    }
+    return 0;
+}
+
+function parsePlyBinary(data, header, vertexElement, points) {
+
+    var littleEndian = header.format === "binary_little_endian";
+    var dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    var offset = header.dataOffset;
+    var elements = header.elements;
+
+    // Skips one record of an element, returns the new offset
+    function skipRecord(element, offset) {
+        var props = element.properties;
+        for (var p = 0; p < props.length; p++) {
+            var prop = props[p];
+            if (prop.countType) {
+                var n = readPlyValue(dv, offset, prop.countType, littleEndian);
+                offset += PLY_TYPES[prop.countType] + n * PLY_TYPES[prop.type];
+            } else {
+                offset += PLY_TYPES[prop.type];
+            }
+        }
+        return offset;
+    }
+
+    for (var e = 0; e < elements.length; e++) {
+        var element = elements[e];
+
+        if (element !== vertexElement) {
+            for (var r = 0; r < element.count; r++)
+                offset = skipRecord(element, offset);
+            continue;
+        }
+
+        var props = element.properties;
+        var slots = getPlySlots(element);
+        var values = new Float64Array(7);
+
+        for (r = 0; r < element.count && offset < data.byteLength; r++) {
+            for (var p = 0; p < props.length; p++) {
+                var prop = props[p];
+                if (prop.countType) {
+                    var n = readPlyValue(dv, offset, prop.countType, littleEndian);
+                    offset += PLY_TYPES[prop.countType] + n * PLY_TYPES[prop.type];
+                    continue;
+                }
+                if (slots[p] !== -1)
+                    values[slots[p]] = readPlyValue(dv, offset, prop.type, littleEndian);
+                offset += PLY_TYPES[prop.type];
+            }
+
+            var i = points.addPoint(values[PLY_X], values[PLY_Y], values[PLY_Z]);
+            if (points.colors)
+                points.setColor(i, values[PLY_R], values[PLY_G], values[PLY_B]);
+            if (points.intensities)
+                points.setIntensity(i, values[PLY_I]);
+        }
+
+        // Everything we need has been read
+        break;
+    }
+}
+
+function parsePlyAscii(data, header, vertexElement, points) {
+
+    var text = decodeText(data.subarray(header.dataOffset));
+    var pos = 0;
+    var range = [0, 0];
+    var elements = header.elements;
+
+    // Skips the rest of the current line
+    function skipLine(pos) {
+        var next = text.indexOf("\n", pos);
+        return next === -1 ? text.length : next + 1;
+    }
+
+    function readNumber() {
+        pos = nextToken(text, pos, range, false);
+        if (pos === -1)
+            throw new Error("Unexpected end of PLY data");
+        return parseFloat(text.substring(range[0], range[1]));
+    }
+
+    for (var e = 0; e < elements.length; e++) {
+        var element = elements[e];
+
+        if (element !== vertexElement) {
+            // ASCII records are one per line
+            for (var r = 0; r < element.count; r++)
+                pos = skipLine(pos);
+            continue;
+        }
+
+        var props = element.properties;
+        var slots = getPlySlots(element);
+        var values = new Float64Array(7);
+
+        for (r = 0; r < element.count; r++) {
+            for (var p = 0; p < props.length; p++) {
+                var value = readNumber();
+                if (props[p].countType) {
+                    for (var n = 0; n < value; n++)
+                        readNumber();
+                } else if (slots[p] !== -1) {
+                    values[slots[p]] = value;
+                }
+            }
+
+            var i = points.addPoint(values[PLY_X], values[PLY_Y], values[PLY_Z]);
+            if (points.colors)
+                points.setColor(i, values[PLY_R], values[PLY_G], values[PLY_B]);
+            if (points.intensities)
+                points.setIntensity(i, values[PLY_I]);
+        }
+
+        break;
+    }
+}
+
+/**
+ * Parses the vertices of an ASCII or binary PLY file. Faces and other elements are ignored.
+ * @param {Uint8Array} data
+ * @returns {object} See top of file
+ */
+export function parsePly(data) {
+
+    var header = parsePlyHeader(data);
+
+    var vertexElement = header.elements.find(function(element) {
+        return element.name === "vertex";
+    });
+    if (!vertexElement)
+        throw new Error("PLY file does not contain vertices");
+
+    var slots = getPlySlots(vertexElement);
+    if (slots.indexOf(PLY_X) === -1 || slots.indexOf(PLY_Y) === -1 || slots.indexOf(PLY_Z) === -1)
+        throw new Error("PLY vertices do not have x, y and z properties");
+
+    var hasColors = slots.indexOf(PLY_R) !== -1 && slots.indexOf(PLY_G) !== -1 && slots.indexOf(PLY_B) !== -1;
+    var hasIntensities = slots.indexOf(PLY_I) !== -1;
+
+    var points = new PointBuffer(vertexElement.count, hasColors, hasIntensities);
+
+    if (header.format === "ascii") {
+        parsePlyAscii(data, header, vertexElement, points);
+    } else {
+        parsePlyBinary(data, header, vertexElement, points);
+    }
+
+    var formatName = header.format === "ascii" ? "PLY (ASCII)" : "PLY (Binary)";
+    return points.finish(formatName, getPlyColorScale(vertexElement, slots));
+}
+
+// ---------------------------------------------------------------------------
+// XYZ
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses an XYZ text file: one point per line, as "x y z", "x y z intensity", "x y z r g b" or
+ * "x y z intensity r g b". Values can be separated by whitespace, comma or semicolon.
+ * Lines that do not start with at least three numbers (headers, comments, point counts) are skipped.
+ * The column layout is taken from the first point.
+ * @param {Uint8Array} data
+ * @returns {object} See top of file
+ */
+export function parseXyz(data) {
+
+    var text = decodeText(data);
+    var len = text.length;
+    var range = [0, 0];
+    var values = new Float64Array(16);
+    var points = null;
+    var colorColumn = -1;
+    var intensityColumn = -1;
+
+    var pos = 0;
+    while (pos < len) {
+
+        // Read up to 16 numbers of the current line
+        var numValues = 0;
+        var next = pos;
+        while ((next = nextToken(text, next, range, true)) !== -1) {
+            var value = parseFloat(text.substring(range[0], range[1]));
+            if (isNaN(value) || numValues === values.length)
+                break;
+            values[numValues++] = value;
+        }
+
+        var eol = text.indexOf("\n", pos);
+        pos = eol === -1 ? len : eol + 1;
+
+        if (numValues < 3)
+            continue;
+
+        if (!points) {
+            // Column layout, derived from the first point
+            if (numValues === 4 || numValues === 7) {
+                intensityColumn = 3;
+                if (numValues === 7)
+                    colorColumn = 4;
+            } else if (numValues >= 6) {
+                colorColumn = 3;
+            }
+
+            // Rough estimate of the point count, from the length of the first line
+            var estimate = Math.ceil(len / Math.max(pos, 1));
+            points = new PointBuffer(Math.min(estimate, INITIAL_CAPACITY * 16), colorColumn !== -1, intensityColumn !== -1);
+        }
+
+        var i = points.addPoint(values[0], values[1], values[2]);
+        if (colorColumn !== -1)
+            points.setColor(i, values[colorColumn], values[colorColumn + 1], values[colorColumn + 2]);
+        if (intensityColumn !== -1)
+            points.setIntensity(i, values[intensityColumn]);
+    }
+
+    if (!points)
+        points = new PointBuffer(1, false, false);
+
+    return points.finish("XYZ");
+}
+
+// ---------------------------------------------------------------------------
+// LAS
+// ---------------------------------------------------------------------------
+
+// Offset of the RGB values within a point record, by point data record format
+var LAS_RGB_OFFSETS = {
+    2: 20,
+    3: 28,
+    5: 28,
+    7: 30,
+    8: 30,
+    10: 30
+};
+
+/**
+ * Checks whether the given buffer starts with a LAS header.
+ * @param {Uint8Array} data
+ */
+export function isLas(data) {
+    return data.length > 4 && data[0] === 76 /* L */ && data[1] === 65 /* A */ && data[2] === 83 /* S */ &&
+        data[3] === 70 /* F */ ;
+}
+
+/**
+ * Parses an uncompressed LAS file (versions 1.0 - 1.4, point data record formats 0 - 10).
+ * Compressed files (LAZ) are rejected.
+ * @param {Uint8Array} data
+ * @returns {object} See top of file, plus version and pointFormat.
+ */
+export function parseLas(data) {
+
+    if (!isLas(data) || data.byteLength < 227)
+        throw new Error("Invalid LAS header");
+
+    var dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    var versionMajor = dv.getUint8(24);
+    var versionMinor = dv.getUint8(25);
+    var headerSize = dv.getUint16(94, true);
+    var pointDataOffset = dv.getUint32(96, true);
+    var pointFormatByte = dv.getUint8(104);
+    var recordLength = dv.getUint16(105, true);
+    var count = dv.getUint32(107, true);
+
+    // LAZ files set the upper bits of the point format
+    if (pointFormatByte & 0xC0)
+        throw new Error("Compressed LAS (LAZ) files are not supported");
+
+    var pointFormat = pointFormatByte & 0x3F;
+    if (pointFormat > 10)
+        throw new Error("Unsupported LAS point data record format " + pointFormat);
+
+    // LAS 1.4 moved the point count to a 64 bit field
+    if (versionMinor >= 4 && headerSize >= 375) {
+        var count64 = dv.getUint32(247, true) + dv.getUint32(251, true) * 4294967296;
+        if (count64)
+            count = count64;
+    }
+
+    var scaleX = dv.getFloat64(131, true),
+        scaleY = dv.getFloat64(139, true),
+        scaleZ = dv.getFloat64(147, true);
+    var offsetX = dv.getFloat64(155, true),
+        offsetY = dv.getFloat64(163, true),
+        offsetZ = dv.getFloat64(171, true);
+
+    // Don't trust the header count beyond the end of the file
+    if (recordLength > 0)
+        count = Math.min(count, Math.floor((data.byteLength - pointDataOffset) / recordLength));
+    else
+        count = 0;
+
+    var rgbOffset = LAS_RGB_OFFSETS[pointFormat];
+    var hasColors = rgbOffset !== undefined && rgbOffset + 6 <= recordLength;
+
+    var points = new PointBuffer(count, hasColors, true);
+
+    for (var n = 0, offset = pointDataOffset; n < count; n++, offset += recordLength) {
+        var i = points.addPoint(
+            dv.getInt32(offset, true) * scaleX + offsetX,
+            dv.getInt32(offset + 4, true) * scaleY + offsetY,
+            dv.getInt32(offset + 8, true) * scaleZ + offsetZ);
+
+        points.setIntensity(i, dv.getUint16(offset + 12, true));
+
+        if (hasColors) {
+            points.setColor(i,
+                dv.getUint16(offset + rgbOffset, true),
+                dv.getUint16(offset + rgbOffset + 2, true),
+                dv.getUint16(offset + rgbOffset + 4, true));
+        }
+    }
+
+    // LAS colors are meant to be 16 bit, but many writers store 8 bit values.
+    // Let finish() guess the range from the actual values.
+    var result = points.finish("LAS " + versionMajor + "." + versionMinor);
+    result.version = versionMajor + "." + versionMinor;
+    result.pointFormat = pointFormat;
+    return result;
+}
+
+/**
+ * Parses a PLY, XYZ or LAS file. The format is detected from the content.
+ * @param {Uint8Array} data
+ * @returns {object} See top of file
+ */
+export function parsePointCloud(data) {
+    if (isPly(data))
+        return parsePly(data);
+    if (isLas(data))
+        return parseLas(data);
+    return parseXyz(data);
+}
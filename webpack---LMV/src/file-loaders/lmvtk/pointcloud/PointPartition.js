@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Splits a point cloud into spatially compact cells of at most maxPoints points each (k-d tree style:
+ * a cell that is too large is split in the middle of its longest side). Each cell becomes one fragment,
+ * so that the BVH can cull the parts of the cloud that are out of view.
+ *
+ * @param {Float32Array} positions - count * 3 values
+ * @param {number} count - Number of points
+ * @param {number} maxPoints - Maximum number of points per cell
+ * @returns {object} {order, cells}. order is a permutation of the point indices, such that the points of each cell
+ *                   are contiguous. cells is an array of {start, count, min, max}, where start/count refer to
+ *                   order and min/max are the bounds of the cell's points ([x, y, z], same space as positions).
+ */
+export function partitionPoints(positions, count, maxPoints) {
+
+    var order = new Uint32Array(count);
+    for (var i = 0; i < count; i++)
+        order[i] = i;
+
+    var cells = [];
+
+    function computeBounds(start, end) {
+        var min = [Infinity, Infinity, Infinity];
+        var max = [-Infinity, -Infinity, -Infinity];
+        for (var i = start; i < end; i++) {
+            var p = order[i] * 3;
+            for (var k = 0; k < 3; k++) {
+                var v = positions[p + k];
+                if (v < min[k]) min[k] = v;
+                if (v > max[k]) max[k] = v;
+            }
+        }
+        return {
+            min: min,
+            max: max
+        };
+    }
+
+    // Reorders order[start..end) so that points below the split value come first.
+    // Returns the index of the first point of the upper half.
+    function partition(start, end, axis, split) {
+        var lo = start,
+            hi = end - 1;
+        while (lo <= hi) {
+            if (positions[order[lo] * 3 + axis] < split) {
+                lo++;
+            } else {
+                var tmp = order[lo];
+                order[lo] = order[hi];
+                order[hi] = tmp;
+                hi--;
+            }
+        }
+        return lo;
+    }
+
+    // Iterative, to avoid deep recursion for degenerate clouds
+    var stack = [0, count];
+    while (stack.length) {
+        var end = stack.pop();
+        var start = stack.pop();
+        var bounds = computeBounds(start, end);
+
+        if (end - start <= maxPoints) {
+            if (end > start) {
+                cells.push({
+                    start: start,
+                    count: end - start,
+                    min: bounds.min,
+                    max: bounds.max
+                });
+            }
+            continue;
+        }
+
+        var axis = 0;
+        var size = bounds.max[0] - bounds.min[0];
+        for (var k = 1; k < 3; k++) {
+            if (bounds.max[k] - bounds.min[k] > size) {
+                size = bounds.max[k] - bounds.min[k];
+                axis = k;
+            }
+        }
+
+        var mid = partition(start, end, axis, bounds.min[axis] + size * 0.5);
+
+        // All points on one side (e.g. many coincident points): split by count instead
+        if (mid === start || mid === end)
+            mid = (start + end) >>> 1;
+
+        // Push the upper half first, so that cells come out in depth-first order
+        stack.push(mid, end);
+        stack.push(start, mid);
+    }
+
+    return {
+        order: order,
+        cells: cells
+    };
+}
@@ -0,0 +1,265 @@
+"use strict";
+
+import {
+    VBUtils
+} from '../common/VbUtils';
+import {
+    packNormal,
+    decodeText
+} from '../common/MeshPackage';
+
+// Maximum number of triangles we put into a single mesh. STL vertices are not shared
+// between facets (each facet has its own flat normal), so this keeps the vertex count
+// of each mesh within range of 16 bit indices.
+var MAX_TRIANGLES_PER_MESH = (65536 / 3) | 0;
+
+var BINARY_HEADER_SIZE = 84;
+var BINARY_FACET_SIZE = 50;
+
+/**
+ * Checks whether the given buffer holds a binary STL. ASCII files start with "solid",
+ * but so do quite a few binary files in the wild, so the facet count in the binary header
+ * is the more reliable criterion.
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isBinaryStl(data) {
+
+    if (data.byteLength < BINARY_HEADER_SIZE)
+        return false;
+
+    var dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    var numFacets = dv.getUint32(80, true);
+    if (BINARY_HEADER_SIZE + numFacets * BINARY_FACET_SIZE === data.byteLength)
+        return true;
+
+    //Skip leading whitespace and look for the ASCII keyword
+    var i = 0;
+    while (i < data.byteLength && data[i] <= 32)
+        i++;
+
+    var keyword = String.fromCharCode(data[i], data[i + 1], data[i + 2], data[i + 3], data[i + 4]);
+    return keyword.toLowerCase() !== "solid";
+}
+
+// Extracts a printable name from the 80 byte header of a binary STL
+function readBinaryHeaderName(data) {
+    var name = "";
+    for (var i = 0; i < 80; i++) {
+        var c = data[i];
+        if (c === 0)
+            break;
+        name += String.fromCharCode(c);
+    }
+    name = name.trim();
+    if (name.toLowerCase().indexOf("solid") === 0)
+        name = name.substr(5).trim();
+    return name;
+}
+
+function parseBinary(data, result) {
+
+    var dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    var numFacets = dv.getUint32(80, true);
+
+    //Truncated files do happen -- read what is there.
+    var available = ((data.byteLength - BINARY_HEADER_SIZE) / BINARY_FACET_SIZE) | 0;
+    if (available < numFacets)
+        numFacets = available;
+
+    var positions = new Float32Array(numFacets * 9);
+    var normals = new Float32Array(numFacets * 3);
+
+    var offset = BINARY_HEADER_SIZE;
+    for (var f = 0; f < numFacets; f++) {
+        normals[f * 3] = dv.getFloat32(offset, true);
+        normals[f * 3 + 1] = dv.getFloat32(offset + 4, true);
+        normals[f * 3 + 2] = dv.getFloat32(offset + 8, true);
+        offset += 12;
+
+        for (var j = 0; j < 9; j++) {
+            positions[f * 9 + j] = dv.getFloat32(offset, true);
+            offset += 4;
+        }
+
+        //Skip the attribute byte count
+        offset += 2;
+    }
+
+    result.isBinary = true;
+    result.name = readBinaryHeaderName(data);
+    result.triangleCount = numFacets;
+    result.positions = positions;
+    result.normals = normals;
+}
+
+function parseAscii(data, result) {
+
+    var text = decodeText(data);
+
+    var solidMatch = /^\s*solid[ \t]*([^\r\n]*)/i.exec(text);
+    result.name = solidMatch ? solidMatch[1].trim() : "";
+
+    var positions = [];
+    var normals = [];
+
+    var number = "([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)";
+    var facetRe = new RegExp("facet\\s+normal\\s+" + number + "\\s+" + number + "\\s+" + number + "([\\s\\S]*?)endfacet", "gi");
+    var vertexRe = new RegExp("vertex\\s+" + number + "\\s+" + number + "\\s+" + number, "gi");
+
+    var facet, vertex;
+    while ((facet = facetRe.exec(text)) !== null) {
+
+        var count = 0;
+        var start = positions.length;
+        vertexRe.lastIndex = 0;
+        while ((vertex = vertexRe.exec(facet[4])) !== null) {
+            positions.push(parseFloat(vertex[1]), parseFloat(vertex[2]), parseFloat(vertex[3]));
+            count++;
+        }
+
+        //Facets with other than 3 vertices are malformed -- drop them.
+        if (count !== 3) {
+            positions.length = start;
+            continue;
+        }
+
+        normals.push(parseFloat(facet[1]), parseFloat(facet[2]), parseFloat(facet[3]));
+    }
+
+    result.isBinary = false;
+    result.triangleCount = normals.length / 3;
+    result.positions = new Float32Array(positions);
+    result.normals = new Float32Array(normals);
+}
+
+// Many exporters write zero (or garbage) facet normals. Recompute those from the winding order.
+function fixNormals(positions, normals, triangleCount) {
+
+    for (var t = 0; t < triangleCount; t++) {
+        var n = t * 3;
+        var nx = normals[n],
+            ny = normals[n + 1],
+            nz = normals[n + 2];
+        var len = nx * nx + ny * ny + nz * nz;
+
+        if (len > 0.5 && len < 1.5 && isFinite(len))
+            continue;
+
+        var p = t * 9;
+        var ux = positions[p + 3] - positions[p],
+            uy = positions[p + 4] - positions[p + 1],
+            uz = positions[p + 5] - positions[p + 2];
+        var vx = positions[p + 6] - positions[p],
+            vy = positions[p + 7] - positions[p + 1],
+            vz = positions[p + 8] - positions[p + 2];
+
+        nx = uy * vz - uz * vy;
+        ny = uz * vx - ux * vz;
+        nz = ux * vy - uy * vx;
+
+        len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (len > 0) {
+            normals[n] = nx / len;
+            normals[n + 1] = ny / len;
+            normals[n + 2] = nz / len;
+        } else {
+            //degenerate triangle
+            normals[n] = 0;
+            normals[n + 1] = 0;
+            normals[n + 2] = 1;
+        }
+    }
+}
+
+/**
+ * Creates an LMV mesh (interleaved vertex buffer with packed normals) for a range of triangles.
+ * @param {Float32Array} positions - 9 floats per triangle
+ * @param {Float32Array} normals - 3 floats per triangle
+ * @param {number} first - Index of the first triangle
+ * @param {number} count - Number of triangles
+ * @returns {object} mesh as expected by BufferGeometryUtils.meshToGeometry
+ */
+function createMesh(positions, normals, first, count) {
+
+    var vcount = count * 3;
+
+    var mesh = {
+        vertexCount: vcount,
+        triangleCount: count,
+        vbstride: 4,
+        vblayout: {
+            position: {
+                offset: 0,
+                itemSize: 3
+            },
+            normal: {
+                offset: 3,
+                itemSize: 2,
+                bytesPerItem: 2,
+                normalized: true
+            }
+        }
+    };
+
+    var vbf = mesh.vb = new Float32Array(vcount * mesh.vbstride);
+    var vbi = new Uint16Array(vbf.buffer);
+    var indices = mesh.indices = new Uint16Array(vcount);
+
+    var offset = 0;
+    for (var t = first, tEnd = first + count; t < tEnd; t++) {
+
+        var nx = normals[t * 3],
+            ny = normals[t * 3 + 1],
+            nz = normals[t * 3 + 2];
+
+        for (var v = 0; v < 3; v++) {
+            var p = t * 9 + v * 3;
+            vbf[offset] = positions[p];
+            vbf[offset + 1] = positions[p + 1];
+            vbf[offset + 2] = positions[p + 2];
+            packNormal(nx, ny, nz, vbi, offset + 3);
+            offset += mesh.vbstride;
+        }
+    }
+
+    for (var i = 0; i < vcount; i++)
+        indices[i] = i;
+
+    VBUtils.computeBounds3D(mesh);
+
+    return mesh;
+}
+
+/**
+ * Parses a binary or ASCII STL file.
+ *
+ * @param {Uint8Array} data - Raw file content
+ * @returns {object} Object with the solid name, format, triangle count and
+ *   the geometry split into LMV meshes of at most MAX_TRIANGLES_PER_MESH triangles each.
+ */
+export function parseStl(data) {
+
+    var result = {};
+
+    if (isBinaryStl(data)) {
+        parseBinary(data, result);
+    } else {
+        parseAscii(data, result);
+    }
+
+    fixNormals(result.positions, result.normals, result.triangleCount);
+
+    var meshes = [];
+    for (var first = 0; first < result.triangleCount; first += MAX_TRIANGLES_PER_MESH) {
+        var count = Math.min(MAX_TRIANGLES_PER_MESH, result.triangleCount - first);
+        meshes.push(createMesh(result.positions, result.normals, first, count));
+    }
+
+    return {
+        name: result.name,
+        isBinary: result.isBinary,
+        triangleCount: result.triangleCount,
+        meshes: meshes
+    };
+}
@@ -0,0 +1,191 @@
+import {
+    logger
+} from "../../logger/Logger";
+import {
+    pathToURL
+} from "../net/Xhr";
+import {
+    PropDbLoader
+} from "./PropDbLoader";
+import {
+    SvfLoader
+} from "./SvfLoader";
+import * as et from "../../application/EventTypes";
+import {
+    initLoadContext
+} from "../net/endpoints";
+import {
+    ProgressState
+} from '../../application/ProgressState';
+
+/**
+ * Base class for loaders of simple mesh file formats (STL, OBJ, ...).
+ *
+ * The file is downloaded and parsed by a worker, which returns an SVF-like package
+ * (see lmvtk/common/MeshPackage.js) together with the meshes, or followed by the meshes in chunks for large files
+ * (see PointCloudWorker). From there on, the model is set up
+ * exactly like an SVF (FragmentList, GeometryList, BVH), so selection, isolate, section and measure work as usual.
+ *
+ * Subclasses set workerOperation and may override getWorkerOptions() to pass additional load options to the worker.
+ *
+ * @param {Viewer3DImpl} parent
+ * @constructor
+ */
+export function MeshFileLoader(parent) {
+    SvfLoader.call(this, parent);
+}
+
+MeshFileLoader.prototype = Object.create(SvfLoader.prototype);
+MeshFileLoader.prototype.constructor = MeshFileLoader;
+
+// Name of the worker operation that parses the file. Set by subclasses.
+MeshFileLoader.prototype.workerOperation = null;
+
+// Format name used in log messages
+MeshFileLoader.prototype.formatName = "mesh";
+
+/**
+ * Returns format specific load options that are forwarded to the worker.
+ * @param {object} options - Load options
+ * @returns {object}
+ */
+MeshFileLoader.prototype.getWorkerOptions = function(options) {
+    return {
+        units: options.units,
+        color: options.color
+    };
+};
+
+MeshFileLoader.prototype.loadSvfCB = function(path, options, onDone, onWorkerStart) {
+    this.t0 = new Date().getTime();
+    this.firstPixelTimestamp = null;
+
+    var first = true;
+    var scope = this;
+
+    var msg = Object.assign({
+        operation: this.workerOperation,
+        url: pathToURL(path),
+        basePath: this.currentLoadPath,
+        globalOffset: options.globalOffset,
+        placementTransform: options.placementTransform,
+        queryParams: this.queryParams
+    }, this.getWorkerOptions(options));
+
+    this.viewer3DImpl._signalNoMeshes();
+
+    var w = this.svfWorker = this.createWorker();
+
+    var cleaner = function() {
+        if (w) {
+            w.terminate();
+        }
+        scope.svfWorker = null;
+        w = null;
+    };
+
+    // Workers may send the meshes together with the package, or stream them in separate
+    // messages afterwards ({meshes, meshOffset}). Messages that arrive while the model
+    // root is still being set up are queued here.
+    var pendingMeshMessages = null;
+    var numMeshesReceived = 0;
+
+    var processMeshes = function(meshes, meshOffset) {
+        var numMeshes = scope.svf.numGeoms;
+
+        for (var i = 0; i < meshes.length; i++) {
+            scope.processReceivedMesh({
+                packId: 0,
+                meshIndex: meshOffset + i,
+                mesh: meshes[i]
+            });
+            numMeshesReceived++;
+            scope.viewer3DImpl.signalProgress(100 * numMeshesReceived / numMeshes, ProgressState.LOADING, scope.model);
+        }
+
+        if (numMeshesReceived >= numMeshes) {
+            cleaner();
+            scope.loading = false;
+            scope.onGeomLoadDone();
+        }
+    };
+
+    var onMeshFileLoad = async function(ew) {
+        if (first && onWorkerStart) {
+            first = false;
+            onWorkerStart();
+        }
+
+        if (ew.data && ew.data.svf) {
+            var svf = scope.svf = ew.data.svf;
+
+            pendingMeshMessages = [];
+
+            await scope.onModelRootLoadDone(svf);
+
+            if (!scope.isValid()) {
+                // Loader was destroyed while converting materials
+                return;
+            }
+
+            if (onDone) {
+                onDone(null, scope.model);
+            }
+
+            scope.viewer3DImpl.api.dispatchEvent({
+                type: et.MODEL_ROOT_LOADED_EVENT,
+                svf: svf,
+                model: scope.model
+            });
+
+            var pending = pendingMeshMessages;
+            pendingMeshMessages = null;
+
+            processMeshes(ew.data.meshes, 0);
+            for (var i = 0; i < pending.length; i++) {
+                processMeshes(pending[i].meshes, pending[i].meshOffset);
+            }
+
+        } else if (ew.data && ew.data.error) {
+            scope.loading = false;
+            cleaner();
+            logger.error("Error while processing " + scope.formatName + ": " + JSON.stringify(ew.data.error.args));
+            if (onDone) {
+                onDone(ew.data.error, null);
+            }
+        } else if (ew.data && ew.data.meshes) {
+            if (pendingMeshMessages) {
+                pendingMeshMessages.push(ew.data);
+            } else if (scope.isValid()) {
+                processMeshes(ew.data.meshes, ew.data.meshOffset);
+            }
+        } else if (ew.data && ew.data.debug) {
+            logger.debug(ew.data.message);
+        } else if (ew.data && ew.data.progress) {
+            // Download/parse progress. Nothing to do until the package arrives.
+        } else {
+            logger.error(scope.formatName + " download failed.");
+            scope.loading = false;
+            cleaner();
+        }
+    };
+
+    w.addEventListener('message', onMeshFileLoad);
+    w.doOperation(initLoadContext(msg));
+
+    return true;
+};
+
+MeshFileLoader.prototype.loadPropertyDb = function() {
+    // There is no property database for these formats. The worker synthesized an object tree instead,
+    // which is used for both the instance tree and the property queries.
+    this.svf.instanceTreeBackup = this.svf.objectTree;
+    this.svf.propDbLoader = new PropDbLoader(this.sharedDbPath, this.model, this.viewer3DImpl.api);
+    this.svf.propDbLoader.load({
+        gltfTree: this.svf.objectTree
+    });
+};
+
+MeshFileLoader.prototype.is3d = function() {
+    return true;
+};
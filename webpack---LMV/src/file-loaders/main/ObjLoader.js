@@ -0,0 +1,36 @@
+import {
+    MeshFileLoader
+} from "./MeshFileLoader";
+import {
+    FileLoaderManager
+} from "../../application/FileLoaderManager";
+
+/**
+ * Loader for Wavefront OBJ files.
+ *
+ * Material libraries (mtllib) and their textures are loaded relative to the OBJ file.
+ * Objects (o) and groups (g) become nodes of the instance tree, so they can be selected individually.
+ *
+ * Supported load options in addition to the common ones:
+ *  - units: Length unit of the file, e.g. "mm". OBJ itself does not store units.
+ *
+ * @param {Viewer3DImpl} parent
+ * @constructor
+ */
+export function ObjLoader(parent) {
+    MeshFileLoader.call(this, parent);
+}
+
+ObjLoader.prototype = Object.create(MeshFileLoader.prototype);
+ObjLoader.prototype.constructor = ObjLoader;
+
+ObjLoader.prototype.workerOperation = "LOAD_OBJ";
+ObjLoader.prototype.formatName = "OBJ";
+
+ObjLoader.prototype.getWorkerOptions = function(options) {
+    return {
+        units: options.units
+    };
+};
+
+FileLoaderManager.registerFileLoader("obj", ["obj"], ObjLoader);
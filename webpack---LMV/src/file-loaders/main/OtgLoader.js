@@ -71,6 +71,9 @@ import {
 import {
     SelectiveLoadingController
 } from '../selective/SelectiveLoadingController';
+import {
+    SpatialQuery
+} from '../selective/SpatialQuery';
 
 
 var WORKER_LOAD_OTG_BVH = "LOAD_OTG_BVH";
@@ -101,6 +104,7 @@ export function OtgLoader(parent) {
     this.notifiesFirstPixel = true;
 
     this._selectiveLoadingController = new SelectiveLoadingController(OtgLoader.prototype.evaluate.bind(this));
+    this._selectiveLoadingController.onInitializeFailed = OtgLoader.prototype._failSelectiveLoadingUpdate.bind(this);
 
     this._lineageUrn = null;
 }
@@ -793,6 +797,10 @@ function getProgress(svf) {
     return Math.floor(100 * svf.fragsLoaded / svf.metadata.stats.num_fragments);
 }
 
+function getUpdateProgress(update) {
+    return Math.floor(100 * Math.min(update.fragsDone, update.fragsTotal) / update.fragsTotal);
+}
+
 // Called whenever a geom load request is finished or or has failed.
 OtgLoader.prototype.trackGeomLoadProgress = function(svf, fragId, failed) {
 
@@ -807,12 +815,16 @@ OtgLoader.prototype.trackGeomLoadProgress = function(svf, fragId, failed) {
         svf.failedFrags[fragId] = 1;
     }
 
-    // Inc geom counter and track progress in percent
-    var lastPercent = getProgress(svf);
+    // Inc geom counter and track progress in percent. While a selective loading update is running,
+    // progress refers to the fragments requested by that update instead of the whole model.
+    var update = this._selectiveLoadingUpdate ? .fragsTotal ? this._selectiveLoadingUpdate : null;
+    var lastPercent = update ? getUpdateProgress(update) : getProgress(svf);
 
     svf.fragsLoaded++;
+    if (update)
+        update.fragsDone++;
 
-    var curPercent = getProgress(svf);
+    var curPercent = update ? getUpdateProgress(update) : getProgress(svf);
 
     // Signal progress, but not for each single geometry. Just if the percent value actually changed.
     if (curPercent > lastPercent) {
@@ -1243,12 +1255,14 @@ OtgLoader.prototype.waitForFragmentData = async function() {
  * Fires Autodesk.Viewing.FRAGMENTS_LOADED_EVENT if loading is done
  */
 OtgLoader.prototype.trackOnDemandLoadProgress = function() {
-    if (this.svf.loadDone && this.fragLoadingInProgress === false && this.pendingRequests === 0)
+    if (this.svf.loadDone && this.fragLoadingInProgress === false && this.pendingRequests === 0) {
         this.viewer3DImpl.api.dispatchEvent({
             type: av.FRAGMENTS_LOADED_EVENT,
             loader: this,
             model: this.model
         });
+        this._finishSelectiveLoadingUpdate();
+    }
 };
 
 /**
@@ -1263,8 +1277,12 @@ OtgLoader.prototype.evaluate = function(fragmentID) {
         this.tryToActivateFragment(fragmentID, 'fragment');
         return;
     }
+    // Filter updates after the initial load only load and unload the fragments that changed.
+    if (this.svf.loadDone) {
+        this._reevaluateFragments();
+        return;
+    }
     // This branch is used if filtering is deferred, i.e. if we need to wait for the property db.
-    // TODO: This only works for the initial filter execution at the moment. Filter updates are not supported yet.
     const fragmentList = this.model.getFragmentList();
     const fragmentLength = fragmentList.fragments.length;
     for (let fragmentID = 0; fragmentID < fragmentLength; ++fragmentID) {
@@ -1316,4 +1334,113 @@ OtgLoader.prototype.loadFragments = function(fragIds) {
     return fragsLoaded;
 };
 
+/**
+ * Compares the current selective loading result with the loaded state of all fragments. Fragments that
+ * no longer pass are unloaded, newly passing ones are requested via @see loadFragments.
+ */
+OtgLoader.prototype._reevaluateFragments = function() {
+    const controller = this._selectiveLoadingController;
+    const fl = this.model.getFragmentList();
+    const skipHiddenFragments = this.svf.loadOptions.skipHiddenFragments ? ? false;
+
+    const toLoad = [];
+    const toUnload = [];
+    const fragmentLength = fl.getCount();
+    for (let fragId = 0; fragId < fragmentLength; ++fragId) {
+        const loaded = !fl.isFlagSet(fragId, MeshFlags.MESH_NOTLOADED);
+        const passing = controller.isFragmentPassing(fragId);
+        if (loaded && !passing) {
+            toUnload.push(fragId);
+        } else if (!loaded && passing && !(skipHiddenFragments && fl.isFlagSet(fragId, MeshFlags.MESH_HIDE))) {
+            toLoad.push(fragId);
+        }
+    }
+
+    // Reevaluation might also be triggered without an update request, e.g. if a property query of the
+    // initial load only becomes ready after the load is done.
+    const update = this._selectiveLoadingUpdate || {};
+    this._selectiveLoadingUpdate = update;
+
+    // Unload first, so that the freed memory is available for the new fragments.
+    update.unloaded = toUnload.length ? this.model.unload(toUnload) : 0;
+
+    update.loaded = toLoad.length;
+    update.fragsTotal = toLoad.length;
+    update.fragsDone = 0;
+    if (!toLoad.length || !this.model.load(toLoad)) {
+        // Nothing to wait for, e.g. if all fragments are already loaded or the memory limit is reached.
+        update.loaded = 0;
+        this._finishSelectiveLoadingUpdate();
+    }
+};
+
+OtgLoader.prototype._finishSelectiveLoadingUpdate = function() {
+    const update = this._selectiveLoadingUpdate;
+    // Only done once the update has been evaluated, property queries might still be initializing.
+    if (!update || update.fragsTotal === undefined) {
+        return;
+    }
+    this._selectiveLoadingUpdate = null;
+    update.resolve ? .({
+        loaded: update.loaded,
+        unloaded: update.unloaded
+    });
+};
+
+// Rejects a pending update, e.g. if its property query can't be initialized, so that the next update can start.
+OtgLoader.prototype._failSelectiveLoadingUpdate = function(error) {
+    const update = this._selectiveLoadingUpdate;
+    if (!update) {
+        return;
+    }
+    this._selectiveLoadingUpdate = null;
+    update.reject ? .(error);
+};
+
+/**
+ * Replaces the selective loading queries of a fully loaded model and applies the result: fragments that
+ * no longer pass are unloaded and their geometry is released, newly passing fragments are loaded.
+ * Progress is reported via Autodesk.Viewing.PROGRESS_UPDATE_EVENT relative to the fragments to load.
+ *
+ * This requires the model to be loaded with a `filter` or with `onDemandLoading`, since the geometry
+ * request path is released after the initial load otherwise.
+ *
+ * @param {Object} [filter] - Same format as the `filter` loader option. Undefined removes all queries.
+ * @returns {Promise<{loaded: number, unloaded: number}>} Resolves with the number of loaded and unloaded
+ *      fragments, once all requested geometry is received. Rejects if the queries can't be initialized.
+ */
+OtgLoader.prototype.updateSelectiveLoading = function(filter) {
+    const controller = this._selectiveLoadingController;
+
+    if (!this.model || !this.svf ? .loadDone) {
+        return Promise.reject('Selective loading can only be updated after the model is loaded.');
+    }
+    if (!this.options.onDemandLoading && !controller.isActive) {
+        return Promise.reject('Selective loading updates require a model loaded with a filter or with onDemandLoading.');
+    }
+    if (this._selectiveLoadingUpdate) {
+        return Promise.reject('A selective loading update is already in progress.');
+    }
+    if (filter ? .spatial_query && !SpatialQuery.validate(JSON.stringify(filter.spatial_query))) {
+        return Promise.reject('Invalid spatial query.');
+    }
+
+    return new Promise((resolve, reject) => {
+        this._selectiveLoadingUpdate = {
+            resolve,
+            reject
+        };
+        controller.reevaluate(filter);
+
+        // Without any query, there is nothing to evaluate and everything stays as it is.
+        if (!controller.isActive) {
+            this._selectiveLoadingUpdate = null;
+            resolve({
+                loaded: 0,
+                unloaded: 0
+            });
+        }
+    });
+};
+
 FileLoaderManager.registerFileLoader("json", ["json"], OtgLoader);
\ No newline at end of file
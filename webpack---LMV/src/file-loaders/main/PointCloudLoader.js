@@ -0,0 +1,42 @@
+import {
+    MeshFileLoader
+} from "./MeshFileLoader";
+import {
+    FileLoaderManager
+} from "../../application/FileLoaderManager";
+
+/**
+ * Loader for point clouds: PLY (ASCII and binary), XYZ and uncompressed LAS files.
+ *
+ * The points are split into spatially compact fragments of point primitives, so that they are culled like any
+ * other geometry. The displayed point size can be changed with the pointSize preference (see Viewer3D#setPointSize).
+ *
+ * Supported load options in addition to the common ones:
+ *  - units: Length unit of the file, e.g. "m". None of the formats reliably store units.
+ *  - color: Color {r, g, b} in [0,1] for points without per-point colors.
+ *  - pointColors: Per-point color source, "rgb", "intensity" or "none". By default, RGB is used if available, intensity otherwise.
+ *  - pointSize: Point size in pixels stored with the geometry. Defaults to 2.
+ *
+ * @param {Viewer3DImpl} parent
+ * @constructor
+ */
+export function PointCloudLoader(parent) {
+    MeshFileLoader.call(this, parent);
+}
+
+PointCloudLoader.prototype = Object.create(MeshFileLoader.prototype);
+PointCloudLoader.prototype.constructor = PointCloudLoader;
+
+PointCloudLoader.prototype.workerOperation = "LOAD_POINT_CLOUD";
+PointCloudLoader.prototype.formatName = "point cloud";
+
+PointCloudLoader.prototype.getWorkerOptions = function(options) {
+    return {
+        units: options.units,
+        color: options.color,
+        pointColors: options.pointColors,
+        pointSize: options.pointSize
+    };
+};
+
+FileLoaderManager.registerFileLoader("pointcloud", ["ply", "xyz", "las"], PointCloudLoader);
@@ -29,6 +29,8 @@ var WORKER_GET_PROPERTIES = "GET_PROPERTIES";
 var WORKER_GET_PROPERTY_SET = "GET_PROPERTY_SET";
 var WORKER_SEARCH_PROPERTIES = "SEARCH_PROPERTIES";
 var WORKER_FIND_PROPERTY = "FIND_PROPERTY";
+var WORKER_QUERY_PROPERTIES = "QUERY_PROPERTIES";
+var WORKER_EXPORT_PROPERTIES = "EXPORT_PROPERTIES";
 var WORKER_FIND_LAYERS = "FIND_LAYERS";
 var WORKER_BUILD_EXTERNAL_ID_MAPPING = "BUILD_EXTERNAL_ID_MAPPING";
 var WORKER_BUILD_LAYER_TO_NODE_ID_MAPPING = "BUILD_LAYER_TO_NODE_ID_MAPPING";
@@ -40,6 +42,7 @@ var WORKER_USER_FUNCTION = "USER_FUNCTION";
 var WORKER_LOAD_EXTERNAL_IDS = "LOAD_EXTERNAL_IDS";
 var WORKER_REFRESH_CUSTOM_PROPERTIES = "REFRESH_CUSTOM_PROPERTIES";
 var WORKER_REFRESH_CUSTOM_PROPERTIES_VALUES = "REFRESH_CUSTOM_PROPERTIES_VALUES";
+var WORKER_SET_USER_CUSTOM_PROPERTIES = "SET_USER_CUSTOM_PROPERTIES";
 
 //Use a global property worker thread, which does caching of
 //shared property databases (and database files).
@@ -415,6 +418,8 @@ PropDbLoader.prototype.processLoadError = function(error) {
  *
  * @param {object} options - Configurations for loading database
  * @param {boolean} options.skipInstanceTreeResult - If set, the loader will skip the step that generates InstanceTreeStorage for use by model tree. Used in server side processing.
+ * @param {object} [options.gltfTree] - Object tree ({dbId, name, children, properties}) synthesized by loaders of formats that come
+ *                                       without a property database (e.g. STL). If set, the instance tree is created from it directly.
  */
 PropDbLoader.prototype.load = function(options) {
     var scope = this;
@@ -455,7 +460,7 @@ PropDbLoader.prototype.load = function(options) {
     }
 
     let cmd;
-    if (this.svf && this.svf.instanceTree && this.svf.instanceBoxes) {
+    if (options.gltfTree || (this.svf && this.svf.instanceTree && this.svf.instanceBoxes)) {
         cmd = WORKER_CREATE_TREE;
     } else {
         cmd = WORKER_LOAD_PROPERTYDB;
@@ -634,7 +639,8 @@ PropDbLoader.prototype.getBulkProperties2 = function(dbIds, options = {}, onSucc
                 "dbIds": dbIds,
                 "propFilter": options.propFilter,
                 "categoryFilter": options.categoryFilter,
-                "ignoreHidden": options.ignoreHidden
+                "ignoreHidden": options.ignoreHidden,
+                "gltfTree": this.svf && this.svf.instanceTreeBackup
             },
             onSuccess, onError
         );
@@ -671,6 +677,7 @@ PropDbLoader.prototype.getPropertySet = function(dbIds, options = {}, onSuccess,
                 propFilter: options.propFilter,
                 ignoreHidden: options.ignoreHidden,
                 fileType: options.fileType,
+                gltfTree: this.svf && this.svf.instanceTreeBackup
             },
             onSuccess,
             onError
@@ -698,6 +705,75 @@ PropDbLoader.prototype.searchProperties = function(searchText, attributeNames, o
     );
 };
 
+/**
+ * Evaluates a structured property query, e.g. 'Category = "Revit Walls" AND Height > 3m'.
+ * See file-loaders/lmvtk/common/PropertyQuery.js for the syntax.
+ *
+ *  @param {string}             query
+ *  @param {function(number[])} onSuccess - receives the matching dbIds
+ *  @param {function(Object)}   onError   - receives {msg}, e.g. for syntax errors
+ *  @param {Object}             [options]
+ *  @param {boolean}            [options.includeInherited=true] - Include properties inherited through instance_of relations.
+ */
+PropDbLoader.prototype.queryProperties = function(query, onSuccess, onError, options) {
+
+    this.asyncPropertyOperation({
+            "operation": WORKER_QUERY_PROPERTIES,
+            "query": query,
+            "queryOptions": options
+        },
+        onSuccess, onError
+    );
+};
+
+/**
+ * Exports object properties as a CSV or SpreadsheetML table, built in the worker.
+ * See file-loaders/lmvtk/common/PropertyExport.js for the options.
+ * The worker streams the output in chunks along with the progress messages.
+ *
+ *  @param {Object}             [options]
+ *  @param {function(Object)}   onSuccess    - receives {rowCount, columnCount}, and data (the whole output) if onData is not set
+ *  @param {function(Object)}   onError
+ *  @param {function(Object)}   [onProgress] - receives {percent}
+ *  @param {function(string)}   [onData]     - receives the output in chunks, in order
+ */
+PropDbLoader.prototype.exportProperties = function(options, onSuccess, onError, onProgress, onData) {
+
+    options = options || {};
+
+    const chunks = [];
+    const success = (result) => {
+        if (!onData) {
+            result.data = chunks.join("");
+        }
+        onSuccess(result);
+    };
+    const progress = (progress) => {
+        if (progress.data !== undefined) {
+            onData ? onData(progress.data) : chunks.push(progress.data);
+        } else if (onProgress) {
+            onProgress(progress);
+        }
+    };
+
+    const doExport = () => {
+        this.asyncPropertyOperation({
+                "operation": WORKER_EXPORT_PROPERTIES,
+                "exportOptions": options
+            },
+            success, onError, progress
+        );
+    };
+
+    if (options.includeExternalId) {
+        this.loadExternalIds()
+            .then(doExport)
+            .catch(onError);
+    } else {
+        doExport();
+    }
+};
+
 PropDbLoader.prototype.findProperty = function(propertyName) {
 
     var that = this;
@@ -725,6 +801,10 @@ PropDbLoader.prototype.findProperty = function(propertyName) {
  *    // is an array of length k. Each element in it describes the change of a single
  *    // property.
  *    propChanges: Object[][]
+ *
+ *    // Optional: dbIds of objects that only exist in dbToDiff (added) or only in this db (removed).
+ *    addedIds:   dbId[]
+ *    removedIds: dbId[]
  * }
  *
  *  @param {PropDbLoader} dbToDiff
@@ -735,6 +815,7 @@ PropDbLoader.prototype.findProperty = function(propertyName) {
  * DiffOptions:
  *   @param {number[]} diffOps.dbIds             - Restrict diff to fixed set of dbIds (otherwise all ids)
  *   @param {boolean}    diffOps.listPropChanges   - If true, result.propChanges is provided (slower)
+ *   @param {boolean}    diffOps.listAddedAndRemoved - If true, result.addedIds and result.removedIds are provided
  *   @param {Object} diffOps.propertyFilter - Ignore properties from diff
  *
  * @private
@@ -1030,4 +1111,29 @@ PropDbLoader.prototype.refreshCustomPropertiesValues = function(options) {
     });
 };
 
+/**
+ * Attaches user-defined custom properties to the property database, replacing the ones attached before.
+ * Afterwards, they are returned with the object properties and take part in search and property queries.
+ * Loads the externalIds if necessary, since the values are keyed by externalId.
+ *
+ * @param {object[]} definitions - {name, category, displayName, type, units, precision, hidden}
+ * @param {object} values - maps externalIds to {propertyKey: value}, where propertyKey is 'category/name', or just the name.
+ * @param {function(object)} onSuccess - receives {unresolvedIds}, the externalIds that don't exist in this model.
+ * @param {function(object)} onError
+ */
+PropDbLoader.prototype.setUserCustomProperties = function(definitions, values, onSuccess, onError) {
+
+    this.loadExternalIds()
+        .then(() => {
+            this.asyncPropertyOperation({
+                    "operation": WORKER_SET_USER_CUSTOM_PROPERTIES,
+                    "definitions": definitions,
+                    "values": values
+                },
+                onSuccess, onError
+            );
+        })
+        .catch(onError);
+};
+
 PropDbLoader.prototype.useCustomProperties = false;
\ No newline at end of file
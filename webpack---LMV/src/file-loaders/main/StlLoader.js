@@ -0,0 +1,28 @@
+import {
+    MeshFileLoader
+} from "./MeshFileLoader";
+import {
+    FileLoaderManager
+} from "../../application/FileLoaderManager";
+
+/**
+ * Loader for binary and ASCII STL files.
+ *
+ * Supported load options in addition to the common ones:
+ *  - units: Length unit of the file, e.g. "mm". STL itself does not store units.
+ *  - color: Diffuse color {r, g, b} in [0,1] used for the part.
+ *
+ * @param {Viewer3DImpl} parent
+ * @constructor
+ */
+export function StlLoader(parent) {
+    MeshFileLoader.call(this, parent);
+}
+
+StlLoader.prototype = Object.create(MeshFileLoader.prototype);
+StlLoader.prototype.constructor = StlLoader;
+
+StlLoader.prototype.workerOperation = "LOAD_STL";
+StlLoader.prototype.formatName = "STL";
+
+FileLoaderManager.registerFileLoader("stl", ["stl"], StlLoader);
@@ -1,3 +1,7 @@
+import {
+    getCustomPropertyHash
+} from '../lmvtk/common/PropdbCustomPropertyWrapper';
+
 const PROPERTY_HASH_REQUEST_RE = /(["'])\?([\w\d\s]+)\1/g;
 const PROPERTY_HASH_MISS_STRING = '"s.props.unresolved"'; // causes property parser to fail
 
@@ -25,21 +29,26 @@ export class PropertyQuery {
      * @param {FilterExtension} extension - Filter extension to gather attribute definitions from.
      * @param {Model} model - Model to gather attribute definitions for.
      * @param {string} queryString - Property query to replace attribute lookups in.
+     * @param {object[]} [customDefinitions] - Definitions of user custom properties, which are looked up as well.
      *
      * @returns {string} - Property query with all valid attribute lookups replaced by property hashes.
      */
-    static async preprocessAttributeLookups(extension, model, queryString) {
+    static async preprocessAttributeLookups(extension, model, queryString, customDefinitions = []) {
 
-        const attributes = await extension.getAttributeDefinitions(model) || new Array();
+        const attributes = (await extension.getAttributeDefinitions(model) || new Array()).concat(customDefinitions.map(def => ({
+            name: def.name,
+            propertyHash: getCustomPropertyHash(def)
+        })));
         const matches = queryString.matchAll(PROPERTY_HASH_REQUEST_RE);
 
         for (const match of matches) {
 
-            // Exact property hash lookup (name instead of display name is checked, so always english)
+            // Exact property hash lookup (name instead of display name is checked, so always english).
+            // Custom properties may be listed by the extension as well, so duplicate hashes are ignored.
             const attributeSearchString = match[2].trim();
-            let hashes = attributes
+            let hashes = Array.from(new Set(attributes
                 .filter(attribute => attribute.name === attributeSearchString)
-                .map(attribute => `${match[0][0]}s.props.${attribute.propertyHash}${match[0][0]}`);
+                .map(attribute => `${match[0][0]}s.props.${attribute.propertyHash}${match[0][0]}`)));
 
             switch (hashes.length) {
                 case 1:
@@ -115,25 +124,36 @@ export class PropertyQuery {
             return;
         }
 
+        // Reset on failure as well, so that a later update can retry.
         this._initializing = true;
-        if (this._extension === undefined) {
+        try {
             const viewer = model.loader.viewer3DImpl.api;
-            this._extension = await viewer.loadExtension('Autodesk.Filter');
-        }
-        if (this._extension === undefined) {
-            console.warn('Expected loading Autodesk.Filter extension to succeed.');
-            return;
-        }
+            if (this._extension === undefined) {
+                this._extension = await viewer.loadExtension('Autodesk.Filter');
+            }
+            if (this._extension === undefined) {
+                throw new Error('Expected loading Autodesk.Filter extension to succeed.');
+            }
 
-        const queryStringPreprocessed = await PropertyQuery.preprocessAttributeLookups(this._extension, model, this._source);
-        const queryObjectPreprocessed = JSON.parse(queryStringPreprocessed, (key, value) =>
-            typeof value === 'number' ? parseFloat(value) : value);
+            // Stored user custom properties are attached to the property database the filter is evaluated on.
+            // They are loaded with the object tree, so the filter waits for them to take part.
+            const customProperties = viewer.customProperties;
+            let customDefinitions;
+            if (customProperties) {
+                await customProperties.whenLoaded(model);
+                customDefinitions = customProperties.hasProperties(model) ? customProperties.getStore(model).definitions : undefined;
+            }
 
-        const result = (await this._extension.getModelIdsWithFilter(model, queryObjectPreprocessed, undefined, undefined, false));
-        const ids = result.ids ? .concat(result.ids2 ? ? []);
-        this.fromDbIDs(model, ids);
+            const queryStringPreprocessed = await PropertyQuery.preprocessAttributeLookups(this._extension, model, this._source, customDefinitions);
+            const queryObjectPreprocessed = JSON.parse(queryStringPreprocessed, (key, value) =>
+                typeof value === 'number' ? parseFloat(value) : value);
 
-        this._initializing = false;
+            const result = (await this._extension.getModelIdsWithFilter(model, queryObjectPreprocessed, undefined, undefined, false));
+            const ids = result.ids ? .concat(result.ids2 ? ? []);
+            this.fromDbIDs(model, ids);
+        } finally {
+            this._initializing = false;
+        }
     }
 
     isFragmentPassing(model, fragmentID) {
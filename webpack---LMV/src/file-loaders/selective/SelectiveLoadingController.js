@@ -221,6 +221,17 @@ export class SelectiveLoadingController {
         }
         this._spatialQueryLoadTimeBehavior = loadTimeBehavior;
     }
+    /**
+     * Sets the spatial query, @see SpatialQueryParser for the supported conditions and primitives.
+     *
+     * @example
+     *  // Everything within 30 units of a pump, except what is below the floor at z = 0
+     *  controller.setSpatialQuery({ '$and': [
+     *      { '$intersects': [ { 'sphere': [ 120, 45, 2, 30 ] } ] },
+     *      { '$not': { '$outside': [ { 'halfspace': [ 0, 0, 1, 0 ] } ] } } ] });
+     *
+     * @param {Object} spatialQueryObject - Query object, or undefined to remove the query.
+     */
     setSpatialQuery(spatialQueryObject) {
         this._spatialQuery.fromObject(spatialQueryObject);
         this._active || = !this._spatialQuery.isEmpty(); // once a query is set, this flag remains true.
@@ -236,6 +247,35 @@ export class SelectiveLoadingController {
         this._active || = !this._lambdaQuery.isEmpty(); // once a query is set, this flag remains true.
     }
 
+    /**
+     * Sets up queries and the root condition from a filter object. Queries that are not specified by the
+     * filter are removed. The supported properties are the same as for the `filter` loader option, except
+     * for the load-time behavior which is only evaluated once in @see prepare.
+     *
+     * @param {Object} [filter] - Filter object, or undefined to remove all queries.
+     */
+    setFilter(filter) {
+
+        this.setSpatialQuery(filter ? .spatial_query);
+        this.setPropertyQuery(filter ? .property_query);
+
+        // If lambda query is set, it only is executed when neither a spatial nor a property query is set.
+        // It also bypasses the caching and it initialized when fragment_list becomes ready.
+        this.setLambdaQuery(filter ? .asyncInit, filter ? .match);
+
+        const rootConditionOption = filter ? .root_condition;
+        switch (rootConditionOption) {
+            case 'or':
+                this.setRootCondition(RootCondition.ANY);
+                break;
+            case 'and':
+                this.setRootCondition(RootCondition.ALL);
+                break;
+            default:
+                this.setRootCondition(DEFAULT_ROOT_CONDITION);
+        }
+    }
+
     /**
      * Convenience function to setup queries and other settings (e.g., load time behavior, root condition)
      * based on loader options. The relevant option is `filter` and can supports the following optional
@@ -260,24 +300,7 @@ export class SelectiveLoadingController {
         // Important: all queries for load-time must be set before spatial-query behavior is set to correctly
         // configure fast-pass mode for onFragmentReady (skipping update etc.).
 
-        this.setSpatialQuery(options.filter ? .spatial_query);
-        this.setPropertyQuery(options.filter ? .property_query);
-
-        // If lambda query is set, it only is executed when neither a spatial nor a property query is set.
-        // It also bypasses the caching and it initialized when fragment_list becomes ready.
-        this.setLambdaQuery(options.filter ? .asyncInit, options.filter ? .match);
-
-        const rootConditionOption = options.filter ? .root_condition;
-        switch (rootConditionOption) {
-            case 'or':
-                this.setRootCondition(RootCondition.ANY);
-                break;
-            case 'and':
-                this.setRootCondition(RootCondition.ALL);
-                break;
-            default:
-                this.setRootCondition(DEFAULT_ROOT_CONDITION);
-        }
+        this.setFilter(options.filter);
 
         const queryBehaviorOption = options.filter ? .spatial_behavior;
         switch (queryBehaviorOption) {
@@ -373,7 +396,10 @@ export class SelectiveLoadingController {
             // The property query initialization is asynchronous, so in this run, _propertyQuery is most likely not
             // ready. If its initialization is done, update is called again;
             const scope = this;
-            this._propertyQuery.initialize(this._model).then(() => scope.update(undefined, true));
+            this._propertyQuery.initialize(this._model).then(() => scope.update(undefined, true), err => {
+                logger.warn("Property query initialization failed", err);
+                scope.onInitializeFailed(err);
+            });
             // this._invalidateCache = true;
             return;
         } else if (propertyQueryRequested && !lambdaQueryRequested &&
@@ -442,6 +468,19 @@ export class SelectiveLoadingController {
         }
     }
 
+    /**
+     * Replaces the current queries at run-time and triggers a re-evaluation of all fragments once the new
+     * queries are ready. Property queries are initialized asynchronously, so the evaluate call might be
+     * deferred. All loader states are expected to be passed already, i.e., this is not meant to be used
+     * while the initial load is still in progress.
+     *
+     * @param {Object} [filter] - Filter object, @see setFilter.
+     */
+    reevaluate(filter) {
+        this.setFilter(filter);
+        this.update(undefined, true);
+    }
+
     /**
      * Must be set in the constructor and is expected to iterate over all fragments
      * and decide whether to load/request them or not. For this, the subclass is expected to rely on this
@@ -454,6 +493,16 @@ export class SelectiveLoadingController {
         throw new TypeError('Method expected to be replaced.');
     }
 
+    /**
+     * Can be replaced like @see evaluate, to get notified if a query could not be initialized, e.g., if the
+     * property query can't be resolved. The query stays set and is initialized again on the next update.
+     *
+     * @param {Error} error
+     */
+    onInitializeFailed(error) {
+        // Nothing to do by default, the failure is logged already.
+    }
+
     /**
      * The following functions check if a fragment of a model passes all set queries. Before this works,
      * update needs to be called which sets up the actual query predicates if required or modified.
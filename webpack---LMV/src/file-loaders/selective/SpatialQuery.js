@@ -1,3 +1,6 @@
+import {
+    Matrix4
+} from 'three';
 import {
     SpatialQueryParser
 } from './SpatialQueryParser';
@@ -9,11 +12,42 @@ export class SpatialQuery {
     _predicate;
 
 
+    /**
+     * Checks if the given string is a well-formed spatial query, @see SpatialQueryParser for the grammar.
+     *
+     * @param {string} queryString - JSON representation of the spatial query.
+     * @returns {boolean} - True if the query is valid. Otherwise, the reason is logged as warning.
+     */
     static validate(queryString) {
-        /** @todo: implement */
+        let object;
+        try {
+            object = JSON.parse(queryString);
+        } catch (error) {
+            console.warn('Spatial query is not valid JSON:', error.message);
+            return false;
+        }
+        const error = SpatialQueryParser.validate(object);
+        if (error) {
+            console.warn('Spatial query is not valid:', error);
+            return false;
+        }
         return true;
     }
 
+    /**
+     * Creates a frustum primitive for everything visible from the given camera, e.g., to only load
+     * what is visible from a saved view: { '$intersects': [ SpatialQuery.getFrustumPrimitive(camera) ] }.
+     *
+     * @param {THREE.Camera} camera - Camera with up-to-date projection and world matrices.
+     * @returns {Object} - Frustum primitive in world coordinates.
+     */
+    static getFrustumPrimitive(camera) {
+        const matrix = new Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        return {
+            frustum: matrix.toArray()
+        };
+    }
+
     fromString(queryString) {
         if (this._source === queryString) {
             return;
@@ -1,10 +1,257 @@
 import {
     Box3,
+    Frustum,
+    Matrix4,
+    Plane,
     Vector3
 } from 'three';
 
 
 const aabbox = new Box3(); // auxiliary proxy
+const corner = new Vector3(); // auxiliary proxy
+const DEFAULT_EPSILON = 1e-8;
+
+/**
+ * Spatial queries are JSON objects made of conditions. Each condition is an object with a single key:
+ *
+ *  - { "$and": [ condition, ... ] }, { "$or": [ condition, ... ] }, { "$not": condition }
+ *  - { "$encloses": [ primitive, epsilon? ] }   - fragment bounds are completely inside the primitive.
+ *  - { "$intersects": [ primitive ] }           - fragment bounds touch or overlap the primitive.
+ *  - { "$outside": [ primitive ] }              - fragment bounds are completely outside the primitive.
+ *  - { "$extent": threshold }                   - fragment bounds volume is greater than the threshold.
+ *
+ * Primitives are given in world coordinates, again as objects with a single key:
+ *
+ *  - { "aabox": [ minX, minY, minZ, maxX, maxY, maxZ ] }
+ *  - { "sphere": [ centerX, centerY, centerZ, radius ] }
+ *  - { "obox": [ minX, minY, minZ, maxX, maxY, maxZ, m0, ..., m15 ] } - box in local coordinates, transformed
+ *        into world coordinates by a column-major 4x4 matrix (Matrix4.elements).
+ *  - { "halfspace": [ nx, ny, nz, d ] }       - all points p with dot(n, p) + d >= 0.
+ *  - { "polyhedron": [ [ nx, ny, nz, d ], ... ] } - convex polyhedron, intersection of half-spaces.
+ *  - { "frustum": [ m0, ..., m15 ] }          - view frustum of a column-major projection * view matrix,
+ *        @see SpatialQuery.getFrustumPrimitive.
+ *
+ * Fragments are tested by their world bounding boxes. For polyhedra and frusta, the intersection test
+ * is conservative: boxes near the edges may be reported as intersecting (and not as outside) even if
+ * they are not.
+ */
+
+/**
+ * Axis-aligned box primitive.
+ * @private
+ */
+class AABoxPrimitive {
+
+    constructor(values, epsilon) {
+        this.box = new Box3(new Vector3(values[0], values[1], values[2]), new Vector3(values[3], values[4], values[5]));
+        epsilon !== 0.0 && this.box.expandByScalar(epsilon);
+    }
+
+    containsBox(box) {
+        return this.box.containsBox(box);
+    }
+
+    intersectsBox(box) {
+        return this.box.intersectsBox(box);
+    }
+}
+
+/**
+ * Sphere primitive.
+ * @private
+ */
+class SpherePrimitive {
+
+    constructor(values, epsilon) {
+        this.center = new Vector3(values[0], values[1], values[2]);
+        this.radius = values[3] + epsilon;
+    }
+
+    containsBox(box) {
+        // The box is enclosed if its corner farthest from the center is.
+        const c = this.center;
+        corner.set(
+            Math.max(Math.abs(c.x - box.min.x), Math.abs(c.x - box.max.x)),
+            Math.max(Math.abs(c.y - box.min.y), Math.abs(c.y - box.max.y)),
+            Math.max(Math.abs(c.z - box.min.z), Math.abs(c.z - box.max.z))
+        );
+        return corner.lengthSq() <= this.radius * this.radius;
+    }
+
+    intersectsBox(box) {
+        return box.distanceToPoint(this.center) <= this.radius;
+    }
+}
+
+/**
+ * Oriented box primitive: a box in local coordinates and its local-to-world transform.
+ * @private
+ */
+class OBoxPrimitive {
+
+    constructor(values, epsilon) {
+        this.localBox = new Box3(new Vector3(values[0], values[1], values[2]), new Vector3(values[3], values[4], values[5]));
+        this.matrix = new Matrix4().fromArray(values.slice(6, 22));
+        this.inverse = this.matrix.clone().invert();
+
+        // Separating axis test setup: center and half-axes (edges) in world coordinates...
+        const halfSize = this.localBox.getSize(new Vector3()).multiplyScalar(0.5);
+        this.center = this.localBox.getCenter(new Vector3()).applyMatrix4(this.matrix);
+        this.halfAxes = [new Vector3(), new Vector3(), new Vector3()];
+        this.matrix.extractBasis(this.halfAxes[0], this.halfAxes[1], this.halfAxes[2]);
+        this.halfAxes[0].multiplyScalar(halfSize.x);
+        this.halfAxes[1].multiplyScalar(halfSize.y);
+        this.halfAxes[2].multiplyScalar(halfSize.z);
+
+        // ...and candidate axes: world axes, face normals of the (possibly sheared) box and edge-edge cross products.
+        const worldAxes = [new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)];
+        const [a0, a1, a2] = this.halfAxes;
+        this.testAxes = worldAxes.concat([
+            new Vector3().crossVectors(a1, a2),
+            new Vector3().crossVectors(a2, a0),
+            new Vector3().crossVectors(a0, a1)
+        ]);
+        for (const a of this.halfAxes) {
+            for (const w of worldAxes) {
+                const axis = new Vector3().crossVectors(a, w);
+                if (axis.lengthSq() > 1e-12 * a.lengthSq()) {
+                    this.testAxes.push(axis);
+                }
+            }
+        }
+
+        // Epsilon is applied in local coordinates, thus only meaningful for transforms without scaling.
+        epsilon !== 0.0 && this.localBox.expandByScalar(epsilon);
+    }
+
+    containsBox(box) {
+        for (let i = 0; i < 8; ++i) {
+            corner.set(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z
+            ).applyMatrix4(this.inverse);
+            if (!this.localBox.containsPoint(corner)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    intersectsBox(box) {
+        const boxCenter = box.getCenter(corner);
+        const hx = (box.max.x - box.min.x) * 0.5;
+        const hy = (box.max.y - box.min.y) * 0.5;
+        const hz = (box.max.z - box.min.z) * 0.5;
+        const dx = this.center.x - boxCenter.x;
+        const dy = this.center.y - boxCenter.y;
+        const dz = this.center.z - boxCenter.z;
+        const [a0, a1, a2] = this.halfAxes;
+
+        for (const axis of this.testAxes) {
+            const distance = Math.abs(dx * axis.x + dy * axis.y + dz * axis.z);
+            const boxRadius = hx * Math.abs(axis.x) + hy * Math.abs(axis.y) + hz * Math.abs(axis.z);
+            const oboxRadius = Math.abs(a0.dot(axis)) + Math.abs(a1.dot(axis)) + Math.abs(a2.dot(axis));
+            if (distance > boxRadius + oboxRadius) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * Convex polyhedron primitive, defined by planes with normals pointing inside. Used for half-spaces and frusta.
+ * @private
+ */
+class PolyhedronPrimitive {
+
+    constructor(planes, epsilon) {
+        this.planes = planes;
+        if (epsilon !== 0.0) {
+            for (const plane of planes) {
+                plane.constant += epsilon * plane.normal.length();
+            }
+        }
+    }
+
+    static fromPlaneValues(values, epsilon) {
+        const planes = values.map(v => new Plane(new Vector3(v[0], v[1], v[2]), v[3]));
+        return new PolyhedronPrimitive(planes, epsilon);
+    }
+
+    static fromMatrix(values, epsilon) {
+        const frustum = new Frustum().setFromProjectionMatrix(new Matrix4().fromArray(values));
+        return new PolyhedronPrimitive(frustum.planes, epsilon);
+    }
+
+    containsBox(box) {
+        for (const plane of this.planes) {
+            const n = plane.normal;
+            // Corner of the box that is farthest on the outside of the plane
+            corner.set(
+                n.x > 0 ? box.min.x : box.max.x,
+                n.y > 0 ? box.min.y : box.max.y,
+                n.z > 0 ? box.min.z : box.max.z
+            );
+            if (plane.distanceToPoint(corner) < 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    intersectsBox(box) {
+        for (const plane of this.planes) {
+            const n = plane.normal;
+            // Corner of the box that is farthest on the inside of the plane
+            corner.set(
+                n.x > 0 ? box.max.x : box.min.x,
+                n.y > 0 ? box.max.y : box.min.y,
+                n.z > 0 ? box.max.z : box.min.z
+            );
+            if (plane.distanceToPoint(corner) < 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+function isNumberArray(values, length) {
+    return values instanceof Array && values.length === length && values.every(value => typeof value === 'number' && isFinite(value));
+}
+
+/**
+ * Primitive types: validation of the values and construction.
+ * @private
+ */
+const Primitives = {
+    aabox: {
+        validate: values => isNumberArray(values, 6),
+        create: (values, epsilon) => new AABoxPrimitive(values, epsilon)
+    },
+    sphere: {
+        validate: values => isNumberArray(values, 4) && values[3] >= 0,
+        create: (values, epsilon) => new SpherePrimitive(values, epsilon)
+    },
+    obox: {
+        validate: values => isNumberArray(values, 22) && new Matrix4().fromArray(values.slice(6, 22)).determinant() !== 0,
+        create: (values, epsilon) => new OBoxPrimitive(values, epsilon)
+    },
+    halfspace: {
+        validate: values => isNumberArray(values, 4) && (values[0] !== 0 || values[1] !== 0 || values[2] !== 0),
+        create: (values, epsilon) => PolyhedronPrimitive.fromPlaneValues([values], epsilon)
+    },
+    polyhedron: {
+        validate: values => values instanceof Array && values.length > 0 && values.every(plane => Primitives.halfspace.validate(plane)),
+        create: (values, epsilon) => PolyhedronPrimitive.fromPlaneValues(values, epsilon)
+    },
+    frustum: {
+        validate: values => isNumberArray(values, 16),
+        create: (values, epsilon) => PolyhedronPrimitive.fromMatrix(values, epsilon)
+    }
+};
 
 export class SpatialQueryParser {
 
@@ -48,37 +295,41 @@ export class SpatialQueryParser {
         };
     }
 
-    static _buildEnclosesClause(operands) {
-
-        const primitive = operands[0];
+    static _buildPrimitive(primitive, epsilon) {
         let primitiveType;
         for (primitiveType in primitive) break;
 
-        const aabox = new Box3(); // primitive, asuming only aabox currently works
-        [aabox.min.x, aabox.min.y, aabox.min.z, aabox.max.x, aabox.max.y, aabox.max.z] = primitive[primitiveType];
+        return Primitives[primitiveType].create(primitive[primitiveType], epsilon);
+    }
+
+    static _buildEnclosesClause(operands) {
 
-        const epsilon = operands.length > 1 && typeof operands[2] === 'number' ? operands[2] : 1e-8;
-        epsilon !== 0.0 && aabox.expandByScalar(epsilon);
+        const epsilon = operands.length > 1 && typeof operands[1] === 'number' ? operands[1] : DEFAULT_EPSILON;
+        const primitive = this._buildPrimitive(operands[0], epsilon);
 
         return (model, fragmentID) => {
             model.getFragmentList().getWorldBounds(fragmentID, aabbox);
-            return aabox.containsBox(aabbox);
+            return primitive.containsBox(aabbox);
         };
     }
 
     static _buildIntersectsClause(operands) {
 
-        // const proxy = SpatialQueryParser.$proxy(condition[0]); // ??
-        const primitive = operands[0];
-        let primitiveType;
-        for (primitiveType in primitive) break;
+        const primitive = this._buildPrimitive(operands[0], 0.0);
+
+        return (model, fragmentID) => {
+            model.getFragmentList().getWorldBounds(fragmentID, aabbox);
+            return primitive.intersectsBox(aabbox);
+        };
+    }
+
+    static _buildOutsideClause(operands) {
 
-        const aabox = new Box3(); // primitive
-        [aabox.min.x, aabox.min.y, aabox.min.z, aabox.max.x, aabox.max.y, aabox.max.z] = primitive[primitiveType];
+        const primitive = this._buildPrimitive(operands[0], 0.0);
 
         return (model, fragmentID) => {
             model.getFragmentList().getWorldBounds(fragmentID, aabbox);
-            return aabox.intersectsBox(aabbox);
+            return !primitive.intersectsBox(aabbox);
         };
     }
 
@@ -112,6 +363,8 @@ export class SpatialQueryParser {
                 return this._buildEnclosesClause(object[type]);
             case '$intersects':
                 return this._buildIntersectsClause(object[type]);
+            case '$outside':
+                return this._buildOutsideClause(object[type]);
             case '$extent':
                 return this._buildExtentClause(object[type]);
             default:
@@ -124,4 +377,73 @@ export class SpatialQueryParser {
         return this._parse(queryObject);
     }
 
-}
\ No newline at end of file
+    static _validatePrimitive(operands) {
+        if (!(operands instanceof Array) || operands.length === 0 || typeof operands[0] !== 'object' || operands[0] === null) {
+            return 'expected [ primitive, ... ]';
+        }
+        const primitive = operands[0];
+        const keys = Object.keys(primitive);
+        if (keys.length !== 1 || !Object.prototype.hasOwnProperty.call(Primitives, keys[0])) {
+            return `primitive type not supported, given ${keys.join(', ')}`;
+        }
+        if (!Primitives[keys[0]].validate(primitive[keys[0]])) {
+            return `invalid ${keys[0]} values`;
+        }
+        if (operands.length > 1 && typeof operands[1] !== 'number') {
+            return 'expected number as epsilon';
+        }
+        return undefined;
+    }
+
+    static _validate(object) {
+        if (typeof object !== 'object' || object === null) {
+            return 'expected condition object';
+        }
+        const keys = Object.keys(object);
+        if (keys.length !== 1) {
+            return `expected exactly one condition type, given ${keys.join(', ')}`;
+        }
+        const type = keys[0];
+        const operands = object[type];
+        switch (type) {
+            case '$not':
+                return this._validate(operands);
+            case '$or':
+            case '$and':
+                if (!(operands instanceof Array) || operands.length === 0) {
+                    return `expected array of conditions for ${type}`;
+                }
+                for (const condition of operands) {
+                    const error = this._validate(condition);
+                    if (error) {
+                        return error;
+                    }
+                }
+                return undefined;
+            case '$encloses':
+            case '$intersects':
+            case '$outside':
+                return this._validatePrimitive(operands);
+            case '$extent':
+                return typeof operands === 'number' ? undefined : 'expected number as extent threshold';
+            default:
+                return `condition type not supported, given ${type}`;
+        }
+    }
+
+    /**
+     * Checks the structure of a query object, including the primitive values.
+     *
+     * @param {Object} queryObject - Parsed spatial query.
+     * @returns {string|undefined} - Description of the first error found, undefined if the query is valid.
+     */
+    static validate(queryObject) {
+        try {
+            return this._validate(queryObject);
+        } catch (error) {
+            // Primitive values that three.js can't handle
+            return error.message || 'invalid query';
+        }
+    }
+
+}
@@ -0,0 +1,234 @@
+import {
+    boxDistanceSq,
+    buildTriangleBVH,
+    findPenetration,
+    isPointInsideMesh,
+    searchBVHPair
+} from "../../measurement/TriangleDistance";
+
+// Broad phase: Finds all pairs of fragments of set A and set B whose world bounds are closer than the tolerance.
+// Uses sweep and prune along the x-axis.
+//
+//  loadContext.boxesA/boxesB     - Float32Array with 6 values (min, max) per fragment
+//  loadContext.objectsA/objectsB - Uint32Array with the object index of each fragment. Fragments of the
+//                                  same object are never paired, e.g. if the sets overlap.
+//  loadContext.tolerance         - Clearance tolerance, 0 for hard clashes only
+//
+// Posts { requestId, pairs } or { requestId, error }, where pairs is a Uint32Array of (fragment index A, fragment index B) pairs.
+function doBroadPhase(loadContext) {
+
+    const boxesA = loadContext.boxesA;
+    const boxesB = loadContext.boxesB;
+    const objectsA = loadContext.objectsA;
+    const objectsB = loadContext.objectsB;
+    const tolerance = loadContext.tolerance || 0;
+
+    const countA = objectsA.length;
+    const countB = objectsB.length;
+
+    // Entries of both sets, sorted by min x. B entries are offset by countA.
+    const order = new Uint32Array(countA + countB);
+    for (let i = 0; i < order.length; i++) {
+        order[i] = i;
+    }
+    const minX = (i) => i < countA ? boxesA[i * 6] : boxesB[(i - countA) * 6];
+    order.sort((a, b) => minX(a) - minX(b));
+
+    const overlaps = (a, b) => {
+        for (let k = 0; k < 3; k++) {
+            if (boxesA[a * 6 + k] > boxesB[b * 6 + 3 + k] + tolerance ||
+                boxesB[b * 6 + k] > boxesA[a * 6 + 3 + k] + tolerance) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // Removes the entries that end before x
+    const prune = (active, boxes, x) => {
+        let j = 0;
+        for (let i = 0; i < active.length; i++) {
+            if (boxes[active[i] * 6 + 3] + tolerance >= x) {
+                active[j++] = active[i];
+            }
+        }
+        active.length = j;
+    };
+
+    const activeA = [];
+    const activeB = [];
+    const pairs = [];
+
+    for (let i = 0; i < order.length; i++) {
+        const index = order[i];
+        if (index < countA) {
+            prune(activeB, boxesB, boxesA[index * 6]);
+            for (let j = 0; j < activeB.length; j++) {
+                const b = activeB[j];
+                if (objectsA[index] !== objectsB[b] && overlaps(index, b)) {
+                    pairs.push(index, b);
+                }
+            }
+            activeA.push(index);
+        } else {
+            const b = index - countA;
+            prune(activeA, boxesA, boxesB[b * 6]);
+            for (let j = 0; j < activeA.length; j++) {
+                const a = activeA[j];
+                if (objectsA[a] !== objectsB[b] && overlaps(a, b)) {
+                    pairs.push(a, b);
+                }
+            }
+            activeB.push(b);
+        }
+    }
+
+    const result = new Uint32Array(pairs);
+    loadContext.worker.postMessage({
+        requestId: loadContext.requestId,
+        pairs: result
+    }, [result.buffer]);
+}
+
+function setContained(state, point) {
+    state.distSq = 0;
+    state.penetrating = true;
+    for (let k = 0; k < 3; k++) {
+        state.p1[k] = state.p2[k] = point[k];
+    }
+}
+
+// Narrow phase: Computes the clashes of a batch of object pairs from the triangles of their fragments.
+//
+//  loadContext.triangles       - Array of Float64Arrays with the world-space triangles of each fragment (9 values per triangle)
+//  loadContext.objectPairs     - Array of Uint32Arrays, each with the (fragment index A, fragment index B) pairs of
+//                                one object pair. Fragment indices refer to loadContext.triangles.
+//  loadContext.tolerance       - Clearance tolerance, 0 for hard clashes only
+//  loadContext.touchTolerance  - Objects that penetrate less than this only touch, e.g. a column standing on a slab
+//  loadContext.includeTouching - Whether touching objects are reported
+//
+// Posts { requestId, clashes } or { requestId, error }, where each clash is { pair, distance, penetrating, pointA, pointB }
+// and pair is the index into objectPairs. Touching and penetrating objects have a distance of 0. Object pairs without
+// clash are omitted.
+function doNarrowPhase(loadContext) {
+
+    const triangles = loadContext.triangles;
+    const tolerance = loadContext.tolerance || 0;
+    const touchTolerance = loadContext.touchTolerance || 0;
+
+    // Only hard clashes are found if the initial distance is the smallest positive number
+    const maxDistSq = tolerance > 0 ? tolerance * tolerance : Number.MIN_VALUE;
+
+    const bvhs = new Array(triangles.length);
+    const getBVH = (index) => {
+        if (bvhs[index] === undefined) {
+            bvhs[index] = buildTriangleBVH(triangles[index]);
+        }
+        return bvhs[index];
+    };
+
+    const clashes = [];
+    loadContext.objectPairs.forEach((fragPairs, pairIndex) => {
+
+        // Visit the closest fragment pairs first
+        const candidates = [];
+        for (let i = 0; i < fragPairs.length; i += 2) {
+            const bvhA = getBVH(fragPairs[i]);
+            const bvhB = getBVH(fragPairs[i + 1]);
+            if (bvhA && bvhB) {
+                candidates.push({
+                    bvhA,
+                    bvhB,
+                    distSq: boxDistanceSq(bvhA.root.min, bvhA.root.max, bvhB.root.min, bvhB.root.max)
+                });
+            }
+        }
+        candidates.sort((a, b) => a.distSq - b.distSq);
+
+        const state = {
+            distSq: maxDistSq,
+            penetrating: false,
+            p1: [0, 0, 0],
+            p2: [0, 0, 0]
+        };
+
+        for (let i = 0; i < candidates.length; i++) {
+            if (candidates[i].distSq >= state.distSq) {
+                break;
+            }
+            searchBVHPair(candidates[i].bvhA, candidates[i].bvhB, state);
+            if (state.distSq === 0) {
+                break;
+            }
+        }
+
+        // Without touching triangles, one object may still be inside the other
+        for (let i = 0; i < candidates.length && state.distSq > 0; i++) {
+            const {
+                bvhA,
+                bvhB
+            } = candidates[i];
+            const pointA = bvhA.tris.subarray(0, 3);
+            const pointB = bvhB.tris.subarray(0, 3);
+            if (isPointInsideMesh(pointA, bvhB)) {
+                setContained(state, pointA);
+            } else if (isPointInsideMesh(pointB, bvhA)) {
+                setContained(state, pointB);
+            }
+        }
+
+        // Objects that meet may only touch
+        for (let i = 0; i < candidates.length && state.distSq === 0 && !state.penetrating; i++) {
+            if (candidates[i].distSq === 0 && findPenetration(candidates[i].bvhA, candidates[i].bvhB, touchTolerance, state.p1)) {
+                state.p2[0] = state.p1[0];
+                state.p2[1] = state.p1[1];
+                state.p2[2] = state.p1[2];
+                state.penetrating = true;
+            }
+        }
+
+        if (state.distSq === 0 && !state.penetrating && !loadContext.includeTouching) {
+            return;
+        }
+
+        if (state.distSq < maxDistSq) {
+            clashes.push({
+                pair: pairIndex,
+                distance: Math.sqrt(state.distSq),
+                penetrating: state.penetrating,
+                pointA: state.p1,
+                pointB: state.p2
+            });
+        }
+    });
+
+    loadContext.worker.postMessage({
+        requestId: loadContext.requestId,
+        clashes: clashes
+    });
+}
+
+// Posts { requestId, error } if the operation throws, e.g. when running out of memory for the BVHs.
+// Otherwise the caller would wait for the result forever.
+function catchErrors(doOperation) {
+    return function(loadContext) {
+        try {
+            doOperation(loadContext);
+        } catch (exc) {
+            loadContext.worker.postMessage({
+                requestId: loadContext.requestId,
+                error: exc.toString(),
+                stack: exc.stack
+            });
+        }
+    };
+}
+
+export function register(workerMain) {
+    workerMain.register("CLASH_BROAD_PHASE", {
+        doOperation: catchErrors(doBroadPhase)
+    });
+    workerMain.register("CLASH_NARROW_PHASE", {
+        doOperation: catchErrors(doNarrowPhase)
+    });
+}
@@ -69,6 +69,10 @@ require("./OtgDecodeWorker.ts").register(workerMain);
 require("./PropWorker").register(workerMain);
 require("./ConsolidationWorker").register(workerMain);
 require("./BvhWorker").register(workerMain);
+require("./StlWorker").register(workerMain);
+require("./ObjWorker").register(workerMain);
+require("./PointCloudWorker").register(workerMain);
+require("./ClashWorker").register(workerMain);
 
 // when we request some resource from some kinds of URL
 // This method will give the worker ability to support EMSCRIPTEN File Sytstem
@@ -0,0 +1,362 @@
+import {
+    parseObj,
+    parseMtl
+} from '../lmvtk/obj/Obj';
+import {
+    createMeshPackage,
+    createSimplePhongMaterial,
+    getTransferList,
+    makeProperty,
+    getFileName
+} from '../lmvtk/common/MeshPackage';
+import {
+    ViewingService
+} from '../net/Xhr';
+import {
+    ErrorCodes
+} from '../net/ErrorCodes';
+import {
+    AttributeType
+} from '../lmvtk/common/PropdbEnums';
+
+var ROOT_DBID = 1;
+
+var DEFAULT_MATERIAL = {
+    diffuse: {
+        r: 0.7,
+        g: 0.7,
+        b: 0.7
+    },
+    specular: {
+        r: 0.2,
+        g: 0.2,
+        b: 0.2
+    }
+};
+
+// MTL texture statements and the SVF texture slots they map to.
+// Normal maps take precedence over bump maps, since both go into the bump slot.
+var MTL_TEXTURE_SLOTS = [
+    ["map_Kd", "generic_diffuse"],
+    ["map_Ks", "generic_specular"],
+    ["map_d", "generic_alpha"],
+    ["map_bump", "generic_bump"],
+    ["norm", "generic_bump"]
+];
+
+function isAbsoluteUrl(path) {
+    return /^(https?|file|blob:\w+):\/\//i.test(path);
+}
+
+// Local absolute paths (e.g. C:/textures/wood.jpg) of the machine that exported the file
+function isLocalAbsolutePath(path) {
+    return /^[a-z]:\//i.test(path) || path.charAt(0) === "/";
+}
+
+// Returns the folder part of a relative path, including the trailing slash
+function getFolder(path) {
+    var lastSlash = path.lastIndexOf("/");
+    return lastSlash === -1 ? "" : path.substr(0, lastSlash + 1);
+}
+
+/**
+ * Converts an MTL material to a SimplePhong material definition.
+ * @param {object} mtl - As returned by parseMtl
+ * @param {string} folder - Folder of the MTL file, relative to the OBJ file (or absolute). Texture paths in the MTL
+ *                          are relative to the MTL file, texture uris in the package are relative to the OBJ file.
+ * @param {object[]} assets - Manifest assets. Receives an entry for each texture with an absolute url.
+ */
+function convertMtl(mtl, folder, assets) {
+
+    var params = {
+        diffuse: mtl.diffuse || (mtl.maps.map_Kd ? {
+            r: 1,
+            g: 1,
+            b: 1
+        } : DEFAULT_MATERIAL.diffuse),
+        ambient: mtl.ambient,
+        specular: mtl.specular,
+        emissive: mtl.emissive,
+        glossiness: isNaN(mtl.shininess) ? undefined : mtl.shininess,
+        opacity: isNaN(mtl.opacity) ? undefined : Math.max(0, Math.min(1, mtl.opacity)),
+        textures: {}
+    };
+
+    for (var i = 0; i < MTL_TEXTURE_SLOTS.length; i++) {
+        var map = mtl.maps[MTL_TEXTURE_SLOTS[i][0]];
+        if (!map)
+            continue;
+
+        var uri = map.file;
+        if (isLocalAbsolutePath(uri)) {
+            // Such paths are useless here. Look for the texture next to the MTL file instead.
+            uri = folder + getFileName(uri);
+        } else if (!isAbsoluteUrl(uri)) {
+            uri = folder + uri;
+        }
+
+        if (isAbsoluteUrl(uri)) {
+            // TextureLoader resolves uris relative to the base path, unless they are listed as assets
+            assets.push({
+                id: uri,
+                URI: uri
+            });
+        }
+
+        params.textures[MTL_TEXTURE_SLOTS[i][1]] = {
+            uri: uri,
+            uScale: map.uScale,
+            vScale: map.vScale,
+            uOffset: map.uOffset,
+            vOffset: map.vOffset,
+            bumpAmount: map.bumpAmount,
+            isNormalMap: MTL_TEXTURE_SLOTS[i][0] === "norm"
+        };
+    }
+
+    return createSimplePhongMaterial(params);
+}
+
+/**
+ * Creates the object tree: the file is the root, objects (o) are its children and groups (g) are children
+ * of the object they appear in. Geometry outside of any object or group is attached to the root.
+ * Returns the tree and assigns part.dbId to each part.
+ */
+function createObjectTree(loadContext, obj) {
+
+    var fileName = getFileName(loadContext.url);
+    var nextDbId = ROOT_DBID + 1;
+
+    function createNode(name, type) {
+        return {
+            dbId: nextDbId++,
+            name: name,
+            externalId: name,
+            type: type,
+            children: [],
+            materials: [],
+            triangleCount: 0
+        };
+    }
+
+    var root = createNode(fileName, "File");
+    root.dbId = ROOT_DBID;
+
+    var objectNodes = {};
+    var groupNodes = {};
+
+    function addStats(node, part) {
+        node.triangleCount += part.triangleCount;
+        if (part.material && node.materials.indexOf(part.material) === -1)
+            node.materials.push(part.material);
+    }
+
+    for (var i = 0; i < obj.parts.length; i++) {
+        var part = obj.parts[i];
+        var parent = root;
+
+        if (part.object !== null) {
+            parent = objectNodes[part.object];
+            if (!parent) {
+                parent = objectNodes[part.object] = createNode(part.object, "Object");
+                root.children.push(parent);
+            }
+            addStats(parent, part);
+        }
+
+        var node = parent;
+        if (part.group !== null) {
+            var key = part.object + "\u0000" + part.group;
+            node = groupNodes[key];
+            if (!node) {
+                node = groupNodes[key] = createNode(part.group, "Group");
+                parent.children.push(node);
+            }
+            addStats(node, part);
+        }
+
+        addStats(root, part);
+        part.dbId = node.dbId;
+    }
+
+    function addProperties(node) {
+        node.properties = [
+            makeProperty("Name", node.name, AttributeType.String, "OBJ"),
+            makeProperty("Type", node.type, AttributeType.String, "OBJ"),
+            makeProperty("Material", node.materials.join(", "), AttributeType.String, "OBJ"),
+            makeProperty("Triangles", node.triangleCount, AttributeType.Integer, "OBJ")
+        ];
+        delete node.type;
+        delete node.materials;
+        delete node.triangleCount;
+
+        node.children.forEach(addProperties);
+    }
+
+    addProperties(root);
+
+    return root;
+}
+
+function doLoadObj(loadContext) {
+
+    var _this = loadContext.worker;
+
+    _this.postMessage({
+        progress: 0.01
+    }); //Tell the main thread we are alive
+
+    var obj;
+    var mtlMaterials = {};
+
+    // Loads the material libraries one after the other. Missing or broken libraries are not fatal,
+    // the affected parts get the default material.
+    function loadMaterialLibraries(index) {
+
+        if (index >= obj.mtllibs.length) {
+            onMaterialsLoaded();
+            return;
+        }
+
+        var mtllib = obj.mtllibs[index].replace(/\\/g, "/");
+        if (isLocalAbsolutePath(mtllib))
+            mtllib = getFileName(mtllib);
+        var folder = getFolder(mtllib);
+        var url = isAbsoluteUrl(mtllib) ? mtllib : loadContext.basePath + mtllib;
+
+        function onMtlSuccess(result) {
+            try {
+                var materials = parseMtl(new Uint8Array(result));
+                for (var name in materials) {
+                    // The first definition of a material wins, as in most other OBJ readers
+                    if (!mtlMaterials[name]) {
+                        mtlMaterials[name] = {
+                            mtl: materials[name],
+                            folder: folder
+                        };
+                    }
+                }
+            } catch (exc) {
+                _this.debug("Failed to parse material library " + mtllib + ": " + exc.toString());
+            }
+            loadMaterialLibraries(index + 1);
+        }
+
+        function onMtlFailure(httpStatus) {
+            _this.debug("Failed to load material library " + mtllib + " (" + httpStatus + ")");
+            loadMaterialLibraries(index + 1);
+        }
+
+        ViewingService.getItem(loadContext, url, onMtlSuccess, onMtlFailure, {
+            responseType: "arraybuffer"
+        });
+    }
+
+    function onMaterialsLoaded() {
+
+        try {
+            // Material 0 is the default material, for parts without (or with unknown) material
+            var materials = {
+                "0": createSimplePhongMaterial(DEFAULT_MATERIAL)
+            };
+            var materialIds = {};
+            var assets = [];
+            var nextMaterialId = 1;
+
+            var objectTree = createObjectTree(loadContext, obj);
+
+            var items = [];
+            var meshes = [];
+            for (var i = 0; i < obj.parts.length; i++) {
+                var part = obj.parts[i];
+
+                var materialId = 0;
+                var entry = part.material !== null && mtlMaterials[part.material];
+                if (entry) {
+                    materialId = materialIds[part.material];
+                    if (materialId === undefined) {
+                        materialId = materialIds[part.material] = nextMaterialId++;
+                        materials[materialId] = convertMtl(entry.mtl, entry.folder, assets);
+                    }
+                }
+
+                for (var j = 0; j < part.meshes.length; j++) {
+                    items.push({
+                        mesh: part.meshes[j],
+                        dbId: part.dbId,
+                        materialId: materialId
+                    });
+                    meshes.push(part.meshes[j]);
+                }
+            }
+
+            var pkg = createMeshPackage(loadContext, items, {
+                materials: materials,
+                objectTree: objectTree,
+                primitiveCount: obj.triangleCount,
+                byteLength: obj.byteLength,
+                // OBJ has no notion of an up vector, but most files are exported Y-up
+                upVector: [0, 1, 0]
+            });
+
+            pkg.isObj = true;
+            pkg.manifest.assets = assets;
+
+            _this.postMessage({
+                "svf": pkg,
+                "meshes": meshes,
+                progress: 1.0
+            }, getTransferList(pkg, meshes));
+
+        } catch (exc) {
+            _this.raiseError(
+                ErrorCodes.BAD_DATA, "Unhandled exception while loading OBJ", {
+                    "url": loadContext.url,
+                    "exception": exc.toString(),
+                    "stack": exc.stack
+                });
+        }
+    }
+
+    function onSuccess(result) {
+
+        _this.postMessage({
+            progress: 0.5
+        });
+
+        try {
+            var data = new Uint8Array(result);
+
+            obj = parseObj(data);
+            obj.byteLength = data.byteLength;
+
+            if (!obj.triangleCount) {
+                _this.raiseError(
+                    ErrorCodes.BAD_DATA, "OBJ file does not contain any faces", {
+                        "url": loadContext.url
+                    });
+                return;
+            }
+        } catch (exc) {
+            _this.raiseError(
+                ErrorCodes.BAD_DATA, "Unhandled exception while loading OBJ", {
+                    "url": loadContext.url,
+                    "exception": exc.toString(),
+                    "stack": exc.stack
+                });
+            return;
+        }
+
+        loadMaterialLibraries(0);
+    }
+
+    ViewingService.getItem(loadContext, loadContext.url, onSuccess, loadContext.onFailureCallback, {
+        responseType: "arraybuffer"
+    });
+}
+
+export function register(workerMain) {
+    workerMain.register("LOAD_OBJ", {
+        doOperation: doLoadObj
+    });
+}
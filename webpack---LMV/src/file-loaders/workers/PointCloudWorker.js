@@ -0,0 +1,302 @@
+import {
+    parsePointCloud
+} from '../lmvtk/pointcloud/PointCloud';
+import {
+    partitionPoints
+} from '../lmvtk/pointcloud/PointPartition';
+import {
+    createMeshPackage,
+    createSimplePhongMaterial,
+    getTransferList,
+    getMeshTransferList,
+    makeProperty,
+    getFileName
+} from '../lmvtk/common/MeshPackage';
+import {
+    ViewingService
+} from '../net/Xhr';
+import {
+    ErrorCodes
+} from '../net/ErrorCodes';
+import {
+    AttributeType
+} from '../lmvtk/common/PropdbEnums';
+
+// The whole cloud is a single object
+var POINT_CLOUD_DBID = 1;
+
+// Points per fragment. Smaller cells cull better, larger ones mean fewer draw calls.
+// Must stay below 65536 for 16 bit indices.
+var MAX_POINTS_PER_MESH = 16384;
+
+// Number of meshes sent to the main thread per message
+var MESHES_PER_MESSAGE = 32;
+
+var DEFAULT_POINT_SIZE = 2;
+
+/**
+ * Returns the per-point color source to use: "rgb", "intensity" or null.
+ * @param {object} cloud - As returned by parsePointCloud
+ * @param {string} [requested] - "rgb", "intensity" or "none". By default, RGB is preferred over intensity.
+ */
+function getColorSource(cloud, requested) {
+    if (requested === "none")
+        return null;
+    if (cloud.colors && requested !== "intensity")
+        return "rgb";
+    if (cloud.intensities && requested !== "rgb")
+        return "intensity";
+    return cloud.colors ? "rgb" : null;
+}
+
+function getIntensityRange(intensities) {
+    var min = Infinity,
+        max = -Infinity;
+    for (var i = 0; i < intensities.length; i++) {
+        var v = intensities[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return {
+        min: min,
+        scale: max > min ? 1 / (max - min) : 0
+    };
+}
+
+/**
+ * Creates the points mesh of a cell. Positions are relative to the cell center, which goes into the fragment transform.
+ */
+function createPointMesh(cloud, order, cell, center, colorSource, intensityRange, pointSize) {
+
+    var count = cell.count;
+    var hasColors = !!colorSource;
+
+    var mesh = {
+        vertexCount: count,
+        vbstride: hasColors ? 6 : 3,
+        vblayout: {
+            position: {
+                offset: 0,
+                itemSize: 3
+            }
+        },
+        isPoints: true,
+        pointSize: pointSize
+    };
+
+    if (hasColors) {
+        mesh.vblayout.color = {
+            offset: 3,
+            itemSize: 3
+        };
+    }
+
+    var vb = mesh.vb = new Float32Array(count * mesh.vbstride);
+    var indices = mesh.indices = new Uint16Array(count);
+
+    var positions = cloud.positions;
+    var colors = cloud.colors;
+    var intensities = cloud.intensities;
+    var colorScale = cloud.colorScale;
+
+    for (var i = 0, offset = 0; i < count; i++, offset += mesh.vbstride) {
+        var idx = order[cell.start + i];
+        var p = idx * 3;
+
+        vb[offset] = positions[p] - center[0];
+        vb[offset + 1] = positions[p + 1] - center[1];
+        vb[offset + 2] = positions[p + 2] - center[2];
+
+        if (colorSource === "rgb") {
+            vb[offset + 3] = colors[p] * colorScale;
+            vb[offset + 4] = colors[p + 1] * colorScale;
+            vb[offset + 5] = colors[p + 2] * colorScale;
+        } else if (colorSource === "intensity") {
+            var gray = (intensities[idx] - intensityRange.min) * intensityRange.scale;
+            vb[offset + 3] = gray;
+            vb[offset + 4] = gray;
+            vb[offset + 5] = gray;
+        }
+
+        indices[i] = i;
+    }
+
+    mesh.boundingBox = getCellBox(cell, center);
+
+    return mesh;
+}
+
+function getCellCenter(cell) {
+    return [
+        (cell.min[0] + cell.max[0]) * 0.5,
+        (cell.min[1] + cell.max[1]) * 0.5,
+        (cell.min[2] + cell.max[2]) * 0.5
+    ];
+}
+
+function getCellBox(cell, center) {
+    return {
+        min: {
+            x: cell.min[0] - center[0],
+            y: cell.min[1] - center[1],
+            z: cell.min[2] - center[2]
+        },
+        max: {
+            x: cell.max[0] - center[0],
+            y: cell.max[1] - center[1],
+            z: cell.max[2] - center[2]
+        }
+    };
+}
+
+function createObjectTree(loadContext, cloud, colorSource, bbox) {
+
+    var name = getFileName(loadContext.url);
+    var units = loadContext.units;
+    var colors = colorSource === "rgb" ? "RGB" : colorSource === "intensity" ? "Intensity" : "None";
+
+    var properties = [
+        makeProperty("File Name", name, AttributeType.String, "Point Cloud"),
+        makeProperty("Format", cloud.format, AttributeType.String, "Point Cloud"),
+        makeProperty("Points", cloud.count, AttributeType.Integer, "Point Cloud"),
+        makeProperty("Colors", colors, AttributeType.String, "Point Cloud"),
+        makeProperty("Width", bbox.max.x - bbox.min.x, AttributeType.Double, "Point Cloud", units, 3),
+        makeProperty("Depth", bbox.max.y - bbox.min.y, AttributeType.Double, "Point Cloud", units, 3),
+        makeProperty("Height", bbox.max.z - bbox.min.z, AttributeType.Double, "Point Cloud", units, 3)
+    ];
+
+    if (cloud.pointFormat !== undefined)
+        properties.push(makeProperty("Point Data Format", cloud.pointFormat, AttributeType.Integer, "Point Cloud"));
+
+    return {
+        dbId: POINT_CLOUD_DBID,
+        name: name,
+        externalId: name,
+        children: [],
+        properties: properties
+    };
+}
+
+function doLoadPointCloud(loadContext) {
+
+    var _this = loadContext.worker;
+
+    _this.postMessage({
+        progress: 0.01
+    }); //Tell the main thread we are alive
+
+    function onSuccess(result) {
+
+        _this.postMessage({
+            progress: 0.2
+        });
+
+        try {
+            var data = new Uint8Array(result);
+
+            var cloud = parsePointCloud(data);
+            if (!cloud.count) {
+                _this.raiseError(
+                    ErrorCodes.BAD_DATA, "Point cloud file does not contain any points", {
+                        "url": loadContext.url
+                    });
+                return;
+            }
+
+            _this.postMessage({
+                progress: 0.4
+            });
+
+            var colorSource = getColorSource(cloud, loadContext.pointColors);
+            var intensityRange = colorSource === "intensity" && getIntensityRange(cloud.intensities);
+            var pointSize = loadContext.pointSize || DEFAULT_POINT_SIZE;
+
+            var partition = partitionPoints(cloud.positions, cloud.count, MAX_POINTS_PER_MESH);
+            var cells = partition.cells;
+
+            // Center georeferenced clouds at the origin, unless the caller decided on an offset
+            if (!loadContext.globalOffset) {
+                loadContext.globalOffset = {
+                    x: (cloud.bounds.min.x + cloud.bounds.max.x) * 0.5,
+                    y: (cloud.bounds.min.y + cloud.bounds.max.y) * 0.5,
+                    z: (cloud.bounds.min.z + cloud.bounds.max.z) * 0.5
+                };
+            }
+
+            // The fragment list is complete before any mesh exists, so that the main thread
+            // can set up the model (and the BVH) right away while the meshes are still being built.
+            var centers = cells.map(getCellCenter);
+            var items = cells.map(function(cell, i) {
+                var center = centers[i];
+                return {
+                    mesh: {
+                        boundingBox: getCellBox(cell, center)
+                    },
+                    dbId: POINT_CLOUD_DBID,
+                    materialId: 0,
+                    translation: {
+                        x: cloud.origin.x + center[0],
+                        y: cloud.origin.y + center[1],
+                        z: cloud.origin.z + center[2]
+                    }
+                };
+            });
+
+            var pkg = createMeshPackage(loadContext, items, {
+                materials: {
+                    // Only used for points without colors
+                    "0": createSimplePhongMaterial({
+                        diffuse: loadContext.color || {
+                            r: 0.8,
+                            g: 0.8,
+                            b: 0.8
+                        }
+                    })
+                },
+                primitiveCount: cloud.count,
+                byteLength: data.byteLength
+            });
+
+            pkg.isPointCloud = true;
+            pkg.objectTree = createObjectTree(loadContext, cloud, colorSource, cloud.bounds);
+
+            _this.postMessage({
+                "svf": pkg,
+                "meshes": [],
+                progress: 0.5
+            }, getTransferList(pkg, []));
+
+            // Stream the meshes in chunks
+            for (var first = 0; first < cells.length; first += MESHES_PER_MESSAGE) {
+                var meshes = [];
+                var last = Math.min(first + MESHES_PER_MESSAGE, cells.length);
+                for (var c = first; c < last; c++)
+                    meshes.push(createPointMesh(cloud, partition.order, cells[c], centers[c], colorSource, intensityRange, pointSize));
+
+                _this.postMessage({
+                    "meshes": meshes,
+                    "meshOffset": first,
+                    progress: 0.5 + 0.5 * last / cells.length
+                }, getMeshTransferList(meshes));
+            }
+
+        } catch (exc) {
+            _this.raiseError(
+                ErrorCodes.BAD_DATA, "Unhandled exception while loading point cloud", {
+                    "url": loadContext.url,
+                    "exception": exc.toString(),
+                    "stack": exc.stack
+                });
+        }
+    }
+
+    ViewingService.getItem(loadContext, loadContext.url, onSuccess, loadContext.onFailureCallback, {
+        responseType: "arraybuffer"
+    });
+}
+
+export function register(workerMain) {
+    workerMain.register("LOAD_POINT_CLOUD", {
+        doOperation: doLoadPointCloud
+    });
+}
@@ -14,8 +14,15 @@ import {
 } from '../../wgs/scene/InstanceTreeStorage';
 import {
     PropertyDatabaseCustomPropertyWrapper,
-    acquireCustomPropsCache
+    acquireCustomPropsCache,
+    createUserCustomAttrs
 } from '../lmvtk/common/PropdbCustomPropertyWrapper.js';
+import {
+    executePropertyQuery
+} from '../lmvtk/common/PropertyQuery';
+import {
+    exportProperties
+} from '../lmvtk/common/PropertyExport';
 
 function PdbCacheEntry(dbPath, isShared) {
     this.pdb = null;
@@ -533,6 +540,95 @@ function doPropertySearch(loadContext) {
 
 }
 
+function doPropertyQuery(loadContext) {
+
+    var _this = loadContext.worker;
+
+    var cacheEntry = _this.pdbCache && _this.pdbCache.get(loadContext.dbPath);
+
+    if (!cacheEntry || !cacheEntry.pdb) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: "Properties are not available."
+            }
+        });
+        return;
+    }
+
+    var result;
+    try {
+        result = executePropertyQuery(cacheEntry.pdb, loadContext.query, loadContext.queryOptions);
+    } catch (e) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: e.message
+            }
+        });
+        return;
+    }
+    _this.postMessage({
+        cbId: loadContext.cbId,
+        result: result
+    });
+}
+
+function doPropertyExport(loadContext) {
+
+    var _this = loadContext.worker;
+
+    var cacheEntry = _this.pdbCache && _this.pdbCache.get(loadContext.dbPath);
+
+    if (!cacheEntry || !cacheEntry.pdb) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: "Properties are not available."
+            }
+        });
+        return;
+    }
+
+    // send messages for progress events to main thread
+    var onProgress = function(percent) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            progress: {
+                percent: percent
+            }
+        });
+    };
+
+    // send the output in chunks through the progress messages, so it's never posted as a whole
+    var onData = function(data) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            progress: {
+                data: data
+            }
+        });
+    };
+
+    var result;
+    try {
+        result = exportProperties(cacheEntry.pdb, loadContext.exportOptions, onProgress, onData);
+    } catch (e) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: e.message
+            }
+        });
+        return;
+    }
+
+    _this.postMessage({
+        cbId: loadContext.cbId,
+        result: result
+    });
+}
+
 function doPropertyDiff(loadContext) {
 
     var _this = loadContext.worker;
@@ -600,6 +696,10 @@ function searchTree(node, dbId, result) {
     if (dbId == node.dbId) {
         result['name'] = node.name;
         result['dbId'] = dbId;
+        if (node.externalId !== undefined)
+            result['externalId'] = node.externalId;
+        if (node.properties)
+            result['properties'] = node.properties;
         return;
     }
 
@@ -619,6 +719,16 @@ function getPropertyResults(loadContext) {
     if (!cacheEntry || !cacheEntry.pdb) {
         if (loadContext.gltfTree) {
             var gltfTree = loadContext.gltfTree;
+            if (loadContext.dbIds) {
+                var treeResults = [];
+                for (let i = 0; i < loadContext.dbIds.length; i++) {
+                    let treeResult = {};
+                    searchTree(gltfTree, loadContext.dbIds[i], treeResult);
+                    if (treeResult.dbId !== undefined)
+                        treeResults.push(treeResult);
+                }
+                return treeResults;
+            }
             var result = {};
             searchTree(gltfTree, loadContext.dbId, result);
             return result;
@@ -1017,6 +1127,67 @@ async function doRefreshCustomPropertiesValues(loadContext) {
     });
 }
 
+/**
+ * Attaches user-defined custom properties to a property database. Values are keyed by externalId,
+ * so the externalIds must have been loaded before. A plain property database is wrapped on demand.
+ * Note that this replaces custom properties that were attached before.
+ *
+ * @param {object} loadContext
+ * @param {string} loadContext.dbPath - the path to the property db files, used as a key here
+ * @param {object[]} loadContext.definitions - the custom property definitions, see createUserCustomAttrs
+ * @param {object} loadContext.values - maps externalIds to {propertyKey: value}
+ * @param {object} loadContext.worker - the web worker.
+ */
+function doSetUserCustomProperties(loadContext) {
+    var _this = loadContext.worker;
+
+    var cacheEntry = _this.pdbCache && _this.pdbCache.get(loadContext.dbPath);
+
+    if (!cacheEntry || !cacheEntry.pdb) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: "Properties are not available."
+            }
+        });
+        return;
+    }
+
+    var pdb = cacheEntry.pdb;
+    if (!pdb.externalIdsLoaded()) {
+        _this.postMessage({
+            cbId: loadContext.cbId,
+            error: {
+                msg: "ExternalIds are not loaded."
+            }
+        });
+        return;
+    }
+
+    if (!('setCustomAttrs' in pdb)) {
+        var wrapper = new PropertyDatabaseCustomPropertyWrapper(pdb);
+        wrapper.refCount = pdb.refCount;
+        wrapper.idroots = pdb.idroots;
+        wrapper.rootsDone = pdb.rootsDone;
+        cacheEntry.pdb = pdb = wrapper;
+    }
+
+    var extIdFilter = {};
+    for (var externalId in loadContext.values) {
+        extIdFilter[externalId] = true;
+    }
+    var mapping = pdb.getExternalIdMapping(extIdFilter);
+    var result = createUserCustomAttrs(loadContext.definitions || [], loadContext.values || {}, mapping);
+    pdb.setCustomAttrs(result.customAttrs);
+
+    _this.postMessage({
+        cbId: loadContext.cbId,
+        result: {
+            unresolvedIds: result.unresolvedIds
+        }
+    });
+}
+
 export function register(workerMain) {
     workerMain.register("BUILD_EXTERNAL_ID_MAPPING", {
         doOperation: doBuildExternalIdMapping
@@ -1033,6 +1204,12 @@ export function register(workerMain) {
     workerMain.register("SEARCH_PROPERTIES", {
         doOperation: doPropertySearch
     });
+    workerMain.register("QUERY_PROPERTIES", {
+        doOperation: doPropertyQuery
+    });
+    workerMain.register("EXPORT_PROPERTIES", {
+        doOperation: doPropertyExport
+    });
     workerMain.register("DIFF_PROPERTIES", {
         doOperation: doPropertyDiff
     });
@@ -1063,4 +1240,7 @@ export function register(workerMain) {
     workerMain.register("REFRESH_CUSTOM_PROPERTIES_VALUES", {
         doOperation: doRefreshCustomPropertiesValues
     });
+    workerMain.register("SET_USER_CUSTOM_PROPERTIES", {
+        doOperation: doSetUserCustomProperties
+    });
 }
\ No newline at end of file
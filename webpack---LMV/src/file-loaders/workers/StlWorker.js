@@ -0,0 +1,129 @@
+import {
+    parseStl
+} from '../lmvtk/stl/Stl';
+import {
+    createMeshPackage,
+    createSimplePhongMaterial,
+    getTransferList,
+    makeProperty,
+    getFileName
+} from '../lmvtk/common/MeshPackage';
+import {
+    ViewingService
+} from '../net/Xhr';
+import {
+    ErrorCodes
+} from '../net/ErrorCodes';
+import {
+    AttributeType
+} from '../lmvtk/common/PropdbEnums';
+
+// The single object of an STL file. There is no property database, so we
+// synthesize a one-node object tree with a handful of properties.
+var STL_DBID = 1;
+
+function createObjectTree(loadContext, stl, bbox) {
+
+    var name = stl.name || getFileName(loadContext.url);
+    var units = loadContext.units;
+
+    return {
+        dbId: STL_DBID,
+        name: name,
+        externalId: name,
+        children: [],
+        properties: [
+            makeProperty("File Name", getFileName(loadContext.url), AttributeType.String, "STL"),
+            makeProperty("Format", stl.isBinary ? "Binary" : "ASCII", AttributeType.String, "STL"),
+            makeProperty("Triangles", stl.triangleCount, AttributeType.Integer, "STL"),
+            makeProperty("Width", bbox.max.x - bbox.min.x, AttributeType.Double, "STL", units, 3),
+            makeProperty("Depth", bbox.max.y - bbox.min.y, AttributeType.Double, "STL", units, 3),
+            makeProperty("Height", bbox.max.z - bbox.min.z, AttributeType.Double, "STL", units, 3)
+        ]
+    };
+}
+
+function doLoadStl(loadContext) {
+
+    var _this = loadContext.worker;
+
+    _this.postMessage({
+        progress: 0.01
+    }); //Tell the main thread we are alive
+
+    function onSuccess(result) {
+
+        _this.postMessage({
+            progress: 0.5
+        });
+
+        try {
+            var data = new Uint8Array(result);
+
+            var stl = parseStl(data);
+            if (!stl.triangleCount) {
+                _this.raiseError(
+                    ErrorCodes.BAD_DATA, "STL file does not contain any triangles", {
+                        "url": loadContext.url
+                    });
+                return;
+            }
+
+            var items = stl.meshes.map(function(mesh) {
+                return {
+                    mesh: mesh,
+                    dbId: STL_DBID,
+                    materialId: 0
+                };
+            });
+
+            var pkg = createMeshPackage(loadContext, items, {
+                materials: {
+                    "0": createSimplePhongMaterial({
+                        diffuse: loadContext.color || {
+                            r: 0.7,
+                            g: 0.7,
+                            b: 0.7
+                        },
+                        specular: {
+                            r: 0.2,
+                            g: 0.2,
+                            b: 0.2
+                        },
+                        // Open (non-watertight) STL files are common, don't cull backfaces.
+                        backfaceCulling: false
+                    })
+                },
+                primitiveCount: stl.triangleCount,
+                byteLength: data.byteLength
+            });
+
+            pkg.isStl = true;
+            pkg.objectTree = createObjectTree(loadContext, stl, pkg.bbox);
+
+            _this.postMessage({
+                "svf": pkg,
+                "meshes": stl.meshes,
+                progress: 1.0
+            }, getTransferList(pkg, stl.meshes));
+
+        } catch (exc) {
+            _this.raiseError(
+                ErrorCodes.BAD_DATA, "Unhandled exception while loading STL", {
+                    "url": loadContext.url,
+                    "exception": exc.toString(),
+                    "stack": exc.stack
+                });
+        }
+    }
+
+    ViewingService.getItem(loadContext, loadContext.url, onSuccess, loadContext.onFailureCallback, {
+        responseType: "arraybuffer"
+    });
+}
+
+export function register(workerMain) {
+    workerMain.register("LOAD_STL", {
+        doOperation: doLoadStl
+    });
+}
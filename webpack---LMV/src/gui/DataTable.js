@@ -9,6 +9,24 @@ const AGGREGATE_MAX = 'MAX';
 const AGGREGATE_SUM = 'SUM';
 const AGGREGATE_AVG = 'AVG';
 const AGGREGATE_COUNT = 'COUNT';
+
+/**
+ * Returns the html of a table row. The data-row attribute refers to the row index in DataTable.rowData.
+ *
+ * @param {Array} row - cell contents
+ * @param {number} index - row index
+ * @param {string} [className]
+ * @param {string} [lastCellSuffix] - html appended to the last cell
+ * @private
+ */
+function renderRow(row, index, className, lastCellSuffix) {
+    var classAttr = className ? " class='" + className + "'" : "";
+    return "<tr data-row='" + index + "'" + classAttr + ">" +
+        row.map(function(col, i) {
+            return '<td>' + col + (lastCellSuffix && i === row.length - 1 ? lastCellSuffix : '') + '</td>';
+        }).join(" ") +
+        "</tr>";
+}
 /**
  * UI component in LMV that can be added into the DockingPanels to create custom tables
  *
@@ -89,6 +107,15 @@ DataTable.prototype._createRows = function() {
         '</div>';
     rowDiv.innerHTML = html;
     this.datatableDiv.appendChild(rowDiv);
+
+    var self = this;
+    rowDiv.addEventListener('click', function(event) {
+        var tr = event.target.closest('tr[data-row]');
+        if (tr && self.rowClickCallback && self.rowData) {
+            var index = parseInt(tr.getAttribute('data-row'));
+            self.rowClickCallback(self.rowData[index], index, event);
+        }
+    });
 };
 
 /**
@@ -110,12 +137,8 @@ DataTable.prototype.setData = function(rowdata, columndata) {
     var self = this;
     this.rowData = rowdata;
     this.clusterize = new Clusterize({
-        rows: this.rowData.map(function(row) {
-            return "<tr>" +
-                row.map(function(col) {
-                    return '<td>' + col + '</td>';
-                }).join(" ") +
-                "</tr>";
+        rows: this.rowData.map(function(row, index) {
+            return renderRow(row, index);
         }),
         scrollId: 'scrollArea',
         contentId: 'contentArea',
@@ -200,12 +223,8 @@ DataTable.prototype._sortTable = function(col, reverse) {
     var sortFunc = this.sortFunction && this.sortFunction.bind(this);
     tr = tr.sort(sortFunc(col, reverse));
 
-    var rows = tr.map(function(row) {
-        return "<tr>" +
-            row.map(function(col) {
-                return '<td>' + col + '</td>';
-            }).join(" ") +
-            "</tr>";
+    var rows = tr.map(function(row, index) {
+        return renderRow(row, index);
     });
     this.clusterize.update(rows);
 
@@ -224,6 +243,16 @@ DataTable.prototype.setSortFunction = function(sortFunc) {
     this.sortFunction = sortFunc;
 };
 
+/**
+ * Sets a callback that is invoked when the user clicks a row
+ *
+ * @param {Function} callback - receives the row data, its index in the dataset and the click event
+ * @alias Autodesk.Viewing.UI.DataTable#setRowClickCallback
+ */
+DataTable.prototype.setRowClickCallback = function(callback) {
+    this.rowClickCallback = callback;
+};
+
 /**
  * API to get the custom sorting function
  *
@@ -284,23 +313,12 @@ DataTable.prototype.groupByColumn = function(col) {
         var id = row[col];
         if (!rowGroups[id]) rowGroups[id] = [];
         if (rowGroups[id].length > 0) {
-            row = "<tr class= 'subrow'>" + row.map(function(col) {
-                    return '<td>' + col + '</td>';
-                }).join(" ") +
-                "</tr>";
+            row = renderRow(row, i, 'subrow');
         } else {
-            const rowLen = row.length;
             var html =
                 '<span value="click">' +
                 '</span>';
-            row = "<tr class= 'parentrow'>" + row.map(function(col, i) {
-                    if (rowLen === i + 1) {
-                        return '<td>' + col + html + '</td>';
-                    } else {
-                        return '<td>' + col + '</td>';
-                    }
-                }).join(" ") +
-                "</tr>";
+            row = renderRow(row, i, 'parentrow', html);
         }
         rowGroups[id].push(row);
     }
@@ -0,0 +1,447 @@
+import {
+    DockingPanel
+} from "./DockingPanel";
+import {
+    DataTable
+} from "./DataTable";
+import {
+    formatValueWithUnits
+} from "../measurement/UnitFormatter";
+import i18n from "i18next";
+import './DiffPanel.css'; // IMPORTANT!!
+
+/**
+ * Kinds of differences listed by the DiffPanel.
+ * @alias Autodesk.Viewing.UI.DiffStatus
+ */
+export var DiffStatus = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    MODIFIED: 'modified'
+};
+
+var STATUS_LABELS = {
+    [DiffStatus.ADDED]: 'Added',
+    [DiffStatus.REMOVED]: 'Removed',
+    [DiffStatus.MODIFIED]: 'Modified'
+};
+
+var STATUS_COLORS = {
+    [DiffStatus.ADDED]: new THREE.Vector4(0.2, 0.8, 0.2, 1),
+    [DiffStatus.REMOVED]: new THREE.Vector4(0.9, 0.1, 0.1, 1),
+    [DiffStatus.MODIFIED]: new THREE.Vector4(1.0, 0.6, 0.0, 1)
+};
+
+var COLUMNS = ['Status', 'Name', 'ID', 'Category', 'Property', 'Old Value', 'New Value'];
+
+// Filter value for "no filter"
+var ALL = '';
+
+function escapeHtml(text) {
+    return text.toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatValue(value, change) {
+    if (value === undefined || value === null)
+        return '';
+    return formatValueWithUnits(value, change.units, change.type, change.precision);
+}
+
+function getNodeName(model, dbId) {
+    var tree = model.getInstanceTree();
+    return (tree && tree.getNodeName(dbId)) || '';
+}
+
+// Sorts numbers numerically and everything else alphabetically
+function sortFunction(col, reverse) {
+    var sign = reverse ? -1 : 1;
+    return function(a, b) {
+        var x = a[col],
+            y = b[col];
+        var diff = (x !== '' && y !== '' && !isNaN(x) && !isNaN(y)) ? x - y : x.localeCompare(y);
+        return sign * diff;
+    };
+}
+
+/**
+ * Lists the property differences between two versions of a model: added, removed and modified objects,
+ * with the old and new values of each changed property. Clicking a row selects the object in both models and
+ * colors it by its status (added=green, removed=red, modified=orange).
+ *
+ * Objects are matched by dbId, so both versions need stable dbIds (as in OTG models).
+ *
+ * @alias Autodesk.Viewing.UI.DiffPanel
+ * @augments Autodesk.Viewing.UI.DockingPanel
+ * @param {Autodesk.Viewing.Viewer3D} viewer
+ * @param {Autodesk.Viewing.Model} modelA - The old version.
+ * @param {Autodesk.Viewing.Model} modelB - The new version.
+ * @param {object} [options]
+ * @param {object} [options.propertyFilter] - Properties to ignore, see PropDbLoader.diffProperties.
+ * @class
+ */
+export function DiffPanel(viewer, modelA, modelB, options) {
+    this.viewer = viewer;
+    this.modelA = modelA;
+    this.modelB = modelB;
+    this.diffOptions = {
+        listPropChanges: true,
+        listAddedAndRemoved: true,
+        propertyFilter: options && options.propertyFilter
+    };
+
+    this.entries = null;
+    this.table = null;
+    this.themed = false;
+    this.comparePromise = null;
+
+    this.setGlobalManager(viewer.globalManager);
+
+    DockingPanel.call(this, viewer.container, 'DiffPanel', 'Property Differences');
+
+    this.container.classList.add('diff-panel');
+    this.container.style.width = '640px';
+    this.container.style.height = '400px';
+    this.container.style.top = '80px';
+    this.container.dockRight = true;
+
+    var _document = this.getDocument();
+
+    this.filterBar = _document.createElement('div');
+    this.filterBar.className = 'diff-panel-filters';
+    this.container.appendChild(this.filterBar);
+
+    var self = this;
+    var onFilterChange = function() {
+        self.updateTable();
+    };
+
+    this.statusSelect = this._createFilter('All Changes', Object.keys(STATUS_LABELS).map(function(status) {
+        return {
+            value: status,
+            label: i18n.t(STATUS_LABELS[status])
+        };
+    }), onFilterChange);
+    this.categorySelect = this._createFilter('All Categories', [], onFilterChange);
+    this.propertySelect = this._createFilter('All Properties', [], onFilterChange);
+
+    this.message = _document.createElement('div');
+    this.message.className = 'diff-panel-message';
+    this.container.appendChild(this.message);
+
+    this.table = new DataTable(this);
+    this.table.setSortFunction(sortFunction);
+    this.table.setRowClickCallback(function(row) {
+        self.showEntry(row.entry);
+    });
+}
+
+DiffPanel.prototype = Object.create(DockingPanel.prototype);
+DiffPanel.prototype.constructor = DiffPanel;
+
+/**
+ * @param {string} allLabel - Label of the "no filter" option
+ * @param {object[]} items - [{value, label}]
+ * @param {Function} onChange
+ * @returns {HTMLSelectElement}
+ * @private
+ */
+DiffPanel.prototype._createFilter = function(allLabel, items, onChange) {
+    var select = this.getDocument().createElement('select');
+    select.className = 'diff-panel-filter';
+    select.allLabel = allLabel;
+    this._setFilterItems(select, items);
+    this.addEventListener(select, 'change', onChange);
+    this.filterBar.appendChild(select);
+    return select;
+};
+
+/**
+ * @private
+ */
+DiffPanel.prototype._setFilterItems = function(select, items) {
+    var _document = this.getDocument();
+    select.innerHTML = '';
+
+    var all = _document.createElement('option');
+    all.value = ALL;
+    all.setAttribute('data-i18n', select.allLabel);
+    all.textContent = i18n.t(select.allLabel);
+    select.appendChild(all);
+
+    items.forEach(function(item) {
+        var option = _document.createElement('option');
+        option.value = item.value;
+        option.textContent = item.label;
+        select.appendChild(option);
+    });
+};
+
+/**
+ * Shows the panel. The comparison runs the first time the panel is shown.
+ * Hiding the panel removes the theming colors it has set.
+ *
+ * @param {boolean} show
+ */
+DiffPanel.prototype.setVisible = function(show) {
+    DockingPanel.prototype.setVisible.call(this, show);
+
+    if (show && !this.comparePromise) {
+        // Errors are shown in the panel
+        this.compare().catch(function() {});
+    } else if (!show) {
+        this.clearThemingColors();
+    }
+};
+
+/**
+ * Runs the comparison in the property worker and fills the table.
+ *
+ * @returns {Promise} Resolves with the list of differences: [{status, dbId, name, category, property, oldValue, newValue}]
+ */
+DiffPanel.prototype.compare = function() {
+
+    var pdbA = this.modelA.getPropertyDb();
+    var pdbB = this.modelB.getPropertyDb();
+
+    if (!pdbA || !pdbB) {
+        this._setMessage('Properties are not available.');
+        this.comparePromise = Promise.reject(new Error('Properties are not available.'));
+        return this.comparePromise;
+    }
+
+    var self = this;
+    this._setMessage('Comparing properties...');
+
+    this.comparePromise = new Promise(function(resolve, reject) {
+        pdbA.diffProperties(pdbB.dbPath, function(result) {
+            self.entries = self._createEntries(result);
+            self._updateFilterItems();
+            self.updateTable();
+            resolve(self.entries);
+        }, function(error) {
+            self._setMessage('Comparison failed.');
+            reject(error);
+        }, self.diffOptions, function(progress) {
+            self._setMessage(i18n.t('Comparing properties...') + ' ' + progress.percent + '%', false);
+        });
+    });
+
+    return this.comparePromise;
+};
+
+/**
+ * Converts the result of PropDbLoader.diffProperties into table entries
+ *
+ * @private
+ */
+DiffPanel.prototype._createEntries = function(result) {
+    var modelA = this.modelA;
+    var modelB = this.modelB;
+    var entries = [];
+
+    result.addedIds.forEach(function(dbId) {
+        entries.push({
+            status: DiffStatus.ADDED,
+            dbId: dbId,
+            name: getNodeName(modelB, dbId),
+            category: '',
+            property: '',
+            oldValue: '',
+            newValue: ''
+        });
+    });
+
+    result.removedIds.forEach(function(dbId) {
+        entries.push({
+            status: DiffStatus.REMOVED,
+            dbId: dbId,
+            name: getNodeName(modelA, dbId),
+            category: '',
+            property: '',
+            oldValue: '',
+            newValue: ''
+        });
+    });
+
+    result.changedIds.forEach(function(dbId, i) {
+        var name = getNodeName(modelB, dbId);
+        result.propChanges[i].forEach(function(change) {
+            entries.push({
+                status: DiffStatus.MODIFIED,
+                dbId: dbId,
+                name: name,
+                category: change.displayCategory || '',
+                property: change.displayName || '',
+                oldValue: formatValue(change.displayValue, change),
+                newValue: formatValue(change.displayValueB, change)
+            });
+        });
+    });
+
+    return entries;
+};
+
+/**
+ * Fills the category and property filters with the values found in the differences
+ *
+ * @private
+ */
+DiffPanel.prototype._updateFilterItems = function() {
+    var categories = new Set();
+    var properties = new Set();
+    this.entries.forEach(function(entry) {
+        entry.category && categories.add(entry.category);
+        entry.property && properties.add(entry.property);
+    });
+
+    var toItems = function(values) {
+        return Array.from(values).sort().map(function(value) {
+            return {
+                value: value,
+                label: value
+            };
+        });
+    };
+
+    this._setFilterItems(this.categorySelect, toItems(categories));
+    this._setFilterItems(this.propertySelect, toItems(properties));
+};
+
+/**
+ * Returns the entries that pass the current filters.
+ * Added and removed objects don't have a category or property, so they are hidden when filtering by those.
+ *
+ * @returns {object[]}
+ */
+DiffPanel.prototype.getFilteredEntries = function() {
+    var status = this.statusSelect.value;
+    var category = this.categorySelect.value;
+    var property = this.propertySelect.value;
+
+    return (this.entries || []).filter(function(entry) {
+        return (status === ALL || entry.status === status) &&
+            (category === ALL || entry.category === category) &&
+            (property === ALL || entry.property === property);
+    });
+};
+
+/**
+ * Rebuilds the table from the filtered entries
+ */
+DiffPanel.prototype.updateTable = function() {
+    if (!this.entries)
+        return;
+
+    // DataTable doesn't support replacing its data, so start over
+    if (this.table.clusterize) {
+        this.table.destroyTable();
+    }
+    this.table.datatableDiv.innerHTML = '';
+
+    var entries = this.getFilteredEntries();
+    if (!entries.length) {
+        this._setMessage(this.entries.length ? 'No differences match the filter.' : 'No differences found.');
+        return;
+    }
+    this._setMessage('');
+
+    var rows = entries.map(function(entry) {
+        var row = [
+            i18n.t(STATUS_LABELS[entry.status]),
+            entry.name,
+            entry.dbId,
+            entry.category,
+            entry.property,
+            entry.oldValue,
+            entry.newValue
+        ].map(function(value) {
+            return escapeHtml(value);
+        });
+
+        // Travels with the row when the table is sorted
+        row.entry = entry;
+        return row;
+    });
+
+    this.table.setData(rows, COLUMNS.map(function(column) {
+        return i18n.t(column);
+    }));
+};
+
+/**
+ * Selects an object in both models and colors it by its status.
+ *
+ * @param {object} entry - One of the entries returned by getFilteredEntries()
+ */
+DiffPanel.prototype.showEntry = function(entry) {
+    this.clearThemingColors();
+
+    var color = STATUS_COLORS[entry.status];
+    var selection = [];
+
+    // Added objects only exist in the new version, removed ones only in the old one
+    if (entry.status !== DiffStatus.ADDED) {
+        selection.push({
+            model: this.modelA,
+            ids: [entry.dbId]
+        });
+    }
+    if (entry.status !== DiffStatus.REMOVED) {
+        selection.push({
+            model: this.modelB,
+            ids: [entry.dbId]
+        });
+    }
+
+    var viewer = this.viewer;
+    selection.forEach(function(sel) {
+        viewer.setThemingColor(entry.dbId, color, sel.model);
+    });
+    viewer.setAggregateSelection(selection);
+
+    this.themed = true;
+};
+
+/**
+ * Removes the theming colors set by the panel
+ */
+DiffPanel.prototype.clearThemingColors = function() {
+    if (!this.themed)
+        return;
+
+    this.viewer.clearThemingColors(this.modelA);
+    this.viewer.clearThemingColors(this.modelB);
+    this.themed = false;
+};
+
+/**
+ * @param {string} text
+ * @param {boolean} [localize=true]
+ * @private
+ */
+DiffPanel.prototype._setMessage = function(text, localize) {
+    this.message.textContent = (text && localize !== false) ? i18n.t(text) : text;
+    this.message.style.display = text ? 'block' : 'none';
+};
+
+/**
+ * Override to clear the theming colors and destroy the table
+ */
+DiffPanel.prototype.uninitialize = function() {
+    this.clearThemingColors();
+    if (this.table && this.table.clusterize) {
+        this.table.destroyTable();
+    }
+    this.table = null;
+    this.entries = null;
+    this.viewer = null;
+    this.modelA = null;
+    this.modelB = null;
+
+    DockingPanel.prototype.uninitialize.call(this);
+};
@@ -11,6 +11,11 @@ import {
 import {
     logger
 } from '../logger/Logger';
+import i18n from "i18next";
+import {
+    CustomPropertyType
+} from '../application/CustomPropertyManager';
+import './ViewerPropertyPanel.css'; // IMPORTANT!!
 
 
 /** @constructor */
@@ -26,6 +31,8 @@ export function ViewerPropertyPanel(viewer) {
     this.normalTitle = 'Properties';
     this.loadingTitle = 'Object Properties Loading';
     this._viewDbId = null;
+    // {model, dbId, values} of the single object whose custom properties can be edited.
+    this._customPropertyTarget = null;
 
     this.onProperties = this.onProperties.bind(this);
     this.onPropertySet = this.onPropertySet.bind(this);
@@ -33,6 +40,7 @@ export function ViewerPropertyPanel(viewer) {
     this.setPropertiesIntoUI = this.setPropertiesIntoUI.bind(this);
     this.setAggregatedPropertiesIntoUI = this.setAggregatedPropertiesIntoUI.bind(this);
     this._onDisplayUnitPreferenceChanged = this._onDisplayUnitPreferenceChanged.bind(this);
+    this._refreshCurrentProperties = this._refreshCurrentProperties.bind(this);
 
     PropertyPanel.call(this, viewer.container, 'ViewerPropertyPanel', this.loadingTitle);
 }
@@ -53,6 +61,10 @@ function isSolidWorks(model) {
 }
 
 ViewerPropertyPanel.prototype._onDisplayUnitPreferenceChanged = function() {
+    this._refreshCurrentProperties();
+};
+
+ViewerPropertyPanel.prototype._refreshCurrentProperties = function() {
     this.isDirty = true;
     const rootId = this.currentModel ? this.currentModel.getRootId() : null;
     // If a non-root's property is currently displayed, continue showing it
@@ -114,6 +126,13 @@ ViewerPropertyPanel.prototype.initialize = function() {
         that.requestProperties();
     });
 
+    // Show custom property changes
+    that.addEventListener(that.viewer, et.REFRESH_CUSTOM_PROPERTIES_VALUES, function(e) {
+        if (that.currentModel === e.model) {
+            that._refreshCurrentProperties();
+        }
+    });
+
     // Make sure that props are refreshed if instanceTree was not available before.
     that.addEventListener(that.viewer, et.OBJECT_TREE_CREATED_EVENT, function(e) {
         if (that.currentModel === e.model) {
@@ -306,7 +325,9 @@ ViewerPropertyPanel.prototype.onPropertySet = function(propSet) {
  */
 ViewerPropertyPanel.prototype.setAggregatedPropertiesIntoUI = function(propSet) {
     const numSelection = propSet.getDbIds().length;
+    this._customPropertyTarget = null;
     if (numSelection === 1) {
+        this._addCustomProperties(propSet);
         let hasName = Object.prototype.hasOwnProperty.call(propSet.map, 'Name');
         let title = hasName ? propSet.map['Name'][0] : this.normalTitle;
 
@@ -377,6 +398,163 @@ ViewerPropertyPanel.prototype.onPropError = function() {
     this.showNoProperties();
 };
 
+/**
+ * Prepares editing the custom properties of a single object: Adds the custom properties
+ * that are defined for the model but not set for the object, so that they can be edited as well.
+ *
+ * @param {Autodesk.Viewing.PropertySet} propSet - Properties of a single object.
+ * @private
+ */
+ViewerPropertyPanel.prototype._addCustomProperties = function(propSet) {
+    const model = this.currentModel;
+    const manager = this.viewer.customProperties;
+    if (!model || !manager || !manager.hasProperties(model)) {
+        return;
+    }
+
+    const dbId = propSet.getDbIds()[0];
+    const values = {};
+    manager.getStore(model).definitions.forEach((def) => {
+        if (def.hidden) {
+            return;
+        }
+        const key = def.category ? `${def.category}/${def.displayName}` : def.displayName;
+        const props = propSet.map[key];
+        if (props) {
+            values[key] = props[0].displayValue;
+            return;
+        }
+        // Placeholders are typed as strings, so that the empty value isn't formatted as a number.
+        propSet.map[key] = [{
+            displayName: def.displayName,
+            displayValue: '',
+            displayCategory: def.category || null,
+            attributeName: def.name,
+            type: 20,
+            units: null,
+            hidden: false,
+            precision: 0,
+            dbId
+        }];
+    });
+
+    this._customPropertyTarget = {
+        model,
+        dbId,
+        values
+    };
+};
+
+/**
+ * @param {object} property - Property node of the tree.
+ * @returns {object|undefined} The custom property definition if the property can be edited.
+ * @private
+ */
+ViewerPropertyPanel.prototype._getCustomPropertyDefinition = function(property) {
+    const target = this._customPropertyTarget;
+    if (!target || !this.viewer || property.type !== 'property' || property.map) {
+        return undefined;
+    }
+    return this.viewer.customProperties.getStore(target.model).findDefinitionByDisplayName(property.name, property.category);
+};
+
+ViewerPropertyPanel.prototype.getPropertyClass = function(property) {
+    const cls = PropertyPanel.prototype.getPropertyClass.call(this, property);
+    return this._getCustomPropertyDefinition(property) ? cls + ' custom-property' : cls;
+};
+
+ViewerPropertyPanel.prototype.onPropertyDoubleClick = function(property, event) {
+    PropertyPanel.prototype.onPropertyDoubleClick.call(this, property, event);
+
+    const def = this._getCustomPropertyDefinition(property);
+    if (def) {
+        this.editCustomProperty(property, def);
+    }
+};
+
+/**
+ * Replaces the value of a custom property by an input field. The value is validated and saved
+ * on Enter or when the field loses focus. Escape cancels editing.
+ *
+ * @param {object} property - Property node of the tree.
+ * @param {object} def - The custom property definition.
+ * @private
+ */
+ViewerPropertyPanel.prototype.editCustomProperty = function(property, def) {
+    const element = this.tree.getElementForNode(property);
+    const valueElem = element && element.querySelector('.property-value');
+    if (!valueElem || valueElem.querySelector('.custom-property-editor')) {
+        return;
+    }
+
+    const target = this._customPropertyTarget;
+    const key = def.category ? `${def.category}/${def.displayName}` : def.displayName;
+    const value = target.values[key];
+    const _document = this.getDocument();
+
+    let input;
+    if (def.type === CustomPropertyType.Boolean) {
+        input = _document.createElement('select');
+        ['', 'Yes', 'No'].forEach((text, index) => {
+            const option = _document.createElement('option');
+            option.value = ['', 'true', 'false'][index];
+            option.setAttribute('data-i18n', text);
+            option.textContent = text && i18n.t(text);
+            input.add(option);
+        });
+        input.value = value === undefined ? '' : (value ? 'true' : 'false');
+    } else {
+        input = _document.createElement('input');
+        input.type = 'text';
+        input.value = value === undefined ? '' : value;
+    }
+    input.className = 'custom-property-editor';
+
+    const initialValue = input.value;
+    const previousContent = valueElem.innerHTML;
+    let done = false;
+
+    const cancel = () => {
+        done = true;
+        valueElem.innerHTML = previousContent;
+    };
+
+    const commit = () => {
+        if (done) {
+            return;
+        }
+        if (input.value === initialValue) {
+            cancel();
+            return;
+        }
+        done = true;
+        // The panel is refreshed on success, see REFRESH_CUSTOM_PROPERTIES_VALUES.
+        this.viewer.customProperties.setValue(target.model, target.dbId, def.name, def.category, input.value)
+            .catch((err) => {
+                done = false;
+                input.classList.add('invalid');
+                input.title = err && err.message || '';
+                input.focus();
+            });
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            commit();
+        } else if (e.key === 'Escape') {
+            cancel();
+        }
+    });
+    input.addEventListener('blur', commit);
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('dblclick', (e) => e.stopPropagation());
+
+    valueElem.innerHTML = '';
+    valueElem.appendChild(input);
+    input.focus();
+};
+
 /**
  * Requests properties for the specified aggregate selection objects. This method will populate the result into the UI.
  * This works for multiple models
@@ -189,9 +189,14 @@ _export(require("./application/Viewer3DImpl"), "avp");
 _export(require("./application/ViewerState"), "avp");
 _export(require("./application/ModelMemoryTracker"), "av");
 _export(require("./application/ScreenShot"), "av");
+_export(require("./application/FrameRecorder"), "av");
+_export(require("./application/TiledScreenShot"), "av");
+_export(require("./application/GltfExporter"), "av");
+_export(require("./application/HiddenLineExporter"), "av");
 _export(require("./application/Thumbnails"), "av");
 _export(require("./application/AggregatedView"), "av");
 _export(require("./application/OverlayManager"), "av");
+_export(require("./application/CustomPropertyManager"), "av");
 _export(require("./application/CameraLS"), "av");
 _export(require("./application/ProfileManager"), "av");
 _export(require("./application/DynamicGlobalOffset"), "av");
@@ -208,6 +213,8 @@ _export(require('./measurement/DisplayUnits'), "avp");
 //Icky reconstruction of the MeasureCommon namespace from its interdependent modules.
 var mc = module.exports.av.MeasureCommon = {};
 _extend(mc, require('./measurement/MeasureCommon'));
+_extend(mc, require('./measurement/MeshDistance'));
+_extend(mc, require('./measurement/CircleFit'));
 mc.MeasurementTypes = require('./measurement/MeasurementTypes').MeasurementTypes;
 mc.MeasurementTypesToAnalytics = require('./measurement/MeasurementTypes').MeasurementTypesToAnalytics;
 mc.SnapType = require('./measurement/SnapTypes').SnapType;
@@ -254,6 +261,10 @@ _export(require("./file-loaders/main/TextureLoader"), "avp");
 _export(require("./file-loaders/main/OtgLoader"), "avp");
 _export(require("./file-loaders/main/OtgResourceCache"), "avp");
 _export(require("./file-loaders/main/Empty2DModelLoader"), "avp");
+_export(require("./file-loaders/main/MeshFileLoader"), "avp");
+_export(require("./file-loaders/main/StlLoader"), "avp");
+_export(require("./file-loaders/main/ObjLoader"), "avp");
+_export(require("./file-loaders/main/PointCloudLoader"), "avp");
 
 if (BUILD_FLAG__BUILD_TYPE === 'NodeJs') {
     _export(require("./file-loaders/lmvtk/otg/OtgWebSocket"), "avp");
@@ -280,6 +291,7 @@ if (BUILD_FLAG__WANT_GUI) {
     _export(require("./gui/TreeOnDemand"), "avu");
     _export(require("./gui/CommonWidgets"), "avp");
     _export(require("./gui/DataTable"), "avu");
+    _export(require("./gui/DiffPanel"), "avu");
     _export(require("./gui/DockingPanel.js"), "avu");
     _export(require("./gui/ContextMenu"), "avp");
     _export(require("./gui/browser/browser"), "avp");
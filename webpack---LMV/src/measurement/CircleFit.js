@@ -0,0 +1,672 @@
+import * as THREE from "three";
+import {
+    enumMeshTriangles
+} from "../wgs/scene/VertexEnumerator";
+
+// Circle and cylinder fitting for radius measurements.
+//
+// Circles are fitted to points in a plane with the algebraic (Kasa) least-squares fit. Cylinders are fitted
+// by taking the axis from the triangle normals (which are all perpendicular to it), and then fitting a circle
+// to the points projected along the axis. Without topology, the cylindrical face is found by growing a region
+// of smoothly connected triangles around the picked triangle of the fragment mesh.
+
+// Max RMS deviation from the fitted circle or cylinder, relative to its radius
+const FIT_TOLERANCE = 0.02;
+
+// Max relative difference between radii that are considered equal, e.g. for hole patterns
+const RADIUS_TOLERANCE = 0.005;
+
+// Min number of vertices of a boundary loop to be considered a circle. Same as the Snapper uses for circular edges.
+const MIN_CIRCLE_VERTICES = 8;
+
+// Max angle between the normals of neighboring triangles on a smooth surface
+const SMOOTH_ANGLE_COS = Math.cos(50 * Math.PI / 180);
+
+// Min spread of the normals of a cylinder, relative to their count (see fitCylinder).
+const MIN_NORMAL_SPREAD = 0.01;
+
+// Max deviation of the normals from being perpendicular to the cylinder axis, relative to their count.
+const MAX_AXIS_DEVIATION = 0.001;
+
+// Vertices closer than this, relative to the size of their geometry, are merged when building the mesh connectivity.
+const WELD_TOLERANCE = 1e-5;
+
+// Mesh connectivity is reused while hovering the same fragment
+let _lastKey = null;
+let _lastMesh = null;
+
+/**
+ * Eigen decomposition of a symmetric 3x3 matrix with the Jacobi method.
+ *
+ * @param {number[]} m - Row major matrix. Gets modified.
+ * @returns {{values: number[], vectors: THREE.Vector3[]}} Eigenvalues in ascending order with their unit eigenvectors.
+ */
+function eigenSymmetric3(m) {
+
+    // Accumulated rotations, row major. The columns are the eigenvectors.
+    const v = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = m[1] * m[1] + m[2] * m[2] + m[5] * m[5];
+        if (off < 1e-30) {
+            break;
+        }
+
+        for (let p = 0; p < 2; p++) {
+            for (let q = p + 1; q < 3; q++) {
+                const apq = m[p * 3 + q];
+                if (Math.abs(apq) < 1e-30) {
+                    continue;
+                }
+
+                const theta = (m[q * 3 + q] - m[p * 3 + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                // m = Jᵀ m J
+                for (let k = 0; k < 3; k++) {
+                    const mkp = m[k * 3 + p];
+                    const mkq = m[k * 3 + q];
+                    m[k * 3 + p] = c * mkp - s * mkq;
+                    m[k * 3 + q] = s * mkp + c * mkq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const mpk = m[p * 3 + k];
+                    const mqk = m[q * 3 + k];
+                    m[p * 3 + k] = c * mpk - s * mqk;
+                    m[q * 3 + k] = s * mpk + c * mqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k * 3 + p];
+                    const vkq = v[k * 3 + q];
+                    v[k * 3 + p] = c * vkp - s * vkq;
+                    v[k * 3 + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = [0, 1, 2].sort((a, b) => m[a * 4] - m[b * 4]);
+    return {
+        values: order.map(i => m[i * 4]),
+        vectors: order.map(i => new THREE.Vector3(v[i], v[3 + i], v[6 + i]).normalize())
+    };
+}
+
+// Sum of the outer products of the given vectors, relative to an optional center.
+function scatterMatrix(vectors, center) {
+    const m = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    const d = new THREE.Vector3();
+    for (let i = 0; i < vectors.length; i++) {
+        d.copy(vectors[i]);
+        if (center) {
+            d.sub(center);
+        }
+        m[0] += d.x * d.x;
+        m[1] += d.x * d.y;
+        m[2] += d.x * d.z;
+        m[4] += d.y * d.y;
+        m[5] += d.y * d.z;
+        m[8] += d.z * d.z;
+    }
+    m[3] = m[1];
+    m[6] = m[2];
+    m[7] = m[5];
+    return m;
+}
+
+function getCentroid(points) {
+    const centroid = new THREE.Vector3();
+    for (let i = 0; i < points.length; i++) {
+        centroid.add(points[i]);
+    }
+    return centroid.divideScalar(points.length);
+}
+
+/**
+ * Fits a circle to 3D points with a least-squares fit.
+ *
+ * @param {THREE.Vector3[]} points - At least 3 points on the circle.
+ * @param {THREE.Vector3} [normal] - Normal of the circle plane. If given, points are projected onto the plane,
+ *     which is how cylinders get fitted. Otherwise the plane is fitted to the points as well.
+ * @returns {{center: THREE.Vector3, normal: THREE.Vector3, radius: number, error: number}|null} The circle and its
+ *     RMS deviation from the points relative to the radius, or null if the points are collinear.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.fitCircle
+ */
+export function fitCircle(points, normal) {
+
+    if (!points || points.length < 3) {
+        return null;
+    }
+
+    const centroid = getCentroid(points);
+    const planeFitted = !normal;
+    normal = planeFitted ? eigenSymmetric3(scatterMatrix(points, centroid)).vectors[0] : normal.clone().normalize();
+
+    // Orthonormal basis of the circle plane
+    const u = new THREE.Vector3();
+    if (Math.abs(normal.x) < 0.9) {
+        u.set(1, 0, 0);
+    } else {
+        u.set(0, 1, 0);
+    }
+    u.sub(normal.clone().multiplyScalar(u.dot(normal))).normalize();
+    const v = new THREE.Vector3().crossVectors(normal, u);
+
+    // Normal equations of x² + y² + D x + E y + F = 0
+    let sxx = 0,
+        sxy = 0,
+        syy = 0,
+        sx = 0,
+        sy = 0,
+        sxz = 0,
+        syz = 0,
+        sz = 0;
+    const n = points.length;
+    const xs = new Float64Array(n);
+    const ys = new Float64Array(n);
+    const hs = new Float64Array(n);
+    const d = new THREE.Vector3();
+    for (let i = 0; i < n; i++) {
+        d.subVectors(points[i], centroid);
+        const x = xs[i] = d.dot(u);
+        const y = ys[i] = d.dot(v);
+        const z = x * x + y * y;
+        hs[i] = d.dot(normal);
+        sxx += x * x;
+        sxy += x * y;
+        syy += y * y;
+        sx += x;
+        sy += y;
+        sxz += x * z;
+        syz += y * z;
+        sz += z;
+    }
+
+    const det = sxx * (syy * n - sy * sy) - sxy * (sxy * n - sy * sx) + sx * (sxy * sy - syy * sx);
+    const scale = sxx + syy;
+    if (!scale || Math.abs(det) < 1e-12 * scale * scale * n) {
+        return null;
+    }
+
+    // Cramer's rule for the right-hand side -(sxz, syz, sz)
+    const D = -(sxz * (syy * n - sy * sy) - sxy * (syz * n - sy * sz) + sx * (syz * sy - syy * sz)) / det;
+    const E = -(sxx * (syz * n - sz * sy) - sxz * (sxy * n - sy * sx) + sx * (sxy * sz - syz * sx)) / det;
+    const F = -(sxx * (syy * sz - sy * syz) - sxy * (sxy * sz - sx * syz) + sxz * (sxy * sy - syy * sx)) / det;
+
+    const a = -D / 2;
+    const b = -E / 2;
+    const radiusSq = a * a + b * b - F;
+    if (!(radiusSq > 0)) {
+        return null;
+    }
+    const radius = Math.sqrt(radiusSq);
+
+    let errorSq = 0;
+    for (let i = 0; i < n; i++) {
+        const dr = Math.sqrt((xs[i] - a) * (xs[i] - a) + (ys[i] - b) * (ys[i] - b)) - radius;
+        errorSq += dr * dr;
+        if (planeFitted) {
+            errorSq += hs[i] * hs[i];
+        }
+    }
+
+    return {
+        center: centroid.clone().add(u.multiplyScalar(a)).add(v.multiplyScalar(b)),
+        normal: normal,
+        radius: radius,
+        error: Math.sqrt(errorSq / n) / radius
+    };
+}
+
+/**
+ * Fits a cylinder to the triangles of a face.
+ *
+ * @param {THREE.Vector3[]} points - Vertices of the face.
+ * @param {THREE.Vector3[]} normals - Unit normals of the face, e.g. one per triangle.
+ * @returns {{center: THREE.Vector3, axis: THREE.Vector3, radius: number, axisStart: THREE.Vector3, axisEnd: THREE.Vector3, error: number}|null}
+ *     The cylinder, with its center in the middle of its extent along the axis, or null if the face isn't cylindrical.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.fitCylinder
+ */
+export function fitCylinder(points, normals) {
+
+    if (!points || !normals || points.length < 3 || normals.length < 2) {
+        return null;
+    }
+
+    // The axis is perpendicular to all normals of a cylinder. Planar faces have no spread of normals,
+    // while doubly curved faces (spheres, cones, ...) have no direction that is perpendicular to all of them.
+    const eigen = eigenSymmetric3(scatterMatrix(normals));
+    if (eigen.values[1] < MIN_NORMAL_SPREAD * normals.length || eigen.values[0] > MAX_AXIS_DEVIATION * normals.length) {
+        return null;
+    }
+
+    const axis = eigen.vectors[0];
+    const circle = fitCircle(points, axis);
+    if (!circle) {
+        return null;
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    const d = new THREE.Vector3();
+    for (let i = 0; i < points.length; i++) {
+        const t = d.subVectors(points[i], circle.center).dot(axis);
+        min = Math.min(min, t);
+        max = Math.max(max, t);
+    }
+
+    const axisStart = circle.center.clone().add(axis.clone().multiplyScalar(min));
+    const axisEnd = circle.center.clone().add(axis.clone().multiplyScalar(max));
+    return {
+        center: axisStart.clone().add(axisEnd).multiplyScalar(0.5),
+        axis: axis,
+        radius: circle.radius,
+        axisStart: axisStart,
+        axisEnd: axisEnd,
+        error: circle.error
+    };
+}
+
+// Indexed triangle mesh with merged vertices, to walk from triangle to triangle.
+function buildMesh(positions) {
+
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    for (let i = 0; i < positions.length; i += 3) {
+        min.min(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+        max.max(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+    }
+    const tolerance = (max.distanceTo(min) * WELD_TOLERANCE) || WELD_TOLERANCE;
+
+    const vertexIds = new Map();
+    const vertices = [];
+    const weld = (i) => {
+        const key = Math.round(positions[i] / tolerance) + '_' + Math.round(positions[i + 1] / tolerance) + '_' + Math.round(positions[i + 2] / tolerance);
+        let id = vertexIds.get(key);
+        if (id === undefined) {
+            id = vertices.length;
+            vertexIds.set(key, id);
+            vertices.push(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+        }
+        return id;
+    };
+
+    const count = positions.length / 9;
+    const triangles = new Uint32Array(count * 3);
+    const normals = [];
+    const edges = new Map();
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+
+    for (let t = 0; t < count; t++) {
+        for (let k = 0; k < 3; k++) {
+            triangles[t * 3 + k] = weld(t * 9 + k * 3);
+        }
+
+        const a = vertices[triangles[t * 3]];
+        e1.subVectors(vertices[triangles[t * 3 + 1]], a);
+        e2.subVectors(vertices[triangles[t * 3 + 2]], a);
+        normals.push(new THREE.Vector3().crossVectors(e1, e2).normalize());
+
+        for (let k = 0; k < 3; k++) {
+            const key = getEdgeKey(triangles[t * 3 + k], triangles[t * 3 + (k + 1) % 3]);
+            const list = edges.get(key);
+            if (list) {
+                list.push(t);
+            } else {
+                edges.set(key, [t]);
+            }
+        }
+    }
+
+    return {
+        vertices,
+        triangles,
+        normals,
+        edges
+    };
+}
+
+function getEdgeKey(a, b) {
+    return a < b ? a + '_' + b : b + '_' + a;
+}
+
+// World space triangles of a fragment, as flat array of coordinates.
+function getFragmentPositions(model, fragId) {
+
+    const fragList = model.getFragmentList();
+    const geometry = fragList && fragList.getGeometry(fragId);
+    if (!geometry || geometry.isLines || geometry.isPoints) {
+        return null;
+    }
+
+    const matrix = new THREE.Matrix4();
+    fragList.getWorldMatrix(fragId, matrix);
+
+    const v = new THREE.Vector3();
+    const positions = [];
+    enumMeshTriangles(geometry, function(vA, vB, vC) {
+        v.copy(vA).applyMatrix4(matrix);
+        positions.push(v.x, v.y, v.z);
+        v.copy(vB).applyMatrix4(matrix);
+        positions.push(v.x, v.y, v.z);
+        v.copy(vC).applyMatrix4(matrix);
+        positions.push(v.x, v.y, v.z);
+    });
+
+    return positions.length ? positions : null;
+}
+
+function getFragmentMesh(model, fragId) {
+
+    const box = new THREE.Box3();
+    model.getFragmentList().getWorldBounds(fragId, box);
+
+    // World bounds are part of the key, so that moved fragments invalidate it.
+    const key = [model.id, fragId, box.min.x, box.min.y, box.min.z, box.max.x, box.max.y, box.max.z].join('|');
+    if (key !== _lastKey) {
+        const positions = getFragmentPositions(model, fragId);
+        _lastMesh = positions && buildMesh(positions);
+        _lastKey = key;
+    }
+
+    return _lastMesh;
+}
+
+/**
+ * Collects the triangles that are smoothly connected to the given triangle, i.e. the curved face it belongs to.
+ *
+ * @returns {{points: THREE.Vector3[], normals: THREE.Vector3[]}}
+ */
+function growSmoothRegion(mesh, seed) {
+
+    const visited = new Set([seed]);
+    const stack = [seed];
+    const vertexIds = new Set();
+    const normals = [];
+
+    while (stack.length) {
+        const t = stack.pop();
+        normals.push(mesh.normals[t]);
+
+        for (let k = 0; k < 3; k++) {
+            const a = mesh.triangles[t * 3 + k];
+            const b = mesh.triangles[t * 3 + (k + 1) % 3];
+            vertexIds.add(a);
+
+            const neighbors = mesh.edges.get(getEdgeKey(a, b));
+            // Edges with more than two triangles are non-manifold, don't walk across them.
+            if (neighbors.length !== 2) {
+                continue;
+            }
+
+            const next = neighbors[0] === t ? neighbors[1] : neighbors[0];
+            if (!visited.has(next) && mesh.normals[t].dot(mesh.normals[next]) >= SMOOTH_ANGLE_COS) {
+                visited.add(next);
+                stack.push(next);
+            }
+        }
+    }
+
+    return {
+        points: Array.from(vertexIds, id => mesh.vertices[id]),
+        normals: normals
+    };
+}
+
+// Index of the mesh triangle closest to the first triangle of the given face.
+function findTriangle(mesh, face) {
+
+    if (!face || face.vertices.length < 3) {
+        return -1;
+    }
+
+    const target = face.vertices[0].clone().add(face.vertices[1]).add(face.vertices[2]).divideScalar(3);
+    const centroid = new THREE.Vector3();
+    let best = -1;
+    let bestDistSq = Infinity;
+    for (let t = 0; t < mesh.normals.length; t++) {
+        centroid.copy(mesh.vertices[mesh.triangles[t * 3]])
+            .add(mesh.vertices[mesh.triangles[t * 3 + 1]])
+            .add(mesh.vertices[mesh.triangles[t * 3 + 2]])
+            .divideScalar(3);
+        const distSq = centroid.distanceToSquared(target);
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            best = t;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Finds the closed boundary loops of a face given as non-indexed triangles, e.g. the outline of a plate and its holes.
+ *
+ * @param {THREE.Vector3[]} vertices - Three vertices per triangle.
+ * @returns {THREE.Vector3[][]} Vertices of each loop.
+ */
+function getBoundaryLoops(vertices) {
+
+    const positions = [];
+    for (let i = 0; i < vertices.length; i++) {
+        positions.push(vertices[i].x, vertices[i].y, vertices[i].z);
+    }
+    const mesh = buildMesh(positions);
+
+    // Boundary edges belong to a single triangle.
+    const adjacency = new Map();
+    const link = (a, b) => {
+        const list = adjacency.get(a);
+        if (list) {
+            list.push(b);
+        } else {
+            adjacency.set(a, [b]);
+        }
+    };
+    mesh.edges.forEach((triangles, key) => {
+        if (triangles.length === 1) {
+            const ids = key.split('_').map(Number);
+            link(ids[0], ids[1]);
+            link(ids[1], ids[0]);
+        }
+    });
+
+    const loops = [];
+    const used = new Set();
+    adjacency.forEach((neighbors, start) => {
+        for (let i = 0; i < neighbors.length; i++) {
+            if (used.has(getEdgeKey(start, neighbors[i]))) {
+                continue;
+            }
+
+            const loop = [start];
+            let prev = start;
+            let current = neighbors[i];
+            used.add(getEdgeKey(start, current));
+            while (current !== start) {
+                loop.push(current);
+                const next = adjacency.get(current).find(id => !used.has(getEdgeKey(current, id)));
+                if (next === undefined) {
+                    break;
+                }
+                used.add(getEdgeKey(current, next));
+                prev = current;
+                current = next;
+            }
+
+            if (current === start && prev !== start) {
+                loops.push(loop.map(id => mesh.vertices[id]));
+            }
+        }
+    });
+
+    return loops;
+}
+
+// The circles among the boundary loops of a planar face.
+function getFaceCircles(face, normal) {
+
+    const circles = [];
+    const loops = getBoundaryLoops(face.vertices);
+    for (let i = 0; i < loops.length; i++) {
+        if (loops[i].length < MIN_CIRCLE_VERTICES) {
+            continue;
+        }
+
+        const circle = fitCircle(loops[i], normal);
+        if (circle && circle.error <= FIT_TOLERANCE) {
+            circles.push(circle);
+        }
+    }
+
+    return circles;
+}
+
+// Distance of a point to the outline of a circle.
+function distanceToCircle(point, circle) {
+    const d = point.clone().sub(circle.center);
+    const h = d.dot(circle.normal);
+    const r = Math.sqrt(Math.max(0, d.lengthSq() - h * h)) - circle.radius;
+    return Math.sqrt(r * r + h * h);
+}
+
+function isFacePlanar(face, normal) {
+    const d = new THREE.Vector3();
+    const tolerance = new THREE.Box3().setFromPoints(face.vertices).getSize(d).length() * WELD_TOLERANCE * 10;
+    const offset = normal.dot(face.vertices[0]);
+    return face.vertices.every(v => Math.abs(normal.dot(v) - offset) <= tolerance);
+}
+
+function getTriangleNormals(vertices) {
+    const normals = [];
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    for (let i = 0; i + 2 < vertices.length; i += 3) {
+        e1.subVectors(vertices[i + 1], vertices[i]);
+        e2.subVectors(vertices[i + 2], vertices[i]);
+        const normal = new THREE.Vector3().crossVectors(e1, e2);
+        if (normal.lengthSq() > 0) {
+            normals.push(normal.normalize());
+        }
+    }
+    return normals;
+}
+
+function toCircleResult(circle, circles) {
+    return {
+        radius: circle.radius,
+        center: circle.center,
+        normal: circle.normal,
+        isCylinder: false,
+        circles: circles || [circle]
+    };
+}
+
+/**
+ * Finds the circle or cylinder at a pick on a 3D model.
+ *
+ * Circular edges are fitted from their topology edge if available, and otherwise taken from the boundary loops of the picked
+ * face. Cylindrical faces are fitted from their topology face if available, and otherwise from the smoothly connected triangles
+ * of the picked fragment. For planar faces, all circles on the face with the same radius are listed too, e.g. for hole patterns.
+ *
+ * @param {Autodesk.Viewing.MeasureCommon.SnapResult} pick
+ * @param {Autodesk.Viewing.Model} model - Model of the pick.
+ * @returns {{radius: number, center: THREE.Vector3, normal: THREE.Vector3, isCylinder: boolean, circles: object[],
+ *     axisStart: THREE.Vector3, axisEnd: THREE.Vector3}|null} For cylinders, the center lies on the axis at the height of the
+ *     pick, and the normal is the axis. circles contains the equal-radius circles on the face, including the measured one.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.findCircularFeature
+ */
+export function findCircularFeature(pick, model) {
+
+    if (!pick || !model || model.is2d()) {
+        return null;
+    }
+
+    const point = pick.intersectPoint;
+    const face = pick.geomFace;
+    const edge = pick.geomEdge;
+    let edgeCircle = null;
+
+    // Topology edges are complete, so a circular one can be fitted directly.
+    if (model.hasTopology() && edge && edge.vertices.length >= MIN_CIRCLE_VERTICES) {
+        edgeCircle = fitCircle(edge.vertices);
+        if (edgeCircle && edgeCircle.error > FIT_TOLERANCE) {
+            edgeCircle = null;
+        }
+    }
+
+    if (!face || face.vertices.length < 3 || !point) {
+        return edgeCircle && toCircleResult(edgeCircle);
+    }
+
+    const normals = getTriangleNormals(face.vertices);
+    const faceNormal = pick.faceNormal || normals[0];
+    const isPlanar = !!faceNormal && isFacePlanar(face, faceNormal);
+
+    if (isPlanar) {
+        const circles = getFaceCircles(face, faceNormal);
+        let picked = null;
+        if (edgeCircle) {
+            picked = circles.find(c => c.center.distanceTo(edgeCircle.center) <= edgeCircle.radius * RADIUS_TOLERANCE);
+        } else {
+            let distance = Infinity;
+            for (let i = 0; i < circles.length; i++) {
+                const d = distanceToCircle(point, circles[i]);
+                if (d < distance) {
+                    distance = d;
+                    picked = circles[i];
+                }
+            }
+        }
+
+        if (picked) {
+            const pattern = circles.filter(c => Math.abs(c.radius - picked.radius) <= picked.radius * RADIUS_TOLERANCE);
+            return toCircleResult(picked, pattern);
+        }
+    }
+
+    if (edgeCircle) {
+        return toCircleResult(edgeCircle);
+    }
+
+    // Fit a cylinder to the curved topology face, or to the smooth region of the mesh around the pick.
+    // Without topology, the picked face only contains the triangles in the plane of the hit triangle.
+    let region = null;
+    if (model.hasTopology()) {
+        region = isPlanar ? null : {
+            points: face.vertices,
+            normals: normals
+        };
+    } else if (typeof face.fragId === 'number') {
+        const mesh = getFragmentMesh(model, face.fragId);
+        const seed = mesh ? findTriangle(mesh, face) : -1;
+        region = seed >= 0 ? growSmoothRegion(mesh, seed) : null;
+    }
+
+    const cylinder = region && fitCylinder(region.points, region.normals);
+    if (!cylinder || cylinder.error > FIT_TOLERANCE) {
+        return null;
+    }
+
+    const height = point.clone().sub(cylinder.center).dot(cylinder.axis);
+    const center = cylinder.center.clone().add(cylinder.axis.clone().multiplyScalar(height));
+    return {
+        radius: cylinder.radius,
+        center: center,
+        normal: cylinder.axis,
+        isCylinder: true,
+        axisStart: cylinder.axisStart,
+        axisEnd: cylinder.axisEnd,
+        circles: [{
+            center: center,
+            normal: cylinder.axis,
+            radius: cylinder.radius
+        }]
+    };
+}
@@ -9,6 +9,15 @@ import {
     convertUnits,
     formatValueWithUnits
 } from "./UnitFormatter";
+import {
+    enumMeshTriangles
+} from "../wgs/scene/VertexEnumerator";
+import {
+    computeMinimumDistance
+} from "./MeshDistance";
+import {
+    findCircularFeature
+} from "./CircleFit";
 
 export const EPSILON = 0.0001;
 
@@ -394,6 +403,318 @@ function applyDPrecision(measurement, dPrecision) {
     return Math.floor((measurement / dPrecision) + 0.5) * dPrecision;
 };
 
+/**
+ * Computes the enclosed volume and the total surface area of all fragment meshes of an object.
+ * An object is often split into several fragments (e.g. one per material), which are only closed together.
+ * Therefore, the signed tetrahedron volumes are summed over all fragments, and the combined shell is checked
+ * for watertightness, i.e., each edge must be shared by exactly two triangles.
+ * Values are in model units (cubic and square), based on the current world matrices of the fragments.
+ *
+ * @param {Autodesk.Viewing.Model} model
+ * @param {number} dbId
+ * @returns {object|null} {volume, surfaceArea, isWatertight}, or null if no mesh geometry is loaded for dbId.
+ */
+export function calculateVolume(model, dbId) {
+
+    var it = model && model.getInstanceTree();
+    var fragList = model && model.getFragmentList();
+    if (!it || !fragList || dbId === undefined || dbId === null) {
+        return null;
+    }
+
+    var matrix = new THREE.Matrix4();
+    var a = new THREE.Vector3();
+    var b = new THREE.Vector3();
+    var c = new THREE.Vector3();
+    var ab = new THREE.Vector3();
+    var ac = new THREE.Vector3();
+    var bbox = new THREE.Box3();
+    var bounds = new THREE.Box3();
+
+    var fragIds = [];
+    it.enumNodeFragments(dbId, function(fragId) {
+        var geometry = fragList.getGeometry(fragId);
+        if (geometry && !geometry.isLines && !geometry.isPoints) {
+            fragIds.push(fragId);
+            fragList.getWorldBounds(fragId, bbox);
+            bounds.union(bbox);
+        }
+    }, true);
+
+    // Vertices are merged by world position, since meshes usually duplicate them at hard edges (different normals),
+    // and fragments of the same object share the vertices along their borders.
+    var tolerance = Math.max(bounds.getSize(ab).length() * 1e-6, Number.EPSILON);
+    var vertexIds = new Map();
+    var edges = new Map();
+
+    function getVertexId(v) {
+        var key = Math.round(v.x / tolerance) + ',' + Math.round(v.y / tolerance) + ',' + Math.round(v.z / tolerance);
+        var id = vertexIds.get(key);
+        if (id === undefined) {
+            id = vertexIds.size;
+            vertexIds.set(key, id);
+        }
+        return id;
+    }
+
+    function addEdge(i, j) {
+        var key = i < j ? i + '_' + j : j + '_' + i;
+        edges.set(key, (edges.get(key) || 0) + 1);
+    }
+
+    var signedVolume = 0;
+    var surfaceArea = 0;
+    var triangleCount = 0;
+
+    for (var i = 0; i < fragIds.length; i++) {
+        fragList.getWorldMatrix(fragIds[i], matrix);
+
+        // Mirrored fragments invert the winding of their triangles.
+        var sign = matrix.determinant() < 0 ? -1 : 1;
+
+        enumMeshTriangles(fragList.getGeometry(fragIds[i]), function(vA, vB, vC) {
+            a.copy(vA).applyMatrix4(matrix);
+            b.copy(vB).applyMatrix4(matrix);
+            c.copy(vC).applyMatrix4(matrix);
+
+            ab.subVectors(b, a);
+            ac.subVectors(c, a);
+            var area = ab.cross(ac).length() / 2;
+            if (area === 0) {
+                return; // Degenerated triangles don't contribute, neither to the result nor to the topology.
+            }
+
+            surfaceArea += area;
+            signedVolume += sign * a.dot(ab.crossVectors(b, c)) / 6;
+            triangleCount++;
+
+            var ia = getVertexId(a);
+            var ib = getVertexId(b);
+            var ic = getVertexId(c);
+            addEdge(ia, ib);
+            addEdge(ib, ic);
+            addEdge(ic, ia);
+        });
+    }
+
+    if (triangleCount === 0) {
+        return null;
+    }
+
+    var isWatertight = true;
+    for (var count of edges.values()) {
+        if (count !== 2) {
+            isWatertight = false;
+            break;
+        }
+    }
+
+    // An inverted winding of the whole object flips the sign.
+    return {
+        volume: Math.abs(signedVolume),
+        surfaceArea: surfaceArea,
+        isWatertight: isWatertight
+    };
+};
+
+/**
+ * Calculates the length of each segment of an open polyline, and their sum as the distance.
+ * The last pick may still be following the cursor, in which case its segment is left out.
+ */
+function calculatePolylineLength(picks, viewer) {
+
+    if (!picks[1]) {
+        return null;
+    }
+
+    var dPrecision = getDpiPrecision(viewer.model, picks[1].viewportIndex2d);
+    var segmentLengths = [];
+    var total = 0;
+    var units;
+
+    for (var i = 1; picks[i + 1] && picks[i + 1].getGeometry(); i++) {
+        // Coincident picks (e.g. when clicking the last point again to finish) make an empty segment.
+        var segment = calculateDistance(picks[i], picks[i + 1], dPrecision, viewer);
+        var length = segment ? segment.distanceXYZ : 0;
+        segmentLengths.push(length);
+        total += length;
+        units = units || (segment && segment.units);
+    }
+
+    if (segmentLengths.length === 0) {
+        return null;
+    }
+
+    return {
+        distanceXYZ: total,
+        segmentLengths: segmentLengths,
+        type: MeasurementTypes.MEASUREMENT_POLYLINE,
+        units
+    };
+};
+
+/**
+ * Calculates the clearance between the objects of two picks, i.e. the minimum distance between their meshes.
+ * Returns the distance with its deltas, like a distance measurement, plus the closest points on each object.
+ */
+function calculateClearance(firstPick, secondPick, viewer) {
+
+    if (!firstPick || !secondPick || typeof firstPick.snapNode !== 'number' || typeof secondPick.snapNode !== 'number') {
+        return null;
+    }
+
+    var model1 = firstPick.modelId ? viewer.impl.findModel(firstPick.modelId) : viewer.model;
+    var model2 = secondPick.modelId ? viewer.impl.findModel(secondPick.modelId) : viewer.model;
+
+    // The clearance of an object with itself is meaningless.
+    if (model1 === model2 && firstPick.snapNode === secondPick.snapNode) {
+        return null;
+    }
+
+    var clearance = computeMinimumDistance(model1, firstPick.snapNode, model2, secondPick.snapNode);
+    if (!clearance) {
+        return null;
+    }
+
+    var p1 = clearance.point1;
+    var p2 = clearance.point2;
+    return {
+        distanceXYZ: clearance.distance,
+        distanceX: Math.abs(p1.x - p2.x),
+        distanceY: Math.abs(p1.y - p2.y),
+        distanceZ: Math.abs(p1.z - p2.z),
+        point1: p1,
+        point2: p2,
+        type: MeasurementTypes.MEASUREMENT_CLEARANCE
+    };
+};
+
+// Size of the rise/run triangle of a face slope, relative to the size of the model,
+// in case the face itself isn't available (e.g. for restored measurements).
+const SLOPE_HELPER_SIZE = 0.02;
+
+/**
+ * Returns the up direction that slopes are measured against: the model's world up vector,
+ * the Y axis of the sheet for 2D models, or the world up of the navigation as fallback.
+ */
+function getSlopeUpVector(viewer, model) {
+    model = model || viewer.model;
+
+    var upVector = model && model.getUpVector();
+    if (upVector) {
+        return new THREE.Vector3().fromArray(upVector).normalize();
+    }
+
+    if (model && model.is2d()) {
+        return new THREE.Vector3(0, 1, 0);
+    }
+
+    return viewer.navigation.getWorldUpVector().clone().normalize();
+};
+
+/**
+ * Calculates the slope relative to the up vector of the model, either between two picks or, for face slopes, of the face of a single face pick.
+ * Rise and run are in model units, the angle in degrees. Rise is signed, i.e. negative if the second point is below the first.
+ * The result also contains the corners of the rise/run triangle: the run goes from start to corner, the rise from corner to end.
+ * For faces, the triangle follows the steepest direction on the face.
+ */
+function calculateSlope(firstPick, secondPick, viewer, faceSlope) {
+
+    var start = getSnapResultPosition(firstPick, viewer);
+    if (!start) {
+        return null;
+    }
+
+    var model = firstPick.modelId ? viewer.impl.findModel(firstPick.modelId) : viewer.model;
+    var up = getSlopeUpVector(viewer, model);
+    var end;
+
+    if (secondPick && secondPick.getGeometry()) {
+        end = getSnapResultPosition(secondPick, viewer);
+        if (!end || isEqualVectors(start, end, EPSILON)) {
+            return null;
+        }
+    } else if (faceSlope && firstPick.geomType === SnapType.SNAP_FACE && firstPick.faceNormal) {
+        // Steepest direction on the face: the part of the up vector that lies in the face plane.
+        var normal = firstPick.faceNormal.clone().normalize();
+        var direction = up.clone().sub(normal.clone().multiplyScalar(normal.dot(up)));
+        if (direction.lengthSq() < EPSILON * EPSILON) {
+            // A level face has no slope.
+            return {
+                rise: 0,
+                run: 0,
+                angle: 0,
+                start: start,
+                corner: start.clone(),
+                end: start.clone(),
+                type: MeasurementTypes.MEASUREMENT_SLOPE
+            };
+        }
+
+        var face = firstPick.getGeometry();
+        var size = 0;
+        if (face && face.vertices && face.vertices.length > 1) {
+            var faceBox = new THREE.Box3().setFromPoints(face.vertices);
+            size = faceBox.getSize(new THREE.Vector3()).length() / 2;
+        }
+        if (!size && model) {
+            size = model.getBoundingBox().getSize(new THREE.Vector3()).length() * SLOPE_HELPER_SIZE;
+        }
+
+        end = start.clone().add(direction.normalize().multiplyScalar(size));
+    } else {
+        return null;
+    }
+
+    var rise = end.clone().sub(start).dot(up);
+    var corner = end.clone().sub(up.clone().multiplyScalar(rise));
+    var run = corner.distanceTo(start);
+
+    return {
+        rise: rise,
+        run: run,
+        angle: Math.atan2(Math.abs(rise), run) * 180 / Math.PI,
+        start: start,
+        corner: corner,
+        end: end,
+        type: MeasurementTypes.MEASUREMENT_SLOPE
+    };
+};
+
+/**
+ * Calculates the radius of the circular edge or cylindrical face at a pick, see findCircularFeature.
+ * Restored picks have no geometry to fit, so they keep the circle they were measured on and the number of circles on its face.
+ */
+function calculateRadius(pick, viewer) {
+
+    if (!pick) {
+        return null;
+    }
+
+    var model = pick.modelId ? viewer.impl.findModel(pick.modelId) : viewer.model;
+    var result = findCircularFeature(pick, model);
+
+    if (!result && pick.circularArcCenter && pick.circularArcRadius && pick.faceNormal) {
+        var circle = {
+            center: new THREE.Vector3().copy(pick.circularArcCenter),
+            normal: new THREE.Vector3().copy(pick.faceNormal).normalize(),
+            radius: pick.circularArcRadius
+        };
+        result = {
+            radius: circle.radius,
+            center: circle.center,
+            normal: circle.normal,
+            isCylinder: false,
+            circles: [circle],
+            circleCount: pick.circleCount
+        };
+    }
+
+    return result && Object.assign(result, {
+        type: MeasurementTypes.MEASUREMENT_RADIUS
+    });
+};
+
 /**
  * The main function for this file, which calculates a measurement result (either distance
  * or angle) from a given measurement.
@@ -436,6 +757,27 @@ export function computeResult(picks, measurementType, viewer, options) {
                 type: measurementType
             };
 
+        case MeasurementTypes.MEASUREMENT_VOLUME:
+            var pick = picks[1];
+            var model = pick && pick.modelId ? viewer.impl.findModel(pick.modelId) : viewer.model;
+            var volume = pick && model && !model.is2d() && calculateVolume(model, pick.snapNode);
+            return volume ? Object.assign(volume, {
+                dbId: pick.snapNode,
+                type: measurementType
+            }) : null;
+
+        case MeasurementTypes.MEASUREMENT_CLEARANCE:
+            return calculateClearance(picks[1], picks[2], viewer);
+
+        case MeasurementTypes.MEASUREMENT_POLYLINE:
+            return calculatePolylineLength(picks, viewer);
+
+        case MeasurementTypes.MEASUREMENT_SLOPE:
+            return calculateSlope(picks[1], picks[2], viewer, !!(options && options.faceSlope));
+
+        case MeasurementTypes.MEASUREMENT_RADIUS:
+            return calculateRadius(picks[1], viewer);
+
         default:
             return null;
 
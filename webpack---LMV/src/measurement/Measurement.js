@@ -22,6 +22,7 @@ export function Measurement(measurementType, id, options) {
     this.id = id;
     this.picks = [];
     this.closedArea = false;
+    this.isFinished = false; // Open polylines have no closing pick, so they are finished explicitly.
     this.isRestored = false;
     this.options = options;
 
@@ -34,6 +35,7 @@ export function Measurement(measurementType, id, options) {
 Measurement.prototype.clone = function() {
     const measurement = new Measurement(this.measurementType, this.id, this.options);
     measurement.closedArea = this.closedArea;
+    measurement.isFinished = this.isFinished;
     measurement.isRestored = this.isRestored;
     measurement.picks = this.clonePicks();
     measurement.angle = this.angle;
@@ -42,6 +44,15 @@ Measurement.prototype.clone = function() {
     measurement.distanceZ = this.distanceZ;
     measurement.distanceXYZ = this.distanceXYZ;
     measurement.arc = this.arc;
+    measurement.segmentLengths = this.segmentLengths.slice();
+    measurement.rise = this.rise;
+    measurement.run = this.run;
+    measurement.slopeAngle = this.slopeAngle;
+    measurement.radius = this.radius;
+    measurement.circleCount = this.circleCount;
+    measurement.volume = this.volume;
+    measurement.surfaceArea = this.surfaceArea;
+    measurement.isWatertight = this.isWatertight;
     measurement.location = this.location ? .clone();
     measurement.result = Object.assign({}, this.result);
     return measurement;
@@ -55,6 +66,15 @@ Measurement.prototype.resetMeasureValues = function() {
     this.distanceZ = 0;
     this.distanceXYZ = 0;
     this.arc = 0;
+    this.segmentLengths = [];
+    this.rise = 0;
+    this.run = 0;
+    this.slopeAngle = 0;
+    this.radius = 0;
+    this.circleCount = 0; // Number of circles with the same radius on the measured face, e.g. of a hole pattern.
+    this.volume = 0;
+    this.surfaceArea = 0;
+    this.isWatertight = true;
     this.location = null;
     this.result = null;
 };
@@ -99,7 +119,12 @@ Measurement.prototype.countPicks = function() {
 Measurement.prototype.getMaxNumberOfPicks = function() {
 
     switch (this.measurementType) {
+        case MeasurementTypes.MEASUREMENT_VOLUME:
+        case MeasurementTypes.MEASUREMENT_RADIUS:
+            return 1;
+
         case MeasurementTypes.MEASUREMENT_DISTANCE:
+        case MeasurementTypes.MEASUREMENT_CLEARANCE:
         case MeasurementTypes.MEASUREMENT_LOCATION:
         case MeasurementTypes.MEASUREMENT_CALLOUT:
         case MeasurementTypes.MEASUREMENT_ARC:
@@ -110,6 +135,13 @@ Measurement.prototype.getMaxNumberOfPicks = function() {
 
         case MeasurementTypes.MEASUREMENT_AREA:
             return this.closedArea ? this.countPicks() : Number.MAX_VALUE - 1;
+
+        case MeasurementTypes.MEASUREMENT_POLYLINE:
+            return this.isFinished ? this.countPicks() : Number.MAX_VALUE - 1;
+
+        case MeasurementTypes.MEASUREMENT_SLOPE:
+            // A face slope measures the slope of a single picked face, otherwise it's a slope between two points.
+            return (this.options && this.options.faceSlope) ? 1 : 2;
     }
 };
 
@@ -201,6 +233,7 @@ Measurement.prototype.computeResult = function(picks, viewer) {
 
     switch (result.type) {
         case MeasurementTypes.MEASUREMENT_DISTANCE:
+        case MeasurementTypes.MEASUREMENT_CLEARANCE:
             this.distanceXYZ = result.distanceXYZ;
             this.distanceX = result.distanceX;
             this.distanceY = result.distanceY;
@@ -215,6 +248,22 @@ Measurement.prototype.computeResult = function(picks, viewer) {
             this.area = result.area;
             return true;
 
+        case MeasurementTypes.MEASUREMENT_POLYLINE:
+            this.distanceXYZ = result.distanceXYZ;
+            this.segmentLengths = result.segmentLengths;
+            return true;
+
+        case MeasurementTypes.MEASUREMENT_SLOPE:
+            this.rise = result.rise;
+            this.run = result.run;
+            this.slopeAngle = result.angle;
+            return true;
+
+        case MeasurementTypes.MEASUREMENT_RADIUS:
+            this.radius = result.radius;
+            this.circleCount = result.circleCount || result.circles.length;
+            return true;
+
         case MeasurementTypes.MEASUREMENT_ARC:
             this.arc = result.arc;
             return true;
@@ -223,6 +272,12 @@ Measurement.prototype.computeResult = function(picks, viewer) {
             this.location = result.location;
             return true;
 
+        case MeasurementTypes.MEASUREMENT_VOLUME:
+            this.volume = result.volume;
+            this.surfaceArea = result.surfaceArea;
+            this.isWatertight = result.isWatertight;
+            return true;
+
         case MeasurementTypes.MEASUREMENT_CALLOUT:
             return true;
 
@@ -232,9 +287,11 @@ Measurement.prototype.computeResult = function(picks, viewer) {
 };
 
 Measurement.prototype.getGeometry = function(pickNumber) {
+    // Single pick measurements (e.g. volume) don't have a second pick.
+    var pick = this.picks[pickNumber];
     return {
-        "type": this.picks[pickNumber].geomType,
-        "geometry": this.picks[pickNumber].getGeometry()
+        "type": pick ? pick.geomType : undefined,
+        "geometry": pick ? pick.getGeometry() : null
     };
 };
 
@@ -6,7 +6,12 @@ export var MeasurementTypes = {
     CALIBRATION: 4,
     MEASUREMENT_CALLOUT: 5,
     MEASUREMENT_LOCATION: 6,
-    MEASUREMENT_ARC: 7
+    MEASUREMENT_ARC: 7,
+    MEASUREMENT_VOLUME: 8,
+    MEASUREMENT_CLEARANCE: 9, // Minimum distance between the meshes of two objects.
+    MEASUREMENT_POLYLINE: 10, // Chained distance along an open polyline of any number of picks.
+    MEASUREMENT_SLOPE: 11, // Slope between two picks, or of a picked face, relative to the model's up vector.
+    MEASUREMENT_RADIUS: 12 // Radius and diameter of a circular edge or cylindrical face.
 };
 
 export var MeasurementTypesToAnalytics = {
@@ -17,4 +22,9 @@ export var MeasurementTypesToAnalytics = {
     [MeasurementTypes.MEASUREMENT_CALLOUT]: 'Callout',
     [MeasurementTypes.MEASUREMENT_LOCATION]: 'Location',
     [MeasurementTypes.MEASUREMENT_ARC]: 'Arc',
+    [MeasurementTypes.MEASUREMENT_VOLUME]: 'Volume',
+    [MeasurementTypes.MEASUREMENT_CLEARANCE]: 'Clearance',
+    [MeasurementTypes.MEASUREMENT_POLYLINE]: 'Polyline',
+    [MeasurementTypes.MEASUREMENT_SLOPE]: 'Slope',
+    [MeasurementTypes.MEASUREMENT_RADIUS]: 'Radius',
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+import * as THREE from "three";
+import {
+    enumMeshTriangles
+} from "../wgs/scene/VertexEnumerator";
+import {
+    boxDistanceSq,
+    buildTriangleBVH,
+    searchBVHPair
+} from "./TriangleDistance";
+
+// Minimum distance between the triangle meshes of two objects.
+//
+// Each fragment gets a BVH over its world-space triangles, built lazily. Fragment pairs are visited
+// in order of their world bounds distance, and both fragment pairs and BVH node pairs are skipped
+// as soon as their boxes are further apart than the best distance found so far.
+
+// Results are reused while hovering/re-rendering the same pair of objects
+let _lastKey = null;
+let _lastResult = null;
+
+function getObjectFragments(model, dbId) {
+
+    const frags = [];
+    const it = model.getInstanceTree();
+    const fragList = model.getFragmentList();
+    if (!it || !fragList) {
+        return frags;
+    }
+
+    const box = new THREE.Box3();
+    it.enumNodeFragments(dbId, function(fragId) {
+        const geometry = fragList.getGeometry(fragId);
+        if (!geometry || geometry.isLines || geometry.isPoints) {
+            return;
+        }
+
+        fragList.getWorldBounds(fragId, box);
+        frags.push({
+            fragId: fragId,
+            min: [box.min.x, box.min.y, box.min.z],
+            max: [box.max.x, box.max.y, box.max.z],
+            bvh: undefined
+        });
+    }, true);
+
+    return frags;
+}
+
+function getCacheKey(model1, dbId1, frags1, model2, dbId2, frags2) {
+    // World bounds are part of the key, so that moved (e.g. exploded) fragments invalidate it.
+    const bounds = (frags) => frags.map(f => f.min.concat(f.max).join(',')).join(';');
+    return [model1.id, dbId1, bounds(frags1), model2.id, dbId2, bounds(frags2)].join('|');
+}
+
+function buildFragmentBVH(fragList, fragId) {
+
+    const matrix = new THREE.Matrix4();
+    fragList.getWorldMatrix(fragId, matrix);
+
+    const v = new THREE.Vector3();
+    const coords = [];
+    enumMeshTriangles(fragList.getGeometry(fragId), function(vA, vB, vC) {
+        v.copy(vA).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+        v.copy(vB).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+        v.copy(vC).applyMatrix4(matrix);
+        coords.push(v.x, v.y, v.z);
+    });
+
+    return buildTriangleBVH(new Float64Array(coords));
+}
+
+/**
+ * Computes the minimum distance between the triangle meshes of two objects, in world coordinates.
+ * Line and point geometry is ignored. Objects that intersect or touch have a distance of 0.
+ *
+ * @param {Autodesk.Viewing.Model} model1 - Model of the first object.
+ * @param {number} dbId1 - dbId of the first object.
+ * @param {Autodesk.Viewing.Model} model2 - Model of the second object.
+ * @param {number} dbId2 - dbId of the second object.
+ * @returns {{distance: number, point1: THREE.Vector3, point2: THREE.Vector3}|null} The distance and the
+ *     closest points on each object, or null if either object has no triangles.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.computeMinimumDistance
+ */
+export function computeMinimumDistance(model1, dbId1, model2, dbId2) {
+
+    if (!model1 || !model2 || model1.is2d() || model2.is2d()) {
+        return null;
+    }
+
+    const fragsA = getObjectFragments(model1, dbId1);
+    const fragsB = getObjectFragments(model2, dbId2);
+    if (!fragsA.length || !fragsB.length) {
+        return null;
+    }
+
+    const key = getCacheKey(model1, dbId1, fragsA, model2, dbId2, fragsB);
+    if (key === _lastKey) {
+        return _lastResult && {
+            distance: _lastResult.distance,
+            point1: _lastResult.point1.clone(),
+            point2: _lastResult.point2.clone()
+        };
+    }
+
+    // Visit the closest fragment pairs first, so that the best distance shrinks quickly and prunes the rest.
+    const pairs = [];
+    for (let i = 0; i < fragsA.length; i++) {
+        for (let j = 0; j < fragsB.length; j++) {
+            pairs.push({
+                a: fragsA[i],
+                b: fragsB[j],
+                distSq: boxDistanceSq(fragsA[i].min, fragsA[i].max, fragsB[j].min, fragsB[j].max)
+            });
+        }
+    }
+    pairs.sort((x, y) => x.distSq - y.distSq);
+
+    const fragList1 = model1.getFragmentList();
+    const fragList2 = model2.getFragmentList();
+    const state = {
+        distSq: Infinity,
+        p1: [0, 0, 0],
+        p2: [0, 0, 0]
+    };
+
+    for (let i = 0; i < pairs.length; i++) {
+        const pair = pairs[i];
+        if (pair.distSq >= state.distSq) {
+            break;
+        }
+
+        if (pair.a.bvh === undefined) {
+            pair.a.bvh = buildFragmentBVH(fragList1, pair.a.fragId);
+        }
+        if (pair.b.bvh === undefined) {
+            pair.b.bvh = buildFragmentBVH(fragList2, pair.b.fragId);
+        }
+        if (!pair.a.bvh || !pair.b.bvh) {
+            continue;
+        }
+
+        searchBVHPair(pair.a.bvh, pair.b.bvh, state);
+        if (state.distSq === 0) {
+            break;
+        }
+    }
+
+    const result = state.distSq === Infinity ? null : {
+        distance: Math.sqrt(state.distSq),
+        point1: new THREE.Vector3(state.p1[0], state.p1[1], state.p1[2]),
+        point2: new THREE.Vector3(state.p2[0], state.p2[1], state.p2[2])
+    };
+
+    _lastKey = key;
+    _lastResult = result;
+
+    return result && {
+        distance: result.distance,
+        point1: result.point1.clone(),
+        point2: result.point2.clone()
+    };
+}
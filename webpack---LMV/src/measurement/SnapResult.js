@@ -36,9 +36,11 @@ SnapResult.prototype.clear = function() {
     this.viewportIndex2d = null; // int
     this.circularArcCenter = null;
     this.circularArcRadius = null;
+    this.circleCount = null; // int, number of equal circles on the face of a restored radius pick.
     this.fromTopology = false;
     this.isPerpendicular = false;
     this.snapPoint = null;
+    this.anchorMatrix = null; // THREE.Matrix4, world matrix of the fragment when it was last anchored. See anchorToFragment.
 };
 
 /**
@@ -64,9 +66,11 @@ SnapResult.prototype.copyTo = function(destiny) {
     destiny.viewportIndex2d = this.viewportIndex2d;
     destiny.circularArcCenter = this.circularArcCenter;
     destiny.circularArcRadius = this.circularArcRadius;
+    destiny.circleCount = this.circleCount;
     destiny.fromTopology = this.fromTopology;
     destiny.isPerpendicular = this.isPerpendicular;
     destiny.snapPoint = this.snapPoint;
+    destiny.anchorMatrix = this.anchorMatrix;
 };
 
 /**
@@ -137,6 +141,95 @@ SnapResult.prototype.applyMatrix4 = function(matrix) {
     this.circularArcRadius = transformRadius(this.circularArcRadius, matrix);
 };
 
+/**
+ * Anchors the snapped geometry to the fragment it was snapped on (see fragId), so that it can follow the fragment
+ * when it gets moved, e.g. by exploding the model or by animations. See followAnchor.
+ *
+ * @param {Autodesk.Viewing.Model} model - The model of the fragment.
+ * @returns {boolean} true if the geometry was anchored.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.SnapResult#anchorToFragment
+ */
+SnapResult.prototype.anchorToFragment = function(model) {
+
+    this.anchorMatrix = null;
+
+    const fragList = model && !model.is2d() && model.getFragmentList();
+    if (!fragList || typeof this.fragId !== 'number' || this.fragId < 0 || this.fragId >= fragList.getCount()) {
+        return false;
+    }
+
+    this.anchorMatrix = new THREE.Matrix4();
+    fragList.getWorldMatrix(this.fragId, this.anchorMatrix);
+    return true;
+};
+
+/**
+ * Moves the snapped geometry along with its anchor fragment, if the fragment was moved since it was anchored
+ * or since the last call.
+ *
+ * Unlike applyMatrix4, the geometry gets replaced instead of modified in place, because SnapResults share it with their copies.
+ *
+ * @param {Autodesk.Viewing.Model} model - The model of the fragment.
+ * @returns {boolean} true if the geometry was moved.
+ *
+ * @alias Autodesk.Viewing.MeasureCommon.SnapResult#followAnchor
+ */
+SnapResult.prototype.followAnchor = function(model) {
+
+    if (!this.anchorMatrix || !model) {
+        return false;
+    }
+
+    const matrix = new THREE.Matrix4();
+    model.getFragmentList().getWorldMatrix(this.fragId, matrix);
+    if (matrix.equals(this.anchorMatrix)) {
+        return false;
+    }
+
+    const delta = matrix.clone().multiply(this.anchorMatrix.clone().invert());
+    this.anchorMatrix = matrix;
+
+    // Points may be shared, e.g. the intersection point may be the snapped vertex, and the center of a circular edge is its arc center.
+    const moved = new Map();
+    const movePoint = (point) => {
+        if (!point) {
+            return point;
+        }
+        let result = moved.get(point);
+        if (!result) {
+            result = new THREE.Vector3().copy(point).applyMatrix4(delta);
+            moved.set(point, result);
+        }
+        return result;
+    };
+    const moveGeometry = (geometry) => {
+        if (!geometry) {
+            return geometry;
+        }
+        // Shallow copy to keep custom properties like fragId, center or radius.
+        const result = Object.assign(Object.create(Object.getPrototypeOf(geometry)), geometry);
+        result.vertices = geometry.vertices.map(movePoint);
+        result.center = movePoint(geometry.center);
+        result.boundingBox = result.boundingSphere = null;
+        return result;
+    };
+
+    this.geomVertex = movePoint(this.geomVertex);
+    this.intersectPoint = movePoint(this.intersectPoint);
+    this.snapPoint = movePoint(this.snapPoint);
+    this.circularArcCenter = movePoint(this.circularArcCenter);
+    this.geomEdge = moveGeometry(this.geomEdge);
+    this.geomFace = moveGeometry(this.geomFace);
+
+    if (this.faceNormal) {
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(delta);
+        this.faceNormal = new THREE.Vector3().copy(this.faceNormal).applyMatrix3(normalMatrix).normalize();
+    }
+
+    return true;
+};
+
 /**
  * Gets the snapped face, when available.
  *
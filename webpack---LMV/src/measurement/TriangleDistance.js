@@ -0,0 +1,591 @@
+// Distance queries between triangle soups, shared by the main thread and the workers.
+//
+// Triangles are passed as flat arrays of world-space coordinates (9 values per triangle) and get a BVH
+// with median splits. This module must not depend on THREE, so that it can be used in the workers.
+
+// Max number of triangles in a BVH leaf
+const LEAF_SIZE = 8;
+
+// Below this squared length, a segment is treated as a point
+const EPS_SQ = 1e-20;
+
+export function boxDistanceSq(minA, maxA, minB, maxB) {
+    let distSq = 0;
+    for (let i = 0; i < 3; i++) {
+        const gap = Math.max(0, minB[i] - maxA[i], minA[i] - maxB[i]);
+        distSq += gap * gap;
+    }
+    return distSq;
+}
+
+// Partially sorts order[left..right] by centroid, so that order[k] ends up at its sorted position (quickselect).
+function selectMedian(order, centroids, axis, left, right, k) {
+
+    while (left < right) {
+        const pivot = centroids[order[(left + right) >> 1] * 3 + axis];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (centroids[order[i] * 3 + axis] < pivot) i++;
+            while (centroids[order[j] * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const tmp = order[i];
+                order[i] = order[j];
+                order[j] = tmp;
+                i++;
+                j--;
+            }
+        }
+
+        if (k <= j) {
+            right = j;
+        } else if (k >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
+}
+
+function buildNode(tris, centroids, order, start, end) {
+
+    const node = {
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity],
+        start: start,
+        end: end,
+        left: null,
+        right: null
+    };
+
+    for (let i = start; i < end; i++) {
+        const offset = order[i] * 9;
+        for (let k = 0; k < 9; k++) {
+            const axis = k % 3;
+            const value = tris[offset + k];
+            node.min[axis] = Math.min(node.min[axis], value);
+            node.max[axis] = Math.max(node.max[axis], value);
+        }
+    }
+
+    if (end - start <= LEAF_SIZE) {
+        return node;
+    }
+
+    // Split at the median centroid along the longest axis
+    let axis = 0;
+    for (let i = 1; i < 3; i++) {
+        if (node.max[i] - node.min[i] > node.max[axis] - node.min[axis]) {
+            axis = i;
+        }
+    }
+
+    const mid = (start + end) >> 1;
+    selectMedian(order, centroids, axis, start, end - 1, mid);
+
+    node.left = buildNode(tris, centroids, order, start, mid);
+    node.right = buildNode(tris, centroids, order, mid, end);
+
+    return node;
+}
+
+
+// Builds a BVH over the given triangles.
+//  @param {Float64Array} tris - 9 coordinates per triangle
+//  @returns {Object|null} The BVH, or null if there are no triangles.
+export function buildTriangleBVH(tris) {
+
+    const count = tris.length / 9;
+    if (!count) {
+        return null;
+    }
+
+    const order = new Uint32Array(count);
+    const centroids = new Float64Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        order[i] = i;
+        for (let k = 0; k < 3; k++) {
+            centroids[i * 3 + k] = (tris[i * 9 + k] + tris[i * 9 + 3 + k] + tris[i * 9 + 6 + k]) / 3;
+        }
+    }
+
+    return {
+        tris: tris,
+        order: order,
+        root: buildNode(tris, centroids, order, 0, count)
+    };
+}
+
+// Small vector helpers on [x, y, z] arrays, to keep the inner loops free of allocations.
+
+function sub(a, b, out) {
+    out[0] = a[0] - b[0];
+    out[1] = a[1] - b[1];
+    out[2] = a[2] - b[2];
+    return out;
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b, out) {
+    const x = a[1] * b[2] - a[2] * b[1];
+    const y = a[2] * b[0] - a[0] * b[2];
+    const z = a[0] * b[1] - a[1] * b[0];
+    out[0] = x;
+    out[1] = y;
+    out[2] = z;
+    return out;
+}
+
+function madd(a, d, s, out) {
+    out[0] = a[0] + d[0] * s;
+    out[1] = a[1] + d[1] * s;
+    out[2] = a[2] + d[2] * s;
+    return out;
+}
+
+function copy(a, out) {
+    out[0] = a[0];
+    out[1] = a[1];
+    out[2] = a[2];
+    return out;
+}
+
+function distanceSq(a, b) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    return dx * dx + dy * dy + dz * dz;
+}
+
+function clamp01(x) {
+    return x < 0 ? 0 : (x > 1 ? 1 : x);
+}
+
+const dir1 = [0, 0, 0];
+const dir2 = [0, 0, 0];
+const r = [0, 0, 0];
+const ab = [0, 0, 0];
+const ac = [0, 0, 0];
+const ap = [0, 0, 0];
+const bp = [0, 0, 0];
+const cp = [0, 0, 0];
+const pv = [0, 0, 0];
+const qv = [0, 0, 0];
+const tv = [0, 0, 0];
+
+// Closest points between segments p1q1 and p2q2 (Ericson, Real-Time Collision Detection, 5.1.9).
+// Returns the squared distance.
+function closestPointsSegmentSegment(p1, q1, p2, q2, c1, c2) {
+
+    sub(q1, p1, dir1);
+    sub(q2, p2, dir2);
+    sub(p1, p2, r);
+
+    const a = dot(dir1, dir1);
+    const e = dot(dir2, dir2);
+    const f = dot(dir2, r);
+    let s, t;
+
+    if (a <= EPS_SQ && e <= EPS_SQ) {
+        s = t = 0;
+    } else if (a <= EPS_SQ) {
+        s = 0;
+        t = clamp01(f / e);
+    } else {
+        const c = dot(dir1, r);
+        if (e <= EPS_SQ) {
+            t = 0;
+            s = clamp01(-c / a);
+        } else {
+            const b = dot(dir1, dir2);
+            const denom = a * e - b * b;
+            s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp01(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp01((b - c) / a);
+            }
+        }
+    }
+
+    madd(p1, dir1, s, c1);
+    madd(p2, dir2, t, c2);
+    return distanceSq(c1, c2);
+}
+
+// Closest point to p on triangle abc (Ericson, Real-Time Collision Detection, 5.1.5).
+function closestPointTriangle(p, a, b, c, out) {
+
+    sub(b, a, ab);
+    sub(c, a, ac);
+    sub(p, a, ap);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) {
+        return copy(a, out);
+    }
+
+    sub(p, b, bp);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) {
+        return copy(b, out);
+    }
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        return madd(a, ab, d1 / (d1 - d3), out);
+    }
+
+    sub(p, c, cp);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) {
+        return copy(c, out);
+    }
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        return madd(a, ac, d2 / (d2 - d6), out);
+    }
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        sub(c, b, tv);
+        return madd(b, tv, (d4 - d3) / ((d4 - d3) + (d5 - d6)), out);
+    }
+
+    const denom = 1 / (va + vb + vc);
+    madd(a, ab, vb * denom, out);
+    return madd(out, ac, vc * denom, out);
+}
+
+// Intersection of segment pq with triangle abc (Möller-Trumbore, restricted to the segment).
+function intersectSegmentTriangle(p, q, a, b, c, out) {
+
+    sub(q, p, dir1);
+    sub(b, a, ab);
+    sub(c, a, ac);
+    cross(dir1, ac, pv);
+    const det = dot(ab, pv);
+    if (det === 0) {
+        return false;
+    }
+
+    const invDet = 1 / det;
+    sub(p, a, tv);
+    const u = dot(tv, pv) * invDet;
+    if (u < 0 || u > 1) {
+        return false;
+    }
+
+    cross(tv, ab, qv);
+    const v = dot(dir1, qv) * invDet;
+    if (v < 0 || u + v > 1) {
+        return false;
+    }
+
+    const t = dot(ac, qv) * invDet;
+    if (t < 0 || t > 1) {
+        return false;
+    }
+
+    madd(p, dir1, t, out);
+    return true;
+}
+
+const triA = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+const triB = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+const closest1 = [0, 0, 0];
+const closest2 = [0, 0, 0];
+
+function loadTriangle(tris, index, out) {
+    const offset = index * 9;
+    for (let i = 0; i < 3; i++) {
+        out[i][0] = tris[offset + i * 3];
+        out[i][1] = tris[offset + i * 3 + 1];
+        out[i][2] = tris[offset + i * 3 + 2];
+    }
+}
+
+// Updates state with the closest points of triangles A and B, if they are closer than the current best.
+function testTriangles(A, B, state) {
+
+    // Intersecting triangles touch, which none of the feature pairs below would detect.
+    for (let i = 0; i < 3; i++) {
+        if (intersectSegmentTriangle(A[i], A[(i + 1) % 3], B[0], B[1], B[2], closest1) ||
+            intersectSegmentTriangle(B[i], B[(i + 1) % 3], A[0], A[1], A[2], closest1)) {
+            state.distSq = 0;
+            copy(closest1, state.p1);
+            copy(closest1, state.p2);
+            return;
+        }
+    }
+
+    let d;
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            d = closestPointsSegmentSegment(A[i], A[(i + 1) % 3], B[j], B[(j + 1) % 3], closest1, closest2);
+            if (d < state.distSq) {
+                state.distSq = d;
+                copy(closest1, state.p1);
+                copy(closest2, state.p2);
+            }
+        }
+    }
+
+    for (let i = 0; i < 3; i++) {
+        closestPointTriangle(A[i], B[0], B[1], B[2], closest2);
+        d = distanceSq(A[i], closest2);
+        if (d < state.distSq) {
+            state.distSq = d;
+            copy(A[i], state.p1);
+            copy(closest2, state.p2);
+        }
+
+        closestPointTriangle(B[i], A[0], A[1], A[2], closest1);
+        d = distanceSq(B[i], closest1);
+        if (d < state.distSq) {
+            state.distSq = d;
+            copy(closest1, state.p1);
+            copy(B[i], state.p2);
+        }
+    }
+}
+
+export function searchBVHPair(bvhA, bvhB, state) {
+
+    const stack = [bvhA.root, bvhB.root];
+
+    while (stack.length) {
+        const nodeB = stack.pop();
+        const nodeA = stack.pop();
+
+        if (boxDistanceSq(nodeA.min, nodeA.max, nodeB.min, nodeB.max) >= state.distSq) {
+            continue;
+        }
+
+        const leafA = !nodeA.left;
+        const leafB = !nodeB.left;
+
+        if (leafA && leafB) {
+            for (let i = nodeA.start; i < nodeA.end; i++) {
+                loadTriangle(bvhA.tris, bvhA.order[i], triA);
+                for (let j = nodeB.start; j < nodeB.end; j++) {
+                    loadTriangle(bvhB.tris, bvhB.order[j], triB);
+                    testTriangles(triA, triB, state);
+                    if (state.distSq === 0) {
+                        return;
+                    }
+                }
+            }
+            continue;
+        }
+
+        // Descend into the bigger node. The closer child is pushed last, so that it's visited first.
+        if (leafB || (!leafA && nodeA.end - nodeA.start >= nodeB.end - nodeB.start)) {
+            const dl = boxDistanceSq(nodeA.left.min, nodeA.left.max, nodeB.min, nodeB.max);
+            const dr = boxDistanceSq(nodeA.right.min, nodeA.right.max, nodeB.min, nodeB.max);
+            const near = dl <= dr ? nodeA.left : nodeA.right;
+            const far = dl <= dr ? nodeA.right : nodeA.left;
+            stack.push(far, nodeB, near, nodeB);
+        } else {
+            const dl = boxDistanceSq(nodeA.min, nodeA.max, nodeB.left.min, nodeB.left.max);
+            const dr = boxDistanceSq(nodeA.min, nodeA.max, nodeB.right.min, nodeB.right.max);
+            const near = dl <= dr ? nodeB.left : nodeB.right;
+            const far = dl <= dr ? nodeB.right : nodeB.left;
+            stack.push(nodeA, far, nodeA, near);
+        }
+    }
+}
+
+const normalA = [0, 0, 0];
+const normalB = [0, 0, 0];
+const lineDir = [0, 0, 0];
+const distA = [0, 0, 0];
+const distB = [0, 0, 0];
+const crossing = [0, 0, 0];
+const intervalA = [0, 0];
+const intervalB = [0, 0];
+const startA = [0, 0, 0];
+
+// Unit normal of triangle T. Returns false for degenerate triangles.
+function triangleNormal(T, out) {
+    sub(T[1], T[0], ab);
+    sub(T[2], T[0], ac);
+    cross(ab, ac, out);
+    const length = Math.sqrt(dot(out, out));
+    if (length === 0) {
+        return false;
+    }
+    out[0] /= length;
+    out[1] /= length;
+    out[2] /= length;
+    return true;
+}
+
+// Signed distances of the vertices of T to the plane through P with the given normal.
+// Returns whether T has vertices on both sides that are farther than the tolerance.
+function straddlesPlane(T, P, normal, tolerance, out) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < 3; i++) {
+        out[i] = dot(normal, sub(T[i], P, tv));
+        min = Math.min(min, out[i]);
+        max = Math.max(max, out[i]);
+    }
+    return min < -tolerance && max > tolerance;
+}
+
+// Interval of T on the intersection line with the other plane, given the signed distances of its vertices.
+// Optionally returns the crossing point at the start of the interval.
+function crossingInterval(T, dist, out, start) {
+    out[0] = Infinity;
+    out[1] = -Infinity;
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        if ((dist[i] <= 0 && dist[j] > 0) || (dist[i] >= 0 && dist[j] < 0)) {
+            sub(T[j], T[i], dir1);
+            madd(T[i], dir1, dist[i] / (dist[i] - dist[j]), crossing);
+            const t = dot(lineDir, crossing);
+            if (t < out[0]) {
+                out[0] = t;
+                start && copy(crossing, start);
+            }
+            out[1] = Math.max(out[1], t);
+        }
+    }
+}
+
+// Returns whether triangles A and B cross each other's interior, i.e. each one has vertices farther than the
+// tolerance on both sides of the other one's plane, and they overlap on the intersection line of the planes.
+// Surfaces that just touch (coplanar faces, an edge or vertex on a face) never cross. Writes a point of the
+// crossing to out.
+function trianglesPenetrate(A, B, tolerance, out) {
+
+    if (!triangleNormal(A, normalA) || !triangleNormal(B, normalB) ||
+        !straddlesPlane(A, B[0], normalB, tolerance, distA) ||
+        !straddlesPlane(B, A[0], normalA, tolerance, distB)) {
+        return false;
+    }
+
+    cross(normalA, normalB, lineDir);
+    const length = Math.sqrt(dot(lineDir, lineDir));
+    if (length === 0) {
+        return false;
+    }
+    lineDir[0] /= length;
+    lineDir[1] /= length;
+    lineDir[2] /= length;
+
+    crossingInterval(A, distA, intervalA, startA);
+    crossingInterval(B, distB, intervalB, null);
+    const min = Math.max(intervalA[0], intervalB[0]);
+    const max = Math.min(intervalA[1], intervalB[1]);
+    if (max <= min) {
+        return false;
+    }
+
+    madd(startA, lineDir, (min + max) / 2 - intervalA[0], out);
+    return true;
+}
+
+// Searches a pair of triangles of the two BVHs that cross each other, see trianglesPenetrate.
+// Touching objects have a distance of 0, but don't penetrate.
+//  @param {Object}   bvhA, bvhB - See buildTriangleBVH
+//  @param {number}   tolerance  - Touch tolerance. Crossings that are shallower than this are ignored.
+//  @param {number[]} out        - Receives a point of the crossing.
+//  @returns {boolean} Whether a crossing was found.
+export function findPenetration(bvhA, bvhB, tolerance, out) {
+
+    const stack = [bvhA.root, bvhB.root];
+
+    while (stack.length) {
+        const nodeB = stack.pop();
+        const nodeA = stack.pop();
+
+        if (boxDistanceSq(nodeA.min, nodeA.max, nodeB.min, nodeB.max) > 0) {
+            continue;
+        }
+
+        const leafA = !nodeA.left;
+        const leafB = !nodeB.left;
+
+        if (leafA && leafB) {
+            for (let i = nodeA.start; i < nodeA.end; i++) {
+                loadTriangle(bvhA.tris, bvhA.order[i], triA);
+                for (let j = nodeB.start; j < nodeB.end; j++) {
+                    loadTriangle(bvhB.tris, bvhB.order[j], triB);
+                    if (trianglesPenetrate(triA, triB, tolerance, out)) {
+                        return true;
+                    }
+                }
+            }
+            continue;
+        }
+
+        if (leafB || (!leafA && nodeA.end - nodeA.start >= nodeB.end - nodeB.start)) {
+            stack.push(nodeA.left, nodeB, nodeA.right, nodeB);
+        } else {
+            stack.push(nodeA, nodeB.left, nodeA, nodeB.right);
+        }
+    }
+
+    return false;
+}
+
+// Skewed ray direction for the inside test, to make hits on edges and vertices unlikely
+const RAY_DIR = [0.5773, 0.5774, 0.5775];
+const rayEnd = [0, 0, 0];
+const hit = [0, 0, 0];
+
+// Returns whether a point is inside a closed mesh, by counting the crossings of a ray (even-odd rule).
+// Used for objects that are fully contained in others, which have no intersecting triangles.
+//  @param {number[]} point
+//  @param {Object}   bvh - See buildTriangleBVH
+export function isPointInsideMesh(point, bvh) {
+
+    const root = bvh.root;
+    if (boxDistanceSq(point, point, root.min, root.max) > 0) {
+        return false;
+    }
+
+    // The ray is clipped to a segment that leaves the mesh bounds
+    let length = 0;
+    for (let i = 0; i < 3; i++) {
+        length += root.max[i] - root.min[i];
+    }
+    madd(point, RAY_DIR, 2 * length + 1, rayEnd);
+
+    const segMin = [Math.min(point[0], rayEnd[0]), Math.min(point[1], rayEnd[1]), Math.min(point[2], rayEnd[2])];
+    const segMax = [Math.max(point[0], rayEnd[0]), Math.max(point[1], rayEnd[1]), Math.max(point[2], rayEnd[2])];
+
+    let crossings = 0;
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (boxDistanceSq(segMin, segMax, node.min, node.max) > 0) {
+            continue;
+        }
+
+        if (node.left) {
+            stack.push(node.left, node.right);
+            continue;
+        }
+
+        for (let i = node.start; i < node.end; i++) {
+            loadTriangle(bvh.tris, bvh.order[i], triA);
+            if (intersectSegmentTriangle(point, rayEnd, triA[0], triA[1], triA[2], hit)) {
+                crossings++;
+            }
+        }
+    }
+
+    return (crossings & 1) === 1;
+}
@@ -1,6 +1,7 @@
 import ModelPartsSearchProvider from './providers/ModelPartsSearchProvider';
 import PropertiesSearchProvider from './providers/PropertiesSearchProvider';
 import TextSearchProvider from './providers/TextSearchProvider';
+import PropertyQuerySearchProvider from './providers/PropertyQuerySearchProvider';
 
 export class SearchManager {
     constructor(viewer) {
@@ -31,7 +32,8 @@ export class SearchManager {
             const promises = [];
 
             this.searchProviders.forEach(searchProvider => {
-                const promise = searchProvider.search(searchQuery);
+                const input = searchProvider.isCaseSensitive && searchProvider.isCaseSensitive() ? userInput : searchQuery;
+                const promise = searchProvider.search(input);
                 const searchProviderId = searchProvider.getProviderId();
                 promise.id = searchProviderId;
                 promises.push(promise);
@@ -78,4 +80,5 @@ const namespace = AutodeskNamespace('Autodesk.Viewing.Search');
 namespace.SearchManager = SearchManager;
 namespace.ModelPartsSearchProvider = ModelPartsSearchProvider;
 namespace.PropertiesSearchProvider = PropertiesSearchProvider;
-namespace.TextSearchProvider = TextSearchProvider;
\ No newline at end of file
+namespace.TextSearchProvider = TextSearchProvider;
+namespace.PropertyQuerySearchProvider = PropertyQuerySearchProvider;
\ No newline at end of file
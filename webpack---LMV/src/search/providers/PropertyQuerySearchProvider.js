@@ -0,0 +1,64 @@
+import SearchProviderInterface from './SearchProviderInterface';
+import {
+    parsePropertyQuery
+} from '../../file-loaders/lmvtk/common/PropertyQuery';
+
+export default class PropertyQuerySearchProvider extends SearchProviderInterface {
+    constructor(viewer) {
+        super(viewer);
+    }
+
+    /**
+     * Async function that returns the objects matching a structured property query,
+     * e.g. 'Category = "Revit Walls" AND Height > 3m'. See Model#queryProperties.
+     * @param {string} searchQuery - property query
+     * @returns {Promise} Promise with array of dbIds for each model. Rejects with {msg} if the query is invalid.
+     */
+    search(searchQuery) {
+        return new Promise((resolve, reject) => {
+            // Syntax errors are the same for all models, report them before going to the worker
+            try {
+                parsePropertyQuery(searchQuery);
+            } catch (e) {
+                reject({
+                    msg: e.message
+                });
+                return;
+            }
+
+            // Models without properties can't match
+            const models = this.viewer.getVisibleModels().filter(model => model.getPropertyDb());
+            const result = [];
+
+            if (models.length === 0)
+                resolve(result);
+
+            for (let i = 0; i < models.length; i++) {
+                const model = models[i];
+                model.queryProperties(searchQuery).then(ids => {
+                    result.push({
+                        ids,
+                        model
+                    });
+                    if (result.length === models.length)
+                        resolve(result);
+                }, reject);
+            }
+        });
+    }
+
+    /**
+     * Regular expressions in queries are case sensitive, so the input must not be lower cased
+     * @returns {boolean}
+     */
+    isCaseSensitive() {
+        return true;
+    }
+
+    /**
+     * @returns {string} Name of Search Provider
+     */
+    getProviderId() {
+        return 'PropertyQuerySearchProvider';
+    }
+}
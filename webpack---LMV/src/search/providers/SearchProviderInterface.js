@@ -12,6 +12,13 @@ export default class SearchProviderInterface {
         return new Promise((resolve, reject) => {});
     }
 
+    /**
+     * @returns {boolean} true if the provider needs the user input as typed, rather than lower case
+     */
+    isCaseSensitive() {
+        return false;
+    }
+
     /**
      * @returns {string} Name of Search Provider
      */
@@ -83,6 +83,7 @@ export function MaterialManager(renderer) {
     this._hasTransparentMaterial = false;
     this.hasPrism = false;
     this._forceDoubleSided = false;
+    this._pointSize = 0; // 0: use the point size of the geometry
 
     // all indexed by modelId
     this._layerMaskTextures = {}; // same as for selection textures: "yes, an object and not an array."
@@ -211,6 +212,13 @@ MaterialManager.prototype._applyCutPlanes = function(mat) {
         return;
     }
 
+    // Clones with additional cutplanes keep them, and always render two-sided. See ScopedCutPlanes.
+    if (mat.scopedCutPlanesKey !== undefined) {
+        mat.cutplanesHideInterior = this.cutplanesHideInterior;
+        mat.needsUpdate = true;
+        return;
+    }
+
     mat.cutplanes = this._cutplanes;
     mat.cutplanesHideInterior = this.cutplanesHideInterior;
 
@@ -1258,8 +1266,10 @@ MaterialManager.prototype.setupMaterial = function(model, threegeom, materialId)
         if (threegeom.isPoints) {
             material = new THREE.PointCloudMaterial({
                 vertexColors: vertexColors,
-                size: threegeom.pointSize
+                size: this._pointSize || threegeom.pointSize
             });
+            // Keep the geometry's size, to restore it when the point size override is removed
+            material.geomPointSize = threegeom.pointSize;
         } else {
             var cache = vertexColors ? "cachedLineMaterialVC" : "cachedLineMaterial";
             material = svfmat[cache];
@@ -1602,6 +1612,19 @@ MaterialManager.prototype.setIrradianceMap = function(map) {
     }, true, true);
 };
 
+/**
+ * Overrides the size of all points.
+ * @param {number} size - Point size in pixels. 0 restores the point size stored with each geometry.
+ */
+MaterialManager.prototype.setPointSize = function(size) {
+    this._pointSize = size || 0;
+    this.forEach((m) => {
+        if (m instanceof THREE.PointCloudMaterial) {
+            m.size = this._pointSize || m.geomPointSize;
+        }
+    }, true, true);
+};
+
 /**
  * Sets a model's surface materials to double sided or single sided.
  * @param {boolean} enable - sets each material to double sided.
@@ -516,12 +516,12 @@ export function RenderContext() {
             if (camera.isPerspective) {
                 _saoPass.uniforms['projInfo'].value.set(-2.0 / (_colorTarget.width * P[0]), -2.0 / (_colorTarget.height * P[5]),
                     (1.0 - P[8]) / P[0],
-                    (1.0 + P[9]) / P[5]); //TODO: Not certain if we need + or - here for OpenGL off-center matrix (original is DX-style)
-                //would have to verify if some day we have off-center projections.
+                    (1.0 - P[9]) / P[5]); // Off-center terms are needed for tiled screenshots. gl_FragCoord.y points up, unlike the DX-style original.
             } else {
+                // Negated by the shader for ortho (see reconstructCSPosition)
                 _saoPass.uniforms['projInfo'].value.set(-2.0 / (_colorTarget.width * P[0]), -2.0 / (_colorTarget.height * P[5]),
-                    (1.0 - P[12]) / P[0],
-                    (1.0 - P[13]) / P[5]);
+                    (1.0 + P[12]) / P[0],
+                    (1.0 + P[13]) / P[5]);
             }
             _blendPass.uniforms['projInfo'].value.copy(_saoPass.uniforms['projInfo'].value);
 
@@ -0,0 +1,239 @@
+import {
+    logger
+} from "../../logger/Logger";
+
+// Prefix of the names of the material clones in the MaterialManager
+const CLONE_NAME_PREFIX = '__scopedCutPlanes__';
+
+// Applies cut plane sets that only cut some models or objects instead of the whole scene.
+//
+// The cutplanes of the MaterialManager are shared by all materials, so scoped planes can't go there. Instead, each
+// fragment in scope gets a clone of its material, whose cutplanes contain the scoped planes in addition to the shared ones.
+// The clones are registered in the MaterialManager, so that they get the same environment and tonemapping settings as
+// the other materials. Consolidated meshes can't use the clones, so models in scope are unconsolidated.
+//
+// Known limitation: Scoped planes don't affect hit testing.
+export class ScopedCutPlanes {
+
+    // @param {Viewer3DImpl} viewerImpl
+    constructor(viewerImpl) {
+        this.viewerImpl = viewerImpl;
+
+        // Scope by cut plane set name. See setScope.
+        this.scopes = {};
+
+        // Original material by fragId, for each model id with overridden materials.
+        this.originals = {};
+
+        // Material clones by original material id and key, where the key lists the scoped sets that cut the fragment.
+        this.clones = {};
+
+        // Cutplanes by key, shared by all clones of that key.
+        this.cutplanes = {};
+
+        // Ids of the models that were unconsolidated to apply the clones. They are consolidated again when they
+        // are out of scope.
+        this.unconsolidated = new Set();
+
+        // Identifies the current assignment of scoped sets to fragments, to avoid reassigning the materials
+        // when only the planes change.
+        this.assignment = '';
+    }
+
+    // Restricts a cut plane set to some models or objects.
+    //  @param {string}      cutPlaneSetName
+    //  @param {Object|null} scope - Maps model ids to either true (the whole model) or an array of dbIds
+    //                               (including their children). Null removes the restriction.
+    setScope(cutPlaneSetName, scope) {
+        if (scope) {
+            this.scopes[cutPlaneSetName] = JSON.parse(JSON.stringify(scope));
+        } else {
+            delete this.scopes[cutPlaneSetName];
+        }
+    }
+
+    getScope(cutPlaneSetName) {
+        return this.scopes[cutPlaneSetName] || null;
+    }
+
+    isScoped(cutPlaneSetName) {
+        return !!this.scopes[cutPlaneSetName];
+    }
+
+    // Calls cb(fragId) for each fragment of an object, including its children.
+    _enumObjectFragments(model, dbId, cb) {
+        const instanceTree = model.getInstanceTree();
+        if (instanceTree) {
+            instanceTree.enumNodeFragments(dbId, cb, true);
+            return;
+        }
+
+        const fragIds = model.getFragmentList().fragments.dbId2fragId[dbId];
+        if (Array.isArray(fragIds)) {
+            fragIds.forEach(cb);
+        } else if (fragIds !== undefined) {
+            cb(fragIds);
+        }
+    }
+
+    // Returns a Map from model id to a Map from fragId to the names of the scoped sets that cut it.
+    _getFragmentSets(names) {
+        const result = new Map();
+
+        names.forEach(name => {
+            const scope = this.scopes[name];
+            for (let modelId in scope) {
+                const model = this.viewerImpl.findModel(Number(modelId), true);
+                if (!model || model.is2d() || model.getDoNotCut()) {
+                    continue;
+                }
+
+                if (!result.has(model.id)) {
+                    result.set(model.id, new Map());
+                }
+                const fragSets = result.get(model.id);
+                const addFragment = (fragId) => {
+                    const sets = fragSets.get(fragId);
+                    if (!sets) {
+                        fragSets.set(fragId, [name]);
+                    } else if (sets[sets.length - 1] !== name) {
+                        sets.push(name);
+                    }
+                };
+
+                if (scope[modelId] === true) {
+                    const count = model.getFragmentList().getCount();
+                    for (let fragId = 0; fragId < count; fragId++) {
+                        addFragment(fragId);
+                    }
+                } else if (Array.isArray(scope[modelId])) {
+                    scope[modelId].forEach(dbId => this._enumObjectFragments(model, dbId, addFragment));
+                }
+            }
+        });
+
+        return result;
+    }
+
+    _restoreMaterials() {
+        for (let modelId in this.originals) {
+            const model = this.viewerImpl.findModel(Number(modelId), true);
+            if (model) {
+                const frags = model.getFragmentList();
+                this.originals[modelId].forEach((material, fragId) => frags.setMaterial(fragId, material));
+            }
+        }
+        this.originals = {};
+    }
+
+    _assignMaterials(names) {
+        const matman = this.viewerImpl.matman();
+        const clones = {};
+
+        const fragmentSets = this._getFragmentSets(names);
+        fragmentSets.forEach((fragSets, modelId) => {
+            const model = this.viewerImpl.findModel(modelId, true);
+            const frags = model.getFragmentList();
+            const originals = this.originals[modelId] = new Map();
+
+            // Consolidated meshes keep the original materials, see Viewer3D.setMaterialsToDefaults
+            if (model.isConsolidated()) {
+                logger.warn(`Model ${modelId} is unconsolidated to apply scoped cutplanes, rendering may be slower.`);
+                model.unconsolidate(false, true);
+                this.unconsolidated.add(modelId);
+            }
+
+            fragSets.forEach((sets, fragId) => {
+                const material = frags.getMaterial(fragId);
+                if (!material || material.doNotCut || material.is2d) {
+                    return;
+                }
+
+                const key = JSON.stringify(sets);
+                const cloneKey = material.id + ':' + key;
+                let clone = clones[cloneKey] || this.clones[cloneKey];
+                if (!clone) {
+                    clone = matman.cloneMaterial(material, model);
+                    // Tells the MaterialManager to keep the cutplanes of the clone
+                    clone.scopedCutPlanesKey = key;
+                    matman.addHDRMaterial(CLONE_NAME_PREFIX + cloneKey, clone);
+                    clone.side = THREE.DoubleSide;
+                    clone.needsUpdate = true;
+                }
+                clone.cutplanes = this.cutplanes[key] = this.cutplanes[key] || [];
+                clones[cloneKey] = clone;
+
+                originals.set(fragId, material);
+                frags.setMaterial(fragId, clone);
+            });
+        });
+
+        // Release the clones that are not used anymore
+        for (let cloneKey in this.clones) {
+            if (!clones[cloneKey]) {
+                matman.removeMaterial(CLONE_NAME_PREFIX + cloneKey);
+                this.clones[cloneKey].dispose();
+            }
+        }
+        this.clones = clones;
+
+        // Consolidate the models again that are out of scope now
+        this.unconsolidated.forEach(modelId => {
+            if (fragmentSets.has(modelId)) {
+                return;
+            }
+            this.unconsolidated.delete(modelId);
+            const model = this.viewerImpl.findModel(modelId, true);
+            if (model && !model.isConsolidated()) {
+                this.viewerImpl.consolidateModel(model);
+            }
+        });
+
+        const cutplanes = {};
+        for (let cloneKey in clones) {
+            const key = clones[cloneKey].scopedCutPlanesKey;
+            cutplanes[key] = this.cutplanes[key];
+        }
+        this.cutplanes = cutplanes;
+    }
+
+    // Updates the cutplanes of the scoped sets. Called whenever any cutplanes change.
+    //  @param {Object}          cutPlaneSets - Cutplanes by set name, including the unscoped sets.
+    //  @param {THREE.Vector4[]} sharedPlanes - Cutplanes that apply to all materials.
+    //  @returns {boolean} True if any scoped cutplanes are applied.
+    update(cutPlaneSets, sharedPlanes) {
+        const names = Object.keys(this.scopes).filter(name => cutPlaneSets[name] ? .length > 0).sort();
+        // Fragment counts are included for models that are still loading.
+        const assignment = JSON.stringify(names.map(name => {
+            const counts = Object.keys(this.scopes[name]).map(modelId => this.viewerImpl.findModel(Number(modelId), true) ? .getFragmentList() ? .getCount());
+            return [name, this.scopes[name], counts];
+        }));
+
+        if (assignment !== this.assignment) {
+            this.assignment = assignment;
+            this._restoreMaterials();
+            this._assignMaterials(names);
+        }
+
+        for (let key in this.cutplanes) {
+            const planes = sharedPlanes.slice();
+            JSON.parse(key).forEach(name => planes.push(...cutPlaneSets[name]));
+
+            // Shaders have to be recompiled if the number of planes changes.
+            const target = this.cutplanes[key];
+            const needsUpdate = target.length !== planes.length;
+            target.length = 0;
+            planes.forEach(plane => target.push(plane.clone()));
+
+            if (needsUpdate) {
+                for (let cloneKey in this.clones) {
+                    if (this.clones[cloneKey].cutplanes === target) {
+                        this.clones[cloneKey].needsUpdate = true;
+                    }
+                }
+            }
+        }
+
+        return names.length > 0;
+    }
+}
@@ -115,26 +115,34 @@ export class MeshAccessor {
     }
 }
 
-// @todo: instead of enriching geom, the edges (indexlines) should be returned as typed array
-// and used as required by the caller.
-export function createWireframe(geom, toWorld, boundingBox, wantAllTriangleEdges) {
-
-    // note: Wide line geometries are actual 3D geometry meshes and do not require a dedicated treatment here.
-    // @todo: make this a convenience query, e.g., in BufferGeometryUtils.
-    const linesPresent = ('isLines' in geom && geom.isLines) ||
-        ('indexlines' in geom) || ('iblines' in geom);
-
-    if (linesPresent) {
-        return;
-    }
+/**
+ * Enumerates the edges of a triangle mesh with the normals of their adjacent triangles.
+ * Vertices are matched by position only, so that edges between triangles with split normals are found as well.
+ *
+ * @param {BufferGeometry} geom
+ * @param {Matrix4} [toWorld] - The normals are computed after this transform (e.g. for non-uniform scaling).
+ * @param {Box3} [boundingBox] - Bounds of the geometry, computed if missing.
+ * @param {function} callback - Called with (i1, i2, n1, n2) for each edge, where i1 and i2 are vertex indices and
+ *                              n1 and n2 the normals of the two triangles. n2 is null for outer edges, which only have
+ *                              one triangle. Edges of more than two triangles are reported once per pair.
+ *                              The normals are reused between calls.
+ */
+export function enumMeshFeatureEdges(geom, toWorld, boundingBox, callback) {
 
     let mt = new MeshAccessor(geom, toWorld, boundingBox);
 
     //loop over all triangles, keeping track of
-    //edges that seem important
+    //edges that have only been seen once
     var seenEdges = {};
 
-    var edgeIB = [];
+    // Normal of the first triangle of an edge, stored as the opposite vertex (negative if the edge was reversed)
+    function getSeenNormal(i1, i2, opp, n) {
+        if (opp < 0) {
+            mt.getNormal(i2, i1, mt.remap[-opp - 1], n);
+        } else {
+            mt.getNormal(i1, i2, mt.remap[opp], n);
+        }
+    }
 
     function doOneEdge(i1orig, i2orig, opp1orig) {
 
@@ -160,36 +168,19 @@ export function createWireframe(geom, toWorld, boundingBox, wantAllTriangleEdges
             if (opp2orig === undefined) {
                 e1[i2] = reversed ? -opp1orig - 1 : opp1orig;
             } else {
-                //We now know two triangles that share this edge,
-                //we can check if it's important
-
-                if (!wantAllTriangleEdges) {
-                    //Use original indices, so that we
-                    //can do the math with the correct winding order
-                    mt.getNormal(i1orig, i2orig, opp1orig, _n1);
-
-                    if (opp2orig < 0) {
-                        mt.getNormal(i2, i1, mt.remap[-opp2orig - 1], _n2);
-                    } else {
-                        mt.getNormal(i1, i2, mt.remap[opp2orig], _n2);
-                    }
-
-                    var dot = _n1.dot(_n2);
-
-                    if (Math.abs(dot) < 0.25) {
-                        edgeIB.push(i1orig);
-                        edgeIB.push(i2orig);
-                    }
-                } else {
-                    edgeIB.push(i1orig);
-                    edgeIB.push(i2orig);
-                }
+                //We now know two triangles that share this edge.
+                //Use original indices, so that we
+                //can do the math with the correct winding order
+                mt.getNormal(i1orig, i2orig, opp1orig, _n1);
+                getSeenNormal(i1, i2, opp2orig, _n2);
+
+                callback(i1orig, i2orig, _n1, _n2);
 
                 delete e1[i2];
             }
         } else {
             seenEdges[i1] = {};
-            seenEdges[i1][i2] = opp1orig;
+            seenEdges[i1][i2] = reversed ? -opp1orig - 1 : opp1orig;
         }
     }
 
@@ -199,17 +190,42 @@ export function createWireframe(geom, toWorld, boundingBox, wantAllTriangleEdges
         doOneEdge(iC, iA, iB);
     }
 
-    //find edges that have neighboring triangles at sharp angle
     enumMeshTriangles(geom, tricb);
 
     //process remaining edges (outer edges that only have one triangle)
 
     for (var i1 in seenEdges) {
         for (var i2 in seenEdges[i1]) {
-            edgeIB.push(parseInt(i1));
-            edgeIB.push(parseInt(i2));
+            var a = parseInt(i1);
+            var b = parseInt(i2);
+            getSeenNormal(a, b, seenEdges[i1][i2], _n1);
+            callback(a, b, _n1, null);
         }
     }
+}
+
+// @todo: instead of enriching geom, the edges (indexlines) should be returned as typed array
+// and used as required by the caller.
+export function createWireframe(geom, toWorld, boundingBox, wantAllTriangleEdges) {
+
+    // note: Wide line geometries are actual 3D geometry meshes and do not require a dedicated treatment here.
+    // @todo: make this a convenience query, e.g., in BufferGeometryUtils.
+    const linesPresent = ('isLines' in geom && geom.isLines) ||
+        ('indexlines' in geom) || ('iblines' in geom);
+
+    if (linesPresent) {
+        return;
+    }
+
+    var edgeIB = [];
+
+    //keep outer edges and edges that have neighboring triangles at sharp angle
+    enumMeshFeatureEdges(geom, toWorld, boundingBox, function(i1, i2, n1, n2) {
+        if (wantAllTriangleEdges || !n2 || Math.abs(n1.dot(n2)) < 0.25) {
+            edgeIB.push(i1);
+            edgeIB.push(i2);
+        }
+    });
 
     if (edgeIB.length < 2) {
         return;